@@ -0,0 +1,167 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const ContractValidator = require('../workers/lib/contract-validator')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+const validator = new ContractValidator({}, logger)
+
+const withContract = (contract, metadata = {}) => ({ id: 'model', metadata: { ...metadata, contract } })
+
+/**
+ * Validate an input and return the error details, null if it is valid
+ * @param {Object} model - Model object
+ * @param {*} input - Input data
+ * @returns {Array<Object>|null} Issues
+ */
+function inputIssues (model, input) {
+  try {
+    validator.validateInput(model, input)
+    return null
+  } catch (error) {
+    assert.match(error.message, /^ERR_INVALID_INPUT: /)
+    return error.details
+  }
+}
+
+test('input is required even without a contract', () => {
+  assert.strictEqual(inputIssues({ metadata: {} }, { any: 'thing' }), null)
+  assert.deepStrictEqual(inputIssues({ metadata: {} }, null), [{ path: '', message: 'is required' }])
+})
+
+test('nested arrays are checked against fixed and dynamic dims', () => {
+  const model = withContract({ input: { shape: [-1, 2, null], dtype: 'float32' } })
+
+  assert.strictEqual(inputIssues(model, [[[1, 2, 3], [4, 5, 6]]]), null)
+  assert.strictEqual(inputIssues(model, [[[1], [2]], [[3], [4]], [[5], [6]]]), null)
+  assert.deepStrictEqual(inputIssues(model, [[[1, 2], [3, 4], [5, 6]]]), [
+    { path: '', message: 'must have shape [-1, 2, -1], got [1, 3, 2]' }
+  ])
+  assert.deepStrictEqual(inputIssues(model, [[[1, 2], [3]]]), [{ path: '', message: 'must be a rectangular array' }])
+  assert.deepStrictEqual(inputIssues(model, 'text'), [{ path: '', message: 'must be an array' }])
+})
+
+test('a flat array is accepted for a fixed shape with the right number of values', () => {
+  const model = withContract({ input: { shape: [2, 3], dtype: 'uint8' } })
+
+  assert.strictEqual(inputIssues(model, [0, 1, 2, 3, 4, 255]), null)
+  assert.deepStrictEqual(inputIssues(model, [0, 1, 2]), [
+    { path: '', message: 'must have 6 values for shape [2, 3], got 3' }
+  ])
+})
+
+test('values are checked against the dtype', () => {
+  const model = withContract({ input: { shape: [4], dtype: 'int8' } })
+
+  assert.deepStrictEqual(inputIssues(model, [1, 128, 1.5, -128]), [
+    { path: '[1]', message: 'must be int8, got 128' },
+    { path: '[2]', message: 'must be int8, got 1.5' }
+  ])
+  assert.deepStrictEqual(inputIssues(withContract({ input: { dtype: 'complex' } }), [1]), [
+    { path: '', message: 'has unsupported dtype complex' }
+  ])
+})
+
+test('the number of reported issues is capped', () => {
+  const capped = new ContractValidator({ contract: { maxIssues: 2 } }, logger)
+
+  assert.throws(
+    () => capped.validateInput(withContract({ input: { dtype: 'bool' } }), [2, 3, 4, 5]),
+    error => error.details.length === 2
+  )
+})
+
+test('named dims must have the same size in every tensor', () => {
+  const model = withContract({
+    input: {
+      tensors: {
+        input_ids: { shape: ['batch', 'seq'], dtype: 'int64' },
+        attention_mask: { shape: ['batch', 'seq'], dtype: 'int64' }
+      }
+    }
+  })
+
+  assert.strictEqual(inputIssues(model, {
+    input_ids: { data: [1, 2, 3], dims: [1, 3], type: 'int64' },
+    attention_mask: { data: [[1, 1, 1]], dims: [1, 3] }
+  }), null)
+
+  assert.deepStrictEqual(inputIssues(model, {
+    input_ids: { data: [1, 2, 3], dims: [1, 3] },
+    attention_mask: { data: [1, 1], dims: [1, 2] }
+  }), [{ path: '/attention_mask/dims', message: 'dim 1 (seq) must be 3 like elsewhere, got 2' }])
+})
+
+test('named tensors report missing, unknown and mistyped tensors', () => {
+  const model = withContract({ input: { tensors: { a: { shape: [2], dtype: 'float32' } } } })
+
+  assert.deepStrictEqual(inputIssues(model, { b: { data: [1] } }), [
+    { path: '/a', message: 'must be a tensor with a data array' },
+    { path: '/b', message: 'is not an input of the model' }
+  ])
+  assert.deepStrictEqual(inputIssues(model, { a: { data: [1, 2], type: 'int32' } }), [
+    { path: '/a/type', message: 'must be float32, got int32' }
+  ])
+  assert.deepStrictEqual(inputIssues(model, { a: { data: [1, 2, 3], dims: [2] } }), [
+    { path: '/a/data', message: 'must have 2 values for dims [2], got 3' }
+  ])
+  assert.deepStrictEqual(inputIssues(model, [1, 2]), [{ path: '', message: 'must be an object of tensors (a)' }])
+})
+
+test('structured inputs are checked against a JSON schema', () => {
+  const model = withContract({
+    input: {
+      schema: {
+        type: 'object',
+        required: ['text'],
+        properties: { text: { type: 'string' }, topK: { type: 'integer', minimum: 1 } }
+      }
+    }
+  })
+
+  assert.strictEqual(inputIssues(model, { text: 'hello', topK: 3 }), null)
+  assert.deepStrictEqual(inputIssues(model, { topK: 0 }), [
+    { path: '', message: "must have required property 'text'" },
+    { path: '/topK', message: 'must be >= 1' }
+  ])
+})
+
+test('legacy inputShape and inputType are used without a contract', () => {
+  const model = { metadata: { inputShape: [1, 3], inputType: 'float32' } }
+
+  assert.strictEqual(inputIssues(model, [[0.1, 0.2, 0.3]]), null)
+  assert.deepStrictEqual(inputIssues(model, [[0.1, 'x', 0.3]]), [{ path: '[1]', message: 'must be float32, got "x"' }])
+})
+
+test('outputs are checked against named outputs or predictions', () => {
+  const model = withContract({ output: { tensors: { logits: { shape: [-1, 2] } } } })
+
+  validator.validateOutput(model, { outputs: { logits: { data: [0.1, 0.9], dims: [1, 2] } } })
+  assert.throws(
+    () => validator.validateOutput(model, { outputs: { logits: { data: [0.1, 0.2, 0.7], dims: [1, 3] } } }),
+    { message: /^ERR_INVALID_OUTPUT: \/logits\/dims must have shape \[-1, 2\], got \[1, 3\]/ }
+  )
+
+  const predictions = withContract({ output: { shape: [3], dtype: 'float32' } })
+  validator.validateOutput(predictions, { predictions: [0.1, 0.2, 0.7] })
+  assert.throws(() => validator.validateOutput(predictions, { predictions: [0.1] }), { message: /^ERR_INVALID_OUTPUT/ })
+  validator.validateOutput({ metadata: {} }, { predictions: 'anything' })
+})
+
+test('sample inputs match the input contract', () => {
+  const tensors = withContract({
+    input: { tensors: { ids: { shape: ['batch', 4], dtype: 'int64' }, text: { shape: [2], dtype: 'string' } } }
+  })
+
+  assert.deepStrictEqual(validator.sampleInput(tensors), {
+    ids: { data: [0, 0, 0, 0], dims: [1, 4], type: 'int64' },
+    text: { data: ['', ''], dims: [2], type: 'string' }
+  })
+  assert.deepStrictEqual(validator.sampleInput(withContract({ input: { shape: [-1, 2], dtype: 'float32' } })), [[0, 0]])
+  assert.strictEqual(validator.sampleInput(withContract({ input: { schema: { type: 'object' } } })), null)
+
+  const sample = validator.sampleInput(tensors)
+  assert.strictEqual(inputIssues(tensors, sample), null)
+})
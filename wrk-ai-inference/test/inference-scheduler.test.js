@@ -0,0 +1,214 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const InferenceScheduler = require('../workers/lib/inference-scheduler')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+const model = { id: 'model-a' }
+
+/**
+ * Create a promise with its resolve function
+ * @returns {Object} `{ promise, resolve }`
+ */
+function deferred () {
+  const entry = {}
+  entry.promise = new Promise(resolve => { entry.resolve = resolve })
+  return entry
+}
+
+/**
+ * Create an engine recording its batch calls
+ * Every call waits for `release()` when the engine is held.
+ * @param {Object} opts - Engine options
+ * @returns {Object} Engine with `calls`
+ */
+function createEngine (opts = {}) {
+  const engine = {
+    calls: [],
+    hold: opts.hold ? deferred() : null,
+    async runBatchInference (model, inputs, options) {
+      engine.calls.push({ model, inputs, options })
+      if (engine.hold) {
+        await engine.hold.promise
+      }
+      if (options.signal.aborted) {
+        throw options.signal.reason
+      }
+
+      return {
+        inferenceId: `inf-${engine.calls.length}`,
+        modelId: model.id,
+        processingTime: 1,
+        timestamp: 0,
+        results: inputs.map((input, index) => input === 'fail'
+          ? { index, success: false, error: 'ERR_BAD_INPUT' }
+          : { index, success: true, result: { echo: input } })
+      }
+    }
+  }
+
+  return engine
+}
+
+/**
+ * Create a scheduler
+ * @param {Object} conf - Configuration object
+ * @param {Object} engine - Inference engine
+ * @returns {InferenceScheduler} Initialized scheduler
+ */
+function createScheduler (conf = {}, engine = createEngine()) {
+  const scheduler = new InferenceScheduler(conf, logger)
+  scheduler.initialize(engine, { maxConcurrent: conf.maxConcurrentInferences || 1, currentLoad: 0 })
+  return scheduler
+}
+
+/**
+ * Take the only capacity slot with a task until the returned function is called
+ * @param {InferenceScheduler} scheduler - Scheduler
+ * @returns {Function} Frees the slot
+ */
+function occupy (scheduler) {
+  const slot = deferred()
+  scheduler.run(() => slot.promise)
+  return () => slot.resolve()
+}
+
+test('queued work runs by priority class, then by arrival', async () => {
+  const scheduler = createScheduler()
+  const order = []
+  const free = occupy(scheduler)
+
+  const runs = [
+    ['batch', 'b1'],
+    ['standard', 's1'],
+    ['interactive', 'i1'],
+    [undefined, 's2'],
+    ['interactive', 'i2']
+  ].map(([priority, name]) => scheduler.run(async () => order.push(name), { priority }))
+
+  assert.deepStrictEqual(scheduler.getStats().byPriority, { interactive: 2, standard: 2, batch: 1 })
+
+  free()
+  await Promise.all(runs)
+
+  assert.deepStrictEqual(order, ['i1', 'i2', 's1', 's2', 'b1'])
+})
+
+test('a full queue sheds the newest entry of a lower class', async () => {
+  const scheduler = createScheduler({ queue: { maxSize: 2 } })
+  const free = occupy(scheduler)
+
+  const b1 = scheduler.run(async () => 'b1', { priority: 'batch' })
+  const b2 = scheduler.run(async () => 'b2', { priority: 'batch' })
+  const i1 = scheduler.run(async () => 'i1', { priority: 'interactive' })
+
+  await assert.rejects(b2, { message: 'ERR_CAPACITY_EXCEEDED' })
+  await assert.rejects(scheduler.run(async () => 'b3', { priority: 'batch' }), { message: 'ERR_CAPACITY_EXCEEDED' })
+  assert.strictEqual(scheduler.getStats().depth, 2)
+
+  free()
+  assert.deepStrictEqual(await Promise.all([b1, i1]), ['b1', 'i1'])
+})
+
+test('batching.maxQueueSize is read when queue.maxSize is not set', () => {
+  assert.strictEqual(createScheduler({ batching: { maxQueueSize: 5 } }).maxQueueSize, 5)
+  assert.strictEqual(createScheduler({ queue: { maxSize: 3 }, batching: { maxQueueSize: 5 } }).maxQueueSize, 3)
+})
+
+test('entries still waiting at their deadline are dropped', async () => {
+  const scheduler = createScheduler({ queue: { maxWaitMs: 20 } })
+  const free = occupy(scheduler)
+
+  const late = scheduler.run(async () => 'late', { deadline: Date.now() + 10 })
+  const defaulted = scheduler.run(async () => 'defaulted')
+
+  await assert.rejects(late, { message: 'ERR_DEADLINE_EXCEEDED' })
+  await assert.rejects(defaulted, { message: 'ERR_DEADLINE_EXCEEDED' })
+  assert.strictEqual(scheduler.getStats().depth, 0)
+  free()
+})
+
+test('aborting a waiting entry removes it with the abort reason', async () => {
+  const scheduler = createScheduler()
+  const free = occupy(scheduler)
+  const controller = new AbortController()
+
+  const aborted = scheduler.run(async () => 'aborted', { signal: controller.signal })
+  controller.abort(new Error('ERR_INFERENCE_CANCELLED'))
+
+  await assert.rejects(aborted, { message: 'ERR_INFERENCE_CANCELLED' })
+  assert.strictEqual(scheduler.getStats().depth, 0)
+  await assert.rejects(scheduler.run(async () => 'x', { signal: controller.signal }), { message: 'ERR_INFERENCE_CANCELLED' })
+  free()
+})
+
+test('a full batch is dispatched at once in one runtime call', async () => {
+  const engine = createEngine()
+  const scheduler = createScheduler({ batching: { maxBatchSize: 3, maxWaitMs: 60000 } }, engine)
+
+  const results = await Promise.all(['x', 'y', 'z'].map(input => scheduler.schedule(model, input, { priority: 'standard' })))
+
+  assert.strictEqual(engine.calls.length, 1)
+  assert.deepStrictEqual(engine.calls[0].inputs, ['x', 'y', 'z'])
+  assert.deepStrictEqual(results.map(result => result.result), [{ echo: 'x' }, { echo: 'y' }, { echo: 'z' }])
+  assert.ok(results.every(result => result.batchSize === 3 && result.inferenceId === 'inf-1'))
+  assert.strictEqual(engine.calls[0].options.priority, undefined)
+})
+
+test('a partial batch is dispatched after the batch window', async () => {
+  const engine = createEngine()
+  const scheduler = createScheduler({ batching: { maxBatchSize: 8, maxWaitMs: 10 } }, engine)
+
+  const results = await Promise.all([scheduler.schedule(model, 'x'), scheduler.schedule(model, 'y')])
+
+  assert.strictEqual(engine.calls.length, 1)
+  assert.deepStrictEqual(results.map(result => result.batchSize), [2, 2])
+})
+
+test('requests with different models or options are not batched together', async () => {
+  const engine = createEngine()
+  const scheduler = createScheduler({ maxConcurrentInferences: 4, batching: { maxBatchSize: 8, maxWaitMs: 5 } }, engine)
+
+  await Promise.all([
+    scheduler.schedule(model, 'x', { topK: 1 }),
+    scheduler.schedule(model, 'y', { topK: 1, deadline: Date.now() + 1000 }),
+    scheduler.schedule(model, 'z', { topK: 2 }),
+    scheduler.schedule({ id: 'model-b' }, 'w', { topK: 1 })
+  ])
+
+  const batches = engine.calls.map(call => `${call.model.id}:${call.inputs.join(',')}`).sort()
+  assert.deepStrictEqual(batches, ['model-a:x,y', 'model-a:z', 'model-b:w'])
+})
+
+test('a failed item only rejects its own request', async () => {
+  const scheduler = createScheduler({ batching: { maxBatchSize: 2, maxWaitMs: 60000 } })
+
+  const [ok, failed] = await Promise.allSettled([scheduler.schedule(model, 'x'), scheduler.schedule(model, 'fail')])
+
+  assert.strictEqual(ok.status, 'fulfilled')
+  assert.strictEqual(failed.status, 'rejected')
+  assert.strictEqual(failed.reason.message, 'ERR_BAD_INPUT')
+})
+
+test('the runtime call is aborted once every request of the batch is', async () => {
+  const engine = createEngine({ hold: true })
+  const scheduler = createScheduler({ batching: { maxBatchSize: 2, maxWaitMs: 60000 } }, engine)
+  const controllers = [new AbortController(), new AbortController()]
+
+  const requests = controllers.map((controller, i) => scheduler.schedule(model, `input-${i}`, { signal: controller.signal }))
+  assert.strictEqual(engine.calls.length, 1)
+
+  controllers[0].abort(new Error('ERR_INFERENCE_CANCELLED'))
+  await assert.rejects(requests[0], { message: 'ERR_INFERENCE_CANCELLED' })
+  assert.strictEqual(engine.calls[0].options.signal.aborted, false)
+
+  controllers[1].abort(new Error('ERR_INFERENCE_CANCELLED'))
+  await assert.rejects(requests[1], { message: 'ERR_INFERENCE_CANCELLED' })
+  assert.strictEqual(engine.calls[0].options.signal.aborted, true)
+
+  engine.hold.resolve()
+  await scheduler.run(async () => {})
+  assert.strictEqual(scheduler.capacity.currentLoad, 0)
+})
@@ -0,0 +1,103 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const crypto = require('crypto')
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const ModelManager = require('../workers/lib/model-manager')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+/**
+ * Create a model manager whose models are served by a fake model manager
+ * worker and loaded by a fake runtime
+ * @param {Object} t - Test context, removes the blob cache when done
+ * @param {Object} conf - Configuration object
+ * @param {Object} models - Model bytes and session memory by model identifier
+ * @returns {Promise<Object>} Manager and the disposed model identifiers
+ */
+async function createManager (t, conf, models) {
+  const cachePath = await fs.mkdtemp(path.join(os.tmpdir(), 'model-manager-test-'))
+  t.after(() => fs.rm(cachePath, { recursive: true, force: true }))
+
+  const disposed = []
+  const net = {
+    async jRequest (publicKey, method, { modelId }) {
+      const data = models[modelId].data
+      if (method === 'getModelMetadata') {
+        const checksum = crypto.createHash('sha256').update(data).digest('hex')
+        return { metadata: { modelId, version: '1.0.0', type: 'onnx', checksum } }
+      }
+      return { modelData: data.toString('base64') }
+    }
+  }
+  const runtimes = {
+    resolve: () => ({
+      name: 'fake',
+      async load (data, metadata) {
+        return {
+          memoryUsage: models[metadata.modelId].memory,
+          async dispose () { disposed.push(metadata.modelId) }
+        }
+      }
+    })
+  }
+
+  const manager = new ModelManager({ modelCachePath: cachePath, modelManager: { rpcPublicKey: 'mm' }, ...conf }, logger)
+  await manager.initialize(net, runtimes)
+
+  return { manager, disposed }
+}
+
+test('session memory beyond the model bytes makes room within the budget', async (t) => {
+  const { manager, disposed } = await createManager(t, { memoryLimit: 100 }, {
+    a: { data: Buffer.alloc(10), memory: 60 },
+    b: { data: Buffer.alloc(10), memory: 60 }
+  })
+
+  await manager.loadModel('a')
+  assert.strictEqual(manager.memoryUsed, 60)
+
+  await manager.loadModel('b')
+  assert.deepStrictEqual(manager.getLoadedModels(), ['b'])
+  assert.deepStrictEqual(disposed, ['a'])
+  assert.strictEqual(manager.memoryUsed, 60)
+})
+
+test('a session that does not fit the budget is disposed and fails the load', async (t) => {
+  const { manager, disposed } = await createManager(t, { memoryLimit: 100, pinnedModels: ['a'] }, {
+    a: { data: Buffer.alloc(10), memory: 60 },
+    b: { data: Buffer.alloc(10), memory: 60 }
+  })
+
+  await manager.loadModel('a')
+  await assert.rejects(manager.loadModel('b'), /ERR_MEMORY_BUDGET_EXCEEDED/)
+
+  assert.deepStrictEqual(manager.getLoadedModels(), ['a'])
+  assert.deepStrictEqual(disposed, ['b'])
+  assert.strictEqual(manager.memoryUsed, 60)
+})
+
+test('unloading a model in use disposes it on its last release', async (t) => {
+  const { manager, disposed } = await createManager(t, {}, {
+    a: { data: Buffer.alloc(10), memory: 40 }
+  })
+
+  const first = await manager.acquire('a')
+  const second = await manager.acquire('a')
+
+  assert.strictEqual(await manager.unloadModel('a'), true)
+  assert.strictEqual(manager.isLoaded('a'), false)
+  assert.deepStrictEqual(disposed, [])
+  assert.strictEqual(manager.memoryUsed, 40)
+
+  manager.release(first)
+  assert.deepStrictEqual(disposed, [])
+
+  manager.release(second)
+  await new Promise(resolve => setImmediate(resolve))
+  assert.deepStrictEqual(disposed, ['a'])
+  assert.strictEqual(manager.memoryUsed, 0)
+})
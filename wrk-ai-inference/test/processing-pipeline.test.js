@@ -0,0 +1,141 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const ProcessingPipeline = require('../workers/lib/processing-pipeline')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+const pipeline = new ProcessingPipeline({}, logger)
+
+/**
+ * Round the numbers of a nested value, to compare floating point results
+ * @param {*} value - Value
+ * @returns {*} Value with numbers rounded to 6 decimals
+ */
+function round (value) {
+  if (Array.isArray(value)) {
+    return value.map(round)
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, round(item)]))
+  }
+  return typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value
+}
+
+test('an empty pipeline passes values through', () => {
+  const compiled = pipeline.compile()
+
+  assert.deepStrictEqual(compiled.steps, { preprocess: [], postprocess: [] })
+  assert.deepStrictEqual(compiled.preprocess([1, 2]), [1, 2])
+  assert.deepStrictEqual(compiled.postprocess({ predictions: [0.2], confidence: 0.2 }), { predictions: [0.2], confidence: 0.2 })
+  assert.deepStrictEqual(compiled.postprocess([0.3]), { predictions: [0.3], confidence: undefined })
+})
+
+test('normalize scales values and applies mean and std per channel', () => {
+  const { preprocess } = pipeline.compile({
+    preprocess: [{ type: 'normalize', mean: [0.5, 0.5, 0], std: [0.5, 0.5, 1], scale: 1 / 255 }]
+  })
+
+  assert.deepStrictEqual(round(preprocess([[[255, 0, 51]], [[127.5, 255, 0]]])), [[[1, -1, 0.2]], [[0, 1, 0]]])
+
+  const channelsFirst = pipeline.compile({ preprocess: [{ type: 'normalize', mean: [1, 2], axis: 0 }] })
+  assert.deepStrictEqual(channelsFirst.preprocess([[1, 1], [2, 2]]), [[0, 0], [0, 0]])
+})
+
+test('normalize rejects inputs it cannot handle as invalid input', () => {
+  const { preprocess } = pipeline.compile({ preprocess: [{ type: 'normalize', mean: [0, 0, 0] }] })
+
+  assert.throws(() => preprocess('text'), { message: 'ERR_INVALID_INPUT: (root) must be a numeric array to normalize' })
+  assert.throws(() => preprocess([[1, 2]]), { message: 'ERR_INVALID_INPUT: (root) must have 3 channels on axis -1, got 2' })
+  assert.throws(() => preprocess([[1, 'x', 3]]), error => error.details[0].message === 'must only contain numbers, got "x"')
+})
+
+test('resize interpolates bilinearly or picks the nearest pixel', () => {
+  const image = [[0, 10], [20, 30]]
+
+  const bilinear = pipeline.compile({ preprocess: [{ type: 'resize', width: 1, height: 1 }] })
+  assert.deepStrictEqual(bilinear.preprocess(image), [[15]])
+
+  const nearest = pipeline.compile({ preprocess: [{ type: 'resize', width: 4, height: 1, method: 'nearest' }] })
+  assert.deepStrictEqual(nearest.preprocess(image), [[20, 20, 30, 30]])
+
+  const upscaled = pipeline.compile({ preprocess: [{ type: 'resize', width: 4, height: 4 }] })
+  const result = upscaled.preprocess([[[0, 100], [10, 100]], [[20, 100], [30, 100]]])
+  assert.deepStrictEqual(result.length, 4)
+  assert.deepStrictEqual(result[0][0], [0, 100])
+  assert.deepStrictEqual(result[3][3], [30, 100])
+  assert.deepStrictEqual(result[1][1], [7.5, 100])
+
+  assert.throws(() => bilinear.preprocess([1, 2, 3]), { message: /^ERR_INVALID_INPUT: \(root\) must be an image array/ })
+})
+
+test('tokenize maps words to ids with special tokens, truncation and padding', () => {
+  const vocab = ['[PAD]', '[UNK]', '[CLS]', '[SEP]', 'hello', 'world', ',']
+  const step = { type: 'tokenize', vocab, unknown: '[UNK]', bos: '[CLS]', eos: '[SEP]' }
+
+  const padded = pipeline.compile({ preprocess: [{ ...step, maxLength: 8 }] })
+  assert.deepStrictEqual(padded.preprocess('Hello, big world'), [2, 4, 6, 1, 5, 3, 0, 0])
+
+  const truncated = pipeline.compile({ preprocess: [{ ...step, maxLength: 4 }] })
+  assert.deepStrictEqual(truncated.preprocess({ text: 'Hello, big world' }), [2, 4, 6, 3])
+
+  const feeds = pipeline.compile({ preprocess: [{ ...step, maxLength: 5, tensors: {} }] })
+  assert.deepStrictEqual(feeds.preprocess('hello'), {
+    input_ids: { data: [2, 4, 3, 0, 0], dims: [1, 5], type: 'int64' },
+    attention_mask: { data: [1, 1, 1, 0, 0], dims: [1, 5], type: 'int64' }
+  })
+})
+
+test('tokenize rejects unknown tokens and non-text inputs', () => {
+  const { preprocess } = pipeline.compile({ preprocess: [{ type: 'tokenize', vocab: { hello: 0 }, lowercase: false }] })
+
+  assert.throws(() => preprocess('hello Hello'), { message: 'ERR_INVALID_INPUT: (root) token "Hello" is not in the vocabulary' })
+  assert.throws(() => preprocess({ text: 1 }), { message: 'ERR_INVALID_INPUT: /text must be a string to tokenize' })
+})
+
+test('postprocessors turn scores into labelled top predictions', () => {
+  const { postprocess, steps } = pipeline.compile({
+    postprocess: [
+      { type: 'softmax' },
+      { type: 'top-k', k: 2 },
+      { type: 'label-map', labels: ['cat', 'dog', 'bird'] },
+      { type: 'threshold', min: 0.2 }
+    ]
+  })
+
+  assert.deepStrictEqual(steps.postprocess, ['softmax', 'top-k', 'label-map', 'threshold'])
+  assert.deepStrictEqual(round(postprocess({ predictions: [0, Math.log(3), Math.log(0.5)] })), {
+    predictions: [{ index: 1, score: 0.666667, label: 'dog' }, { index: 0, score: 0.222222, label: 'cat' }],
+    confidence: 0.666667
+  })
+})
+
+test('batched predictions are processed row by row', () => {
+  const { postprocess } = pipeline.compile({ postprocess: [{ type: 'softmax' }, { type: 'top-k' }] })
+
+  assert.deepStrictEqual(round(postprocess({ predictions: [[0, Math.log(3)], [Math.log(3), 0]], confidence: 0.9 })), {
+    predictions: [[{ index: 1, score: 0.75 }], [{ index: 0, score: 0.75 }]],
+    confidence: 0.9
+  })
+  assert.throws(() => postprocess({ predictions: 'cat' }), { message: /^ERR_INVALID_OUTPUT/ })
+})
+
+test('invalid pipelines fail to compile', () => {
+  const compileError = (spec) => {
+    try {
+      pipeline.compile(spec)
+    } catch (error) {
+      return error.message
+    }
+    return null
+  }
+
+  assert.strictEqual(compileError({ preprocess: { type: 'normalize' } }), 'ERR_PIPELINE_INVALID: preprocess must be an array of steps')
+  assert.strictEqual(compileError({ preprocess: [{ type: 'blur' }] }), 'ERR_PIPELINE_INVALID: preprocess[0] unknown processor blur')
+  assert.strictEqual(compileError({ postprocess: [{ type: 'constructor' }] }), 'ERR_PIPELINE_INVALID: postprocess[0] unknown processor constructor')
+  assert.strictEqual(compileError({ preprocess: [{ type: 'normalize', std: [1, 0] }] }), 'ERR_PIPELINE_INVALID: preprocess[0] normalize std must be non-zero')
+  assert.strictEqual(compileError({ preprocess: [{ type: 'resize', width: 0, height: 2 }] }), 'ERR_PIPELINE_INVALID: preprocess[0] resize width and height must be positive integers')
+  assert.strictEqual(compileError({ preprocess: [{ type: 'tokenize', vocab: ['a'], unknown: '[UNK]' }] }), 'ERR_PIPELINE_INVALID: preprocess[0] tokenize special token [UNK] is not in the vocabulary')
+  assert.strictEqual(compileError({ postprocess: [{ type: 'softmax' }, { type: 'top-k', k: 0 }] }), 'ERR_PIPELINE_INVALID: postprocess[1] top-k k must be a positive integer')
+})
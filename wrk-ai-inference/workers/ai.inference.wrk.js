@@ -1,9 +1,12 @@
 'use strict'
 
 const async = require('async')
+const crypto = require('crypto')
 const WrkBase = require('wrk-base/workers/base.wrk')
 const ModelManager = require('./lib/model-manager')
 const InferenceEngine = require('./lib/inference-engine')
+const RuntimeRegistry = require('./lib/runtime-registry')
+const InferenceScheduler = require('./lib/inference-scheduler')
 
 /**
  * AI Inference Worker class
@@ -24,8 +27,11 @@ class WrkAiInference extends WrkBase {
     this.prefix = `ai-inference-${ctx.rack || 'default'}`
     this.modelManager = null
     this.inferenceEngine = null
+    this.runtimeRegistry = null
+    this.scheduler = null
     this.activeInferences = new Map()
-    this.modelCache = new Map()
+    this.inferenceStreams = new Map()
+    this.heartbeatTimer = null
     this.capacity = {
       maxConcurrent: this.conf.maxConcurrentInferences || 10,
       currentLoad: 0,
@@ -44,6 +50,8 @@ class WrkAiInference extends WrkBase {
 
     this.modelManager = new ModelManager(this.conf, this.logger)
     this.inferenceEngine = new InferenceEngine(this.conf, this.logger)
+    this.runtimeRegistry = new RuntimeRegistry(this.conf, this.logger)
+    this.scheduler = new InferenceScheduler(this.conf, this.logger)
   }
 
   /**
@@ -57,23 +65,105 @@ class WrkAiInference extends WrkBase {
         const rpcServer = this.net_r0.rpcServer
 
         // Register RPC endpoints
-        rpcServer.respond('runInference', this.runInference.bind(this))
-        rpcServer.respond('checkCapacity', this.checkCapacity.bind(this))
-        rpcServer.respond('getAvailableModels', this.getAvailableModels.bind(this))
-        rpcServer.respond('loadModel', this.loadModel.bind(this))
-        rpcServer.respond('unloadModel', this.unloadModel.bind(this))
-        rpcServer.respond('getHealth', this.getHealth.bind(this))
+        rpcServer.respond('runInference', async (req) => {
+          return await this.net_r0.handleReply('runInference', req)
+        })
+
+        rpcServer.respond('runBatchInference', async (req) => {
+          return await this.net_r0.handleReply('runBatchInference', req)
+        })
+
+        rpcServer.respond('startInferenceStream', async (req) => {
+          return await this.net_r0.handleReply('startInferenceStream', req)
+        })
+
+        rpcServer.respond('pollInferenceStream', async (req) => {
+          return await this.net_r0.handleReply('pollInferenceStream', req)
+        })
+
+        rpcServer.respond('cancelInferenceStream', async (req) => {
+          return await this.net_r0.handleReply('cancelInferenceStream', req)
+        })
+
+        rpcServer.respond('cancelInference', async (req) => {
+          return await this.net_r0.handleReply('cancelInference', req)
+        })
+
+        rpcServer.respond('checkCapacity', async (req) => {
+          return await this.net_r0.handleReply('checkCapacity', req)
+        })
+
+        rpcServer.respond('getAvailableModels', async (req) => {
+          return await this.net_r0.handleReply('getAvailableModels', req)
+        })
+
+        rpcServer.respond('loadModel', async (req) => {
+          return await this.net_r0.handleReply('loadModel', req)
+        })
+
+        rpcServer.respond('unloadModel', async (req) => {
+          return await this.net_r0.handleReply('unloadModel', req)
+        })
+
+        rpcServer.respond('getHealth', async (req) => {
+          return await this.net_r0.handleReply('getHealth', req)
+        })
+
+        await this.runtimeRegistry.initialize()
+        await this.modelManager.initialize(this.net_r0, this.runtimeRegistry, (event, modelId) => {
+          this.reportModelEvent(event, modelId)
+        })
+        this.scheduler.initialize(this.inferenceEngine, this.capacity)
 
         // Start health monitoring
         this.startHealthMonitoring()
 
+        // Served models are loaded on their first request, pinned models load
+        // in the background while requests are served
+        for (const modelId of [...(this.conf.models || []), ...(this.conf.pinnedModels || [])]) {
+          this.capacity.availableModels.add(modelId)
+        }
+        this.preloadModels()
+
+        // Announce the worker to the orchestrators and keep them updated
+        this.startHeartbeat()
+
         this.logger.info('AI Inference Worker started successfully')
       }
     ], cb)
   }
 
+  /**
+   * Stop the worker, unregistering it from the orchestrators first
+   * @param {Function} cb - Callback function
+   */
+  _stop (cb) {
+    async.series([
+      async () => {
+        clearInterval(this.heartbeatTimer)
+        this.heartbeatTimer = null
+
+        const workerId = this.getWorkerId()
+        await Promise.all(this.getOrchestrators().map(async (publicKey) => {
+          try {
+            await this.net_r0.jRequest(publicKey, 'unregisterWorker', { workerId }, {
+              timeout: this.conf.orchestrator?.timeout || 5000
+            })
+          } catch (error) {
+            this.logger.warn(`Failed to unregister from orchestrator ${publicKey}: ${error.message}`)
+          }
+        }))
+      },
+      next => { super._stop(next) }
+    ], cb)
+  }
+
   /**
    * Run inference on a model
+   * The request waits in the scheduler queue according to its priority and
+   * deadline, and is grouped with other requests for the model into a single
+   * runtime call. It stops, queued or running, when cancelled through
+   * `cancelInference` or once `options.deadline` passes.
    * @param {Object} params - Inference parameters
    * @param {string} params.modelId - Model identifier
    * @param {Object} params.inputData - Input data for inference
@@ -82,33 +172,27 @@ class WrkAiInference extends WrkBase {
    */
   async runInference (params) {
     const { modelId, inputData, options = {} } = params
+    const inference = this.trackInference(options)
 
     try {
-      // Check capacity
-      if (this.capacity.currentLoad >= this.capacity.maxConcurrent) {
-        throw new Error('ERR_CAPACITY_EXCEEDED')
-      }
-
       // Check if model is available
       if (!this.capacity.availableModels.has(modelId)) {
         throw new Error('ERR_MODEL_NOT_AVAILABLE')
       }
 
-      // Increment load counter
-      this.capacity.currentLoad++
-
-      // Get or load model
-      let model = this.modelCache.get(modelId)
-      if (!model) {
-        model = await this.modelManager.loadModel(modelId)
-        this.modelCache.set(modelId, model)
-      }
+      // Get or load model, kept in memory until the inference is done
+      const model = await this.modelManager.acquire(modelId)
 
       // Run inference
-      const result = await this.inferenceEngine.runInference(model, inputData, options)
-
-      // Decrement load counter
-      this.capacity.currentLoad--
+      let result
+      try {
+        result = await this.scheduler.schedule(model, inputData, {
+          ...options,
+          signal: inference.controller.signal
+        })
+      } finally {
+        this.modelManager.release(model)
+      }
 
       return {
         success: true,
@@ -117,14 +201,298 @@ class WrkAiInference extends WrkBase {
         timestamp: Date.now()
       }
     } catch (error) {
-      this.capacity.currentLoad--
       this.logger.error('Inference failed:', error)
       throw error
+    } finally {
+      this.completeInference(inference)
+    }
+  }
+
+  /**
+   * Run inference on a batch of inputs
+   * The batch is split into runtime batches of at most `maxBatchSize` items
+   * and occupies a single capacity slot while it runs, waiting for it in the
+   * scheduler queue like single inferences.
+   * @param {Object} params - Inference parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Array<Object>} params.inputs - Input data items
+   * @param {Object} params.options - Additional options
+   * @returns {Promise<Object>} Per-item inference results
+   */
+  async runBatchInference (params) {
+    const { modelId, inputs, options = {} } = params
+
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      throw new Error('ERR_INVALID_BATCH')
+    }
+
+    // Check if model is available
+    if (!this.capacity.availableModels.has(modelId)) {
+      throw new Error('ERR_MODEL_NOT_AVAILABLE')
+    }
+
+    const inference = this.trackInference(options)
+    const { signal } = inference.controller
+
+    try {
+      return await this.scheduler.run(async () => {
+        const model = await this.modelManager.acquire(modelId)
+        const maxBatchSize = this.conf.maxBatchSize || 64
+        const results = []
+        let processingTime = 0
+
+        try {
+          for (let offset = 0; offset < inputs.length; offset += maxBatchSize) {
+            signal.throwIfAborted()
+
+            const batch = await this.inferenceEngine.runBatchInference(
+              model,
+              inputs.slice(offset, offset + maxBatchSize),
+              { ...options, signal }
+            )
+
+            processingTime += batch.processingTime
+            for (const item of batch.results) {
+              results.push({ ...item, index: item.index + offset })
+            }
+          }
+        } finally {
+          this.modelManager.release(model)
+        }
+
+        return {
+          success: true,
+          results,
+          processingTime,
+          modelId,
+          timestamp: Date.now()
+        }
+      }, { ...options, signal })
+    } catch (error) {
+      this.logger.error('Batch inference failed:', error)
+      throw error
+    } finally {
+      this.completeInference(inference)
+    }
+  }
+
+  /**
+   * Start a streaming inference. The inference waits for a capacity slot and
+   * runs in the background, and its partial results are buffered until they
+   * are collected with `pollInferenceStream`. Cancelling the stream, by
+   * `cancelInferenceStream` or `cancelInference`, also removes it from the
+   * scheduler queue.
+   * @param {Object} params - Inference parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Object} params.inputData - Input data for inference
+   * @param {Object} params.options - Additional options
+   * @returns {Promise<Object>} Stream handle
+   */
+  async startInferenceStream (params) {
+    const { modelId, inputData, options = {} } = params
+
+    // Check if model is available
+    if (!this.capacity.availableModels.has(modelId)) {
+      throw new Error('ERR_MODEL_NOT_AVAILABLE')
+    }
+
+    const inference = this.trackInference(options)
+
+    const stream = {
+      id: crypto.randomUUID(),
+      modelId,
+      partials: [],
+      done: false,
+      result: null,
+      error: null,
+      controller: inference.controller,
+      waiters: [],
+      updatedAt: Date.now()
+    }
+
+    this.inferenceStreams.set(stream.id, stream)
+
+    const notify = () => {
+      stream.updatedAt = Date.now()
+      stream.waiters.splice(0).forEach(wake => wake())
+    }
+
+    const run = () => this.scheduler.run(async () => {
+      const model = await this.modelManager.acquire(modelId)
+
+      try {
+        return await this.inferenceEngine.runInference(model, inputData, {
+          ...options,
+          signal: stream.controller.signal,
+          onPartial: (partial) => {
+            stream.partials.push(partial)
+            notify()
+          }
+        })
+      } finally {
+        this.modelManager.release(model)
+      }
+    }, { ...options, signal: stream.controller.signal })
+
+    run()
+      .then((result) => { stream.result = result })
+      .catch((error) => {
+        this.logger.error(`Inference stream ${stream.id} failed:`, error)
+        stream.error = error.message
+      })
+      .finally(() => {
+        this.completeInference(inference)
+        stream.done = true
+        notify()
+      })
+
+    return {
+      success: true,
+      streamId: stream.id,
+      modelId
+    }
+  }
+
+  /**
+   * Collect partial results of a streaming inference. If nothing new is
+   * available the call waits up to `params.wait` ms for the next partial.
+   * @param {Object} params - Parameters
+   * @param {string} params.streamId - Stream identifier
+   * @param {number} params.cursor - Number of partials already received
+   * @param {number} params.wait - Optional long-poll wait in ms
+   * @returns {Promise<Object>} New partials and stream state
+   */
+  async pollInferenceStream (params) {
+    const { streamId, cursor = 0 } = params
+    const wait = Math.min(params.wait || 1000, this.conf.streamMaxPollWait || 5000)
+
+    const stream = this.inferenceStreams.get(streamId)
+    if (!stream) {
+      throw new Error('ERR_STREAM_NOT_FOUND')
+    }
+
+    if (!stream.done && stream.partials.length <= cursor) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, wait)
+        stream.waiters.push(() => {
+          clearTimeout(timer)
+          resolve()
+        })
+      })
+    }
+
+    stream.updatedAt = Date.now()
+
+    const partials = stream.partials.slice(cursor)
+    const done = stream.done
+
+    if (done) {
+      this.inferenceStreams.delete(streamId)
+    }
+
+    return {
+      success: true,
+      streamId,
+      partials,
+      cursor: cursor + partials.length,
+      done,
+      result: done ? stream.result : null,
+      error: done ? stream.error : null
+    }
+  }
+
+  /**
+   * Cancel a streaming inference
+   * @param {Object} params - Parameters
+   * @param {string} params.streamId - Stream identifier
+   * @returns {Object} Cancellation result
+   */
+  async cancelInferenceStream (params) {
+    const { streamId } = params
+
+    const stream = this.inferenceStreams.get(streamId)
+    if (!stream) {
+      return { success: true, message: 'Stream not found' }
+    }
+
+    stream.controller.abort()
+    this.inferenceStreams.delete(streamId)
+
+    this.logger.info(`Inference stream cancelled: ${streamId}`)
+
+    return { success: true, message: 'Stream cancelled' }
+  }
+
+  /**
+   * Cancel an inference, batch or stream by its request id
+   * Queued work is dropped and running work is aborted in the runtime, its
+   * caller gets `ERR_INFERENCE_CANCELLED`.
+   * @param {Object} params - Parameters
+   * @param {string} params.requestId - Request identifier, `options.requestId` of the request
+   * @returns {Object} Cancellation result
+   */
+  async cancelInference (params) {
+    const { requestId } = params
+
+    const inference = this.activeInferences.get(requestId)
+    if (!inference) {
+      return { success: true, message: 'Inference not found' }
+    }
+
+    inference.controller.abort(new Error('ERR_INFERENCE_CANCELLED'))
+
+    this.logger.info(`Inference cancelled: ${requestId}`)
+
+    return { success: true, message: 'Inference cancelled' }
+  }
+
+  /**
+   * Register a request so it can be cancelled
+   * The request's abort signal fires on `cancelInference` for its
+   * `options.requestId`, and with `ERR_DEADLINE_EXCEEDED` once
+   * `options.deadline` passes.
+   * @param {Object} options - Request options
+   * @returns {Object} Tracked inference
+   */
+  trackInference (options) {
+    const inference = {
+      id: options.requestId || crypto.randomUUID(),
+      controller: new AbortController(),
+      timer: null,
+      completed: false
+    }
+
+    if (Number.isFinite(options.deadline)) {
+      // Capped at the longest delay timers accept
+      const remaining = Math.min(Math.max(options.deadline - Date.now(), 0), 2147483647)
+      inference.timer = setTimeout(() => {
+        inference.controller.abort(new Error('ERR_DEADLINE_EXCEEDED'))
+      }, remaining)
+    }
+
+    this.activeInferences.set(inference.id, inference)
+
+    return inference
+  }
+
+  /**
+   * Mark a tracked request as done
+   * @param {Object} inference - Tracked inference
+   */
+  completeInference (inference) {
+    clearTimeout(inference.timer)
+    inference.completed = true
+    if (this.activeInferences.get(inference.id) === inference) {
+      this.activeInferences.delete(inference.id)
     }
   }
 
   /**
    * Check current capacity and availability
+   * Besides the busy slots, reports the depth of the scheduler queue, overall
+   * (`queueDepth`) and by priority class, so the orchestrator can steer
+   * requests away from backed-up workers, and the models in memory
+   * (`loadedModels`), which it prefers for their requests.
    * @param {Object} params - Parameters
    * @param {string} params.modelId - Optional model ID to check
    * @returns {Object} Capacity information
@@ -136,14 +504,19 @@ class WrkAiInference extends WrkBase {
       maxConcurrent: this.capacity.maxConcurrent,
       currentLoad: this.capacity.currentLoad,
       available: this.capacity.currentLoad < this.capacity.maxConcurrent,
+      queueDepth: this.scheduler.queued,
+      queued: this.scheduler.queued,
+      queue: this.scheduler.getStats(),
       availableModels: Array.from(this.capacity.availableModels),
+      loadedModels: this.modelManager.getLoadedModels(),
+      modelMemory: this.modelManager.getMemoryStats(),
       memoryUsage: process.memoryUsage(),
       uptime: process.uptime()
     }
 
     if (modelId) {
       capacity.modelAvailable = this.capacity.availableModels.has(modelId)
-      capacity.modelLoaded = this.modelCache.has(modelId)
+      capacity.modelLoaded = this.modelManager.isLoaded(modelId)
     }
 
     return capacity
@@ -158,24 +531,41 @@ class WrkAiInference extends WrkBase {
   }
 
   /**
-   * Load a model into memory
+   * Load a model into memory and warm it up
+   * Models loaded on demand by an inference are not warmed up, the request
+   * itself does that.
    * @param {Object} params - Parameters
    * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version (default: current version)
    * @returns {Object} Load result
    */
   async loadModel (params) {
-    const { modelId } = params
+    const { modelId, version } = params
 
     try {
-      if (this.modelCache.has(modelId)) {
+      if (this.modelManager.isLoaded(modelId)) {
         return { success: true, message: 'Model already loaded' }
       }
 
-      const model = await this.modelManager.loadModel(modelId)
-      this.modelCache.set(modelId, model)
+      const model = await this.modelManager.loadModel(modelId, version)
       this.capacity.availableModels.add(modelId)
 
-      return { success: true, message: 'Model loaded successfully' }
+      let warm = false
+      try {
+        warm = await this.inferenceEngine.warmUp(model)
+      } catch (error) {
+        this.logger.warn(`Warm-up of model ${modelId} failed: ${error.message}`)
+      }
+
+      return {
+        success: true,
+        message: 'Model loaded successfully',
+        version: model.version,
+        checksum: model.checksum,
+        pipeline: model.pipeline.steps,
+        pinned: model.pinned,
+        warm
+      }
     } catch (error) {
       this.logger.error('Failed to load model:', error)
       throw error
@@ -192,8 +582,7 @@ class WrkAiInference extends WrkBase {
     const { modelId } = params
 
     try {
-      if (this.modelCache.has(modelId)) {
-        this.modelCache.delete(modelId)
+      if (await this.modelManager.unloadModel(modelId)) {
         this.capacity.availableModels.delete(modelId)
         return { success: true, message: 'Model unloaded successfully' }
       }
@@ -205,6 +594,134 @@ class WrkAiInference extends WrkBase {
     }
   }
 
+  /**
+   * Load and warm up the pinned models (`pinnedModels`)
+   * @returns {Promise<void>}
+   */
+  async preloadModels () {
+    for (const modelId of this.conf.pinnedModels || []) {
+      try {
+        await this.loadModel({ modelId })
+      } catch (error) {
+        this.logger.error(`Failed to preload model ${modelId}:`, error)
+      }
+    }
+  }
+
+  /**
+   * Report a model loaded into or gone from memory to the orchestrators
+   * (see `getOrchestrators`), so they route the model's requests to
+   * workers where it is warm. Every report carries the full list of loaded
+   * models, so a lost one is made up for by the next.
+   * @param {string} event - `loaded`, `unloaded` or `evicted`
+   * @param {string} modelId - Model identifier
+   * @returns {Promise<void>}
+   */
+  async reportModelEvent (event, modelId) {
+    const workerId = this.getWorkerId()
+
+    await Promise.all(this.getOrchestrators().map(async (publicKey) => {
+      try {
+        await this.net_r0.jRequest(publicKey, 'reportModelEvent', {
+          workerId,
+          event,
+          modelId,
+          loadedModels: this.modelManager.getLoadedModels(),
+          timestamp: Date.now()
+        }, { timeout: this.conf.orchestrator?.timeout || 5000 })
+      } catch (error) {
+        this.logger.warn(`Failed to report model ${event} of ${modelId} to orchestrator ${publicKey}: ${error.message}`)
+      }
+    }))
+  }
+
+  /**
+   * Get the identifier the worker registers under with the orchestrators
+   * @returns {string} `workerId` from the config, or the RPC public key
+   */
+  getWorkerId () {
+    return this.conf.workerId || this.getRpcKey().toString('hex')
+  }
+
+  /**
+   * Get the orchestrators the worker registers with
+   * Keys are read like the gateway reads them, from `orchestrator.rpcPublicKey`
+   * and `orchestrator.rpcPublicKeys`.
+   * @returns {Array<string>} Hex encoded orchestrator RPC public keys
+   */
+  getOrchestrators () {
+    const keys = [
+      this.conf.orchestrator?.rpcPublicKey,
+      ...(this.conf.orchestrator?.rpcPublicKeys || [])
+    ].filter(Boolean)
+
+    return [...new Set(keys)]
+  }
+
+  /**
+   * Register the worker with an orchestrator
+   * Announces its RPC public key, the models it serves and the capability
+   * tags requests can require (`capabilities`, plus `gpu` when `gpuEnabled`),
+   * along with its capacity and loaded models.
+   * @param {string} publicKey - Orchestrator RPC public key
+   * @param {Object} capacity - Current capacity, as `checkCapacity` reports it
+   * @returns {Promise<void>}
+   */
+  async registerWithOrchestrator (publicKey, capacity) {
+    const tags = [...(this.conf.capabilities || []), ...(this.conf.gpuEnabled ? ['gpu'] : [])]
+
+    await this.net_r0.jRequest(publicKey, 'registerWorker', {
+      workerId: this.getWorkerId(),
+      publicKey: this.getRpcKey().toString('hex'),
+      capabilities: { models: capacity.availableModels, tags },
+      capacity,
+      heartbeatInterval: this.conf.orchestrator?.heartbeatInterval || 5000
+    }, { timeout: this.conf.orchestrator?.timeout || 5000 })
+
+    this.logger.info(`Registered with orchestrator ${publicKey}`)
+  }
+
+  /**
+   * Send a heartbeat with the live capacity (load, queue, available and
+   * loaded models) to every orchestrator
+   * An orchestrator that does not know the worker, because it has not
+   * registered yet or has been expired, gets it registered.
+   * @returns {Promise<void>}
+   */
+  async sendHeartbeats () {
+    const workerId = this.getWorkerId()
+    const capacity = await this.checkCapacity()
+
+    await Promise.all(this.getOrchestrators().map(async (publicKey) => {
+      try {
+        const res = await this.net_r0.jRequest(publicKey, 'workerHeartbeat', { workerId, capacity }, {
+          timeout: this.conf.orchestrator?.timeout || 5000
+        })
+
+        if (!res.registered) {
+          await this.registerWithOrchestrator(publicKey, capacity)
+        }
+      } catch (error) {
+        this.logger.warn(`Heartbeat to orchestrator ${publicKey} failed: ${error.message}`)
+      }
+    }))
+  }
+
+  /**
+   * Register with the orchestrators and heartbeat every
+   * `orchestrator.heartbeatInterval`
+   */
+  startHeartbeat () {
+    if (!this.getOrchestrators().length) {
+      return
+    }
+
+    this.sendHeartbeats()
+    this.heartbeatTimer = setInterval(() => {
+      this.sendHeartbeats()
+    }, this.conf.orchestrator?.heartbeatInterval || 5000)
+  }
+
   /**
    * Get health status
    * @returns {Object} Health information
@@ -213,6 +730,10 @@ class WrkAiInference extends WrkBase {
     return {
       status: 'healthy',
       capacity: this.capacity,
+      queue: this.scheduler.getStats(),
+      batching: this.scheduler.batcher.getStats(),
+      modelMemory: this.modelManager.getMemoryStats(),
+      runtimes: this.runtimeRegistry.list(),
       memoryUsage: process.memoryUsage(),
       uptime: process.uptime(),
       timestamp: Date.now()
@@ -231,6 +752,15 @@ class WrkAiInference extends WrkBase {
         }
       })
 
+      // Cancel streams nobody has polled for a while
+      const streamIdleTimeout = this.conf.streamIdleTimeout || 60000
+      this.inferenceStreams.forEach((stream, id) => {
+        if (Date.now() - stream.updatedAt > streamIdleTimeout) {
+          stream.controller.abort()
+          this.inferenceStreams.delete(id)
+        }
+      })
+
       // Log health status
       this.logger.debug('Health check:', {
         currentLoad: this.capacity.currentLoad,
@@ -0,0 +1,132 @@
+'use strict'
+
+/**
+ * Batch Scheduler class for dynamic micro-batching
+ * Single inference requests are grouped per model into batches of up to
+ * `batching.maxBatchSize` items. A batch is ready as soon as it is full, or
+ * once its oldest request has waited `batching.maxWaitMs`; it is then run as
+ * one runtime call and its per-item results are fanned back out to the
+ * callers. Requests only share a batch with requests for the same model and
+ * the same options.
+ *
+ * The scheduler only forms and runs batches: the `InferenceScheduler` queue
+ * holds the requests until a capacity slot is free and decides which batch
+ * goes next.
+ * @class BatchScheduler
+ */
+class BatchScheduler {
+  /**
+   * Creates an instance of BatchScheduler
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.engine = null
+    this.maxBatchSize = conf.batching?.maxBatchSize || 8
+    this.maxWaitMs = conf.batching?.maxWaitMs ?? 5
+  }
+
+  /**
+   * Initialize the scheduler
+   * @param {Object} engine - Inference engine executing the batches
+   */
+  initialize (engine) {
+    this.engine = engine
+  }
+
+  /**
+   * Build the batch item of a single inference
+   * Request-scoped options (`priority`, `deadline`, `signal`, `requestId`)
+   * are kept out of the options shared by the batch.
+   * @param {Object} model - Model object
+   * @param {Object} inputData - Input data
+   * @param {Object} options - Inference options
+   * @returns {Object} Item with the `key` of its batch
+   */
+  createItem (model, inputData, options = {}) {
+    const { priority, deadline, signal, requestId, ...batchOptions } = options
+
+    return {
+      key: `${model.id}:${JSON.stringify(batchOptions)}`,
+      model,
+      options: batchOptions,
+      input: inputData,
+      signal
+    }
+  }
+
+  /**
+   * Check whether the batch of an item is ready to run
+   * @param {Object} item - Oldest waiting item of the batch
+   * @param {number} size - Number of waiting items of the batch
+   * @param {number} now - Current time
+   * @returns {boolean} Whether the batch is full or has waited long enough
+   */
+  isReady (item, size, now) {
+    return size >= this.maxBatchSize || now - item.queuedAt >= this.maxWaitMs
+  }
+
+  /**
+   * Get the time at which the batch of an item is ready at the latest
+   * @param {Object} item - Batch item
+   * @returns {number} Timestamp
+   */
+  readyAt (item) {
+    return item.queuedAt + this.maxWaitMs
+  }
+
+  /**
+   * Run one batch and settle its items
+   * @param {Array<Object>} items - Items of one batch, with `resolve` and `reject`
+   * @param {AbortSignal} signal - Aborts the runtime call
+   * @returns {Promise<void>}
+   */
+  async dispatch (items, signal) {
+    const { model, options } = items[0]
+
+    try {
+      const batch = await this.engine.runBatchInference(model, items.map(item => item.input), {
+        ...options,
+        signal
+      })
+
+      for (const { index, success, result, error } of batch.results) {
+        if (!success) {
+          items[index].reject(new Error(error))
+          continue
+        }
+
+        items[index].resolve({
+          inferenceId: batch.inferenceId,
+          result,
+          processingTime: batch.processingTime,
+          batchSize: items.length,
+          modelId: batch.modelId,
+          timestamp: batch.timestamp
+        })
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        this.logger.error(`Batch of ${items.length} for model ${model.id} failed:`, error)
+      }
+      for (const item of items) {
+        item.reject(error)
+      }
+    }
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {Object} Batching settings
+   */
+  getStats () {
+    return {
+      maxBatchSize: this.maxBatchSize,
+      maxWaitMs: this.maxWaitMs
+    }
+  }
+}
+
+module.exports = BatchScheduler
@@ -0,0 +1,415 @@
+'use strict'
+
+const Ajv = require('ajv')
+
+/**
+ * Value checks per tensor dtype
+ */
+const DTYPES = {
+  float16: Number.isFinite,
+  float32: Number.isFinite,
+  float64: Number.isFinite,
+  int8: value => Number.isInteger(value) && value >= -128 && value <= 127,
+  uint8: value => Number.isInteger(value) && value >= 0 && value <= 255,
+  int16: value => Number.isInteger(value) && value >= -32768 && value <= 32767,
+  uint16: value => Number.isInteger(value) && value >= 0 && value <= 65535,
+  int32: value => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647,
+  uint32: value => Number.isInteger(value) && value >= 0 && value <= 4294967295,
+  int64: Number.isSafeInteger,
+  uint64: value => Number.isSafeInteger(value) && value >= 0,
+  bool: value => typeof value === 'boolean' || value === 0 || value === 1,
+  string: value => typeof value === 'string'
+}
+
+/**
+ * Contract Validator class for model inputs and outputs
+ * A model declares its contract in `metadata.contract` with an `input` and an
+ * `output` entry, each being one of:
+ *
+ *   { shape, dtype }    - A single tensor given as a (nested) array
+ *   { tensors }         - Named tensors, each `{ shape, dtype }`, given as an
+ *                         object of `{ data, dims, type }`
+ *   { schema }          - A JSON schema for structured values
+ *
+ * Shape dims are sizes, or dynamic: `-1` and `null` match any size, and a
+ * name matches any size as long as it is the same everywhere the name is used
+ * within the value (like ONNX symbolic dims). A flat array is accepted for a
+ * tensor whose dims are all fixed if its length is their product. Models
+ * without a contract fall back to `metadata.inputShape` and
+ * `metadata.inputType`, and to no check at all.
+ *
+ * Violations are reported as `ERR_INVALID_INPUT: <detail>` (or
+ * `ERR_INVALID_OUTPUT`) with the individual issues in `error.details`.
+ * @class ContractValidator
+ */
+class ContractValidator {
+  /**
+   * Creates an instance of ContractValidator
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.ajv = new Ajv({ allErrors: true })
+    this.schemas = new WeakMap()
+    this.maxIssues = conf.contract?.maxIssues || 10
+  }
+
+  /**
+   * Validate an inference input against the model contract
+   * @param {Object} model - Model object
+   * @param {*} input - Input data
+   * @throws {Error} ERR_INVALID_INPUT with the issues found
+   */
+  validateInput (model, input) {
+    if (input === undefined || input === null) {
+      throw this.createError('ERR_INVALID_INPUT', [{ path: '', message: 'is required' }])
+    }
+
+    const contract = this.getContract(model, 'input')
+    const issues = contract ? this.check(contract, input) : []
+
+    if (issues.length) {
+      throw this.createError('ERR_INVALID_INPUT', issues)
+    }
+  }
+
+  /**
+   * Validate a raw runtime result against the model contract
+   * Tensor contracts are checked against the named `outputs` of the result
+   * when the runtime returns them, otherwise against `predictions`.
+   * @param {Object} model - Model object
+   * @param {Object} result - Runtime result
+   * @throws {Error} ERR_INVALID_OUTPUT with the issues found
+   */
+  validateOutput (model, result) {
+    const contract = this.getContract(model, 'output')
+    if (!contract) {
+      return
+    }
+
+    let value = result.predictions ?? result
+    if (result.outputs && contract.tensors) {
+      value = result.outputs
+    } else if (result.outputs && contract.shape) {
+      value = Object.values(result.outputs)[0]
+    }
+
+    const issues = this.check(contract, value)
+    if (issues.length) {
+      throw this.createError('ERR_INVALID_OUTPUT', issues)
+    }
+  }
+
+  /**
+   * Get one side of the contract of a model
+   * @param {Object} model - Model object
+   * @param {string} side - `input` or `output`
+   * @returns {Object|null} Contract entry
+   */
+  getContract (model, side) {
+    const metadata = model.metadata || {}
+
+    if (metadata.contract?.[side]) {
+      return metadata.contract[side]
+    }
+
+    if (side === 'input' && metadata.inputShape) {
+      return { shape: metadata.inputShape, dtype: metadata.inputType }
+    }
+
+    return null
+  }
+
+  /**
+   * Check a value against a contract entry
+   * @param {Object} contract - Contract entry
+   * @param {*} value - Value to check
+   * @returns {Array<Object>} Issues, `{ path, message }`
+   */
+  check (contract, value) {
+    if (contract.schema) {
+      return this.checkSchema(contract, value)
+    }
+
+    const bindings = new Map()
+
+    if (contract.tensors) {
+      return this.checkTensors(contract.tensors, value, bindings)
+    }
+
+    if (value && !Array.isArray(value) && Array.isArray(value.data)) {
+      return this.checkTensor(contract, value.data, value.dims, value.type, '', bindings)
+    }
+
+    return this.checkArray(contract, value, '', bindings)
+  }
+
+  /**
+   * Check a value against a JSON schema
+   * @param {Object} contract - Contract entry with `schema`
+   * @param {*} value - Value to check
+   * @returns {Array<Object>} Issues
+   */
+  checkSchema (contract, value) {
+    let validate = this.schemas.get(contract)
+    if (!validate) {
+      validate = this.ajv.compile(contract.schema)
+      this.schemas.set(contract, validate)
+    }
+
+    if (validate(value)) {
+      return []
+    }
+
+    return validate.errors.map(error => ({
+      path: error.instancePath ?? error.dataPath ?? '',
+      message: error.message
+    }))
+  }
+
+  /**
+   * Check named tensors
+   * @param {Object} tensors - Contracts by tensor name
+   * @param {*} value - Object of `{ data, dims, type }` tensors
+   * @param {Map} bindings - Sizes bound to named dims
+   * @returns {Array<Object>} Issues
+   */
+  checkTensors (tensors, value, bindings) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [{ path: '', message: `must be an object of tensors (${Object.keys(tensors).join(', ')})` }]
+    }
+
+    const issues = []
+
+    for (const [name, contract] of Object.entries(tensors)) {
+      const tensor = value[name]
+      const path = `/${name}`
+
+      if (!tensor || typeof tensor !== 'object' || !Array.isArray(tensor.data)) {
+        issues.push({ path, message: 'must be a tensor with a data array' })
+        continue
+      }
+
+      issues.push(...this.checkTensor(contract, tensor.data, tensor.dims, tensor.type, path, bindings))
+    }
+
+    for (const name of Object.keys(value)) {
+      if (!tensors[name]) {
+        issues.push({ path: `/${name}`, message: 'is not an input of the model' })
+      }
+    }
+
+    return issues
+  }
+
+  /**
+   * Check a tensor given as data with explicit dims
+   * @param {Object} contract - Tensor contract
+   * @param {Array} data - Tensor values, flat or nested
+   * @param {Array<number>} dims - Tensor dims
+   * @param {string} type - Tensor dtype
+   * @param {string} path - Path of the tensor
+   * @param {Map} bindings - Sizes bound to named dims
+   * @returns {Array<Object>} Issues
+   */
+  checkTensor (contract, data, dims, type, path, bindings) {
+    const values = data.flat(Infinity)
+    dims = dims || [values.length]
+
+    if (!Array.isArray(dims) || !dims.every(dim => Number.isInteger(dim) && dim >= 0)) {
+      return [{ path: `${path}/dims`, message: 'must be an array of sizes' }]
+    }
+
+    if (contract.dtype && type && type !== contract.dtype) {
+      return [{ path: `${path}/type`, message: `must be ${contract.dtype}, got ${type}` }]
+    }
+
+    const size = dims.reduce((total, dim) => total * dim, 1)
+    if (values.length !== size) {
+      return [{ path: `${path}/data`, message: `must have ${size} values for dims [${dims.join(', ')}], got ${values.length}` }]
+    }
+
+    return [
+      ...this.checkShape(contract.shape, dims, `${path}/dims`, bindings),
+      ...this.checkValues(contract.dtype, values, `${path}/data`)
+    ]
+  }
+
+  /**
+   * Check a tensor given as a (nested) array
+   * @param {Object} contract - Tensor contract
+   * @param {*} value - Array to check
+   * @param {string} path - Path of the tensor
+   * @param {Map} bindings - Sizes bound to named dims
+   * @returns {Array<Object>} Issues
+   */
+  checkArray (contract, value, path, bindings) {
+    if (!Array.isArray(value)) {
+      return [{ path, message: 'must be an array' }]
+    }
+
+    const dims = this.inferDims(value)
+    if (!dims) {
+      return [{ path, message: 'must be a rectangular array' }]
+    }
+
+    const values = value.flat(Infinity)
+    const shape = contract.shape
+
+    // A flat array may carry a tensor whose dims are all fixed
+    if (shape && dims.length === 1 && shape.length > 1 && shape.every(Number.isInteger)) {
+      const size = shape.reduce((total, dim) => total * dim, 1)
+      if (values.length !== size) {
+        return [{ path, message: `must have ${size} values for shape [${shape.join(', ')}], got ${values.length}` }]
+      }
+    } else {
+      const issues = this.checkShape(shape, dims, path, bindings)
+      if (issues.length) {
+        return issues
+      }
+    }
+
+    return this.checkValues(contract.dtype, values, path)
+  }
+
+  /**
+   * Check dims against a contract shape
+   * @param {Array} shape - Contract shape, with dynamic dims
+   * @param {Array<number>} dims - Actual dims
+   * @param {string} path - Path reported in issues
+   * @param {Map} bindings - Sizes bound to named dims
+   * @returns {Array<Object>} Issues
+   */
+  checkShape (shape, dims, path, bindings) {
+    if (!shape) {
+      return []
+    }
+
+    const expected = `[${shape.map(dim => dim ?? -1).join(', ')}]`
+
+    if (dims.length !== shape.length) {
+      return [{ path, message: `must have shape ${expected}, got [${dims.join(', ')}]` }]
+    }
+
+    for (let i = 0; i < shape.length; i++) {
+      const dim = shape[i]
+
+      if (typeof dim === 'string') {
+        if (!bindings.has(dim)) {
+          bindings.set(dim, dims[i])
+        } else if (bindings.get(dim) !== dims[i]) {
+          return [{ path, message: `dim ${i} (${dim}) must be ${bindings.get(dim)} like elsewhere, got ${dims[i]}` }]
+        }
+      } else if (dim !== null && dim !== -1 && dim !== dims[i]) {
+        return [{ path, message: `must have shape ${expected}, got [${dims.join(', ')}]` }]
+      }
+    }
+
+    return []
+  }
+
+  /**
+   * Check tensor values against a dtype
+   * @param {string} dtype - Contract dtype
+   * @param {Array} values - Flat values
+   * @param {string} path - Path reported in issues
+   * @returns {Array<Object>} Issues
+   */
+  checkValues (dtype, values, path) {
+    if (!dtype) {
+      return []
+    }
+
+    const isValid = DTYPES[dtype]
+    if (!isValid) {
+      return [{ path, message: `has unsupported dtype ${dtype}` }]
+    }
+
+    const issues = []
+    for (let i = 0; i < values.length && issues.length < this.maxIssues; i++) {
+      if (!isValid(values[i])) {
+        issues.push({ path: `${path}[${i}]`, message: `must be ${dtype}, got ${JSON.stringify(values[i])}` })
+      }
+    }
+
+    return issues
+  }
+
+  /**
+   * Infer the dims of a nested array
+   * @param {Array} value - Nested array
+   * @returns {Array<number>|null} Dims, null if the array is ragged
+   */
+  inferDims (value) {
+    if (!Array.isArray(value)) {
+      return []
+    }
+
+    if (!value.length) {
+      return [0]
+    }
+
+    const inner = this.inferDims(value[0])
+    if (!inner) {
+      return null
+    }
+
+    for (let i = 1; i < value.length; i++) {
+      const dims = this.inferDims(value[i])
+      if (!dims || dims.length !== inner.length || dims.some((dim, j) => dim !== inner[j])) {
+        return null
+      }
+    }
+
+    return [value.length, ...inner]
+  }
+
+  /**
+   * Build a zero-filled input matching the input contract of a model, to warm
+   * the model up with. Dynamic dims get size 1.
+   * @param {Object} model - Model object
+   * @returns {*} Sample input, null if the contract does not describe tensors
+   */
+  sampleInput (model) {
+    const contract = this.getContract(model, 'input')
+    const sizes = (shape = []) => shape.map(dim => Number.isInteger(dim) && dim >= 0 ? dim : 1)
+    const zero = (dtype) => dtype === 'string' ? '' : 0
+    const fill = (dims, value) => dims.length
+      ? Array.from({ length: dims[0] }, () => fill(dims.slice(1), value))
+      : value
+
+    if (contract?.tensors) {
+      return Object.fromEntries(Object.entries(contract.tensors).map(([name, tensor]) => {
+        const dims = sizes(tensor.shape)
+        const length = dims.reduce((product, dim) => product * dim, 1)
+
+        return [name, { data: new Array(length).fill(zero(tensor.dtype)), dims, type: tensor.dtype }]
+      }))
+    }
+
+    if (contract?.shape) {
+      return fill(sizes(contract.shape), zero(contract.dtype))
+    }
+
+    return null
+  }
+
+  /**
+   * Build a contract violation error
+   * @param {string} code - Error code
+   * @param {Array<Object>} issues - Issues found
+   * @returns {Error} Error with `details`
+   */
+  createError (code, issues) {
+    const shown = issues.slice(0, this.maxIssues)
+    const detail = shown.map(issue => `${issue.path || '(root)'} ${issue.message}`).join('; ')
+    const error = new Error(`${code}: ${detail}${issues.length > shown.length ? '; ...' : ''}`)
+
+    error.details = shown
+    return error
+  }
+}
+
+module.exports = ContractValidator
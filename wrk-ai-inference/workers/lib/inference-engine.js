@@ -1,5 +1,7 @@
 'use strict'
 
+const ContractValidator = require('./contract-validator')
+
 /**
  * Inference Engine class for running AI model inference
  * @class InferenceEngine
@@ -17,6 +19,7 @@ class InferenceEngine {
     this.conf = conf
     this.logger = logger
     this.inferenceHistory = new Map()
+    this.contractValidator = new ContractValidator(conf, logger)
   }
 
   /**
@@ -35,7 +38,7 @@ class InferenceEngine {
    *
    * @param {Object} model - Model object returned by the model manager.
    * @param {Object} inputData - Input data supplied by the client.
-   * @param {Object} options - Inference options (`timeout`, tuning parameters).
+   * @param {Object} options - Inference options (`timeout`, `deadline`, `signal`, tuning parameters).
    * @returns {Promise<Object>} Inference result envelope.
    */
   async runInference (model, inputData, options = {}) {
@@ -45,17 +48,18 @@ class InferenceEngine {
     try {
       this.logger.info(`Starting inference ${inferenceId} for model ${model.id}`)
 
-      // Validate input
-      if (!this.validateInput(model, inputData)) {
-        throw new Error('ERR_INVALID_INPUT')
-      }
-
-      // Preprocess input if needed
+      // Preprocess input, then check it is what the model takes
       const processedInput = await this.preprocessInput(inputData, model)
+      this.validateInput(model, processedInput.data)
 
       // Run inference
       const result = await this.executeInference(model, processedInput, options)
 
+      // Streams aggregate their partials, only whole results follow the contract
+      if (!options.onPartial) {
+        this.contractValidator.validateOutput(model, result)
+      }
+
       // Postprocess result
       const processedResult = await this.postprocessResult(result, model)
 
@@ -96,44 +100,234 @@ class InferenceEngine {
     }
   }
 
+  /**
+   * Run inference on a batch of inputs. Inputs are preprocessed and validated
+   * one by one, then executed as a single batch so runtimes can vectorise the
+   * work. Failures are reported per item: an invalid input does not fail the
+   * rest of the batch.
+   *
+   * @param {Object} model - Model object returned by the model manager.
+   * @param {Array<Object>} inputs - Input data items supplied by the client.
+   * @param {Object} options - Inference options (`timeout`, `deadline`, `signal`, tuning parameters).
+   * @returns {Promise<Object>} Batch result envelope with per-item results.
+   */
+  async runBatchInference (model, inputs, options = {}) {
+    const startTime = Date.now()
+    const inferenceId = this.generateInferenceId()
+    const items = inputs.map((input, index) => ({ index, input, processed: null, result: null, error: null }))
+
+    this.logger.info(`Starting batch inference ${inferenceId} for model ${model.id} (${inputs.length} items)`)
+
+    const runnable = []
+    for (const item of items) {
+      try {
+        item.processed = await this.preprocessInput(item.input, model)
+        this.validateInput(model, item.processed.data)
+      } catch (error) {
+        item.error = error.message
+        continue
+      }
+
+      runnable.push(item)
+    }
+
+    try {
+      if (runnable.length > 0) {
+        const results = await this.executeBatch(model, runnable.map(item => item.processed), options)
+
+        for (let i = 0; i < runnable.length; i++) {
+          try {
+            this.contractValidator.validateOutput(model, results[i])
+            runnable[i].result = await this.postprocessResult(results[i], model)
+          } catch (error) {
+            runnable[i].error = error.message
+          }
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Batch inference ${inferenceId} failed:`, error)
+      for (const item of runnable) {
+        item.error = error.message
+      }
+    }
+
+    const processingTime = Date.now() - startTime
+    const failed = items.filter(item => item.error).length
+
+    this.logger.info(`Batch inference ${inferenceId} completed in ${processingTime}ms (${failed} failed)`)
+
+    // Store inference history
+    this.inferenceHistory.set(inferenceId, {
+      modelId: model.id,
+      processingTime,
+      timestamp: startTime,
+      success: failed === 0,
+      batchSize: items.length
+    })
+
+    return {
+      inferenceId,
+      results: items.map(item => item.error
+        ? { index: item.index, success: false, error: item.error }
+        : { index: item.index, success: true, result: item.result }),
+      processingTime,
+      modelId: model.id,
+      timestamp: startTime
+    }
+  }
+
   /**
    * Execute the actual inference
    * Uses a timeout guard to prevent a single long-running inference from
-   * blocking the worker indefinitely. Execution is delegated to the model's
-   * `predict` helper which acts as the bridge to the underlying runtime.
+   * blocking the worker indefinitely. Execution is delegated to the session
+   * the model's runtime backend created when the model was loaded, which
+   * receives the processed input data and the abort signal of the guard.
    *
    * @param {Object} model - Model object.
    * @param {Object} input - Processed input payload.
-   * @param {Object} options - Options (includes optional `timeout` override).
+   * @param {Object} options - Options (optional `timeout`, `deadline` and `signal`).
    * @returns {Promise<Object>} Raw inference result before post-processing.
    */
   async executeInference (model, input, options) {
-    // Add timeout
-    const timeout = options.timeout || this.conf.inferenceTimeout || 30000
+    return this.guard(options, signal => options.onPartial
+      ? this.executeStream(model, input, { ...options, signal })
+      : model.session.predict(input.data, { ...options, signal }))
+  }
 
-    return Promise.race([
-      model.predict(input),
-      new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('ERR_INFERENCE_TIMEOUT')), timeout)
-      })
-    ])
+  /**
+   * Execute a batch inference
+   * Delegates to the session's `predictBatch` when the runtime supports
+   * batching, under the same timeout guard as single inferences.
+   *
+   * @param {Object} model - Model object.
+   * @param {Array<Object>} inputs - Processed input payloads.
+   * @param {Object} options - Options (optional `timeout`, `deadline` and `signal`).
+   * @returns {Promise<Array<Object>>} Raw results, one per input.
+   */
+  async executeBatch (model, inputs, options) {
+    const { session } = model
+    const data = inputs.map(input => input.data)
+
+    const results = await this.guard(options, signal => session.predictBatch
+      ? session.predictBatch(data, { ...options, signal })
+      : Promise.all(data.map(item => session.predict(item, { ...options, signal }))))
+
+    if (!Array.isArray(results) || results.length !== inputs.length) {
+      throw new Error('ERR_BATCH_RESULT_MISMATCH')
+    }
+
+    return results
+  }
+
+  /**
+   * Run an execution under the inference timeout, the request deadline and
+   * its cancellation
+   * The execution gets an abort signal that fires on whichever comes first:
+   * the timeout (`ERR_INFERENCE_TIMEOUT`), the deadline
+   * (`ERR_DEADLINE_EXCEEDED`) or the abort of `options.signal`. Runtimes
+   * that cannot stop on it are raced, so the caller is released anyway.
+   *
+   * @param {Object} options - Options (optional `timeout`, `deadline` and `signal`).
+   * @param {Function} execute - Execution, called with the abort signal.
+   * @returns {Promise<*>} Result of the execution.
+   */
+  async guard (options, execute) {
+    let timeout = options.timeout || this.conf.inferenceTimeout || 30000
+    let reason = 'ERR_INFERENCE_TIMEOUT'
+
+    if (options.deadline && options.deadline - Date.now() < timeout) {
+      timeout = options.deadline - Date.now()
+      reason = 'ERR_DEADLINE_EXCEEDED'
+    }
+
+    if (timeout <= 0) {
+      throw new Error('ERR_DEADLINE_EXCEEDED')
+    }
+
+    const controller = new AbortController()
+    const { signal } = controller
+    const onAbort = () => controller.abort(options.signal.reason)
+    const timer = setTimeout(() => controller.abort(new Error(reason)), timeout)
+
+    if (options.signal?.aborted) {
+      onAbort()
+    } else if (options.signal) {
+      options.signal.addEventListener('abort', onAbort, { once: true })
+    }
+
+    try {
+      return await Promise.race([
+        execute(signal),
+        new Promise((resolve, reject) => {
+          const fail = () => reject(signal.reason instanceof Error ? signal.reason : new Error('ERR_INFERENCE_CANCELLED'))
+          signal.aborted ? fail() : signal.addEventListener('abort', fail, { once: true })
+        })
+      ])
+    } finally {
+      clearTimeout(timer)
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort)
+      }
+    }
+  }
+
+  /**
+   * Execute a streaming inference
+   * Partial results produced by the session's `predictStream` iterator are
+   * handed to `options.onPartial` as they arrive. Runtimes without streaming
+   * emit their full prediction as a single partial. Iteration stops as soon as
+   * `options.signal` is aborted so a cancelled stream releases the runtime.
+   *
+   * @param {Object} model - Model object.
+   * @param {Object} input - Processed input payload.
+   * @param {Object} options - Options with `onPartial` and optional `signal`.
+   * @returns {Promise<Object>} Raw result aggregated from all partials.
+   */
+  async executeStream (model, input, options) {
+    const { onPartial, signal } = options
+    const { session } = model
+
+    if (!session.predictStream) {
+      const result = await session.predict(input.data, options)
+      onPartial(result)
+      return result
+    }
+
+    const partials = []
+
+    for await (const partial of session.predictStream(input.data, options)) {
+      if (signal && signal.aborted) {
+        throw signal.reason instanceof Error ? signal.reason : new Error('ERR_INFERENCE_CANCELLED')
+      }
+
+      partials.push(partial)
+      onPartial(partial)
+    }
+
+    const last = partials[partials.length - 1] || {}
+
+    return {
+      predictions: partials.flatMap(p => p.predictions || [p]),
+      confidence: last.confidence
+    }
   }
 
   /**
    * Preprocess input data
+   * Runs the `preprocess` steps of the model pipeline (normalize, resize,
+   * tokenize) over the raw input; inputs of models without steps are passed
+   * through unchanged.
+   *
    * @param {Object} input - Raw input data
    * @param {Object} model - Model object
    * @returns {Promise<Object>} Processed input
+   * @throws {Error} `ERR_INVALID_INPUT: <detail>` if a step cannot process the input.
    */
   async preprocessInput (input, model) {
-    // Basic preprocessing - in real implementation would handle:
-    // - Image resizing/normalization
-    // - Text tokenization
-    // - Data type conversion
-    // - Shape validation
+    const data = model.pipeline ? model.pipeline.preprocess(input) : input
 
     return {
-      data: input,
+      data,
       metadata: {
         originalShape: Array.isArray(input) ? input.length : 'scalar',
         processedAt: Date.now()
@@ -143,23 +337,23 @@ class InferenceEngine {
 
   /**
    * Postprocess inference result
-   * Applies a thin abstraction so downstream consumers receive consistent
-   * metadata (including model version and processing timestamp).
+   * Runs the `postprocess` steps of the model pipeline (softmax, top-k,
+   * label-map, threshold) and applies a thin abstraction so downstream
+   * consumers receive consistent metadata (including model version and
+   * processing timestamp).
    *
    * @param {Object} result - Raw inference result returned by the runtime.
    * @param {Object} model - Model object used during execution.
    * @returns {Promise<Object>} Processed result that mirrors API contracts.
    */
   async postprocessResult (result, model) {
-    // Basic postprocessing - in real implementation would handle:
-    // - Softmax normalization
-    // - Label mapping
-    // - Confidence thresholding
-    // - Format conversion
+    const { predictions, confidence } = model.pipeline
+      ? model.pipeline.postprocess(result)
+      : result
 
     return {
-      predictions: result.predictions || result,
-      confidence: result.confidence || 0.5,
+      predictions: predictions || result,
+      confidence: confidence || 0.5,
       metadata: {
         modelVersion: model.version,
         processedAt: Date.now()
@@ -169,25 +363,44 @@ class InferenceEngine {
 
   /**
    * Validate input data
-   * Placeholder for richer schema validation. The guard prevents null/undefined
-   * values from reaching the runtime, which simplifies error handling upstream.
+   * Checks the preprocessed input against the model's input contract (tensor
+   * shapes and dtypes, or a JSON schema) so malformed payloads never reach the
+   * runtime.
    *
    * @param {Object} model - Model object.
-   * @param {Object} input - Input data.
-   * @returns {boolean} Validation result.
+   * @param {Object} input - Preprocessed input data.
+   * @throws {Error} `ERR_INVALID_INPUT: <detail>` describing the violations.
    */
   validateInput (model, input) {
-    // Basic validation
-    if (!input) {
-      return false
-    }
+    this.contractValidator.validateInput(model, input)
+  }
+
+  /**
+   * Warm up a model by running it once, so the first real request does not
+   * pay for lazy runtime initialisation
+   * `metadata.warmupInput`, a client input, goes through the whole inference;
+   * otherwise a zero-filled input built from the input contract is fed to the
+   * runtime directly. Models with neither are left cold.
+   *
+   * @param {Object} model - Model object.
+   * @returns {Promise<boolean>} Whether the model ran.
+   */
+  async warmUp (model) {
+    const startTime = Date.now()
+
+    if (model.metadata.warmupInput !== undefined) {
+      await this.runInference(model, model.metadata.warmupInput)
+    } else {
+      const sample = this.contractValidator.sampleInput(model)
+      if (sample === null) {
+        this.logger.debug(`Model ${model.id} has no warm-up input`)
+        return false
+      }
 
-    // Check input shape if model has metadata
-    if (model.metadata && model.metadata.inputShape) {
-      // In real implementation, would validate actual tensor shapes
-      return true
+      await this.executeInference(model, { data: sample }, {})
     }
 
+    this.logger.info(`Model ${model.id} warmed up in ${Date.now() - startTime}ms`)
     return true
   }
 
@@ -0,0 +1,330 @@
+'use strict'
+
+const BatchScheduler = require('./batch-scheduler')
+
+/**
+ * Priority classes, highest first
+ */
+const PRIORITIES = ['interactive', 'standard', 'batch']
+
+/**
+ * Error to reject an aborted request with
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The abort reason, or `ERR_INFERENCE_CANCELLED`
+ */
+const abortReason = (signal) => signal.reason instanceof Error ? signal.reason : new Error('ERR_INFERENCE_CANCELLED')
+
+/**
+ * Inference Scheduler class, the bounded wait queue of the worker
+ * Every request needs one of the `maxConcurrentInferences` capacity slots.
+ * Requests arriving while all slots are busy wait in a queue of at most
+ * `queue.maxSize` entries (`batching.maxQueueSize` is read when it is not
+ * set), ordered by priority class (`interactive`, then
+ * `standard`, then `batch`, taken from `options.priority`) and by arrival.
+ * When the queue is full, a request takes the place of the newest entry of a
+ * lower class, which is rejected with `ERR_CAPACITY_EXCEEDED`, or is
+ * rejected itself. Entries still waiting at their deadline (`options.deadline`,
+ * or `queue.maxWaitMs` after they arrived) are dropped with
+ * `ERR_DEADLINE_EXCEEDED`. Aborting `options.signal` drops a waiting entry, or
+ * rejects a dispatched one, with the abort reason.
+ *
+ * Single inferences (`schedule`) are micro-batched by the `BatchScheduler`:
+ * queued requests of one batch are dispatched together in one slot once the
+ * batch is ready, and the runtime call is aborted once every request of the
+ * batch has been. Other work (`run`) takes a slot on its own and watches its
+ * signal itself.
+ * @class InferenceScheduler
+ */
+class InferenceScheduler {
+  /**
+   * Creates an instance of InferenceScheduler
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.capacity = null
+    this.batcher = new BatchScheduler(conf, logger)
+    this.maxQueueSize = conf.queue?.maxSize || conf.batching?.maxQueueSize || 256
+    this.maxQueueWaitMs = conf.queue?.maxWaitMs || 30000
+    this.defaultPriority = conf.queue?.defaultPriority || 'standard'
+    this.classes = new Map(PRIORITIES.map(priority => [priority, []]))
+    this.groups = new Map()
+    this.queued = 0
+    this.timer = null
+  }
+
+  /**
+   * Initialize the scheduler
+   * @param {Object} engine - Inference engine executing the batches
+   * @param {Object} capacity - Worker capacity, `{ maxConcurrent, currentLoad }`
+   */
+  initialize (engine, capacity) {
+    this.capacity = capacity
+    this.batcher.initialize(engine)
+  }
+
+  /**
+   * Queue a single inference, to be batched with others for the same model
+   * @param {Object} model - Model object
+   * @param {Object} inputData - Input data
+   * @param {Object} options - Inference options, with optional `priority`, `deadline`, `signal` and `requestId`
+   * @returns {Promise<Object>} Inference result envelope, as `InferenceEngine.runInference` returns it
+   */
+  schedule (model, inputData, options = {}) {
+    return this.enqueue(this.batcher.createItem(model, inputData, options), options)
+  }
+
+  /**
+   * Queue work that takes a capacity slot on its own
+   * @param {Function} task - Async function run once a slot is granted
+   * @param {Object} options - Request options, with optional `priority`, `deadline` and `signal`
+   * @returns {Promise<*>} Result of the task
+   */
+  run (task, options = {}) {
+    return this.enqueue({ task }, options)
+  }
+
+  /**
+   * Add an entry to the queue of its priority class
+   * @param {Object} entry - Queue entry
+   * @param {Object} options - Request options
+   * @returns {Promise<*>} Settled when the entry has run
+   */
+  enqueue (entry, options) {
+    const { signal } = options
+    if (signal?.aborted) {
+      return Promise.reject(abortReason(signal))
+    }
+
+    entry.priority = this.classes.has(options.priority) ? options.priority : this.defaultPriority
+    entry.queuedAt = Date.now()
+    entry.deadline = Number.isFinite(options.deadline) ? options.deadline : entry.queuedAt + this.maxQueueWaitMs
+
+    if (this.queued >= this.maxQueueSize && !this.shed(entry.priority)) {
+      return Promise.reject(new Error('ERR_CAPACITY_EXCEEDED'))
+    }
+
+    return new Promise((resolve, reject) => {
+      entry.resolve = resolve
+      entry.reject = reject
+
+      if (signal) {
+        const onAbort = () => {
+          if (this.remove(entry)) {
+            reject(abortReason(signal))
+          }
+        }
+
+        signal.addEventListener('abort', onAbort, { once: true })
+        entry.unsubscribe = () => signal.removeEventListener('abort', onAbort)
+      }
+
+      this.classes.get(entry.priority).push(entry)
+      this.queued++
+      if (entry.key) {
+        this.groups.set(entry.key, (this.groups.get(entry.key) || 0) + 1)
+      }
+
+      this.drain()
+    })
+  }
+
+  /**
+   * Make room for an entry of a priority class in the full queue by dropping
+   * the newest entry of the lowest class below it
+   * @param {string} priority - Priority class of the incoming entry
+   * @returns {boolean} Whether an entry was dropped
+   */
+  shed (priority) {
+    for (let rank = PRIORITIES.length - 1; rank > PRIORITIES.indexOf(priority); rank--) {
+      const entries = this.classes.get(PRIORITIES[rank])
+      if (entries.length) {
+        const entry = entries[entries.length - 1]
+        this.remove(entry)
+        entry.reject(new Error('ERR_CAPACITY_EXCEEDED'))
+        return true
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Remove an entry from the queue
+   * @param {Object} entry - Queue entry
+   * @returns {boolean} Whether the entry was still queued
+   */
+  remove (entry) {
+    const entries = this.classes.get(entry.priority)
+    const index = entries.indexOf(entry)
+    if (index === -1) {
+      return false
+    }
+
+    entries.splice(index, 1)
+    this.queued--
+    if (entry.key) {
+      const count = this.groups.get(entry.key) - 1
+      if (count) {
+        this.groups.set(entry.key, count)
+      } else {
+        this.groups.delete(entry.key)
+      }
+    }
+    if (entry.unsubscribe) {
+      entry.unsubscribe()
+    }
+
+    return true
+  }
+
+  /**
+   * Drop expired entries, dispatch the ready ones while capacity slots are
+   * free, and arm the timer for the next deadline or batch window
+   */
+  drain () {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    const now = Date.now()
+    for (const entries of this.classes.values()) {
+      for (const entry of entries.filter(entry => entry.deadline <= now)) {
+        this.remove(entry)
+        entry.reject(new Error('ERR_DEADLINE_EXCEEDED'))
+      }
+    }
+
+    while (this.capacity.currentLoad < this.capacity.maxConcurrent) {
+      const entry = this.nextReady(now)
+      if (!entry) {
+        break
+      }
+
+      entry.task ? this.dispatchTask(entry) : this.dispatchBatch(entry)
+    }
+
+    // Batch windows only matter while a slot is free, freed slots drain again
+    const slotFree = this.capacity.currentLoad < this.capacity.maxConcurrent
+    let wakeAt = Infinity
+    for (const entries of this.classes.values()) {
+      for (const entry of entries) {
+        wakeAt = Math.min(wakeAt, entry.deadline, slotFree && entry.key ? this.batcher.readyAt(entry) : Infinity)
+      }
+    }
+
+    if (wakeAt !== Infinity) {
+      this.timer = setTimeout(() => this.drain(), Math.max(wakeAt - Date.now(), 0))
+    }
+  }
+
+  /**
+   * Pick the next entry to dispatch: the first ready entry by priority class
+   * and arrival. Tasks are always ready; single inferences are ready once
+   * their batch is full or they have waited the batch window.
+   * @param {number} now - Current time
+   * @returns {Object|null} Entry
+   */
+  nextReady (now) {
+    for (const entries of this.classes.values()) {
+      const entry = entries.find(entry => entry.task ||
+        this.batcher.isReady(entry, this.groups.get(entry.key), now))
+
+      if (entry) {
+        return entry
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Run a task in a capacity slot
+   * @param {Object} entry - Task entry
+   * @returns {Promise<void>}
+   */
+  async dispatchTask (entry) {
+    this.remove(entry)
+    this.capacity.currentLoad++
+
+    try {
+      entry.resolve(await entry.task())
+    } catch (error) {
+      entry.reject(error)
+    } finally {
+      this.release()
+    }
+  }
+
+  /**
+   * Run a batch of single inferences in a capacity slot
+   * The batch gathers the queued requests sharing the entry's model and
+   * options, by priority class and arrival. A request aborted while the batch
+   * runs is rejected right away; when none are left the batch is aborted.
+   * @param {Object} first - Entry that made the batch ready
+   * @returns {Promise<void>}
+   */
+  async dispatchBatch (first) {
+    const items = []
+    for (const entries of this.classes.values()) {
+      for (const entry of entries) {
+        if (entry.key === first.key && items.length < this.batcher.maxBatchSize) {
+          items.push(entry)
+        }
+      }
+    }
+
+    items.forEach(item => this.remove(item))
+    this.capacity.currentLoad++
+
+    const controller = new AbortController()
+    let pending = items.length
+    const listeners = items.filter(item => item.signal).map(item => {
+      const onAbort = () => {
+        item.reject(abortReason(item.signal))
+        if (--pending === 0) {
+          controller.abort(abortReason(item.signal))
+        }
+      }
+
+      item.signal.aborted ? onAbort() : item.signal.addEventListener('abort', onAbort, { once: true })
+      return () => item.signal.removeEventListener('abort', onAbort)
+    })
+
+    try {
+      await this.batcher.dispatch(items, controller.signal)
+    } finally {
+      listeners.forEach(unsubscribe => unsubscribe())
+      this.release()
+    }
+  }
+
+  /**
+   * Give back a capacity slot
+   */
+  release () {
+    this.capacity.currentLoad--
+    this.drain()
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Queue depth, overall and by priority class
+   */
+  getStats () {
+    const byPriority = {}
+    for (const [priority, entries] of this.classes.entries()) {
+      byPriority[priority] = entries.length
+    }
+
+    return {
+      depth: this.queued,
+      maxSize: this.maxQueueSize,
+      byPriority,
+      maxBatchSize: this.batcher.maxBatchSize
+    }
+  }
+}
+
+module.exports = InferenceScheduler
@@ -1,7 +1,51 @@
 'use strict'
 
+const crypto = require('crypto')
+const fs = require('fs').promises
+const path = require('path')
+const ProcessingPipeline = require('./processing-pipeline')
+
+/**
+ * Byte multipliers of memory size units
+ */
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 }
+
+/**
+ * Parse a memory size, given in bytes or as a string like `512MB` or `2GB`
+ * @param {number|string} size - Memory size
+ * @returns {number|null} Bytes, null if no size is given
+ */
+const parseSize = (size) => {
+  if (size === undefined || size === null || size === '') {
+    return null
+  }
+
+  if (Number.isFinite(size)) {
+    return size
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?B)?\s*$/i.exec(size)
+  if (!match) {
+    throw new Error(`ERR_MEMORY_LIMIT_INVALID: ${size}`)
+  }
+
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()])
+}
+
 /**
  * Model Manager class for handling AI model operations
+ * Model bytes and metadata come from the model manager worker owning the
+ * model. Blobs are verified against the registry checksum and cached on disk
+ * under `modelCachePath`, named after their SHA-256, so restarts and other
+ * models sharing the same weights do not download them again.
+ *
+ * Loaded models share a memory budget of `memoryLimit` bytes. A model counts
+ * for the size its runtime session reports (`session.memoryUsage`), or else
+ * for the size of its bytes. A load that would exceed the budget first evicts
+ * the least recently used models, except the pinned ones (`pinnedModels`)
+ * and those with inferences in flight (see `acquire`); if that is not enough
+ * the load fails with `ERR_MEMORY_BUDGET_EXCEEDED`. An unloaded model keeps
+ * its memory until its inferences in flight are done.
  * @class ModelManager
  */
 class ModelManager {
@@ -16,44 +60,71 @@ class ModelManager {
   constructor (conf, logger) {
     this.conf = conf
     this.logger = logger
+    this.net = null
+    this.runtimes = null
+    this.processingPipeline = new ProcessingPipeline(conf, logger)
+    this.cachePath = conf.modelCachePath || './model_cache'
     this.modelRegistry = new Map()
+    // Ordered from least to most recently used
     this.modelStorage = new Map()
+    this.loading = new Map()
+    this.memoryBudget = parseSize(conf.memoryLimit)
+    this.memoryUsed = 0
+    this.pinnedModels = new Set(conf.pinnedModels || [])
+    this.onModelEvent = null
   }
 
   /**
    * Initialize model manager
-   * Currently a no-op, but the hook exists to align with the lifecycle of
-   * other collaborators (e.g. for remote storage connections later on).
+   * Prepares the on-disk blob cache. Without a network facility (standalone
+   * mode) models cannot be fetched and loading fails with
+   * `ERR_MODEL_MANAGER_NOT_CONFIGURED`.
+   *
+   * @param {Object} net - Network facility (`net_r0`) used to reach the model managers.
+   * @param {Object} runtimes - Runtime registry instantiating the models.
+   * @param {Function} onModelEvent - Optional listener called with `(event, modelId)`
+   *   when a model is `loaded`, `unloaded` or `evicted`.
    * @returns {Promise<void>}
    */
-  async initialize () {
-    this.logger.info('Model manager initialized')
+  async initialize (net, runtimes, onModelEvent) {
+    try {
+      this.net = net || null
+      this.runtimes = runtimes
+      this.onModelEvent = onModelEvent || null
+      await fs.mkdir(this.cachePath, { recursive: true })
+
+      this.logger.info(`Model manager initialized, blob cache at: ${this.cachePath}`)
+    } catch (error) {
+      this.logger.error('Failed to initialize model manager:', error)
+      throw error
+    }
   }
 
   /**
    * Load a model from storage. When a model is loaded for the first time it is
    * cached for subsequent requests to minimise disk or network round-trips.
+   * The registry metadata is always fetched, so the blob (cached or
+   * downloaded) is verified against the checksum of the version it serves.
+   * Concurrent loads of the same model share one fetch.
    *
    * @param {string} modelId - Model identifier.
+   * @param {string} version - Optional version (default: current version).
    * @returns {Promise<Object>} Loaded model ready for inference.
    */
-  async loadModel (modelId) {
+  async loadModel (modelId, version) {
     try {
-      this.logger.info(`Loading model: ${modelId}`)
-
       // Check if model is already loaded
       if (this.modelStorage.has(modelId)) {
-        return this.modelStorage.get(modelId)
+        return this.touch(modelId)
       }
 
-      // In a real implementation, this would load from Hypercore storage
-      // For now, we'll create a mock model
-      const model = await this.createMockModel(modelId)
-      // Cache the model so follow-up requests can reuse the in-memory instance.
-      this.modelStorage.set(modelId, model)
+      if (!this.loading.has(modelId)) {
+        this.loading.set(modelId, this.fetchModel(modelId, version).finally(() => {
+          this.loading.delete(modelId)
+        }))
+      }
 
-      this.logger.info(`Model loaded successfully: ${modelId}`)
-      return model
+      return await this.loading.get(modelId)
     } catch (error) {
       this.logger.error(`Failed to load model ${modelId}:`, error)
       throw error
@@ -61,53 +132,304 @@ class ModelManager {
   }
 
   /**
-   * Create a mock model for demonstration
-   * The mock simulates metadata and inference behaviour in lieu of a real model
-   * file. This allows service flows to be exercised end-to-end without the
-   * heavy storage footprint.
+   * Fetch, verify and instantiate a model within the memory budget
    *
    * @param {string} modelId - Model identifier.
-   * @returns {Promise<Object>} Mock model definition with a `predict` helper.
+   * @param {string} version - Optional version (default: current version).
+   * @returns {Promise<Object>} Loaded model.
    */
-  async createMockModel (modelId) {
-    // This is a simplified mock implementation
-    // In a real system, this would load actual model files from storage
+  async fetchModel (modelId, version) {
+    this.logger.info(`Loading model: ${modelId}`)
+
+    const { metadata } = await this.requestModelManager('getModelMetadata', { modelId, version })
+    this.modelRegistry.set(modelId, metadata)
+
+    const data = await this.getBlob(metadata)
+
+    // Room is made for the bytes before the runtime allocates the session
+    await this.reserveMemory(modelId, data.length)
+
+    let model
+    try {
+      model = await this.createModel(metadata, data)
+    } catch (error) {
+      this.memoryUsed -= data.length
+      throw error
+    }
+
+    // The session may take more than its bytes, the difference has to fit too
+    const memory = model.session.memoryUsage || data.length
+    try {
+      await this.reserveMemory(modelId, memory - data.length)
+    } catch (error) {
+      this.memoryUsed -= data.length
+      if (model.session.dispose) {
+        await model.session.dispose()
+      }
+      throw error
+    }
+
+    model.memory = memory
+    model.pinned = this.pinnedModels.has(modelId)
+
+    // Cache the model so follow-up requests can reuse the in-memory instance.
+    this.modelStorage.set(modelId, model)
+
+    this.logger.info(`Model loaded successfully: ${modelId}@${metadata.version}`)
+    this.emitModelEvent('loaded', modelId)
+
+    return model
+  }
+
+  /**
+   * Account for the memory of a model about to be loaded, evicting the least
+   * recently used models that can go until it fits the budget
+   *
+   * @param {string} modelId - Model identifier.
+   * @param {number} size - Memory needed in bytes.
+   * @returns {Promise<void>}
+   */
+  async reserveMemory (modelId, size) {
+    if (this.memoryBudget !== null) {
+      for (const [id, model] of this.modelStorage) {
+        if (this.memoryUsed + size <= this.memoryBudget) {
+          break
+        }
+
+        if (!model.pinned && model.users === 0) {
+          await this.unloadModel(id, 'evicted')
+        }
+      }
+
+      if (this.memoryUsed + size > this.memoryBudget) {
+        throw new Error(`ERR_MEMORY_BUDGET_EXCEEDED: ${modelId} needs ${size} bytes, ${this.memoryBudget - this.memoryUsed} available`)
+      }
+    }
+
+    this.memoryUsed += size
+  }
+
+  /**
+   * Mark a loaded model as the most recently used
+   *
+   * @param {string} modelId - Model identifier.
+   * @returns {Object} Model.
+   */
+  touch (modelId) {
+    const model = this.modelStorage.get(modelId)
+    this.modelStorage.delete(modelId)
+    this.modelStorage.set(modelId, model)
+    model.lastUsedAt = Date.now()
+
+    return model
+  }
+
+  /**
+   * Load a model for an inference, keeping it from being evicted until the
+   * inference calls `release`
+   *
+   * @param {string} modelId - Model identifier.
+   * @returns {Promise<Object>} Loaded model.
+   */
+  async acquire (modelId) {
+    const model = await this.loadModel(modelId)
+
+    // Another load may have evicted it while this one was resuming
+    if (this.modelStorage.get(modelId) !== model) {
+      return this.acquire(modelId)
+    }
+
+    model.users++
+    return model
+  }
+
+  /**
+   * Give back a model taken with `acquire`
+   * The last inference of a model unloaded in the meantime disposes it.
+   *
+   * @param {Object} model - Model.
+   */
+  release (model) {
+    model.users--
+
+    if (model.unloaded && model.users === 0) {
+      this.disposeModel(model).catch(error => {
+        this.logger.error(`Failed to dispose model ${model.id}:`, error)
+      })
+    }
+  }
+
+  /**
+   * Get the verified bytes of a model version, from the disk cache if present
+   * and intact, otherwise from the model manager.
+   *
+   * @param {Object} metadata - Registry metadata of the model version.
+   * @returns {Promise<Buffer>} Model data.
+   */
+  async getBlob (metadata) {
+    const blobFile = this.getBlobFile(metadata.checksum)
+
+    try {
+      const data = await fs.readFile(blobFile)
+      if (this.calculateChecksum(data) === metadata.checksum) {
+        this.logger.debug(`Model ${metadata.modelId}@${metadata.version} read from cache`)
+        return data
+      }
+
+      this.logger.warn(`Cached blob ${metadata.checksum} is corrupted, downloading it again`)
+      await fs.rm(blobFile, { force: true })
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+
+    const { modelData } = await this.requestModelManager('getModel', {
+      modelId: metadata.modelId,
+      version: metadata.version
+    })
+    const data = Buffer.from(modelData, 'base64')
+
+    if (this.calculateChecksum(data) !== metadata.checksum) {
+      throw new Error('ERR_MODEL_CHECKSUM_MISMATCH')
+    }
+
+    // Write then rename, so a partially written blob is never read as cached
+    const tmpFile = `${blobFile}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    await fs.writeFile(tmpFile, data)
+    await fs.rename(tmpFile, blobFile)
+
+    return data
+  }
+
+  /**
+   * Instantiate a model from its verified bytes.
+   * The runtime backend is selected by `metadata.framework` (falling back to
+   * the model type) and loads the bytes into a session the inference engine
+   * executes. The pre/post-processing pipeline of `metadata.pipeline` is
+   * compiled first, so a misconfigured pipeline fails the load.
+   *
+   * @param {Object} metadata - Registry metadata of the model version.
+   * @param {Buffer} data - Verified model data.
+   * @returns {Promise<Object>} Model definition with its runtime session.
+   */
+  async createModel (metadata, data) {
+    const framework = metadata.framework || metadata.type
+    const pipeline = this.processingPipeline.compile(metadata.pipeline)
+    const runtime = this.runtimes.resolve(framework)
+    const session = await runtime.load(data, { ...metadata, framework })
+
     return {
-      id: modelId,
-      type: 'onnx',
-      version: '1.0.0',
+      id: metadata.modelId,
+      type: metadata.type,
+      version: metadata.version,
+      checksum: metadata.checksum,
+      runtime: runtime.name,
+      session,
+      pipeline,
+      users: 0,
+      lastUsedAt: Date.now(),
       metadata: {
-        inputShape: [1, 3, 224, 224],
-        outputShape: [1, 1000],
-        framework: 'onnx',
-        created: Date.now()
-      },
-      // Mock inference function
-      predict: async (input) => {
-        // Simulate inference time
-        await new Promise(resolve => setTimeout(resolve, 100))
-        
-        // Return mock prediction results
-        return {
-          predictions: Array.from({ length: 1000 }, () => Math.random()),
-          confidence: Math.random(),
-          processingTime: 100
-        }
+        ...metadata,
+        framework,
+        created: metadata.createdAt
+      }
+    }
+  }
+
+  /**
+   * Send a request to the model manager owning a model.
+   * Model managers are picked by rendezvous hashing over the configured keys,
+   * the same way the orchestrator routes model requests.
+   *
+   * @param {string} method - RPC method.
+   * @param {Object} payload - Request payload, with `modelId`.
+   * @returns {Promise<Object>} Response.
+   */
+  async requestModelManager (method, payload) {
+    const publicKey = this.resolveModelManager(payload.modelId)
+    if (!this.net || !publicKey) {
+      throw new Error('ERR_MODEL_MANAGER_NOT_CONFIGURED')
+    }
+
+    return this.net.jRequest(publicKey, method, payload, {
+      timeout: this.conf.modelManager?.timeout || 60000
+    })
+  }
+
+  /**
+   * Resolve the model manager holding a model.
+   *
+   * @param {string} modelId - Model identifier.
+   * @returns {string|null} Hex encoded RPC public key, null if none is configured.
+   */
+  resolveModelManager (modelId) {
+    const modelManagerConf = this.conf.modelManager || {}
+    const keys = [
+      modelManagerConf.rpcPublicKey,
+      ...(modelManagerConf.rpcPublicKeys || [])
+    ].filter(Boolean)
+
+    let owner = null
+    let best = null
+
+    for (const publicKey of new Set(keys)) {
+      const score = crypto.createHash('sha256').update(`${publicKey}:${modelId}`).digest('hex')
+      if (best === null || score > best) {
+        best = score
+        owner = publicKey
       }
     }
+
+    return owner
+  }
+
+  /**
+   * Get the cache file of a blob.
+   *
+   * @param {string} checksum - SHA-256 of the model data.
+   * @returns {string} File path.
+   */
+  getBlobFile (checksum) {
+    if (!/^[a-f0-9]{64}$/.test(checksum)) {
+      throw new Error('ERR_MODEL_CHECKSUM_INVALID')
+    }
+
+    return path.join(this.cachePath, checksum)
+  }
+
+  /**
+   * Calculate the SHA-256 of model data.
+   *
+   * @param {Buffer} data - Model data.
+   * @returns {string} Hex encoded checksum.
+   */
+  calculateChecksum (data) {
+    return crypto.createHash('sha256').update(data).digest('hex')
   }
 
   /**
    * Unload a model from memory so resources can be reclaimed.
+   * A model with inferences in flight is disposed, and its memory given back,
+   * once the last of them calls `release`.
    *
    * @param {string} modelId - Model identifier.
+   * @param {string} event - Reported event, `unloaded` or `evicted` (default `unloaded`).
    * @returns {Promise<boolean>} Success status (`true` if a model was evicted).
    */
-  async unloadModel (modelId) {
+  async unloadModel (modelId, event = 'unloaded') {
     try {
-      if (this.modelStorage.has(modelId)) {
+      const model = this.modelStorage.get(modelId)
+      if (model) {
+        // Gone from the cache before the session is disposed, so no new inference picks it up
         this.modelStorage.delete(modelId)
-        this.logger.info(`Model unloaded: ${modelId}`)
+        this.modelRegistry.delete(modelId)
+        model.unloaded = true
+        if (model.users === 0) {
+          await this.disposeModel(model)
+        }
+        this.logger.info(`Model ${event}: ${modelId}`)
+        this.emitModelEvent(event, modelId)
         return true
       }
       return false
@@ -117,6 +439,19 @@ class ModelManager {
     }
   }
 
+  /**
+   * Dispose the runtime session of an unloaded model and free its memory
+   *
+   * @param {Object} model - Model.
+   * @returns {Promise<void>}
+   */
+  async disposeModel (model) {
+    this.memoryUsed -= model.memory
+    if (model.session.dispose) {
+      await model.session.dispose()
+    }
+  }
+
   /**
    * Get model metadata
    * Metadata includes the shape and framework, which downstream components can
@@ -142,16 +477,45 @@ class ModelManager {
   }
 
   /**
-   * Validate model input
-   * Stub method that can later be extended with shape and type verification.
+   * Check whether a model is loaded
+   *
+   * @param {string} modelId - Model identifier.
+   * @returns {boolean} Whether the model is in memory.
+   */
+  isLoaded (modelId) {
+    return this.modelStorage.has(modelId)
+  }
+
+  /**
+   * Get memory budget statistics
    *
-   * @param {Object} model - Model object.
-   * @param {Object} input - Input data.
-   * @returns {boolean} Validation result.
+   * @returns {Object} Budget and used bytes, and the loaded models from least to most recently used.
    */
-  validateInput (model, input) {
-    // Basic validation - in real implementation would check shapes, types, etc.
-    return input && typeof input === 'object'
+  getMemoryStats () {
+    return {
+      budget: this.memoryBudget,
+      used: this.memoryUsed,
+      models: Array.from(this.modelStorage.values()).map(model => ({
+        modelId: model.id,
+        version: model.version,
+        memory: model.memory,
+        pinned: model.pinned,
+        inUse: model.users,
+        lastUsedAt: model.lastUsedAt
+      }))
+    }
+  }
+
+  /**
+   * Report a model event to the listener given at initialization
+   *
+   * @param {string} event - `loaded`, `unloaded` or `evicted`.
+   * @param {string} modelId - Model identifier.
+   */
+  emitModelEvent (event, modelId) {
+    if (this.onModelEvent) {
+      this.onModelEvent(event, modelId)
+    }
   }
 }
 
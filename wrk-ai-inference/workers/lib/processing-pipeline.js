@@ -0,0 +1,378 @@
+'use strict'
+
+/**
+ * Built-in preprocessors, factories of `(step) => (input) => input`
+ * Factories validate the step parameters so a bad pipeline fails when the
+ * model is loaded rather than on its first request.
+ */
+const PREPROCESSORS = {
+  normalize: (step) => {
+    const { mean = 0, std = 1, scale = 1, axis = -1 } = step
+    if (Array.isArray(std) ? std.some(value => !value) : !std) {
+      throw invalidStep(step, 'std must be non-zero')
+    }
+
+    return (input) => {
+      const dims = inferDims(input)
+      if (!dims || !dims.length) {
+        throw invalidInput('', 'must be a numeric array to normalize')
+      }
+
+      const channelAxis = axis < 0 ? dims.length + axis : axis
+      for (const param of [mean, std]) {
+        if (Array.isArray(param) && dims[channelAxis] !== param.length) {
+          throw invalidInput('', `must have ${param.length} channels on axis ${axis}, got ${dims[channelAxis]}`)
+        }
+      }
+
+      const at = (param, channel) => (Array.isArray(param) ? param[channel] : param)
+      const walk = (value, level, channel) => {
+        if (Array.isArray(value)) {
+          return value.map((item, i) => walk(item, level + 1, level === channelAxis ? i : channel))
+        }
+
+        if (!Number.isFinite(value)) {
+          throw invalidInput('', `must only contain numbers, got ${JSON.stringify(value)}`)
+        }
+
+        return (value * scale - at(mean, channel)) / at(std, channel)
+      }
+
+      return walk(input, 0, 0)
+    }
+  },
+
+  resize: (step) => {
+    const { width, height, method = 'bilinear' } = step
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+      throw invalidStep(step, 'width and height must be positive integers')
+    }
+    if (method !== 'bilinear' && method !== 'nearest') {
+      throw invalidStep(step, 'method must be bilinear or nearest')
+    }
+
+    return (image) => {
+      const dims = inferDims(image)
+      if (!dims || dims.length < 2 || dims.length > 3 || !dims[0] || !dims[1]) {
+        throw invalidInput('', 'must be an image array of [height, width] or [height, width, channels]')
+      }
+
+      const [inHeight, inWidth] = dims
+      const pixel = (y, x) => image[y][x]
+      const mix = (a, b, t) => (Array.isArray(a) ? a.map((value, c) => value + (b[c] - value) * t) : a + (b - a) * t)
+      // Source coordinate of a destination pixel center, clamped to the image
+      const source = (dst, inSize, outSize) => Math.min(Math.max((dst + 0.5) * inSize / outSize - 0.5, 0), inSize - 1)
+
+      return Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => {
+        const sy = source(y, inHeight, height)
+        const sx = source(x, inWidth, width)
+
+        if (method === 'nearest') {
+          return pixel(Math.round(sy), Math.round(sx))
+        }
+
+        const y0 = Math.floor(sy)
+        const x0 = Math.floor(sx)
+        const y1 = Math.min(y0 + 1, inHeight - 1)
+        const x1 = Math.min(x0 + 1, inWidth - 1)
+
+        return mix(
+          mix(pixel(y0, x0), pixel(y0, x1), sx - x0),
+          mix(pixel(y1, x0), pixel(y1, x1), sx - x0),
+          sy - y0
+        )
+      }))
+    }
+  },
+
+  tokenize: (step) => {
+    const { lowercase = true, unknown, maxLength, padding = 0, bos, eos, tensors } = step
+    if (!step.vocab || typeof step.vocab !== 'object') {
+      throw invalidStep(step, 'vocab must be an array of tokens or an object of ids by token')
+    }
+
+    const vocab = new Map(Array.isArray(step.vocab)
+      ? step.vocab.map((token, id) => [token, id])
+      : Object.entries(step.vocab))
+
+    for (const token of [unknown, bos, eos]) {
+      if (token !== undefined && !vocab.has(token)) {
+        throw invalidStep(step, `special token ${token} is not in the vocabulary`)
+      }
+    }
+
+    return (input) => {
+      const text = typeof input === 'string' ? input : input?.text
+      const path = input && typeof input === 'object' ? '/text' : ''
+      if (typeof text !== 'string') {
+        throw invalidInput(path, 'must be a string to tokenize')
+      }
+
+      // Words and numbers, and every other non-space character on its own
+      const tokens = (lowercase ? text.toLowerCase() : text).match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || []
+      let ids = tokens.map(token => {
+        const id = vocab.get(token) ?? vocab.get(unknown)
+        if (id === undefined) {
+          throw invalidInput(path, `token ${JSON.stringify(token)} is not in the vocabulary`)
+        }
+
+        return id
+      })
+
+      const specials = (bos !== undefined ? 1 : 0) + (eos !== undefined ? 1 : 0)
+      if (maxLength) {
+        ids = ids.slice(0, Math.max(maxLength - specials, 0))
+      }
+      if (bos !== undefined) {
+        ids.unshift(vocab.get(bos))
+      }
+      if (eos !== undefined) {
+        ids.push(vocab.get(eos))
+      }
+
+      const mask = ids.map(() => 1)
+      for (let i = ids.length; i < (maxLength || 0); i++) {
+        ids.push(padding)
+        mask.push(0)
+      }
+
+      if (!tensors) {
+        return ids
+      }
+
+      // Named `int64` tensors of a batch of one, as transformer models take them
+      const feeds = { [tensors.ids || 'input_ids']: { data: ids, dims: [1, ids.length], type: 'int64' } }
+      if (tensors.mask !== false) {
+        feeds[tensors.mask || 'attention_mask'] = { data: mask, dims: [1, mask.length], type: 'int64' }
+      }
+
+      return feeds
+    }
+  }
+}
+
+/**
+ * Built-in postprocessors, factories of `(step) => (result) => result`
+ * Results are `{ predictions, confidence }`. Predictions are scores, or
+ * entries `{ index, score, label? }` once top-k, label-map or threshold ran;
+ * predictions with a batch dimension are processed row by row.
+ */
+const POSTPROCESSORS = {
+  softmax: (step) => ({ predictions, confidence }) => {
+    const probabilities = mapRows(predictions, softmax)
+
+    return {
+      predictions: probabilities,
+      confidence: isRow(probabilities) && probabilities.length ? Math.max(...probabilities) : confidence
+    }
+  },
+
+  'top-k': (step) => {
+    const { k = 1 } = step
+    if (!Number.isInteger(k) || k < 1) {
+      throw invalidStep(step, 'k must be a positive integer')
+    }
+
+    return ({ predictions, confidence }) => {
+      const top = mapRows(predictions, row => toEntries(row)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k))
+
+      return {
+        predictions: top,
+        confidence: isRow(top) && top.length ? top[0].score : confidence
+      }
+    }
+  },
+
+  'label-map': (step) => {
+    const { labels } = step
+    if (!labels || typeof labels !== 'object') {
+      throw invalidStep(step, 'labels must be an array or an object of labels by index')
+    }
+
+    return ({ predictions, confidence }) => ({
+      predictions: mapRows(predictions, row => toEntries(row).map(entry => ({
+        ...entry,
+        label: labels[entry.index] ?? null
+      }))),
+      confidence
+    })
+  },
+
+  threshold: (step) => {
+    const { min = 0.5 } = step
+    if (!Number.isFinite(min)) {
+      throw invalidStep(step, 'min must be a number')
+    }
+
+    return ({ predictions, confidence }) => ({
+      predictions: mapRows(predictions, row => toEntries(row).filter(entry => entry.score >= min)),
+      confidence
+    })
+  }
+}
+
+/**
+ * Processing Pipeline class for declarative pre/post-processing
+ * A model describes its pipeline in `metadata.pipeline` as ordered steps,
+ * each naming a built-in processor in `type` along with its parameters:
+ *
+ *   {
+ *     preprocess: [{ type: 'normalize', mean: [0.485, 0.456, 0.406], std: [0.229, 0.224, 0.225], scale: 1 / 255 }],
+ *     postprocess: [{ type: 'softmax' }, { type: 'top-k', k: 5 }, { type: 'label-map', labels: [...] }]
+ *   }
+ *
+ * Preprocessors: `normalize` (`mean`, `std`, `scale`, channel `axis`),
+ * `resize` (`width`, `height`, `method`) and `tokenize` (`vocab`,
+ * `lowercase`, `unknown`, `bos`, `eos`, `maxLength`, `padding`, `tensors`).
+ * Postprocessors: `softmax`, `top-k` (`k`), `label-map` (`labels`) and
+ * `threshold` (`min`).
+ * @class ProcessingPipeline
+ */
+class ProcessingPipeline {
+  /**
+   * Creates an instance of ProcessingPipeline
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+  }
+
+  /**
+   * Compile the pipeline of a model
+   * @param {Object} [spec] - `metadata.pipeline`, with `preprocess` and `postprocess` steps
+   * @returns {Object} Pipeline with `preprocess(input)` and `postprocess(result)`
+   * @throws {Error} ERR_PIPELINE_INVALID if a step is unknown or misconfigured
+   */
+  compile (spec = {}) {
+    const preprocess = this.compileSteps(spec.preprocess, PREPROCESSORS, 'preprocess')
+    const postprocess = this.compileSteps(spec.postprocess, POSTPROCESSORS, 'postprocess')
+
+    return {
+      steps: {
+        preprocess: preprocess.map(step => step.type),
+        postprocess: postprocess.map(step => step.type)
+      },
+      preprocess: (input) => preprocess.reduce((value, step) => step.run(value), input),
+      postprocess: (result) => postprocess.reduce((value, step) => step.run(value), {
+        predictions: result.predictions ?? result,
+        confidence: result.confidence
+      })
+    }
+  }
+
+  /**
+   * Compile the steps of one stage
+   * @param {Array<Object>} [steps] - Step specs
+   * @param {Object} processors - Processor factories by type
+   * @param {string} stage - Stage name, for errors
+   * @returns {Array<Object>} Compiled steps, `{ type, run }`
+   */
+  compileSteps (steps = [], processors, stage) {
+    if (!Array.isArray(steps)) {
+      throw new Error(`ERR_PIPELINE_INVALID: ${stage} must be an array of steps`)
+    }
+
+    return steps.map((step, i) => {
+      if (!Object.hasOwn(processors, step?.type)) {
+        throw new Error(`ERR_PIPELINE_INVALID: ${stage}[${i}] unknown processor ${step?.type}`)
+      }
+
+      try {
+        return { type: step.type, run: processors[step.type](step) }
+      } catch (error) {
+        throw new Error(`ERR_PIPELINE_INVALID: ${stage}[${i}] ${error.message}`)
+      }
+    })
+  }
+}
+
+/**
+ * @param {Object} step - Step spec
+ * @param {string} message - What is wrong with it
+ * @returns {Error} Step configuration error
+ */
+function invalidStep (step, message) {
+  return new Error(`${step.type} ${message}`)
+}
+
+/**
+ * Build an input error in the format of contract violations, so that clients
+ * get the same `400` for inputs a processor cannot handle
+ * @param {string} path - Path of the offending value
+ * @param {string} message - What is wrong with it
+ * @returns {Error} ERR_INVALID_INPUT error
+ */
+function invalidInput (path, message) {
+  const error = new Error(`ERR_INVALID_INPUT: ${path || '(root)'} ${message}`)
+  error.details = [{ path, message }]
+  return error
+}
+
+/**
+ * Infer the dims of a nested array
+ * @param {*} value - Nested array
+ * @returns {Array<number>|null} Dims, null if the array is ragged
+ */
+function inferDims (value) {
+  if (!Array.isArray(value)) {
+    return []
+  }
+
+  const inner = value.length ? inferDims(value[0]) : []
+  for (const item of value) {
+    const dims = inferDims(item)
+    if (!inner || !dims || dims.length !== inner.length || dims.some((dim, i) => dim !== inner[i])) {
+      return null
+    }
+  }
+
+  return [value.length, ...inner]
+}
+
+/**
+ * @param {Array} predictions - Predictions
+ * @returns {boolean} Whether the predictions are a single row (no batch dimension)
+ */
+function isRow (predictions) {
+  return Array.isArray(predictions) && !Array.isArray(predictions[0])
+}
+
+/**
+ * Apply a function to each row of batched predictions, or to the predictions
+ * @param {Array} predictions - Predictions
+ * @param {Function} fn - Row function
+ * @returns {Array} Processed predictions
+ */
+function mapRows (predictions, fn) {
+  if (!Array.isArray(predictions)) {
+    throw new Error('ERR_INVALID_OUTPUT: (root) must be an array of scores')
+  }
+
+  return isRow(predictions) ? fn(predictions) : predictions.map(row => mapRows(row, fn))
+}
+
+/**
+ * @param {Array<number|Object>} row - Scores or entries
+ * @returns {Array<Object>} Entries `{ index, score }`
+ */
+function toEntries (row) {
+  return row.map((item, index) => (typeof item === 'object' && item !== null ? item : { index, score: item }))
+}
+
+/**
+ * @param {Array<number>} logits - Logits
+ * @returns {Array<number>} Probabilities
+ */
+function softmax (logits) {
+  const max = Math.max(...logits)
+  const exps = logits.map(x => Math.exp(x - max))
+  const sum = exps.reduce((a, b) => a + b, 0)
+
+  return exps.map(x => x / sum)
+}
+
+module.exports = ProcessingPipeline
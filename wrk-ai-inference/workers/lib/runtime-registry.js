@@ -0,0 +1,113 @@
+'use strict'
+
+const path = require('path')
+const OnnxRuntime = require('./runtimes/onnx-runtime')
+const JsRuntime = require('./runtimes/js-runtime')
+
+/**
+ * Runtime Registry class for the backends that execute models
+ * A backend is a class constructed with `(conf, logger)` exposing:
+ *
+ *   name                  - Backend name, used in logs and stats
+ *   frameworks            - `metadata.framework` values it executes
+ *   initialize()          - Optional, prepares the backend at worker start
+ *   load(data, metadata)  - Instantiates a model from its verified bytes and
+ *                           resolves to a session with `predict(input, opts)`,
+ *                           and optionally `predictBatch(inputs, opts)`,
+ *                           `predictStream(input, opts)` and `dispose()`;
+ *                           `opts.signal` is aborted when the request is
+ *                           cancelled or runs out of time, and the work
+ *                           should stop as soon as the backend can
+ *
+ * The ONNX and pure-JS backends are always registered. Third-party backends
+ * are listed in `runtimes.backends` as module names or paths (relative to the
+ * working directory) and registered when the worker starts; a backend
+ * claiming an already registered framework replaces the previous one.
+ * @class RuntimeRegistry
+ */
+class RuntimeRegistry {
+  /**
+   * Creates an instance of RuntimeRegistry
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.backends = new Map()
+    this.frameworks = new Map()
+  }
+
+  /**
+   * Register the built-in and configured backends
+   * @returns {Promise<void>}
+   */
+  async initialize () {
+    try {
+      await this.register(new OnnxRuntime(this.conf, this.logger))
+      await this.register(new JsRuntime(this.conf, this.logger))
+
+      for (const name of this.conf.runtimes?.backends || []) {
+        const modulePath = name.startsWith('.') ? path.resolve(name) : name
+        const Backend = require(modulePath)
+        await this.register(new Backend(this.conf, this.logger))
+      }
+
+      this.logger.info(`Runtime registry initialized with frameworks: ${Array.from(this.frameworks.keys()).join(', ')}`)
+    } catch (error) {
+      this.logger.error('Failed to initialize runtime registry:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Register a backend
+   * @param {Object} backend - Backend instance
+   * @returns {Promise<void>}
+   */
+  async register (backend) {
+    if (!backend.name || !Array.isArray(backend.frameworks) || typeof backend.load !== 'function') {
+      throw new Error('ERR_RUNTIME_INVALID')
+    }
+
+    if (backend.initialize) {
+      await backend.initialize()
+    }
+
+    this.backends.set(backend.name, backend)
+    for (const framework of backend.frameworks) {
+      this.frameworks.set(framework, backend)
+    }
+
+    this.logger.debug(`Runtime ${backend.name} registered for ${backend.frameworks.join(', ')}`)
+  }
+
+  /**
+   * Resolve the backend executing a framework
+   * @param {string} framework - Model framework
+   * @returns {Object} Backend
+   * @throws {Error} ERR_RUNTIME_NOT_FOUND if no backend executes the framework
+   */
+  resolve (framework) {
+    const backend = this.frameworks.get(framework)
+    if (!backend) {
+      throw new Error('ERR_RUNTIME_NOT_FOUND')
+    }
+
+    return backend
+  }
+
+  /**
+   * List registered backends
+   * @returns {Array<Object>} Backend names, frameworks and availability
+   */
+  list () {
+    return Array.from(this.backends.values()).map(backend => ({
+      name: backend.name,
+      frameworks: backend.frameworks,
+      available: backend.available !== false
+    }))
+  }
+}
+
+module.exports = RuntimeRegistry
@@ -0,0 +1,176 @@
+'use strict'
+
+/**
+ * Pure-JS backend for small models given as JSON
+ * Model bytes are a UTF-8 JSON document, interpreted according to the
+ * model framework:
+ *
+ *   linear        - `{ weights, bias }`, `weights` a vector (one output) or a
+ *                   matrix with one row per output; predicts `W·x + b`
+ *   logistic      - Same parameters; predicts the sigmoid of a single output
+ *                   as `[p]`, or the softmax of several outputs
+ *   decision-tree - `{ tree }`, nodes being `{ feature, threshold, left, right }`
+ *                   (left when `x[feature] <= threshold`) or leaves `{ value }`,
+ *                   a number or a vector of class probabilities
+ *
+ * Inputs are a feature vector, or `{ features }`.
+ * @class JsRuntime
+ */
+class JsRuntime {
+  /**
+   * Creates an instance of JsRuntime
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.name = 'js'
+    this.frameworks = ['linear', 'logistic', 'decision-tree']
+  }
+
+  /**
+   * Parse a model and build its session
+   * @param {Buffer} data - JSON model bytes
+   * @param {Object} metadata - Model metadata
+   * @returns {Promise<Object>} Session
+   */
+  async load (data, metadata) {
+    let params
+    try {
+      params = JSON.parse(data.toString('utf-8'))
+    } catch (error) {
+      throw new Error('ERR_MODEL_FORMAT_INVALID')
+    }
+
+    const framework = metadata.framework || metadata.type
+    const evaluate = this.compile(framework, params)
+    // Only classifiers predict probabilities
+    const probabilities = framework !== 'linear'
+
+    const predict = async (input, opts) => {
+      opts?.signal?.throwIfAborted()
+
+      const features = Array.isArray(input) ? input : input?.features
+      if (!Array.isArray(features) || !features.every(Number.isFinite)) {
+        throw new Error('ERR_INVALID_INPUT')
+      }
+
+      const predictions = evaluate(features)
+
+      return {
+        predictions,
+        confidence: probabilities ? Math.max(...predictions) : undefined
+      }
+    }
+
+    return {
+      predict,
+      predictBatch: async (inputs, opts) => {
+        // Item by item, so an aborted batch stops between items
+        const results = []
+        for (const input of inputs) {
+          results.push(await predict(input, opts))
+        }
+
+        return results
+      }
+    }
+  }
+
+  /**
+   * Build the evaluation function of a model
+   * @param {string} framework - Model framework
+   * @param {Object} params - Parsed model parameters
+   * @returns {Function} Maps a feature vector to a prediction vector
+   */
+  compile (framework, params) {
+    switch (framework) {
+      case 'linear':
+        return this.compileLinear(params)
+      case 'logistic': {
+        const linear = this.compileLinear(params)
+
+        return (features) => {
+          const logits = linear(features)
+          return logits.length === 1 ? [this.sigmoid(logits[0])] : this.softmax(logits)
+        }
+      }
+      case 'decision-tree':
+        return this.compileTree(params)
+      default:
+        throw new Error('ERR_RUNTIME_NOT_FOUND')
+    }
+  }
+
+  /**
+   * @param {Object} params - `{ weights, bias }`
+   * @returns {Function} Computes `W·x + b`
+   */
+  compileLinear ({ weights, bias = 0 }) {
+    if (!Array.isArray(weights) || !weights.length) {
+      throw new Error('ERR_MODEL_FORMAT_INVALID')
+    }
+
+    const rows = Array.isArray(weights[0]) ? weights : [weights]
+    const biases = Array.isArray(bias) ? bias : rows.map(() => bias)
+
+    return (features) => {
+      if (features.length !== rows[0].length) {
+        throw new Error('ERR_INVALID_INPUT')
+      }
+
+      return rows.map((row, i) => row.reduce((sum, w, j) => sum + w * features[j], biases[i] || 0))
+    }
+  }
+
+  /**
+   * @param {Object} params - `{ tree }`
+   * @returns {Function} Walks the tree down to a leaf
+   */
+  compileTree ({ tree }) {
+    if (!tree || typeof tree !== 'object') {
+      throw new Error('ERR_MODEL_FORMAT_INVALID')
+    }
+
+    return (features) => {
+      let node = tree
+
+      while (node.value === undefined) {
+        const value = features[node.feature]
+        if (value === undefined) {
+          throw new Error('ERR_INVALID_INPUT')
+        }
+
+        node = value <= node.threshold ? node.left : node.right
+        if (!node) {
+          throw new Error('ERR_MODEL_FORMAT_INVALID')
+        }
+      }
+
+      return Array.isArray(node.value) ? node.value : [node.value]
+    }
+  }
+
+  /**
+   * @param {number} x - Logit
+   * @returns {number} Probability
+   */
+  sigmoid (x) {
+    return 1 / (1 + Math.exp(-x))
+  }
+
+  /**
+   * @param {Array<number>} logits - Logits
+   * @returns {Array<number>} Probabilities
+   */
+  softmax (logits) {
+    const max = Math.max(...logits)
+    const exps = logits.map(x => Math.exp(x - max))
+    const sum = exps.reduce((a, b) => a + b, 0)
+
+    return exps.map(x => x / sum)
+  }
+}
+
+module.exports = JsRuntime
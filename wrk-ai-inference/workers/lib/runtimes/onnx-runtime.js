@@ -0,0 +1,164 @@
+'use strict'
+
+/**
+ * Typed arrays backing ONNX tensor types
+ */
+const TENSOR_TYPES = {
+  float32: Float32Array,
+  float64: Float64Array,
+  int8: Int8Array,
+  uint8: Uint8Array,
+  int16: Int16Array,
+  uint16: Uint16Array,
+  int32: Int32Array,
+  uint32: Uint32Array,
+  int64: BigInt64Array,
+  uint64: BigUint64Array,
+  bool: Uint8Array
+}
+
+/**
+ * ONNX Runtime backend, executing ONNX models on CPU with `onnxruntime-node`
+ * Inputs are either a plain (possibly nested) array or a single
+ * `{ data, dims, type }` tensor fed to the model's first input (arrays use
+ * `metadata.inputShape` as dims and `metadata.inputType`, default `float32`,
+ * as type), or an object mapping input names to `{ data, dims, type }`
+ * tensors. Every output is returned as a `{ data, dims, type }` tensor and
+ * the first one as `predictions`.
+ * @class OnnxRuntime
+ */
+class OnnxRuntime {
+  /**
+   * Creates an instance of OnnxRuntime
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.name = 'onnxruntime'
+    this.frameworks = ['onnx']
+    this.ort = null
+    this.available = false
+  }
+
+  /**
+   * Load `onnxruntime-node`, leaving the backend unavailable if it is not installed
+   * @returns {Promise<void>}
+   */
+  async initialize () {
+    try {
+      this.ort = require('onnxruntime-node')
+      this.available = true
+    } catch (error) {
+      this.logger.warn(`ONNX runtime unavailable, onnx models cannot be loaded: ${error.message}`)
+    }
+  }
+
+  /**
+   * Create an inference session
+   * @param {Buffer} data - ONNX model bytes
+   * @param {Object} metadata - Model metadata
+   * @returns {Promise<Object>} Session
+   */
+  async load (data, metadata) {
+    if (!this.available) {
+      throw new Error('ERR_RUNTIME_UNAVAILABLE')
+    }
+
+    const session = await this.ort.InferenceSession.create(data, {
+      executionProviders: ['cpu'],
+      intraOpNumThreads: this.conf.runtimes?.onnx?.intraOpNumThreads || 0,
+      graphOptimizationLevel: this.conf.runtimes?.onnx?.graphOptimizationLevel || 'all'
+    })
+
+    return {
+      // A started run cannot be interrupted, an aborted one is only not started
+      predict: async (input, opts) => {
+        opts?.signal?.throwIfAborted()
+
+        const results = await session.run(this.toFeeds(session, input, metadata))
+        const outputs = {}
+
+        for (const name of session.outputNames) {
+          outputs[name] = this.fromTensor(results[name])
+        }
+
+        return {
+          predictions: outputs[session.outputNames[0]].data,
+          outputs
+        }
+      },
+      dispose: () => session.release()
+    }
+  }
+
+  /**
+   * Build the session feeds of an input
+   * @param {Object} session - Inference session
+   * @param {Array|Object} input - Input array or tensors by input name
+   * @param {Object} metadata - Model metadata
+   * @returns {Object} Feeds
+   */
+  toFeeds (session, input, metadata) {
+    if (Array.isArray(input)) {
+      const data = input.flat(Infinity)
+      const dims = metadata.inputShape || [1, data.length]
+
+      return {
+        [session.inputNames[0]]: this.toTensor({ data, dims, type: metadata.inputType })
+      }
+    }
+
+    if (Array.isArray(input.data)) {
+      return {
+        [session.inputNames[0]]: this.toTensor({ type: metadata.inputType, ...input })
+      }
+    }
+
+    const feeds = {}
+    for (const name of session.inputNames) {
+      if (!input[name]) {
+        throw new Error('ERR_INVALID_INPUT')
+      }
+
+      feeds[name] = this.toTensor(input[name])
+    }
+
+    return feeds
+  }
+
+  /**
+   * Convert a JSON tensor to an ONNX tensor
+   * @param {Object} tensor - Tensor with `data`, `dims` and optional `type`
+   * @returns {Object} ONNX tensor
+   */
+  toTensor ({ data, dims, type = 'float32' }) {
+    const TypedArray = TENSOR_TYPES[type]
+    if (!TypedArray || !Array.isArray(data)) {
+      throw new Error('ERR_INVALID_INPUT')
+    }
+
+    const values = data.flat(Infinity)
+    const typed = TypedArray === BigInt64Array || TypedArray === BigUint64Array
+      ? TypedArray.from(values, value => BigInt(value))
+      : TypedArray.from(values, value => Number(value))
+
+    return new this.ort.Tensor(type, typed, dims || [values.length])
+  }
+
+  /**
+   * Convert an ONNX tensor to JSON
+   * @param {Object} tensor - ONNX tensor
+   * @returns {Object} Tensor with `data`, `dims` and `type`
+   */
+  fromTensor (tensor) {
+    return {
+      data: Array.from(tensor.data, value => (typeof value === 'bigint' ? Number(value) : value)),
+      dims: Array.from(tensor.dims),
+      type: tensor.type
+    }
+  }
+}
+
+module.exports = OnnxRuntime
@@ -0,0 +1,271 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { EventEmitter } = require('events')
+const WrkApiGateway = require('../workers/api.gateway.wrk')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+/**
+ * Create a promise with its resolve function
+ * @returns {Object} `{ promise, resolve }`
+ */
+function deferred () {
+  const entry = {}
+  entry.promise = new Promise(resolve => { entry.resolve = resolve })
+  return entry
+}
+
+/**
+ * Create a gateway without starting the worker, with rate limits off, no
+ * quota and an empty response cache
+ * @param {Object} orchestratorClient - Fake orchestrator client
+ * @param {Object} conf - Configuration object
+ * @returns {Object} Gateway and the recorded usage events
+ */
+function createGateway (orchestratorClient, conf = {}) {
+  const usage = []
+  const wrk = Object.create(WrkApiGateway.prototype)
+
+  wrk.conf = conf
+  wrk.logger = logger
+  wrk.orchestratorClient = orchestratorClient
+  wrk.usageMeter = {
+    record: async (event) => { usage.push(event) },
+    checkQuota: async () => ({ allowed: true })
+  }
+  wrk.responseCache = {
+    lookup: async () => null,
+    store () {}
+  }
+
+  return { wrk, usage }
+}
+
+/**
+ * Create an HTTP request for a model
+ * @param {Object} body - Request body
+ * @returns {Object} Request
+ */
+function createRequest (body) {
+  return { params: { modelId: 'm' }, body, headers: {}, ip: '127.0.0.1' }
+}
+
+/**
+ * Create an HTTP response recording what is sent; `close` is emitted when it
+ * ends, or by the test to simulate the client going away
+ * @returns {Object} Response with `statusCode`, `body`, `headers` and `chunks`
+ */
+function createResponse () {
+  const res = new EventEmitter()
+
+  Object.assign(res, {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    chunks: [],
+    writableFinished: false,
+    status (code) {
+      res.statusCode = code
+      return res
+    },
+    header (name, value) {
+      res.headers[name] = value
+      return res
+    },
+    json (body) {
+      res.body = body
+      res.end()
+    },
+    flushHeaders () {},
+    write (chunk) {
+      res.chunks.push(chunk)
+    },
+    end () {
+      res.writableFinished = true
+      res.emit('close')
+    }
+  })
+
+  return res
+}
+
+/**
+ * Parse the server-sent events written to a response
+ * @param {Object} res - Response
+ * @returns {Array<Object>} Events with `event` and `data`
+ */
+function parseEvents (res) {
+  return res.chunks.map(chunk => {
+    const [, event, data] = /^event: (\w+)\ndata: (.*)\n\n$/.exec(chunk)
+    return { event, data: JSON.parse(data) }
+  })
+}
+
+test('inference requests carry their id and deadline to the orchestrator', async (t) => {
+  const now = 1000000
+  t.mock.method(Date, 'now', () => now)
+
+  const routed = []
+  const { wrk } = createGateway({
+    routeInferenceRequest: async (params) => {
+      routed.push(params)
+      return { result: { output: [1] }, workerId: 'w1' }
+    }
+  }, { inference: { timeout: 5000 } })
+
+  const res = createResponse()
+  await wrk.handleInferenceRequest(createRequest({ inputData: { x: 1 }, options: { timeout: 2000 } }), res)
+  await wrk.handleInferenceRequest(createRequest({ inputData: { x: 1 } }), createResponse())
+
+  assert.strictEqual(res.statusCode, 200)
+  assert.deepStrictEqual(routed.map(params => params.options.deadline), [now + 2000, now + 5000])
+  assert.ok(routed[0].options.requestId)
+  assert.notStrictEqual(routed[0].options.requestId, routed[1].options.requestId)
+})
+
+test('inferences running out of time are answered with 504', async () => {
+  const { wrk, usage } = createGateway({
+    routeInferenceRequest: async () => { throw new Error('ERR_DEADLINE_EXCEEDED') },
+    routeBatchInferenceRequest: async () => { throw new Error('ERR_INFERENCE_TIMEOUT') },
+    startInferenceStream: async () => { throw new Error('ERR_DEADLINE_EXCEEDED') }
+  })
+
+  const single = createResponse()
+  await wrk.handleInferenceRequest(createRequest({ inputData: { x: 1 } }), single)
+  assert.strictEqual(single.statusCode, 504)
+  assert.deepStrictEqual(single.body, { error: 'Deadline exceeded' })
+
+  const batch = createResponse()
+  await wrk.handleBatchInferenceRequest(createRequest({ inputs: [{ x: 1 }, { x: 2 }] }), batch)
+  assert.strictEqual(batch.statusCode, 504)
+  assert.deepStrictEqual(batch.body, { error: 'Deadline exceeded' })
+
+  const stream = createResponse()
+  await wrk.handleInferenceStream(createRequest({ inputData: { x: 1 } }), stream)
+  assert.strictEqual(stream.statusCode, 504)
+
+  assert.deepStrictEqual(usage.map(event => [event.requests, event.success]), [[undefined, false], [2, false]])
+})
+
+test('other inference failures are answered with 500', async () => {
+  const { wrk } = createGateway({
+    routeInferenceRequest: async () => { throw new Error('ERR_NO_WORKERS_AVAILABLE') }
+  })
+
+  const res = createResponse()
+  await wrk.handleInferenceRequest(createRequest({ inputData: { x: 1 } }), res)
+
+  assert.strictEqual(res.statusCode, 500)
+  assert.deepStrictEqual(res.body, { error: 'ERR_NO_WORKERS_AVAILABLE' })
+})
+
+test('requests are cancelled on the workers when the client goes away', async () => {
+  const pending = deferred()
+  const cancelled = []
+  const { wrk } = createGateway({
+    routeInferenceRequest: () => pending.promise,
+    cancelInference: async (params) => { cancelled.push(params) }
+  })
+
+  const res = createResponse()
+  const handled = wrk.handleInferenceRequest(createRequest({ inputData: { x: 1 } }), res)
+  await new Promise(resolve => setImmediate(resolve))
+
+  res.emit('close')
+  pending.resolve({ result: {}, workerId: 'w1' })
+  await handled
+
+  assert.strictEqual(cancelled.length, 1)
+  assert.ok(cancelled[0].requestId)
+})
+
+test('streams relay partial results from long polls until the result', async () => {
+  const polls = []
+  const replies = [
+    { partials: ['a', 'b'], done: false },
+    { partials: [], done: false },
+    { partials: ['c'], done: true, result: { output: 'abc', processingTime: 7 } }
+  ]
+
+  const { wrk, usage } = createGateway({
+    startInferenceStream: async () => ({ streamId: 's1', workerId: 'w1' }),
+    pollInferenceStream: async (params) => {
+      polls.push(params)
+      return replies.shift()
+    }
+  }, { streaming: { pollWait: 500 } })
+
+  const res = createResponse()
+  await wrk.handleInferenceStream(createRequest({ inputData: { x: 1 } }), res)
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/event-stream')
+  assert.deepStrictEqual(polls.map(poll => [poll.streamId, poll.cursor, poll.wait]), [['s1', 0, 500], ['s1', 2, 500], ['s1', 2, 500]])
+
+  const events = parseEvents(res)
+  assert.deepStrictEqual(events.map(e => e.event), ['partial', 'partial', 'partial', 'result'])
+  assert.deepStrictEqual(events.slice(0, 3).map(e => [e.data.index, e.data.partial]), [[0, 'a'], [1, 'b'], [2, 'c']])
+  assert.deepStrictEqual(events[3].data.result, { output: 'abc', processingTime: 7 })
+  assert.strictEqual(usage[0].processingTime, 7)
+  assert.strictEqual(res.writableFinished, true)
+})
+
+test('streams report failed inferences as an error event', async () => {
+  const { wrk, usage } = createGateway({
+    startInferenceStream: async () => ({ streamId: 's1', workerId: 'w1' }),
+    pollInferenceStream: async () => ({ partials: [], done: true, error: 'ERR_DEADLINE_EXCEEDED' })
+  })
+
+  const res = createResponse()
+  await wrk.handleInferenceStream(createRequest({ inputData: { x: 1 } }), res)
+
+  assert.deepStrictEqual(parseEvents(res), [{ event: 'error', data: { error: 'Deadline exceeded' } }])
+  assert.strictEqual(usage[0].success, false)
+})
+
+test('streams are cancelled when the client goes away', async () => {
+  const poll = deferred()
+  const polls = []
+  const cancelled = []
+
+  const { wrk, usage } = createGateway({
+    startInferenceStream: async () => ({ streamId: 's1', workerId: 'w1' }),
+    pollInferenceStream: (params) => {
+      polls.push(params)
+      return poll.promise
+    },
+    cancelInferenceStream: async (params) => { cancelled.push(params) }
+  })
+
+  const res = createResponse()
+  const handled = wrk.handleInferenceStream(createRequest({ inputData: { x: 1 } }), res)
+  await new Promise(resolve => setImmediate(resolve))
+
+  res.emit('close')
+  assert.deepStrictEqual(cancelled, [{ streamId: 's1' }])
+
+  poll.resolve({ partials: ['a'], done: false })
+  await handled
+
+  assert.strictEqual(polls.length, 1)
+  assert.deepStrictEqual(res.chunks, [])
+  assert.deepStrictEqual(usage, [])
+})
+
+test('inferences meter the processing time reported by the orchestrator', async () => {
+  const { wrk, usage } = createGateway({
+    routeInferenceRequest: async () => ({
+      success: true,
+      result: { success: true, result: { output: [1], processingTime: 42 } },
+      processingTime: 42,
+      workerId: 'w1'
+    })
+  })
+
+  await wrk.handleInferenceRequest(createRequest({ inputData: { x: 1 } }), createResponse())
+
+  assert.strictEqual(usage.length, 1)
+  assert.strictEqual(usage[0].processingTime, 42)
+  assert.strictEqual(usage[0].success, true)
+})
@@ -0,0 +1,85 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const AuthManager = require('../workers/lib/auth-manager')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+test('a scope covers itself and the scopes below it', () => {
+  const auth = new AuthManager({}, logger)
+
+  assert.strictEqual(auth.scopeMatches('inference', 'inference'), true)
+  assert.strictEqual(auth.scopeMatches('inference', 'inference:image-classifier-v1'), true)
+  assert.strictEqual(auth.scopeMatches('models', 'models:write'), true)
+  assert.strictEqual(auth.scopeMatches('inference:image-classifier-v1', 'inference'), false)
+  assert.strictEqual(auth.scopeMatches('inference:image-classifier-v1', 'inference:text-v1'), false)
+})
+
+test('scopes only match on segment boundaries', () => {
+  const auth = new AuthManager({}, logger)
+
+  assert.strictEqual(auth.scopeMatches('model', 'models:read'), false)
+  assert.strictEqual(auth.scopeMatches('inference:image', 'inference:image-classifier-v1'), false)
+  assert.strictEqual(auth.scopeMatches('models:*', 'modelsx:read'), false)
+})
+
+test('wildcards match any scope or any suffix', () => {
+  const auth = new AuthManager({}, logger)
+
+  assert.strictEqual(auth.scopeMatches('*', 'keys:write'), true)
+  assert.strictEqual(auth.scopeMatches('models:*', 'models:read'), true)
+  assert.strictEqual(auth.scopeMatches('models:*', 'models:versions:read'), true)
+  assert.strictEqual(auth.scopeMatches('models:*', 'models'), false)
+})
+
+test('authorization checks every granted scope and is skipped without authentication', () => {
+  const auth = new AuthManager({ authentication: { enabled: true } }, logger)
+  const user = { name: 'client', permissions: ['usage:read', 'inference:text-v1'] }
+
+  assert.strictEqual(auth.authorize(user, 'inference:text-v1'), true)
+  assert.strictEqual(auth.authorize(user, 'inference:image-v1'), false)
+  assert.strictEqual(auth.authorize(undefined, 'usage:read'), false)
+  assert.strictEqual(auth.authorize({ name: 'none' }, 'usage:read'), false)
+
+  const disabled = new AuthManager({ authentication: { enabled: false } }, logger)
+  assert.strictEqual(disabled.authorize(undefined, 'keys:write'), true)
+})
+
+test('without configured keys an admin key is generated and authenticates', async () => {
+  const warnings = []
+  const auth = new AuthManager({ authentication: { enabled: true } }, { ...logger, warn: m => warnings.push(m) })
+  await auth.initialize()
+
+  const apiKey = warnings[0].match(/: ([0-9a-f]{64}) /)[1]
+  const req = { headers: { authorization: `Bearer ${apiKey}` } }
+
+  assert.strictEqual(auth.apiKeys.size, 1)
+  assert.strictEqual(await auth.authenticate(req), true)
+  assert.deepStrictEqual(req.user.permissions, ['*'])
+  assert.strictEqual(await auth.authenticate({ headers: { 'x-api-key': 'unknown' } }), false)
+})
+
+test('rotated keys stay valid for the overlap and keep their client', async (t) => {
+  let now = 1000000
+  t.mock.method(Date, 'now', () => now)
+  const auth = new AuthManager({
+    authentication: {
+      enabled: true,
+      bootstrapKeys: [{ apiKey: 'old-key', name: 'client', permissions: ['inference'] }]
+    }
+  }, logger)
+  await auth.initialize()
+
+  const [oldKey] = await auth.listApiKeys()
+  const rotated = await auth.rotateApiKey(oldKey.keyId, { overlap: 1000 })
+
+  assert.strictEqual(rotated.keyInfo.clientId, oldKey.clientId)
+  assert.strictEqual(rotated.keyInfo.rotatedFrom, oldKey.keyId)
+  assert.strictEqual(await auth.authenticate({ headers: { 'x-api-key': 'old-key' } }), true)
+  assert.strictEqual(await auth.authenticate({ headers: { 'x-api-key': rotated.apiKey } }), true)
+
+  now += 1000
+  assert.strictEqual(await auth.authenticate({ headers: { 'x-api-key': 'old-key' } }), false)
+  assert.strictEqual(await auth.authenticate({ headers: { 'x-api-key': rotated.apiKey } }), true)
+})
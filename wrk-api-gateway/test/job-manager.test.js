@@ -0,0 +1,201 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const crypto = require('crypto')
+const JobManager = require('../workers/lib/job-manager')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+/**
+ * Create an in-memory stand-in for the Hyperbee the job manager persists to
+ * @param {Array<Object>} jobs - Jobs stored before the manager starts
+ * @returns {Object} Bee with the subset of the Hyperbee API used by jobs
+ */
+function createBee (jobs = []) {
+  const entries = new Map(jobs.map(job => [job.id, job]))
+
+  return {
+    entries,
+    ready: async () => {},
+    get: async (key) => entries.has(key) ? { key, value: structuredClone(entries.get(key)) } : null,
+    put: async (key, value) => { entries.set(key, structuredClone(value)) },
+    del: async (key) => { entries.delete(key) },
+    createReadStream: async function * () {
+      for (const [key, value] of entries) {
+        yield { key, value: structuredClone(value) }
+      }
+    }
+  }
+}
+
+/**
+ * Create an initialized job manager
+ * @param {Object} opts - Options
+ * @param {Object} opts.conf - Configuration object
+ * @param {Function} opts.route - Fake `routeInferenceRequest`
+ * @param {Function} opts.post - Fake HTTP `post`
+ * @param {Array<Object>} opts.jobs - Jobs stored before the manager starts
+ * @returns {Promise<Object>} Manager, its bee, and the recorded usage and callbacks
+ */
+async function createManager ({ conf = {}, route, post, jobs } = {}) {
+  const bee = createBee(jobs)
+  const usage = []
+  const callbacks = []
+  const manager = new JobManager(conf, logger)
+
+  await manager.initialize(
+    { getBee: async () => bee },
+    { routeInferenceRequest: route || (async () => ({ result: {}, workerId: 'w1' })) },
+    { post: post || (async (url, opts) => { callbacks.push({ url, ...opts }) }) },
+    { record: async (event) => { usage.push(event) } }
+  )
+
+  return { manager, bee, usage, callbacks }
+}
+
+/**
+ * Wait until every queued job has run
+ * @param {Object} manager - Job manager
+ * @returns {Promise<void>}
+ */
+async function settle (manager) {
+  if (!manager.queue.idle()) {
+    await manager.queue.drain()
+  }
+}
+
+test('finished jobs meter the processing time reported by the orchestrator', async () => {
+  const { manager, usage } = await createManager({
+    route: async () => ({
+      success: true,
+      result: { success: true, result: { output: [1], processingTime: 42 } },
+      processingTime: 42,
+      workerId: 'w1'
+    })
+  })
+
+  const job = await manager.createJob({ modelId: 'm', inputData: { x: 1 }, owner: 'client-1' })
+  await settle(manager)
+
+  assert.strictEqual(usage.length, 1)
+  assert.strictEqual(usage[0].clientId, 'client-1')
+  assert.strictEqual(usage[0].processingTime, 42)
+  assert.strictEqual(usage[0].success, true)
+  assert.strictEqual((await manager.getJob(job.id)).status, 'completed')
+})
+
+test('failed jobs record the error and are metered as failures', async () => {
+  const { manager, usage } = await createManager({
+    route: async () => { throw new Error('ERR_NO_WORKERS_AVAILABLE') }
+  })
+
+  const job = await manager.createJob({ modelId: 'm', inputData: {}, owner: 'client-1' })
+  await settle(manager)
+
+  const failed = await manager.getJob(job.id)
+  assert.strictEqual(failed.status, 'failed')
+  assert.strictEqual(failed.error, 'ERR_NO_WORKERS_AVAILABLE')
+  assert.ok(failed.completedAt >= failed.startedAt)
+  assert.strictEqual(usage[0].success, false)
+})
+
+test('jobs run with a deadline counted from their start', async (t) => {
+  const now = 1000000
+  t.mock.method(Date, 'now', () => now)
+
+  const requests = []
+  const { manager } = await createManager({
+    conf: { jobs: { timeout: 5000 } },
+    route: async (params) => {
+      requests.push(params)
+      return { result: { output: [] }, workerId: 'w1' }
+    }
+  })
+
+  const job = await manager.createJob({ modelId: 'm', inputData: {}, options: { priority: 'high' } })
+  await settle(manager)
+
+  assert.deepStrictEqual(requests[0].options, {
+    priority: 'high',
+    timeout: 5000,
+    requestId: job.id,
+    deadline: now + 5000
+  })
+})
+
+test('callbacks are signed with the webhook secret', async () => {
+  const { manager, callbacks } = await createManager({ conf: { jobs: { webhookSecret: 'secret' } } })
+
+  const job = await manager.createJob({ modelId: 'm', inputData: {}, callbackUrl: 'https://example.com/hook' })
+  await settle(manager)
+
+  assert.strictEqual(callbacks.length, 1)
+  assert.strictEqual(callbacks[0].url, 'https://example.com/hook')
+
+  const body = JSON.parse(callbacks[0].body)
+  assert.strictEqual(body.jobId, job.id)
+  assert.strictEqual(body.status, 'completed')
+  assert.strictEqual(body.inputData, undefined)
+
+  const signature = crypto.createHmac('sha256', 'secret').update(callbacks[0].body).digest('hex')
+  assert.strictEqual(callbacks[0].headers['X-Webhook-Signature'], signature)
+  assert.strictEqual((await manager.getJob(job.id)).callback.status, 'delivered')
+})
+
+test('failed callbacks are retried with backoff', async (t) => {
+  const delays = []
+  t.mock.method(global, 'setTimeout', (fn, ms) => {
+    delays.push(ms)
+    fn()
+  })
+
+  let attempts = 0
+  const { manager, bee } = await createManager({
+    conf: { jobs: { webhookRetries: 3 } },
+    post: async () => {
+      if (++attempts < 3) {
+        throw new Error('ECONNREFUSED')
+      }
+    }
+  })
+
+  const job = { id: 'j1', status: 'completed', callbackUrl: 'https://example.com/hook', callback: { status: 'pending', attempts: 0, lastError: null } }
+  await manager.notifyCallback(job)
+
+  assert.deepStrictEqual(delays, [1000, 2000])
+  assert.deepStrictEqual(bee.entries.get('j1').callback, { status: 'delivered', attempts: 3, lastError: null })
+})
+
+test('callbacks failing every attempt keep the last error', async (t) => {
+  t.mock.method(global, 'setTimeout', (fn) => fn())
+
+  const { manager, bee } = await createManager({
+    conf: { jobs: { webhookRetries: 2 } },
+    post: async () => { throw new Error('ECONNREFUSED') }
+  })
+
+  const job = { id: 'j1', status: 'completed', callbackUrl: 'https://example.com/hook', callback: { status: 'pending', attempts: 0, lastError: null } }
+  await manager.notifyCallback(job)
+
+  assert.deepStrictEqual(bee.entries.get('j1').callback, { status: 'failed', attempts: 2, lastError: 'ECONNREFUSED' })
+})
+
+test('queued and running jobs are resumed after a restart', async () => {
+  const stored = (id, status) => ({ id, status, modelId: 'm', inputData: {}, options: {}, callbackUrl: null, owner: null })
+  const routed = []
+
+  const { manager, bee } = await createManager({
+    jobs: [stored('queued', 'queued'), stored('running', 'running'), stored('done', 'completed')],
+    route: async (params) => {
+      routed.push(params.options.requestId)
+      return { result: { output: [] }, workerId: 'w1' }
+    }
+  })
+  await settle(manager)
+
+  assert.deepStrictEqual(routed.sort(), ['queued', 'running'])
+  assert.strictEqual(bee.entries.get('queued').status, 'completed')
+  assert.strictEqual(bee.entries.get('running').status, 'completed')
+  assert.strictEqual(bee.entries.get('done').startedAt, undefined)
+})
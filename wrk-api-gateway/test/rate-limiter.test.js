@@ -0,0 +1,174 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const RateLimiter = require('../workers/lib/rate-limiter')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+const key = n => Buffer.alloc(32, n).toString('hex')
+
+/**
+ * Create a rate limiter running on the gateway with the given key
+ * @param {Object} rateLimit - `rateLimit` configuration
+ * @param {string} selfKey - Hex encoded RPC public key of the gateway
+ * @param {Function} jRequest - Peer request handler
+ * @returns {Promise<RateLimiter>} Initialized rate limiter
+ */
+async function createLimiter (rateLimit, selfKey = key(1), jRequest) {
+  const limiter = new RateLimiter({ rateLimit }, logger)
+  await limiter.initialize({
+    rpcServer: { publicKey: Buffer.from(selfKey, 'hex') },
+    jRequest: jRequest || (async () => { throw new Error('ERR_UNEXPECTED_PEER_REQUEST') })
+  })
+  return limiter
+}
+
+test('token bucket allows up to its capacity and refills over time', async (t) => {
+  let now = 1000000
+  t.mock.method(Date, 'now', () => now)
+  const limiter = await createLimiter({ capacity: 3, refillRate: 1 })
+
+  for (let i = 0; i < 3; i++) {
+    const decision = await limiter.consume({ clientId: 'client' })
+    assert.strictEqual(decision.allowed, true)
+    assert.strictEqual(decision.remaining, 2 - i)
+  }
+
+  const rejected = await limiter.consume({ clientId: 'client' })
+  assert.strictEqual(rejected.allowed, false)
+  assert.strictEqual(rejected.limit, 3)
+  assert.strictEqual(rejected.retryAfter, 1)
+  assert.strictEqual(rejected.reset, 3)
+
+  now += 1000
+  assert.strictEqual((await limiter.consume({ clientId: 'client' })).allowed, true)
+  assert.strictEqual((await limiter.consume({ clientId: 'client' })).allowed, false)
+})
+
+test('buckets are kept per client', async (t) => {
+  t.mock.method(Date, 'now', () => 1000000)
+  const limiter = await createLimiter({ capacity: 1, refillRate: 1 })
+
+  assert.strictEqual((await limiter.consume({ clientId: 'a' })).allowed, true)
+  assert.strictEqual((await limiter.consume({ clientId: 'a' })).allowed, false)
+  assert.strictEqual((await limiter.consume({ clientId: 'b' })).allowed, true)
+})
+
+test('model bucket rejects without using up the key bucket', async (t) => {
+  t.mock.method(Date, 'now', () => 1000000)
+  const limiter = await createLimiter({
+    capacity: 10,
+    refillRate: 1,
+    models: { small: { capacity: 1, refillRate: 0.1 } }
+  })
+
+  assert.strictEqual((await limiter.consume({ clientId: 'c', modelId: 'small' })).allowed, true)
+
+  const rejected = await limiter.consume({ clientId: 'c', modelId: 'small' })
+  assert.strictEqual(rejected.allowed, false)
+  assert.strictEqual(rejected.limit, 1)
+  assert.strictEqual(rejected.retryAfter, 10)
+
+  const other = await limiter.consume({ clientId: 'c', modelId: 'other' })
+  assert.strictEqual(other.allowed, true)
+  assert.strictEqual(other.remaining, 8)
+})
+
+test('a request costing more than the capacity passes on a full bucket and leaves it in debt', async (t) => {
+  let now = 1000000
+  t.mock.method(Date, 'now', () => now)
+  const limiter = await createLimiter({ capacity: 4, refillRate: 2 })
+
+  const decision = await limiter.consume({ clientId: 'c', cost: 6 })
+  assert.strictEqual(decision.allowed, true)
+  assert.strictEqual(decision.remaining, 0)
+  assert.strictEqual(decision.reset, 3)
+
+  now += 1000
+  assert.strictEqual((await limiter.consume({ clientId: 'c' })).allowed, false)
+
+  now += 500
+  assert.strictEqual((await limiter.consume({ clientId: 'c' })).allowed, true)
+})
+
+test('legacy maxRequests and windowMs limits are converted to a refill rate', () => {
+  const limiter = new RateLimiter({}, logger)
+
+  assert.deepStrictEqual(limiter.parseLimit({ maxRequests: 60, windowMs: 30000 }), { capacity: 60, refillRate: 2 })
+  assert.deepStrictEqual(limiter.parseLimit(), { capacity: 100, refillRate: 100 / 60 })
+})
+
+test('cleanup drops buckets that have refilled completely', async (t) => {
+  let now = 1000000
+  t.mock.method(Date, 'now', () => now)
+  const limiter = await createLimiter({ capacity: 2, refillRate: 1 })
+
+  await limiter.consume({ clientId: 'c' })
+  assert.strictEqual(limiter.cleanup(), 0)
+
+  now += 1000
+  assert.strictEqual(limiter.cleanup(), 1)
+  assert.strictEqual(limiter.getStats().buckets, 0)
+})
+
+test('rendezvous ownership is the same on every gateway and spreads clients', async () => {
+  const keys = [key(1), key(2), key(3)]
+  const limiters = await Promise.all(keys.map(self => createLimiter({ peers: keys }, self)))
+  const owners = new Set()
+
+  for (let i = 0; i < 50; i++) {
+    const clientId = `client-${i}`
+    const owner = limiters[0].getOwner(clientId)
+
+    assert.ok(keys.includes(owner))
+    for (const limiter of limiters) {
+      assert.strictEqual(limiter.getOwner(clientId), owner)
+    }
+    owners.add(owner)
+  }
+
+  assert.strictEqual(owners.size, keys.length)
+})
+
+test('removing a gateway only moves the clients it owned', async () => {
+  const keys = [key(1), key(2), key(3)]
+  const all = await createLimiter({ peers: keys }, key(1))
+  const reduced = await createLimiter({ peers: [key(1), key(2)] }, key(1))
+
+  for (let i = 0; i < 50; i++) {
+    const owner = all.getOwner(`client-${i}`)
+    if (owner !== key(3)) {
+      assert.strictEqual(reduced.getOwner(`client-${i}`), owner)
+    }
+  }
+})
+
+test('buckets of a client owned by a peer are consumed on the peer', async () => {
+  const calls = []
+  const limiter = await createLimiter({ peers: [key(2)], capacity: 5 }, key(1), async (owner, method, payload) => {
+    calls.push({ owner, method, payload })
+    return { allowed: false, limit: 5, remaining: 0, reset: 1, retryAfter: 1 }
+  })
+
+  const clientId = [...Array(50).keys()].map(i => `client-${i}`).find(id => limiter.getOwner(id) === key(2))
+  const decision = await limiter.consume({ clientId, cost: 2 })
+
+  assert.strictEqual(decision.allowed, false)
+  assert.strictEqual(calls.length, 1)
+  assert.strictEqual(calls[0].owner, key(2))
+  assert.strictEqual(calls[0].method, 'consumeRateLimit')
+  assert.strictEqual(calls[0].payload.cost, 2)
+  assert.strictEqual(calls[0].payload.buckets[0].name, `key:${clientId}`)
+})
+
+test('buckets are consumed locally when the owner is unreachable', async () => {
+  const limiter = await createLimiter({ peers: [key(2)], capacity: 1 }, key(1), async () => {
+    throw new Error('ERR_REQUEST_TIMEOUT')
+  })
+
+  const clientId = [...Array(50).keys()].map(i => `client-${i}`).find(id => limiter.getOwner(id) === key(2))
+
+  assert.strictEqual((await limiter.consume({ clientId })).allowed, true)
+  assert.strictEqual((await limiter.consume({ clientId })).allowed, false)
+})
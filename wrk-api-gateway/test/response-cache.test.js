@@ -0,0 +1,123 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const ResponseCache = require('../workers/lib/response-cache')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+/**
+ * Create a response cache backed by an in-memory LRU
+ * @param {Object} metadata - Model metadata returned by the orchestrator
+ * @param {Object} cache - `cache` configuration
+ * @returns {Promise<Object>} Cache and the number of metadata lookups
+ */
+async function createCache (metadata, cache = {}) {
+  const lookups = { count: 0 }
+  const responseCache = new ResponseCache({ cache: { enabled: true, ...cache } }, logger)
+
+  await responseCache.initialize({ cache: new Map() }, {
+    getModelMetadata: async () => {
+      lookups.count++
+      return { metadata }
+    }
+  })
+
+  return { responseCache, lookups }
+}
+
+test('canonical form ignores object key order', () => {
+  const cache = new ResponseCache({}, logger)
+
+  assert.strictEqual(
+    cache.canonicalize({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: 'x' } }),
+    cache.canonicalize({ a: { c: 'x', d: [1, { x: 1, y: 2 }] }, b: 1 })
+  )
+  assert.strictEqual(cache.canonicalize({ b: 1, a: [2, 1] }), '{"a":[2,1],"b":1}')
+})
+
+test('canonical form keeps array order and matches JSON for undefined values', () => {
+  const cache = new ResponseCache({}, logger)
+
+  assert.notStrictEqual(cache.canonicalize([1, 2]), cache.canonicalize([2, 1]))
+  assert.strictEqual(cache.canonicalize({ a: undefined, b: null }), '{"b":null}')
+  assert.strictEqual(cache.canonicalize([undefined, 'x']), JSON.stringify([undefined, 'x']))
+  assert.strictEqual(cache.canonicalize(undefined), 'null')
+  assert.strictEqual(cache.canonicalize('a"b'), '"a\\"b"')
+})
+
+test('keys differ by input, model version, checksum and generation', () => {
+  const cache = new ResponseCache({}, logger)
+  const model = { modelId: 'm', version: '1.0.0', checksum: 'abc' }
+  const key = cache.buildKey(model, { text: 'hi' })
+
+  assert.strictEqual(cache.buildKey(model, { text: 'hi' }), key)
+  assert.notStrictEqual(cache.buildKey(model, { text: 'ho' }), key)
+  assert.notStrictEqual(cache.buildKey({ ...model, version: '1.0.1' }, { text: 'hi' }), key)
+  assert.notStrictEqual(cache.buildKey({ ...model, checksum: 'abd' }, { text: 'hi' }), key)
+
+  cache.invalidateModel('m')
+  assert.notStrictEqual(cache.buildKey(model, { text: 'hi' }), key)
+})
+
+test('results of deterministic models are served until they expire', async (t) => {
+  let now = 1000000
+  t.mock.method(Date, 'now', () => now)
+  const { responseCache } = await createCache({ version: '1', checksum: 'c', deterministic: true }, { ttl: 1000 })
+
+  const miss = await responseCache.lookup('m', { a: 1, b: 2 })
+  assert.strictEqual(miss.hit, false)
+  responseCache.store(miss.key, { result: 42 })
+
+  const hit = await responseCache.lookup('m', { b: 2, a: 1 })
+  assert.strictEqual(hit.hit, true)
+  assert.deepStrictEqual(hit.value, { result: 42 })
+
+  now += 1000
+  assert.strictEqual((await responseCache.lookup('m', { a: 1, b: 2 })).hit, false)
+  assert.deepStrictEqual(responseCache.getStats(), { hits: 1, misses: 2, bypassed: 0, models: 1 })
+})
+
+test('ttl requested by the client is capped at maxTtl', async (t) => {
+  const now = 1000000
+  t.mock.method(Date, 'now', () => now)
+  const { responseCache } = await createCache({ deterministic: true }, { maxTtl: 5000 })
+
+  responseCache.store('key', { result: 1 }, 60000)
+  assert.strictEqual(responseCache.lru.cache.get('key').expiresAt, now + 5000)
+})
+
+test('requests are not cached for non-deterministic models, bypass or a disabled cache', async () => {
+  const { responseCache } = await createCache({ deterministic: false })
+  assert.strictEqual(await responseCache.lookup('m', {}), null)
+
+  const deterministic = await createCache({ deterministic: true })
+  assert.strictEqual(await deterministic.responseCache.lookup('m', {}, { bypass: true }), null)
+  assert.strictEqual(deterministic.responseCache.getStats().bypassed, 1)
+
+  const disabled = await createCache({ deterministic: true }, { enabled: false })
+  assert.strictEqual(await disabled.responseCache.lookup('m', {}), null)
+})
+
+test('model metadata is cached and dropped when the model changes', async () => {
+  const { responseCache, lookups } = await createCache({ version: '1', checksum: 'c', deterministic: true })
+
+  const first = await responseCache.lookup('m', { a: 1 })
+  responseCache.store(first.key, { result: 1 })
+  await responseCache.lookup('m', { a: 1 })
+  assert.strictEqual(lookups.count, 1)
+
+  responseCache.invalidateModel('m')
+
+  assert.strictEqual((await responseCache.lookup('m', { a: 1 })).hit, false)
+  assert.strictEqual(lookups.count, 2)
+})
+
+test('requests are not cached when the model cannot be resolved', async () => {
+  const responseCache = new ResponseCache({ cache: { enabled: true } }, logger)
+  await responseCache.initialize({ cache: new Map() }, {
+    getModelMetadata: async () => { throw new Error('ERR_MODEL_NOT_FOUND') }
+  })
+
+  assert.strictEqual(await responseCache.lookup('m', {}), null)
+})
@@ -0,0 +1,203 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const UsageMeter = require('../workers/lib/usage-meter')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+/**
+ * Minimal in-memory Hyperbee
+ */
+class MemoryBee {
+  constructor (entries, events) {
+    this.entries = entries
+    this.events = events
+    this.core = { get length () { return entries.size } }
+    this.discoveryKey = Buffer.alloc(32)
+  }
+
+  async ready () {}
+
+  async close () {
+    this.events.push('close')
+  }
+
+  async put (key, value) {
+    this.entries.set(key, JSON.parse(JSON.stringify(value)))
+  }
+
+  async get (key) {
+    return this.entries.has(key) ? { key, value: JSON.parse(JSON.stringify(this.entries.get(key))) } : null
+  }
+
+  async * createReadStream (range = {}) {
+    const keys = [...this.entries.keys()].sort().filter(key =>
+      (range.gte === undefined || key >= range.gte) && (range.lte === undefined || key <= range.lte)
+    )
+
+    for (const key of keys) {
+      yield { key, value: this.entries.get(key) }
+    }
+  }
+}
+
+/**
+ * Create an in-memory store facility recording which bees are opened
+ * @returns {Object} Store with `opened` bee names
+ */
+function createStore () {
+  const bees = new Map()
+  const store = {
+    opened: [],
+    events: [],
+    async getBee ({ name }) {
+      store.opened.push(name)
+      if (!bees.has(name)) {
+        bees.set(name, new Map())
+      }
+      return new MemoryBee(bees.get(name), store.events)
+    }
+  }
+
+  return store
+}
+
+/**
+ * Create a usage meter owning every client unless another owner is given
+ * @param {Object} usage - `usage` configuration
+ * @param {Object} opts - Owner and peer request handler
+ * @returns {Promise<Object>} Usage meter and its store
+ */
+async function createMeter (usage = {}, opts = {}) {
+  const store = createStore()
+  const meter = new UsageMeter({ usage }, logger)
+  const rateLimiter = { selfKey: 'self', getOwner: () => opts.owner || 'self' }
+
+  await meter.initialize(store, { jRequest: opts.jRequest }, rateLimiter)
+
+  return { meter, store }
+}
+
+test('records are added to daily and monthly rollups per model', async () => {
+  const { meter } = await createMeter()
+
+  await meter.record({ clientId: 'c', modelId: 'a', inputBytes: 10, outputBytes: 5, processingTime: 7 })
+  await meter.record({ clientId: 'c', modelId: 'b', requests: 4, inputBytes: 20 })
+  await meter.record({ clientId: 'c', modelId: 'a', success: false })
+  await meter.record({ clientId: 'other', modelId: 'a' })
+
+  const month = await meter.getMonthlyUsage({ clientId: 'c' })
+  assert.strictEqual(month.requests, 6)
+  assert.strictEqual(month.errors, 1)
+  assert.strictEqual(month.inputBytes, 30)
+  assert.strictEqual(month.outputBytes, 5)
+  assert.strictEqual(month.processingTime, 7)
+  assert.strictEqual(month.models.a.requests, 2)
+  assert.strictEqual(month.models.b.requests, 4)
+
+  const usage = await meter.getUsage({ clientId: 'c' })
+  const today = new Date().toISOString()
+  assert.strictEqual(usage.daily.length, 1)
+  assert.strictEqual(usage.daily[0].period, today.slice(0, 10))
+  assert.strictEqual(usage.daily[0].requests, 6)
+  assert.strictEqual(usage.monthly.length, 1)
+  assert.strictEqual(usage.monthly[0].period, today.slice(0, 7))
+})
+
+test('concurrent records of a client are all counted', async () => {
+  const { meter } = await createMeter()
+
+  await Promise.all(Array.from({ length: 20 }, () => meter.record({ clientId: 'c', modelId: 'a' })))
+
+  const month = await meter.getMonthlyUsage({ clientId: 'c' })
+  assert.strictEqual(month.requests, 20)
+  assert.strictEqual(month.models.a.requests, 20)
+})
+
+test('rollups outside the requested range are not returned', async () => {
+  const { meter } = await createMeter()
+  await meter.record({ clientId: 'c', modelId: 'a' })
+
+  const usage = await meter.readUsage({ clientId: 'c', start: Date.UTC(2000, 0, 1), end: Date.UTC(2000, 11, 31) })
+  assert.deepStrictEqual(usage.daily, [])
+  assert.deepStrictEqual(usage.monthly, [])
+})
+
+test('quota is checked against the monthly rollup', async () => {
+  const { meter } = await createMeter()
+
+  assert.strictEqual((await meter.checkQuota({ clientId: 'c', quota: null })).allowed, true)
+
+  await meter.record({ clientId: 'c', modelId: 'a', inputBytes: 100 })
+  await meter.record({ clientId: 'c', modelId: 'a', inputBytes: 100 })
+
+  const allowed = await meter.checkQuota({ clientId: 'c', quota: { requests: 3 } })
+  assert.strictEqual(allowed.allowed, true)
+  assert.strictEqual(allowed.exceeded, null)
+
+  const exceeded = await meter.checkQuota({ clientId: 'c', quota: { requests: 3, inputBytes: 200 } })
+  assert.strictEqual(exceeded.allowed, false)
+  assert.strictEqual(exceeded.exceeded, 'inputBytes')
+  assert.strictEqual(exceeded.usage.requests, 2)
+})
+
+test('batches count towards the request quota with their size', async () => {
+  const { meter } = await createMeter()
+
+  for (let i = 0; i < 8; i++) {
+    await meter.record({ clientId: 'c', modelId: 'a' })
+  }
+
+  assert.strictEqual((await meter.checkQuota({ clientId: 'c', quota: { requests: 10 } })).allowed, true)
+  assert.strictEqual((await meter.checkQuota({ clientId: 'c', quota: { requests: 10 }, requests: 2 })).allowed, true)
+
+  const batch = await meter.checkQuota({ clientId: 'c', quota: { requests: 10 }, requests: 3 })
+  assert.strictEqual(batch.allowed, false)
+  assert.strictEqual(batch.exceeded, 'requests')
+})
+
+test('time logs stay open until they are rotated', async () => {
+  const { meter, store } = await createMeter({ logRotateMaxLength: 2 })
+  const timeLogs = () => store.opened.filter(name => name.startsWith('usage-c-'))
+
+  for (let i = 0; i < 3; i++) {
+    await meter.record({ clientId: 'c', modelId: 'a' })
+  }
+  assert.deepStrictEqual(timeLogs(), ['usage-c-5-0'])
+  assert.deepStrictEqual(store.events, [])
+
+  const rotated = await meter.rotateLogs()
+  assert.deepStrictEqual(rotated.map(([logKey]) => logKey), ['usage-c'])
+
+  await meter.record({ clientId: 'c', modelId: 'a' })
+  assert.strictEqual(timeLogs().at(-1), 'usage-c-5-1')
+  assert.strictEqual((await meter.getMonthlyUsage({ clientId: 'c' })).requests, 4)
+})
+
+test('usage of a client owned by a peer is recorded on the peer', async () => {
+  const calls = []
+  const { meter } = await createMeter({}, {
+    owner: 'peer',
+    jRequest: async (owner, method, payload) => {
+      calls.push({ owner, method, payload })
+      return { requests: 5 }
+    }
+  })
+
+  await meter.record({ clientId: 'c', modelId: 'a' })
+  const quota = await meter.checkQuota({ clientId: 'c', quota: { requests: 5 } })
+
+  assert.deepStrictEqual(calls.map(call => [call.owner, call.method]), [['peer', 'recordUsage'], ['peer', 'getMonthlyUsage']])
+  assert.strictEqual(quota.allowed, false)
+})
+
+test('usage is recorded locally when the owner is unreachable', async () => {
+  const { meter } = await createMeter({}, {
+    owner: 'peer',
+    jRequest: async () => { throw new Error('ERR_REQUEST_TIMEOUT') }
+  })
+
+  await meter.record({ clientId: 'c', modelId: 'a' })
+  assert.strictEqual((await meter.getUsage({ clientId: 'c' })).monthly[0].requests, 1)
+})
@@ -1,10 +1,46 @@
 'use strict'
 
 const async = require('async')
+const crypto = require('crypto')
 const WrkBase = require('wrk-base/workers/base.wrk')
 const ApiServer = require('./lib/api-server')
 const OrchestratorClient = require('./lib/orchestrator-client')
 const AuthManager = require('./lib/auth-manager')
+const JobManager = require('./lib/job-manager')
+const RateLimiter = require('./lib/rate-limiter')
+const UsageMeter = require('./lib/usage-meter')
+const ResponseCache = require('./lib/response-cache')
+const openapi = require('./lib/openapi')
+const inferenceSchema = require('./lib/schema/inference')
+const jobsSchema = require('./lib/schema/jobs')
+const modelsSchema = require('./lib/schema/models')
+const usageSchema = require('./lib/schema/usage')
+const keysSchema = require('./lib/schema/keys')
+const uploadsSchema = require('./lib/schema/uploads')
+
+const { USAGE_FIELDS } = UsageMeter
+const { PRIORITIES } = AuthManager
+
+/**
+ * HTTP status of model manager errors
+ */
+const MODEL_ERROR_STATUS = {
+  ERR_MODEL_NOT_FOUND: 404,
+  ERR_MODEL_ALREADY_EXISTS: 409,
+  ERR_INVALID_MODEL_DATA: 400,
+  ERR_INVALID_METADATA: 400,
+  ERR_MODEL_TOO_LARGE: 413,
+  ERR_MODEL_MANAGER_NOT_CONFIGURED: 503,
+  ERR_UPLOAD_NOT_FOUND: 404,
+  ERR_UPLOAD_INCOMPLETE: 409,
+  ERR_UPLOAD_IN_PROGRESS: 409,
+  ERR_UPLOAD_SIZE_INVALID: 400,
+  ERR_UPLOAD_CHECKSUM_INVALID: 400,
+  ERR_UPLOAD_CHUNK_INDEX_INVALID: 400,
+  ERR_UPLOAD_CHUNK_SIZE_INVALID: 400,
+  ERR_UPLOAD_CHUNK_CHECKSUM_MISMATCH: 422,
+  ERR_UPLOAD_CHECKSUM_MISMATCH: 422
+}
 
 /**
  * API Gateway Worker class
@@ -26,8 +62,11 @@ class WrkApiGateway extends WrkBase {
     this.apiServer = null
     this.orchestratorClient = null
     this.authManager = null
-    this.requestCache = new Map()
-    this.rateLimiter = new Map()
+    this.jobManager = null
+    this.responseCache = null
+    this.apiRoutes = []
+    this.rateLimiter = null
+    this.usageMeter = null
 
     this.init()
     this.start()
@@ -55,6 +94,10 @@ class WrkApiGateway extends WrkBase {
     this.apiServer = new ApiServer(this.conf, this.logger)
     this.orchestratorClient = new OrchestratorClient(this.conf, this.logger)
     this.authManager = new AuthManager(this.conf, this.logger)
+    this.jobManager = new JobManager(this.conf, this.logger)
+    this.rateLimiter = new RateLimiter(this.conf, this.logger)
+    this.usageMeter = new UsageMeter(this.conf, this.logger)
+    this.responseCache = new ResponseCache(this.conf, this.logger)
   }
 
   /**
@@ -66,19 +109,58 @@ class WrkApiGateway extends WrkBase {
       next => { super._start(next) },
       async () => {
         const httpd = this.httpd_h0
+        const rpcServer = this.net_r0.rpcServer
 
         // Set up routes
         this.setupRoutes(httpd)
 
+        // Register RPC endpoints used by gateway peers and the orchestrator,
+        // callers are identified by their RPC client key
+        const gatewayPeers = this.conf.rateLimit?.peerClientKeys || []
+        const orchestrators = this.conf.orchestrator?.rpcClientKeys || []
+
+        rpcServer.respond('consumeRateLimit', async (req, rpc) => {
+          this.assertPeer(rpc, gatewayPeers)
+          return await this.net_r0.handleReply('consumeRateLimit', req)
+        })
+
+        rpcServer.respond('recordUsage', async (req, rpc) => {
+          this.assertPeer(rpc, gatewayPeers)
+          return await this.net_r0.handleReply('recordUsage', req)
+        })
+
+        rpcServer.respond('readUsage', async (req, rpc) => {
+          this.assertPeer(rpc, gatewayPeers)
+          return await this.net_r0.handleReply('readUsage', req)
+        })
+
+        rpcServer.respond('getMonthlyUsage', async (req, rpc) => {
+          this.assertPeer(rpc, gatewayPeers)
+          return await this.net_r0.handleReply('getMonthlyUsage', req)
+        })
+
+        rpcServer.respond('modelUpdated', async (req, rpc) => {
+          this.assertPeer(rpc, orchestrators)
+          return await this.net_r0.handleReply('modelUpdated', req)
+        })
+
         // Initialize components
-        await this.orchestratorClient.initialize()
-        await this.authManager.initialize()
+        await this.orchestratorClient.initialize(this.net_r0)
+        await this.authManager.initialize(this.store_s0)
+        await this.rateLimiter.initialize(this.net_r0)
+        await this.usageMeter.initialize(this.store_s0, this.net_r0, this.rateLimiter)
+        await this.jobManager.initialize(this.store_s0, this.orchestratorClient, this.http_c0, this.usageMeter)
+        await this.responseCache.initialize(this.lru_15m, this.orchestratorClient)
 
         // Start HTTP server
         await httpd.startServer()
 
         // Start background processes
         this.startRateLimitCleanup()
+        this.startJobCleanup()
+        this.startKeyCleanup()
+        this.startUsageLogRotation()
+        this.startModelEventSubscription()
 
         this.logger.info(`API Gateway started on port ${this.conf.port || 3000}`)
       }
@@ -87,6 +169,8 @@ class WrkApiGateway extends WrkBase {
 
   /**
    * Set up HTTP routes
+   * API routes are registered with `addApiRoute`, which declares the scope an
+   * API key needs to call them and the JSON schema requests must match.
    * @param {Object} httpd - HTTP server instance
    */
   setupRoutes (httpd) {
@@ -97,37 +181,293 @@ class WrkApiGateway extends WrkBase {
       handler: this.handleHealthCheck.bind(this)
     })
 
-    // Inference endpoint
+    // OpenAPI document
     httpd.addRoute({
+      method: 'GET',
+      path: '/api/v1/openapi.json',
+      handler: this.handleOpenApiSpec.bind(this)
+    })
+
+    // Inference endpoint
+    this.addApiRoute(httpd, {
       method: 'POST',
       path: '/api/v1/inference/:modelId',
-      handler: this.handleInferenceRequest.bind(this)
+      scope: 'inference:{modelId}',
+      schema: inferenceSchema.runInference,
+      operationId: 'runInference',
+      summary: 'Run an inference',
+      tags: ['inference'],
+      handler: this.handleInferenceRequest
+    })
+
+    // Batch inference endpoint
+    this.addApiRoute(httpd, {
+      method: 'POST',
+      path: '/api/v1/inference/:modelId/batch',
+      scope: 'inference:{modelId}',
+      schema: inferenceSchema.runBatchInference,
+      operationId: 'runBatchInference',
+      summary: 'Run a batch of inferences',
+      tags: ['inference'],
+      handler: this.handleBatchInferenceRequest
+    })
+
+    // Streaming inference endpoint (server-sent events)
+    this.addApiRoute(httpd, {
+      method: 'POST',
+      path: '/api/v1/inference/:modelId/stream',
+      scope: 'inference:{modelId}',
+      schema: inferenceSchema.streamInference,
+      operationId: 'streamInference',
+      summary: 'Run an inference streaming partial results as server-sent events',
+      tags: ['inference'],
+      handler: this.handleInferenceStream
+    })
+
+    // Asynchronous inference jobs
+    this.addApiRoute(httpd, {
+      method: 'POST',
+      path: '/api/v1/jobs',
+      scope: 'inference:{modelId}',
+      schema: jobsSchema.createJob,
+      operationId: 'createJob',
+      summary: 'Queue an asynchronous inference job',
+      tags: ['jobs'],
+      handler: this.handleCreateJob
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'GET',
+      path: '/api/v1/jobs/:jobId',
+      schema: jobsSchema.getJob,
+      operationId: 'getJob',
+      summary: 'Get the status and result of a job',
+      tags: ['jobs'],
+      handler: this.handleGetJob
     })
 
     // Model management endpoints
-    httpd.addRoute({
+    this.addApiRoute(httpd, {
       method: 'GET',
       path: '/api/v1/models',
-      handler: this.handleListModels.bind(this)
+      scope: 'models:read',
+      schema: modelsSchema.listModels,
+      operationId: 'listModels',
+      summary: 'List models',
+      tags: ['models'],
+      handler: this.handleListModels
     })
 
-    httpd.addRoute({
+    this.addApiRoute(httpd, {
       method: 'GET',
       path: '/api/v1/models/:modelId',
-      handler: this.handleGetModel.bind(this)
+      scope: 'models:read:{modelId}',
+      schema: modelsSchema.getModel,
+      operationId: 'getModel',
+      summary: 'Get a model',
+      tags: ['models'],
+      handler: this.handleGetModel
     })
 
-    httpd.addRoute({
+    this.addApiRoute(httpd, {
+      method: 'GET',
+      path: '/api/v1/models/:modelId/versions',
+      scope: 'models:read:{modelId}',
+      schema: modelsSchema.listModelVersions,
+      operationId: 'listModelVersions',
+      summary: 'List the versions of a model',
+      tags: ['models'],
+      handler: this.handleListModelVersions
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'GET',
+      path: '/api/v1/models/:modelId/versions/:version',
+      scope: 'models:read:{modelId}',
+      schema: modelsSchema.getModelVersion,
+      operationId: 'getModelVersion',
+      summary: 'Get a model version',
+      tags: ['models'],
+      handler: this.handleGetModel
+    })
+
+    this.addApiRoute(httpd, {
       method: 'POST',
       path: '/api/v1/models',
-      handler: this.handleCreateModel.bind(this)
+      scope: 'models:write:{modelId}',
+      schema: modelsSchema.createModel,
+      operationId: 'createModel',
+      summary: 'Upload a model',
+      tags: ['models'],
+      handler: this.handleCreateModel
+    })
+
+    // Chunked model uploads
+    this.addApiRoute(httpd, {
+      method: 'POST',
+      path: '/api/v1/models/:modelId/uploads',
+      scope: 'models:write:{modelId}',
+      schema: uploadsSchema.createUpload,
+      operationId: 'createUpload',
+      summary: 'Start a chunked model upload',
+      tags: ['models'],
+      handler: this.handleCreateUpload
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'GET',
+      path: '/api/v1/models/:modelId/uploads/:uploadId',
+      scope: 'models:write:{modelId}',
+      schema: uploadsSchema.getUpload,
+      operationId: 'getUpload',
+      summary: 'Get the received and missing chunks of an upload',
+      tags: ['models'],
+      handler: this.handleGetUpload
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'PUT',
+      path: '/api/v1/models/:modelId/uploads/:uploadId/chunks/:index',
+      scope: 'models:write:{modelId}',
+      schema: uploadsSchema.uploadChunk,
+      // Base64 encoded chunk plus envelope
+      bodyLimit: Math.ceil((this.conf.upload?.maxChunkSize || 16777216) / 3) * 4 + 1024,
+      operationId: 'uploadChunk',
+      summary: 'Upload a chunk',
+      tags: ['models'],
+      handler: this.handleUploadChunk
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'POST',
+      path: '/api/v1/models/:modelId/uploads/:uploadId/complete',
+      scope: 'models:write:{modelId}',
+      schema: uploadsSchema.completeUpload,
+      operationId: 'completeUpload',
+      summary: 'Assemble, verify and store an uploaded model',
+      tags: ['models'],
+      handler: this.handleCompleteUpload
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'DELETE',
+      path: '/api/v1/models/:modelId/uploads/:uploadId',
+      scope: 'models:write:{modelId}',
+      schema: uploadsSchema.abortUpload,
+      operationId: 'abortUpload',
+      summary: 'Abort an upload',
+      tags: ['models'],
+      handler: this.handleAbortUpload
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'PUT',
+      path: '/api/v1/models/:modelId',
+      scope: 'models:write:{modelId}',
+      schema: modelsSchema.putModel,
+      operationId: 'putModel',
+      summary: 'Upload a model version, replacing it if it exists',
+      tags: ['models'],
+      handler: this.handlePutModel
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'PATCH',
+      path: '/api/v1/models/:modelId',
+      scope: 'models:write:{modelId}',
+      schema: modelsSchema.patchModel,
+      operationId: 'updateModelMetadata',
+      summary: 'Update model metadata',
+      tags: ['models'],
+      handler: this.handleUpdateModelMetadata
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'DELETE',
+      path: '/api/v1/models/:modelId',
+      scope: 'models:write:{modelId}',
+      schema: modelsSchema.deleteModel,
+      operationId: 'deleteModel',
+      summary: 'Delete a model or one of its versions',
+      tags: ['models'],
+      handler: this.handleDeleteModel
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'POST',
+      path: '/api/v1/models/:modelId/validate',
+      scope: 'models:read:{modelId}',
+      schema: modelsSchema.validateModel,
+      operationId: 'validateModel',
+      summary: 'Verify stored model data against its checksum',
+      tags: ['models'],
+      handler: this.handleValidateModel
     })
 
     // Service status endpoint
-    httpd.addRoute({
+    this.addApiRoute(httpd, {
       method: 'GET',
       path: '/api/v1/status',
-      handler: this.handleServiceStatus.bind(this)
+      scope: 'status:read',
+      operationId: 'getServiceStatus',
+      summary: 'Get the aggregated service status',
+      tags: ['status'],
+      handler: this.handleServiceStatus
+    })
+
+    // Usage metering
+    this.addApiRoute(httpd, {
+      method: 'GET',
+      path: '/api/v1/usage',
+      schema: usageSchema.getUsage,
+      operationId: 'getUsage',
+      summary: 'Get daily and monthly usage rollups',
+      tags: ['usage'],
+      handler: this.handleGetUsage
+    })
+
+    // API key administration
+    this.addApiRoute(httpd, {
+      method: 'GET',
+      path: '/api/v1/admin/keys',
+      scope: 'admin:keys',
+      operationId: 'listApiKeys',
+      summary: 'List API keys',
+      tags: ['admin'],
+      handler: this.handleListApiKeys
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'POST',
+      path: '/api/v1/admin/keys',
+      scope: 'admin:keys',
+      schema: keysSchema.createKey,
+      operationId: 'createApiKey',
+      summary: 'Issue an API key',
+      tags: ['admin'],
+      handler: this.handleCreateApiKey
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'POST',
+      path: '/api/v1/admin/keys/:keyId/rotate',
+      scope: 'admin:keys',
+      schema: keysSchema.rotateKey,
+      operationId: 'rotateApiKey',
+      summary: 'Rotate an API key',
+      tags: ['admin'],
+      handler: this.handleRotateApiKey
+    })
+
+    this.addApiRoute(httpd, {
+      method: 'DELETE',
+      path: '/api/v1/admin/keys/:keyId',
+      scope: 'admin:keys',
+      schema: keysSchema.revokeKey,
+      operationId: 'revokeApiKey',
+      summary: 'Revoke an API key',
+      tags: ['admin'],
+      handler: this.handleRevokeApiKey
     })
 
     // CORS preflight
@@ -138,6 +478,38 @@ class WrkApiGateway extends WrkBase {
     })
   }
 
+  /**
+   * Register an authenticated API route
+   * Schema violations do not fail the request in the HTTP server; they are
+   * attached to it and reported by `secureRoute` once the caller is
+   * authenticated.
+   * @param {Object} httpd - HTTP server instance
+   * @param {Object} route - Route definition
+   * @param {string} route.method - HTTP method
+   * @param {string} route.path - Route path
+   * @param {string|null} route.scope - Required scope, see `secureRoute`
+   * @param {Object} route.schema - JSON schemas for `params`, `querystring` and `body`
+   * @param {string} route.operationId - OpenAPI operation id
+   * @param {string} route.summary - OpenAPI summary
+   * @param {Array<string>} route.tags - OpenAPI tags
+   * @param {number} route.bodyLimit - Optional body size limit in bytes
+   * @param {Function} route.handler - Route handler
+   */
+  addApiRoute (httpd, route) {
+    const { method, path, scope = null, schema = {}, bodyLimit, handler } = route
+
+    this.apiRoutes.push({ ...route, scope, schema })
+
+    httpd.addRoute({
+      method,
+      path,
+      schema,
+      ...(bodyLimit ? { bodyLimit } : {}),
+      attachValidation: true,
+      handler: this.secureRoute(scope, handler)
+    })
+  }
+
   /**
    * Handle health check requests
    * @param {Object} req - HTTP request
@@ -159,6 +531,27 @@ class WrkApiGateway extends WrkBase {
     }
   }
 
+  /**
+   * Handle OpenAPI document requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleOpenApiSpec (req, res) {
+    try {
+      if (!this.openApiSpec) {
+        this.openApiSpec = openapi.buildSpec(this.apiRoutes, {
+          title: 'Tether AI Platform API Gateway',
+          version: '1.0.0'
+        })
+      }
+
+      res.json(this.openApiSpec)
+    } catch (error) {
+      this.logger.error('OpenAPI request failed:', error)
+      res.status(500).json({ error: 'Failed to build OpenAPI document' })
+    }
+  }
+
   /**
    * Handle inference requests
    * @param {Object} req - HTTP request
@@ -169,207 +562,1406 @@ class WrkApiGateway extends WrkBase {
       const { modelId } = req.params
       const { inputData, options = {} } = req.body
 
+      // Validate input
+      if (!inputData) {
+        return res.status(400).json({ error: 'Input data is required' })
+      }
+
       // Rate limiting
-      if (!this.checkRateLimit(req)) {
+      if (!await this.checkRateLimit(req, res, modelId)) {
         return res.status(429).json({ error: 'Rate limit exceeded' })
       }
 
-      // Authentication
-      if (!await this.authManager.authenticate(req)) {
-        return res.status(401).json({ error: 'Authentication required' })
+      // Usage quota
+      const quota = await this.checkQuota(req, res)
+      if (!quota.allowed) {
+        return res.status(quota.statusCode).json({
+          error: 'Monthly quota exceeded',
+          exceeded: quota.exceeded,
+          quota: quota.quota
+        })
       }
 
-      // Validate input
-      if (!inputData) {
-        return res.status(400).json({ error: 'Input data is required' })
+      // Serve deterministic models from the response cache
+      const cacheOptions = this.getCacheOptions(req)
+      const cached = await this.responseCache.lookup(modelId, inputData, cacheOptions)
+
+      if (cached?.hit) {
+        this.meterUsage(req, { modelId, inputData, output: cached.value.result })
+
+        res.header('X-Cache', 'HIT')
+        return res.json({ ...cached.value, timestamp: Date.now() })
       }
 
       // Route request to orchestrator
+      const routed = this.withDeadline(this.withPriority(req, options))
+      this.cancelOnClose(res, routed.requestId)
+
       const result = await this.orchestratorClient.routeInferenceRequest({
         modelId,
         inputData,
-        options
+        options: routed
       })
 
-      res.json({
+      this.meterUsage(req, {
+        modelId,
+        inputData,
+        output: result.result,
+        processingTime: result.processingTime
+      })
+
+      const response = {
         success: true,
         modelId,
         result: result.result,
-        workerId: result.workerId,
-        timestamp: Date.now()
-      })
+        workerId: result.workerId
+      }
+
+      if (cached) {
+        this.responseCache.store(cached.key, response, cacheOptions.ttl)
+        res.header('X-Cache', 'MISS')
+      } else if (cacheOptions.bypass) {
+        res.header('X-Cache', 'BYPASS')
+      }
+
+      res.json({ ...response, timestamp: Date.now() })
     } catch (error) {
       this.logger.error('Inference request failed:', error)
+      this.meterUsage(req, { modelId: req.params.modelId, inputData: req.body?.inputData, success: false })
+
+      const inputError = this.formatInputError(error)
+      if (inputError) {
+        return res.status(400).json(inputError)
+      }
+
+      if (this.isDeadlineError(error)) {
+        return res.status(504).json({ error: 'Deadline exceeded' })
+      }
+
       res.status(500).json({ error: error.message || 'Inference request failed' })
     }
   }
 
   /**
-   * Handle list models requests
+   * Handle batch inference requests
    * @param {Object} req - HTTP request
    * @param {Object} res - HTTP response
    */
-  async handleListModels (req, res) {
+  async handleBatchInferenceRequest (req, res) {
     try {
-      // Authentication
-      if (!await this.authManager.authenticate(req)) {
-        return res.status(401).json({ error: 'Authentication required' })
+      const { modelId } = req.params
+      const { inputs, options = {} } = req.body
+      const maxItems = this.conf.batch?.maxItems || 1000
+
+      // Validate input
+      if (!Array.isArray(inputs) || inputs.length === 0) {
+        return res.status(400).json({ error: 'Inputs must be a non-empty array' })
       }
 
-      const { type, limit } = req.query
-      const result = await this.orchestratorClient.listModels({ type, limit: limit ? parseInt(limit) : undefined })
+      if (inputs.length > maxItems) {
+        return res.status(400).json({ error: `Batch size exceeds the limit of ${maxItems} items` })
+      }
+
+      // Rate limiting
+      if (!await this.checkRateLimit(req, res, modelId, inputs.length)) {
+        return res.status(429).json({ error: 'Rate limit exceeded' })
+      }
+
+      // Usage quota
+      const quota = await this.checkQuota(req, res, inputs.length)
+      if (!quota.allowed) {
+        return res.status(quota.statusCode).json({
+          error: 'Monthly quota exceeded',
+          exceeded: quota.exceeded,
+          quota: quota.quota
+        })
+      }
+
+      // Route request to orchestrator
+      const routed = this.withDeadline(this.withPriority(req, options))
+      this.cancelOnClose(res, routed.requestId)
+
+      const result = await this.orchestratorClient.routeBatchInferenceRequest({
+        modelId,
+        inputs,
+        options: routed
+      })
+
+      this.meterUsage(req, {
+        modelId,
+        requests: inputs.length,
+        inputData: inputs,
+        output: result.results,
+        processingTime: result.processingTime
+      })
 
       res.json({
         success: true,
-        models: result.models,
-        count: result.count,
+        modelId,
+        results: result.results,
+        succeeded: result.succeeded,
+        failed: result.failed,
         timestamp: Date.now()
       })
     } catch (error) {
-      this.logger.error('List models request failed:', error)
-      res.status(500).json({ error: error.message || 'Failed to list models' })
+      this.logger.error('Batch inference request failed:', error)
+      this.meterUsage(req, {
+        modelId: req.params.modelId,
+        requests: Array.isArray(req.body?.inputs) ? req.body.inputs.length : 1,
+        inputData: req.body?.inputs,
+        success: false
+      })
+
+      if (this.isDeadlineError(error)) {
+        return res.status(504).json({ error: 'Deadline exceeded' })
+      }
+
+      res.status(500).json({ error: error.message || 'Batch inference request failed' })
     }
   }
 
   /**
-   * Handle get model requests
+   * Handle streaming inference requests
+   * Partial results are relayed to the client as server-sent events
+   * (`partial`, then `result` or `error`). Closing the connection cancels the
+   * inference on the worker.
    * @param {Object} req - HTTP request
    * @param {Object} res - HTTP response
    */
-  async handleGetModel (req, res) {
+  async handleInferenceStream (req, res) {
+    const { modelId } = req.params
+    const { inputData, options = {} } = req.body
+    let stream = null
+    let closed = false
+
     try {
-      const { modelId } = req.params
+      // Validate input
+      if (!inputData) {
+        return res.status(400).json({ error: 'Input data is required' })
+      }
 
-      // Authentication
-      if (!await this.authManager.authenticate(req)) {
-        return res.status(401).json({ error: 'Authentication required' })
+      // Rate limiting
+      if (!await this.checkRateLimit(req, res, modelId)) {
+        return res.status(429).json({ error: 'Rate limit exceeded' })
       }
 
-      const result = await this.orchestratorClient.getModel({ modelId })
+      // Usage quota
+      const quota = await this.checkQuota(req, res)
+      if (!quota.allowed) {
+        return res.status(quota.statusCode).json({
+          error: 'Monthly quota exceeded',
+          exceeded: quota.exceeded,
+          quota: quota.quota
+        })
+      }
 
-      res.json({
-        success: true,
-        model: result,
-        timestamp: Date.now()
+      stream = await this.orchestratorClient.startInferenceStream({
+        modelId,
+        inputData,
+        options: this.withDeadline(this.withPriority(req, options))
       })
     } catch (error) {
-      this.logger.error('Get model request failed:', error)
-      res.status(500).json({ error: error.message || 'Failed to get model' })
+      this.logger.error('Inference stream request failed:', error)
+
+      const inputError = this.formatInputError(error)
+      if (inputError) {
+        return res.status(400).json(inputError)
+      }
+
+      if (this.isDeadlineError(error)) {
+        return res.status(504).json({ error: 'Deadline exceeded' })
+      }
+
+      return res.status(500).json({ error: error.message || 'Inference stream request failed' })
+    }
+
+    // The request body has been read, so only the response reports the
+    // client going away
+    res.on('close', () => {
+      if (closed || res.writableFinished) {
+        return
+      }
+
+      closed = true
+      this.orchestratorClient.cancelInferenceStream({ streamId: stream.streamId })
+        .catch(() => {})
+    })
+
+    res.status(200)
+    res.header('Content-Type', 'text/event-stream')
+    res.header('Cache-Control', 'no-cache')
+    res.header('Connection', 'keep-alive')
+    res.flushHeaders()
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+
+    const pollWait = this.conf.streaming?.pollWait || 1000
+    let cursor = 0
+    let done = false
+
+    try {
+      while (!done) {
+        const poll = await this.orchestratorClient.pollInferenceStream({
+          streamId: stream.streamId,
+          cursor,
+          wait: pollWait
+        })
+
+        if (closed) {
+          break
+        }
+
+        for (const partial of poll.partials) {
+          sendEvent('partial', { index: cursor++, modelId, partial })
+        }
+
+        done = poll.done
+
+        if (done) {
+          this.meterUsage(req, {
+            modelId,
+            inputData,
+            output: poll.result,
+            processingTime: poll.result?.processingTime,
+            success: !poll.error
+          })
+
+          if (poll.error) {
+            sendEvent('error', this.formatStreamError(new Error(poll.error)))
+          } else {
+            sendEvent('result', {
+              success: true,
+              modelId,
+              result: poll.result,
+              workerId: stream.workerId,
+              timestamp: Date.now()
+            })
+          }
+        }
+      }
+    } catch (error) {
+      this.logger.error('Inference stream failed:', error)
+      if (!closed) {
+        sendEvent('error', this.formatStreamError(error))
+      }
     }
+
+    closed = true
+    res.end()
   }
 
   /**
-   * Handle create model requests
+   * Handle job creation requests
+   * The job is queued and its id returned immediately; the result is fetched
+   * with `GET /api/v1/jobs/:jobId` or delivered to `callbackUrl`.
    * @param {Object} req - HTTP request
    * @param {Object} res - HTTP response
    */
-  async handleCreateModel (req, res) {
+  async handleCreateJob (req, res) {
     try {
-      // Authentication
-      if (!await this.authManager.authenticate(req)) {
-        return res.status(401).json({ error: 'Authentication required' })
+      const { modelId, inputData, options = {}, callbackUrl } = req.body
+
+      // Validate input
+      if (!modelId || !inputData) {
+        return res.status(400).json({ error: 'Model ID and input data are required' })
       }
 
-      const { modelId, modelData, metadata } = req.body
+      if (callbackUrl && !this.isValidCallbackUrl(callbackUrl)) {
+        return res.status(400).json({ error: 'Callback URL must be an http(s) URL' })
+      }
 
-      if (!modelId || !modelData || !metadata) {
-        return res.status(400).json({ error: 'Model ID, data, and metadata are required' })
+      // Rate limiting
+      if (!await this.checkRateLimit(req, res, modelId)) {
+        return res.status(429).json({ error: 'Rate limit exceeded' })
       }
 
-      const result = await this.orchestratorClient.createModel({
+      // Usage quota
+      const quota = await this.checkQuota(req, res)
+      if (!quota.allowed) {
+        return res.status(quota.statusCode).json({
+          error: 'Monthly quota exceeded',
+          exceeded: quota.exceeded,
+          quota: quota.quota
+        })
+      }
+
+      const job = await this.jobManager.createJob({
         modelId,
-        modelData: Buffer.from(modelData, 'base64'),
-        metadata
+        inputData,
+        options: this.withPriority(req, options),
+        callbackUrl,
+        owner: this.getJobOwner(req)
       })
 
-      res.json({
+      res.status(202).json({
         success: true,
-        modelId,
-        result,
+        jobId: job.id,
+        status: job.status,
         timestamp: Date.now()
       })
     } catch (error) {
-      this.logger.error('Create model request failed:', error)
-      res.status(500).json({ error: error.message || 'Failed to create model' })
+      this.logger.error('Create job request failed:', error)
+      res.status(500).json({ error: error.message || 'Failed to create job' })
     }
   }
 
   /**
-   * Handle service status requests
+   * Handle job status requests
    * @param {Object} req - HTTP request
    * @param {Object} res - HTTP response
    */
-  async handleServiceStatus (req, res) {
+  async handleGetJob (req, res) {
     try {
-      // Authentication
-      if (!await this.authManager.authenticate(req)) {
-        return res.status(401).json({ error: 'Authentication required' })
-      }
+      const { jobId } = req.params
 
-      const status = await this.orchestratorClient.getServiceStatus()
+      const job = await this.jobManager.getJob(jobId)
+
+      // Jobs of other clients are reported as missing
+      if (!job || job.owner !== this.getJobOwner(req)) {
+        return res.status(404).json({ error: 'Job not found' })
+      }
 
       res.json({
         success: true,
-        status,
+        job: this.jobManager.formatJob(job),
         timestamp: Date.now()
       })
     } catch (error) {
-      this.logger.error('Service status request failed:', error)
-      res.status(500).json({ error: error.message || 'Failed to get service status' })
+      this.logger.error('Get job request failed:', error)
+      res.status(500).json({ error: error.message || 'Failed to get job' })
     }
   }
 
   /**
-   * Handle CORS preflight requests
+   * Handle list models requests
    * @param {Object} req - HTTP request
    * @param {Object} res - HTTP response
    */
-  async handleCorsPreflight (req, res) {
-    res.header('Access-Control-Allow-Origin', '*')
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key')
-    res.status(200).end()
-  }
+  async handleListModels (req, res) {
+    try {
+      const { type, limit } = req.query
+      const result = await this.orchestratorClient.listModels({ type, limit: limit ? parseInt(limit) : undefined })
 
-  /**
-   * Check rate limit for request
-   * @param {Object} req - HTTP request
-   * @returns {boolean} Rate limit status
-   */
-  checkRateLimit (req) {
-    if (!this.conf.rateLimit?.enabled) {
-      return true
+      res.json({
+        success: true,
+        models: result.models,
+        count: result.count,
+        partial: result.partial,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('List models request failed:', error)
+      this.sendModelError(res, error, 'Failed to list models')
+    }
+  }
+
+  /**
+   * Handle get model requests, for the current or a specific version
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleGetModel (req, res) {
+    try {
+      const { modelId, version } = req.params
+
+      const result = await this.orchestratorClient.getModelMetadata({ modelId, version })
+
+      res.json({
+        success: true,
+        model: result.metadata,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Get model request failed:', error)
+      this.sendModelError(res, error, 'Failed to get model')
+    }
+  }
+
+  /**
+   * Handle list model versions requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleListModelVersions (req, res) {
+    try {
+      const { modelId } = req.params
+
+      const result = await this.orchestratorClient.listModelVersions({ modelId })
+
+      res.json({
+        success: true,
+        modelId,
+        currentVersion: result.currentVersion,
+        versions: result.versions,
+        count: result.count,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('List model versions request failed:', error)
+      this.sendModelError(res, error, 'Failed to list model versions')
+    }
+  }
+
+  /**
+   * Handle create model requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleCreateModel (req, res) {
+    try {
+      const { modelId, modelData, metadata } = req.body
+
+      if (!modelId || !modelData || !metadata) {
+        return res.status(400).json({ error: 'Model ID, data, and metadata are required' })
+      }
+
+      const result = await this.orchestratorClient.createModel({ modelId, modelData, metadata })
+
+      res.json({
+        success: true,
+        modelId,
+        result,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Create model request failed:', error)
+      this.sendModelError(res, error, 'Failed to create model')
+    }
+  }
+
+  /**
+   * Handle upload creation requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleCreateUpload (req, res) {
+    try {
+      const { modelId } = req.params
+      const { metadata, size, sha256, chunkSize, replace } = req.body
+
+      const upload = await this.orchestratorClient.createUpload({ modelId, metadata, size, sha256, chunkSize, replace })
+
+      res.status(201).json({
+        success: true,
+        upload: this.formatUpload(upload),
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Create upload request failed:', error)
+      this.sendModelError(res, error, 'Failed to start upload')
+    }
+  }
+
+  /**
+   * Handle upload status requests, used to resume an interrupted upload
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleGetUpload (req, res) {
+    try {
+      const { modelId, uploadId } = req.params
+
+      const upload = await this.orchestratorClient.getUpload({ modelId, uploadId })
+
+      res.json({
+        success: true,
+        upload: {
+          ...this.formatUpload(upload),
+          receivedChunks: upload.receivedChunks,
+          missingChunks: upload.missingChunks,
+          bytesReceived: upload.bytesReceived,
+          complete: upload.complete
+        },
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Get upload request failed:', error)
+      this.sendModelError(res, error, 'Failed to get upload')
+    }
+  }
+
+  /**
+   * Handle upload chunk requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleUploadChunk (req, res) {
+    try {
+      const { modelId, uploadId, index } = req.params
+      const { data, checksum } = req.body
+
+      const result = await this.orchestratorClient.uploadChunk({
+        modelId,
+        uploadId,
+        index: parseInt(index),
+        data,
+        checksum
+      })
+
+      res.json({
+        success: true,
+        uploadId,
+        index: result.index,
+        size: result.size,
+        checksum: result.checksum,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Upload chunk request failed:', error)
+      this.sendModelError(res, error, 'Failed to upload chunk')
+    }
+  }
+
+  /**
+   * Handle upload completion requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleCompleteUpload (req, res) {
+    try {
+      const { modelId, uploadId } = req.params
+
+      const result = await this.orchestratorClient.completeUpload({ modelId, uploadId })
+
+      res.status(result.replaced ? 200 : 201).json({
+        success: true,
+        modelId,
+        result,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Complete upload request failed:', error)
+      this.sendModelError(res, error, 'Failed to complete upload')
+    }
+  }
+
+  /**
+   * Handle upload abort requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleAbortUpload (req, res) {
+    try {
+      const { modelId, uploadId } = req.params
+
+      await this.orchestratorClient.abortUpload({ modelId, uploadId })
+
+      res.json({
+        success: true,
+        uploadId,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Abort upload request failed:', error)
+      this.sendModelError(res, error, 'Failed to abort upload')
+    }
+  }
+
+  /**
+   * Format an upload session for API responses
+   * @param {Object} upload - Upload session
+   * @returns {Object} Upload without internal fields
+   */
+  formatUpload (upload) {
+    return {
+      uploadId: upload.uploadId,
+      modelId: upload.modelId,
+      version: upload.metadata?.version || '1.0.0',
+      size: upload.size,
+      sha256: upload.sha256,
+      chunkSize: upload.chunkSize,
+      totalChunks: upload.totalChunks,
+      createdAt: upload.createdAt,
+      expiresAt: upload.expiresAt
+    }
+  }
+
+  /**
+   * Handle put model requests
+   * Stores `metadata.version` of the model, creating the model if needed and
+   * replacing the version if it already exists. The stored version becomes
+   * the current one.
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handlePutModel (req, res) {
+    try {
+      const { modelId } = req.params
+      const { modelData, metadata } = req.body
+
+      const result = await this.orchestratorClient.putModel({ modelId, modelData, metadata })
+
+      res.status(result.replaced ? 200 : 201).json({
+        success: true,
+        modelId,
+        result,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Put model request failed:', error)
+      this.sendModelError(res, error, 'Failed to store model')
+    }
+  }
+
+  /**
+   * Handle model metadata update requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleUpdateModelMetadata (req, res) {
+    try {
+      const { modelId } = req.params
+      const { version } = req.query
+
+      const result = await this.orchestratorClient.updateModelMetadata({ modelId, version, metadata: req.body })
+
+      res.json({
+        success: true,
+        model: result.metadata,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Update model metadata request failed:', error)
+      this.sendModelError(res, error, 'Failed to update model metadata')
+    }
+  }
+
+  /**
+   * Handle delete model requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleDeleteModel (req, res) {
+    try {
+      const { modelId } = req.params
+      const { version } = req.query
+
+      const result = await this.orchestratorClient.deleteModel({ modelId, version })
+
+      res.json({
+        success: true,
+        modelId,
+        versions: result.versions,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Delete model request failed:', error)
+      this.sendModelError(res, error, 'Failed to delete model')
+    }
+  }
+
+  /**
+   * Handle model validation requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleValidateModel (req, res) {
+    try {
+      const { modelId } = req.params
+      const { version } = req.query
+
+      const result = await this.orchestratorClient.validateModel({ modelId, version })
+
+      res.json({
+        success: true,
+        modelId,
+        version: result.version,
+        isValid: result.isValid,
+        expectedChecksum: result.expectedChecksum,
+        actualChecksum: result.actualChecksum,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Validate model request failed:', error)
+      this.sendModelError(res, error, 'Failed to validate model')
+    }
+  }
+
+  /**
+   * Send the HTTP error matching a model manager error
+   * @param {Object} res - HTTP response
+   * @param {Error} error - Error raised by the model manager or the transport
+   * @param {string} fallback - Message used when the error has none
+   */
+  sendModelError (res, error, fallback) {
+    const code = Object.keys(MODEL_ERROR_STATUS).find(code => error.message?.includes(code))
+
+    res.status(code ? MODEL_ERROR_STATUS[code] : 500).json({ error: code || error.message || fallback })
+  }
+
+  /**
+   * Handle service status requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleServiceStatus (req, res) {
+    try {
+      const status = await this.orchestratorClient.getServiceStatus()
+
+      res.json({
+        success: true,
+        status,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Service status request failed:', error)
+      res.status(500).json({ error: error.message || 'Failed to get service status' })
+    }
+  }
+
+  /**
+   * Handle usage requests
+   * Returns the daily and monthly rollups of the calling client. Keys with the
+   * `admin:usage` scope may query another client with `clientId`.
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleGetUsage (req, res) {
+    try {
+      const { start, end } = req.query
+      let clientId = this.getClientId(req)
+
+      if (req.query.clientId && req.query.clientId !== clientId) {
+        if (!this.authManager.authorize(req.user, 'admin:usage')) {
+          return res.status(403).json({ error: 'Insufficient permissions', missingScope: 'admin:usage' })
+        }
+        clientId = req.query.clientId
+      }
+
+      const usage = await this.usageMeter.getUsage({
+        clientId,
+        start: start ? Date.parse(start) : undefined,
+        end: end ? Date.parse(end) : undefined
+      })
+
+      res.json({
+        success: true,
+        usage,
+        quota: clientId === this.getClientId(req) ? req.user?.quota || this.conf.usage?.quota || null : null,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Usage request failed:', error)
+      res.status(500).json({ error: error.message || 'Failed to get usage' })
+    }
+  }
+
+  /**
+   * Handle list API keys requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleListApiKeys (req, res) {
+    try {
+      const keys = await this.authManager.listApiKeys()
+
+      res.json({
+        success: true,
+        keys,
+        count: keys.length,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('List API keys request failed:', error)
+      res.status(500).json({ error: error.message || 'Failed to list API keys' })
     }
+  }
+
+  /**
+   * Handle create API key requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleCreateApiKey (req, res) {
+    try {
+      const { name, permissions = [], expiresIn, rateLimit, quota, priority } = req.body || {}
+
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'Key name is required' })
+      }
+
+      if (!Array.isArray(permissions) || !permissions.every(p => typeof p === 'string')) {
+        return res.status(400).json({ error: 'Permissions must be an array of scopes' })
+      }
+
+      if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+        return res.status(400).json({ error: 'expiresIn must be a positive number of milliseconds' })
+      }
+
+      if (rateLimit !== undefined && !this.isValidRateLimit(rateLimit)) {
+        return res.status(400).json({ error: 'rateLimit must have a positive capacity and refillRate' })
+      }
+
+      if (quota !== undefined && !this.isValidQuota(quota)) {
+        return res.status(400).json({ error: `quota may only limit ${USAGE_FIELDS.join(', ')} with non-negative integers` })
+      }
+
+      if (priority !== undefined && !PRIORITIES.includes(priority)) {
+        return res.status(400).json({ error: `priority must be one of ${PRIORITIES.join(', ')}` })
+      }
 
-    const clientId = req.ip || req.connection.remoteAddress
-    const now = Date.now()
-    const windowMs = this.conf.rateLimit.windowMs || 60000
-    const maxRequests = this.conf.rateLimit.maxRequests || 100
+      const result = await this.authManager.createApiKey({ name, permissions, expiresIn, rateLimit, quota, priority })
 
-    if (!this.rateLimiter.has(clientId)) {
-      this.rateLimiter.set(clientId, {
-        requests: 1,
-        windowStart: now
+      res.status(201).json({
+        success: true,
+        apiKey: result.apiKey,
+        key: result.keyInfo,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Create API key request failed:', error)
+      res.status(500).json({ error: error.message || 'Failed to create API key' })
+    }
+  }
+
+  /**
+   * Handle rotate API key requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleRotateApiKey (req, res) {
+    try {
+      const { keyId } = req.params
+      const { overlap, expiresIn } = req.body || {}
+
+      if (overlap !== undefined && !(Number.isInteger(overlap) && overlap >= 0)) {
+        return res.status(400).json({ error: 'overlap must be a non-negative number of milliseconds' })
+      }
+
+      if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+        return res.status(400).json({ error: 'expiresIn must be a positive number of milliseconds' })
+      }
+
+      const result = await this.authManager.rotateApiKey(keyId, { overlap, expiresIn })
+      if (!result) {
+        return res.status(404).json({ error: 'API key not found' })
+      }
+
+      res.status(201).json({
+        success: true,
+        apiKey: result.apiKey,
+        key: result.keyInfo,
+        previousKey: result.previousKey,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Rotate API key request failed:', error)
+      res.status(500).json({ error: error.message || 'Failed to rotate API key' })
+    }
+  }
+
+  /**
+   * Handle revoke API key requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleRevokeApiKey (req, res) {
+    try {
+      const { keyId } = req.params
+
+      const revoked = await this.authManager.revokeApiKey(keyId)
+      if (!revoked) {
+        return res.status(404).json({ error: 'API key not found' })
+      }
+
+      res.json({
+        success: true,
+        keyId,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.logger.error('Revoke API key request failed:', error)
+      res.status(500).json({ error: error.message || 'Failed to revoke API key' })
+    }
+  }
+
+  /**
+   * Handle CORS preflight requests
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleCorsPreflight (req, res) {
+    res.header('Access-Control-Allow-Origin', '*')
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key')
+    res.status(200).end()
+  }
+
+  /**
+   * Wrap a route handler with authentication and scope enforcement
+   * `{name}` placeholders in the scope are filled from the route params, then
+   * the request body, so `inference:{modelId}` requires either `inference` or
+   * the per-model scope `inference:<modelId>`. A `null` scope only requires a
+   * valid API key.
+   * @param {string|null} scope - Required scope
+   * @param {Function} handler - Route handler
+   * @returns {Function} Guarded route handler
+   */
+  secureRoute (scope, handler) {
+    return async (req, res) => {
+      // Authentication
+      if (!await this.authManager.authenticate(req)) {
+        return res.status(401).json({ error: 'Authentication required' })
+      }
+
+      // Schema validation, before scopes are resolved from params and body
+      if (req.validationError) {
+        return res.status(400).json(this.formatValidationError(req.validationError))
+      }
+
+      // Authorization
+      const requiredScope = scope && this.resolveScope(scope, req)
+      if (requiredScope && !this.authManager.authorize(req.user, requiredScope)) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          missingScope: requiredScope
+        })
+      }
+
+      return handler.call(this, req, res)
+    }
+  }
+
+  /**
+   * Format a schema validation error as a structured 400 response
+   * @param {Error} error - Validation error attached by the HTTP server
+   * @returns {Object} Response body with one entry per violation
+   */
+  formatValidationError (error) {
+    const location = error.validationContext || 'body'
+
+    return {
+      error: 'Invalid request',
+      details: (error.validation || []).map(violation => ({
+        location,
+        path: violation.instancePath || violation.dataPath || '',
+        message: violation.message,
+        keyword: violation.keyword,
+        params: violation.params
+      }))
+    }
+  }
+
+  /**
+   * Format an input contract violation reported by an inference worker
+   * Workers report `ERR_INVALID_INPUT: <path> <message>; ...`.
+   * @param {Error} error - Inference error
+   * @returns {Object|null} Response body, null if the error is not an input violation
+   */
+  formatInputError (error) {
+    const message = error.message || ''
+    const index = message.indexOf('ERR_INVALID_INPUT')
+    if (index === -1) {
+      return null
+    }
+
+    const detail = message.slice(index + 'ERR_INVALID_INPUT'.length).replace(/^:\s*/, '')
+
+    return {
+      error: 'Invalid input',
+      details: detail.split('; ').filter(Boolean).map(violation => {
+        const [path, ...words] = violation.split(' ')
+
+        return {
+          location: 'inputData',
+          path: path === '(root)' ? '' : path,
+          message: words.join(' ')
+        }
       })
-      return true
     }
+  }
 
-    const clientData = this.rateLimiter.get(clientId)
+  /**
+   * Resolve the placeholders of a scope for a request
+   * Placeholders without a value are dropped along with their separator.
+   * @param {string} scope - Scope with optional `{name}` placeholders
+   * @param {Object} req - HTTP request
+   * @returns {string} Resolved scope
+   */
+  resolveScope (scope, req) {
+    return scope
+      .replace(/\{(\w+)\}/g, (_, name) => req.params?.[name] ?? req.body?.[name] ?? '')
+      .replace(/:+$/, '')
+  }
 
-    // Reset window if expired
-    if (now - clientData.windowStart > windowMs) {
-      clientData.requests = 1
-      clientData.windowStart = now
+  /**
+   * Check rate limit for request
+   * Takes tokens from the client's key bucket and, when the model has its own
+   * limit, from its per-model bucket. Sets the `X-RateLimit-*` headers and,
+   * for rejected requests, `Retry-After`.
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   * @param {string} modelId - Optional model identifier
+   * @param {number} cost - Number of tokens to take (default 1)
+   * @returns {Promise<boolean>} Rate limit status
+   */
+  async checkRateLimit (req, res, modelId, cost = 1) {
+    if (!this.conf.rateLimit?.enabled) {
       return true
     }
 
-    // Check if limit exceeded
-    if (clientData.requests >= maxRequests) {
+    const decision = await this.rateLimiter.consume({
+      clientId: this.getClientId(req),
+      modelId,
+      limit: req.user?.rateLimit,
+      cost
+    })
+
+    res.header('X-RateLimit-Limit', String(decision.limit))
+    res.header('X-RateLimit-Remaining', String(decision.remaining))
+    res.header('X-RateLimit-Reset', String(decision.reset))
+
+    if (!decision.allowed) {
+      res.header('Retry-After', String(decision.retryAfter))
+    }
+
+    return decision.allowed
+  }
+
+  /**
+   * Read the cache options of an inference request
+   * `options.cache` in the body (`{ bypass, ttl }`) takes precedence over the
+   * `Cache-Control` header, where `no-cache`/`no-store` bypass the cache and
+   * `max-age` sets the TTL in seconds.
+   * @param {Object} req - HTTP request
+   * @returns {Object} Cache options with `bypass` and `ttl`
+   */
+  getCacheOptions (req) {
+    const cacheControl = req.headers['cache-control'] || ''
+    const maxAge = /max-age=(\d+)/.exec(cacheControl)
+    const opts = req.body?.options?.cache || {}
+
+    return {
+      bypass: opts.bypass ?? /no-cache|no-store/.test(cacheControl),
+      ttl: opts.ttl ?? (maxAge ? parseInt(maxAge[1]) * 1000 : undefined)
+    }
+  }
+
+  /**
+   * Drop cached results of a model changed in the model manager
+   * Called by the orchestrator, which relays model manager events.
+   * @param {Object} req - Model event with `modelId`, `event`, `version` and `checksum`
+   * @returns {Promise<Object>} Invalidation result
+   */
+  async modelUpdated (req) {
+    this.responseCache.invalidateModel(req.modelId)
+    return { success: true, modelId: req.modelId }
+  }
+
+  /**
+   * Check that an RPC request comes from an allowed peer
+   * @param {Object} rpc - RPC connection of the request
+   * @param {Array<string>} keys - Allowed RPC client keys (hex)
+   * @throws {Error} If the caller is not one of the allowed peers
+   */
+  assertPeer (rpc, keys) {
+    const callerKey = rpc?.stream?.remotePublicKey?.toString('hex')
+
+    if (!callerKey || !keys.includes(callerKey)) {
+      this.logger.warn(`Rejected RPC request from unknown peer ${callerKey}`)
+      throw new Error('ERR_PEER_NOT_ALLOWED')
+    }
+  }
+
+  /**
+   * Check the client's monthly usage against its quota
+   * The key's own quota takes precedence over `usage.quota`. Rejected requests
+   * get `usage.quotaStatusCode` (429 by default, 402 for billing setups); 429
+   * responses carry `Retry-After` until the start of the next month.
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   * @param {number} requests - Number of inferences the request runs (default 1)
+   * @returns {Promise<Object>} Decision with `allowed`, `statusCode`, `exceeded` and `quota`
+   */
+  async checkQuota (req, res, requests = 1) {
+    const quota = req.user?.quota || this.conf.usage?.quota
+    const decision = await this.usageMeter.checkQuota({ clientId: this.getClientId(req), quota, requests })
+    const statusCode = this.conf.usage?.quotaStatusCode || 429
+
+    if (!decision.allowed && statusCode === 429) {
+      const now = new Date()
+      const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+      res.header('Retry-After', String(Math.ceil((nextMonth - now.getTime()) / 1000)))
+    }
+
+    return { ...decision, statusCode }
+  }
+
+  /**
+   * Record usage of a request without delaying the response
+   * @param {Object} req - HTTP request
+   * @param {Object} event - Usage event
+   * @param {string} event.modelId - Model identifier
+   * @param {number} event.requests - Number of inferences (default 1)
+   * @param {*} event.inputData - Request input, measured as JSON
+   * @param {*} event.output - Returned result, measured as JSON
+   * @param {number} event.processingTime - Processing time reported by the inference engine
+   * @param {boolean} event.success - Whether the request succeeded (default true)
+   */
+  meterUsage (req, event) {
+    this.usageMeter.record({
+      clientId: this.getClientId(req),
+      modelId: event.modelId,
+      requests: event.requests,
+      inputBytes: this.measure(event.inputData),
+      outputBytes: this.measure(event.output),
+      processingTime: event.processingTime,
+      success: event.success !== false
+    }).catch(error => {
+      this.logger.error('Failed to record usage:', error)
+    })
+  }
+
+  /**
+   * Get the size of a value serialized as JSON
+   * @param {*} value - Value to measure
+   * @returns {number} Size in bytes
+   */
+  measure (value) {
+    return value === undefined ? 0 : Buffer.byteLength(JSON.stringify(value))
+  }
+
+  /**
+   * Get the identifier rate limits and usage are accounted to
+   * @param {Object} req - HTTP request
+   * @returns {string} Client id of the API key, or the client IP without authentication
+   */
+  getClientId (req) {
+    return req.user?.clientId || `ip:${req.ip || req.connection.remoteAddress}`
+  }
+
+  /**
+   * Record usage on behalf of a gateway peer
+   * @param {Object} req - Usage event
+   * @returns {Promise<Object>} Stored record
+   */
+  async recordUsage (req) {
+    return this.usageMeter.recordUsage(req)
+  }
+
+  /**
+   * Read usage rollups on behalf of a gateway peer
+   * @param {Object} req - Query parameters
+   * @returns {Promise<Object>} Usage rollups
+   */
+  async readUsage (req) {
+    return this.usageMeter.readUsage(req)
+  }
+
+  /**
+   * Get a client's monthly usage on behalf of a gateway peer
+   * @param {Object} req - Request with `clientId`
+   * @returns {Promise<Object>} Monthly rollup
+   */
+  async getMonthlyUsage (req) {
+    return this.usageMeter.getMonthlyUsage(req)
+  }
+
+  /**
+   * Consume rate limit tokens on behalf of a gateway peer
+   * @param {Object} req - Request with `buckets` and `cost`
+   * @returns {Promise<Object>} Rate limit decision
+   */
+  async consumeRateLimit (req) {
+    return this.rateLimiter.consumeBuckets(req)
+  }
+
+  /**
+   * Get the owner identifier of a job request
+   * The client id is kept across key rotations, so jobs stay visible to the
+   * replacement key.
+   * @param {Object} req - HTTP request
+   * @returns {string|null} Owner identifier
+   */
+  getJobOwner (req) {
+    return req.user?.clientId || null
+  }
+
+  /**
+   * Set the priority class of an inference request
+   * The class of the API key (`priority.default` for keys without one) is the
+   * highest a client gets: `options.priority` can only lower it. Without
+   * authentication the requested class is taken as is.
+   * @param {Object} req - HTTP request
+   * @param {Object} options - Inference options of the request
+   * @returns {Object} Options with `priority`
+   */
+  withPriority (req, options) {
+    const defaultPriority = this.conf.priority?.default || 'standard'
+    const highest = req.user ? req.user.priority || defaultPriority : PRIORITIES[0]
+    const requested = PRIORITIES.includes(options.priority) ? options.priority : req.user?.priority || defaultPriority
+
+    return {
+      ...options,
+      priority: PRIORITIES.indexOf(requested) < PRIORITIES.indexOf(highest) ? highest : requested
+    }
+  }
+
+  /**
+   * Give an inference request its id and deadline
+   * The deadline is `options.timeout` (or `inference.timeout`) from now, and
+   * travels with the request to the worker, which gives up on it once it has
+   * passed. The id lets the gateway cancel the request on the workers.
+   * @param {Object} options - Inference options of the request
+   * @returns {Object} Options with `requestId` and `deadline`
+   */
+  withDeadline (options) {
+    const timeout = options.timeout || this.conf.inference?.timeout || 30000
+
+    return {
+      ...options,
+      requestId: crypto.randomUUID(),
+      deadline: Date.now() + timeout
+    }
+  }
+
+  /**
+   * Cancel an inference on its workers when the client goes away before
+   * getting the response
+   * @param {Object} res - HTTP response
+   * @param {string} requestId - Request identifier
+   */
+  cancelOnClose (res, requestId) {
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        this.orchestratorClient.cancelInference({ requestId })
+          .catch(() => {})
+      }
+    })
+  }
+
+  /**
+   * Check whether an inference failed by running out of time
+   * @param {Error} error - Inference error
+   * @returns {boolean} Whether the deadline or inference timeout was hit
+   */
+  isDeadlineError (error) {
+    return /ERR_DEADLINE_EXCEEDED|ERR_INFERENCE_TIMEOUT/.test(error.message || '')
+  }
+
+  /**
+   * Format the `error` event of a failed inference stream
+   * Input, deadline and cancellation errors are reported like the
+   * non-streaming routes report them.
+   * @param {Error} error - Inference error
+   * @returns {Object} Event data
+   */
+  formatStreamError (error) {
+    const inputError = this.formatInputError(error)
+    if (inputError) {
+      return inputError
+    }
+
+    if (this.isDeadlineError(error)) {
+      return { error: 'Deadline exceeded' }
+    }
+
+    if (/ERR_INFERENCE_CANCELLED/.test(error.message || '')) {
+      return { error: 'Inference cancelled' }
+    }
+
+    return { error: error.message || 'Inference stream failed' }
+  }
+
+  /**
+   * Check a per-key rate limit definition
+   * @param {Object} rateLimit - Limit with `capacity` and `refillRate` (tokens per second)
+   * @returns {boolean} Validation result
+   */
+  isValidRateLimit (rateLimit) {
+    return Boolean(rateLimit) &&
+      Number.isInteger(rateLimit.capacity) && rateLimit.capacity > 0 &&
+      typeof rateLimit.refillRate === 'number' && rateLimit.refillRate > 0
+  }
+
+  /**
+   * Check a monthly quota definition
+   * @param {Object} quota - Limits by usage field
+   * @returns {boolean} Validation result
+   */
+  isValidQuota (quota) {
+    return Boolean(quota) && typeof quota === 'object' &&
+      Object.entries(quota).every(([field, limit]) => USAGE_FIELDS.includes(field) && Number.isInteger(limit) && limit >= 0)
+  }
+
+  /**
+   * Check that a callback URL uses http or https
+   * @param {string} url - Callback URL
+   * @returns {boolean} Validation result
+   */
+  isValidCallbackUrl (url) {
+    try {
+      const { protocol } = new URL(url)
+      return protocol === 'http:' || protocol === 'https:'
+    } catch (error) {
       return false
     }
+  }
+
+  /**
+   * Start job cleanup process
+   */
+  startJobCleanup () {
+    setInterval(async () => {
+      try {
+        await this.jobManager.cleanupJobs()
+      } catch (error) {
+        this.logger.error('Job cleanup failed:', error)
+      }
+    }, this.conf.jobs?.cleanupInterval || 3600000)
+  }
+
+  /**
+   * Start expired API key cleanup process
+   */
+  startKeyCleanup () {
+    setInterval(async () => {
+      try {
+        await this.authManager.cleanupExpiredKeys()
+      } catch (error) {
+        this.logger.error('API key cleanup failed:', error)
+      }
+    }, this.conf.authentication?.cleanupInterval || 3600000)
+  }
+
+  /**
+   * Start usage log rotation process
+   */
+  startUsageLogRotation () {
+    setInterval(async () => {
+      try {
+        await this.usageMeter.rotateLogs()
+      } catch (error) {
+        this.logger.error('Usage log rotation failed:', error)
+      }
+    }, this.conf.usage?.rotateLogsItvMs || 120000)
+  }
+
+  /**
+   * Keep the subscription to model change events with the orchestrator alive
+   */
+  startModelEventSubscription () {
+    if (!this.conf.cache?.enabled) {
+      return
+    }
+
+    const ttl = this.conf.cache.subscriptionTtl || 120000
+
+    const subscribe = async () => {
+      try {
+        await this.orchestratorClient.subscribeModelEvents({
+          publicKey: this.getRpcKey().toString('hex'),
+          ttl
+        })
+      } catch (error) {
+        this.logger.warn(`Model event subscription failed: ${error.message}`)
+      }
+    }
 
-    clientData.requests++
-    return true
+    subscribe()
+    setInterval(subscribe, ttl / 2)
   }
 
   /**
@@ -377,14 +1969,7 @@ class WrkApiGateway extends WrkBase {
    */
   startRateLimitCleanup () {
     setInterval(() => {
-      const now = Date.now()
-      const windowMs = this.conf.rateLimit?.windowMs || 60000
-
-      for (const [clientId, data] of this.rateLimiter.entries()) {
-        if (now - data.windowStart > windowMs * 2) {
-          this.rateLimiter.delete(clientId)
-        }
-      }
+      this.rateLimiter.cleanup()
     }, 60000) // Clean up every minute
   }
 }
@@ -1,7 +1,18 @@
 'use strict'
 
+const crypto = require('crypto')
+
+/**
+ * Priority classes of inference requests, highest first
+ */
+const PRIORITIES = ['interactive', 'standard', 'batch']
+
 /**
  * Authentication Manager class for handling API authentication
+ * API keys are persisted in a Hyperbee under `key!<keyId>` with only a hash of
+ * the key at rest. The records are mirrored in memory, indexed by hash, so
+ * authenticating a request does not touch the store. Without a store (the
+ * standalone service) keys live in memory only.
  * @class AuthManager
  */
 class AuthManager {
@@ -13,38 +24,66 @@ class AuthManager {
   constructor (conf, logger) {
     this.conf = conf
     this.logger = logger
+    this.store = null
     this.apiKeys = new Map()
+    this.keyHashes = new Map()
     this.sessions = new Map()
+    this.rotationOverlap = conf.authentication?.rotationOverlap || 86400000
+    this.lastUsedFlushInterval = conf.authentication?.lastUsedFlushInterval || 60000
   }
 
   /**
    * Initialize authentication manager
+   * Loads the key store into memory. An empty store is seeded with
+   * `authentication.bootstrapKeys`, or else with a generated admin key that
+   * is logged once.
+   * @param {Object} [store] - Store facility (`store_s0`) of the hosting worker
    * @returns {Promise<void>}
    */
-  async initialize () {
+  async initialize (store) {
     try {
-      // Initialize with some default API keys for demonstration
-      this.apiKeys.set('demo-api-key-123', {
-        name: 'Demo Client',
-        permissions: ['inference', 'models:read', 'models:write'],
-        createdAt: Date.now(),
-        lastUsed: null
-      })
+      if (store) {
+        this.store = await store.getBee(
+          { name: 'api-keys' },
+          { keyEncoding: 'utf-8', valueEncoding: 'json' }
+        )
+        await this.store.ready()
 
-      this.apiKeys.set('admin-key-456', {
-        name: 'Admin Client',
-        permissions: ['*'],
-        createdAt: Date.now(),
-        lastUsed: null
-      })
+        for await (const { value: keyInfo } of this.store.createReadStream({ gt: 'key!', lt: 'key!~' })) {
+          this.cacheKey(keyInfo)
+        }
+      }
 
-      this.logger.info('Authentication manager initialized')
+      if (!this.apiKeys.size) {
+        await this.bootstrapKeys()
+      }
+
+      this.logger.info(`Authentication manager initialized with ${this.apiKeys.size} API key(s)`)
     } catch (error) {
       this.logger.error('Failed to initialize authentication manager:', error)
       throw error
     }
   }
 
+  /**
+   * Seed an empty key store
+   * @returns {Promise<void>}
+   */
+  async bootstrapKeys () {
+    const bootstrapKeys = this.conf.authentication?.bootstrapKeys || []
+
+    for (const { apiKey, name, permissions } of bootstrapKeys) {
+      await this.storeKey(apiKey, { name, permissions })
+    }
+
+    if (!bootstrapKeys.length) {
+      const apiKey = this.generateApiKey()
+      const keyInfo = await this.storeKey(apiKey, { name: 'Admin Client', permissions: ['*'] })
+
+      this.logger.warn(`No API keys configured, generated admin key ${keyInfo.keyId}: ${apiKey} (it is not shown again)`)
+    }
+  }
+
   /**
    * Authenticate request
    * @param {Object} req - HTTP request
@@ -65,21 +104,28 @@ class AuthManager {
       }
 
       // Validate API key
-      const keyInfo = this.apiKeys.get(apiKey)
+      const keyInfo = this.apiKeys.get(this.keyHashes.get(this.hashApiKey(apiKey)))
       if (!keyInfo) {
-        this.logger.warn(`Authentication failed: Invalid API key`)
+        this.logger.warn('Authentication failed: Invalid API key')
+        return false
+      }
+
+      if (this.isExpired(keyInfo)) {
+        this.logger.warn(`Authentication failed: API key ${keyInfo.keyId} expired`)
         return false
       }
 
-      // Update last used timestamp
-      keyInfo.lastUsed = Date.now()
-      this.apiKeys.set(apiKey, keyInfo)
+      await this.touchKey(keyInfo)
 
       // Store user info in request for later use
       req.user = {
-        apiKey,
+        keyId: keyInfo.keyId,
+        clientId: keyInfo.clientId,
         name: keyInfo.name,
-        permissions: keyInfo.permissions
+        permissions: keyInfo.permissions,
+        rateLimit: keyInfo.rateLimit,
+        quota: keyInfo.quota,
+        priority: keyInfo.priority
       }
 
       this.logger.debug(`Authentication successful for: ${keyInfo.name}`)
@@ -92,6 +138,10 @@ class AuthManager {
 
   /**
    * Check if user has permission
+   * Scopes are hierarchical and separated by `:`. A granted scope covers
+   * itself and every scope below it, so `inference` allows
+   * `inference:image-classifier-v1`. A trailing `*` segment matches any
+   * suffix, e.g. `models:*` allows `models:read` and `models:write`.
    * @param {Object} user - User object
    * @param {string} permission - Permission to check
    * @returns {boolean} Permission result
@@ -101,62 +151,154 @@ class AuthManager {
       return false
     }
 
-    // Check for wildcard permission
-    if (user.permissions.includes('*')) {
+    return user.permissions.some(granted => this.scopeMatches(granted, permission))
+  }
+
+  /**
+   * Check if request user may use a scope
+   * Always succeeds when authentication is disabled.
+   * @param {Object} user - User object set by `authenticate`
+   * @param {string} scope - Required scope
+   * @returns {boolean} Authorization result
+   */
+  authorize (user, scope) {
+    if (!this.conf.authentication?.enabled) {
+      return true
+    }
+
+    const allowed = this.hasPermission(user, scope)
+    if (!allowed) {
+      this.logger.warn(`Authorization failed for ${user?.name}: missing scope ${scope}`)
+    }
+
+    return allowed
+  }
+
+  /**
+   * Check if a granted scope covers a required scope
+   * @param {string} granted - Scope granted to the API key
+   * @param {string} required - Scope required by the route
+   * @returns {boolean} Match result
+   */
+  scopeMatches (granted, required) {
+    if (granted === '*' || granted === required) {
       return true
     }
 
-    // Check for specific permission
-    return user.permissions.includes(permission)
+    if (granted.endsWith(':*')) {
+      return required.startsWith(granted.slice(0, -1))
+    }
+
+    return required.startsWith(`${granted}:`)
   }
 
   /**
    * Create new API key
+   * The plaintext key is only returned here; the store keeps its hash.
    * @param {Object} params - Key parameters
-   * @returns {Promise<Object>} Created key info
+   * @param {string} params.name - Key owner name
+   * @param {Array<string>} params.permissions - Granted scopes
+   * @param {number} params.expiresIn - Optional lifetime in ms
+   * @param {number} params.expiresAt - Optional expiry timestamp
+   * @param {Object} params.rateLimit - Optional `{ capacity, refillRate }` overriding the default limit
+   * @param {Object} params.quota - Optional monthly quota overriding `usage.quota`
+   * @param {string} params.priority - Optional highest priority class of the key's inference requests
+   * @returns {Promise<Object>} Created key and its info
    */
   async createApiKey (params) {
     try {
-      const { name, permissions = [] } = params
+      const { name, permissions = [], expiresIn, expiresAt, rateLimit, quota, priority } = params
 
-      // Generate new API key
       const apiKey = this.generateApiKey()
-
-      const keyInfo = {
+      const keyInfo = await this.storeKey(apiKey, {
         name,
         permissions,
-        createdAt: Date.now(),
-        lastUsed: null
+        rateLimit,
+        quota,
+        priority,
+        expiresAt: expiresAt || (expiresIn ? Date.now() + expiresIn : null)
+      })
+
+      this.logger.info(`API key ${keyInfo.keyId} created for: ${name}`)
+
+      return {
+        apiKey,
+        keyInfo: this.formatKey(keyInfo)
+      }
+    } catch (error) {
+      this.logger.error('Failed to create API key:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Rotate API key
+   * Issues a replacement key with the same name, scopes, limits, priority and client id. The old
+   * key keeps working until the overlap window ends so clients can switch
+   * without downtime.
+   * @param {string} keyId - Identifier of the key to rotate
+   * @param {Object} opts - Rotation options
+   * @param {number} opts.overlap - Time in ms the old key stays valid
+   * @param {number} opts.expiresIn - Optional lifetime in ms of the new key
+   * @returns {Promise<Object|null>} New key and its info, or null if not found
+   */
+  async rotateApiKey (keyId, opts = {}) {
+    try {
+      const oldKey = this.apiKeys.get(keyId)
+      if (!oldKey || this.isExpired(oldKey)) {
+        return null
       }
 
-      this.apiKeys.set(apiKey, keyInfo)
+      const overlap = opts.overlap ?? this.rotationOverlap
+      const apiKey = this.generateApiKey()
+      const keyInfo = await this.storeKey(apiKey, {
+        name: oldKey.name,
+        permissions: oldKey.permissions,
+        rateLimit: oldKey.rateLimit,
+        quota: oldKey.quota,
+        priority: oldKey.priority,
+        clientId: oldKey.clientId,
+        rotatedFrom: oldKey.keyId,
+        expiresAt: opts.expiresIn ? Date.now() + opts.expiresIn : null
+      })
+
+      const overlapEnd = Date.now() + overlap
+      oldKey.expiresAt = oldKey.expiresAt ? Math.min(oldKey.expiresAt, overlapEnd) : overlapEnd
+      oldKey.rotatedTo = keyInfo.keyId
+      await this.persistKey(oldKey)
 
-      this.logger.info(`API key created for: ${name}`)
+      this.logger.info(`API key ${oldKey.keyId} rotated to ${keyInfo.keyId}, old key valid for ${overlap}ms`)
 
       return {
         apiKey,
-        keyInfo
+        keyInfo: this.formatKey(keyInfo),
+        previousKey: this.formatKey(oldKey)
       }
     } catch (error) {
-      this.logger.error('Failed to create API key:', error)
+      this.logger.error(`Failed to rotate API key ${keyId}:`, error)
       throw error
     }
   }
 
   /**
    * Revoke API key
-   * @param {string} apiKey - API key to revoke
+   * @param {string} keyId - Identifier of the key to revoke
    * @returns {Promise<boolean>} Revocation result
    */
-  async revokeApiKey (apiKey) {
+  async revokeApiKey (keyId) {
     try {
-      const keyInfo = this.apiKeys.get(apiKey)
+      const keyInfo = this.apiKeys.get(keyId)
       if (!keyInfo) {
         return false
       }
 
-      this.apiKeys.delete(apiKey)
-      this.logger.info(`API key revoked for: ${keyInfo.name}`)
+      if (this.store) {
+        await this.store.del(`key!${keyId}`)
+      }
+      this.keyHashes.delete(keyInfo.hash)
+      this.apiKeys.delete(keyId)
+
+      this.logger.info(`API key ${keyId} revoked for: ${keyInfo.name}`)
       return true
     } catch (error) {
       this.logger.error('Failed to revoke API key:', error)
@@ -166,41 +308,163 @@ class AuthManager {
 
   /**
    * List API keys
-   * @returns {Promise<Array>} List of API keys
+   * @returns {Promise<Array>} List of API keys without their hashes
    */
   async listApiKeys () {
     try {
-      const keys = []
-      for (const [apiKey, info] of this.apiKeys.entries()) {
-        keys.push({
-          apiKey: apiKey.substring(0, 8) + '...', // Mask the key
-          name: info.name,
-          permissions: info.permissions,
-          createdAt: info.createdAt,
-          lastUsed: info.lastUsed
-        })
-      }
-      return keys
+      return Array.from(this.apiKeys.values()).map(keyInfo => this.formatKey(keyInfo))
     } catch (error) {
       this.logger.error('Failed to list API keys:', error)
       throw error
     }
   }
 
+  /**
+   * Remove keys that expired more than the rotation overlap ago
+   * @returns {Promise<number>} Number of removed keys
+   */
+  async cleanupExpiredKeys () {
+    const cutoff = Date.now() - this.rotationOverlap
+    let removed = 0
+
+    for (const keyInfo of Array.from(this.apiKeys.values())) {
+      if (keyInfo.expiresAt && keyInfo.expiresAt < cutoff) {
+        await this.revokeApiKey(keyInfo.keyId)
+        removed++
+      }
+    }
+
+    return removed
+  }
+
+  /**
+   * Persist a key record
+   * @param {string} apiKey - Plaintext API key
+   * @param {Object} params - Key attributes
+   * @returns {Promise<Object>} Stored key record
+   */
+  async storeKey (apiKey, params) {
+    const keyId = crypto.randomBytes(8).toString('hex')
+    const keyInfo = {
+      keyId,
+      clientId: params.clientId || keyId,
+      hash: this.hashApiKey(apiKey),
+      prefix: apiKey.substring(0, 8),
+      name: params.name,
+      permissions: params.permissions || [],
+      rateLimit: params.rateLimit || null,
+      quota: params.quota || null,
+      priority: params.priority || null,
+      createdAt: Date.now(),
+      expiresAt: params.expiresAt || null,
+      lastUsed: null,
+      rotatedFrom: params.rotatedFrom || null,
+      rotatedTo: null
+    }
+
+    if (this.keyHashes.has(keyInfo.hash)) {
+      throw new Error('ERR_API_KEY_EXISTS')
+    }
+
+    await this.persistKey(keyInfo)
+
+    this.cacheKey(keyInfo)
+    return keyInfo
+  }
+
+  /**
+   * Write a key record to the store, if there is one
+   * @param {Object} keyInfo - Key record
+   * @returns {Promise<void>}
+   */
+  async persistKey (keyInfo) {
+    if (this.store) {
+      await this.store.put(`key!${keyInfo.keyId}`, keyInfo)
+    }
+  }
+
+  /**
+   * Add a key record to the in-memory lookup tables
+   * @param {Object} keyInfo - Key record
+   */
+  cacheKey (keyInfo) {
+    this.apiKeys.set(keyInfo.keyId, keyInfo)
+    this.keyHashes.set(keyInfo.hash, keyInfo.keyId)
+  }
+
+  /**
+   * Record key usage, persisting it at most once per flush interval
+   * @param {Object} keyInfo - Key record
+   * @returns {Promise<void>}
+   */
+  async touchKey (keyInfo) {
+    const now = Date.now()
+    const persist = !keyInfo.lastUsed || now - keyInfo.lastUsed > this.lastUsedFlushInterval
+
+    keyInfo.lastUsed = now
+
+    if (persist) {
+      await this.persistKey(keyInfo)
+    }
+  }
+
+  /**
+   * Check if a key is past its expiry
+   * @param {Object} keyInfo - Key record
+   * @returns {boolean} Expiry result
+   */
+  isExpired (keyInfo) {
+    return Boolean(keyInfo.expiresAt) && keyInfo.expiresAt <= Date.now()
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * Uses an HMAC when `authentication.keySecret` is configured.
+   * @param {string} apiKey - Plaintext API key
+   * @returns {string} Hex encoded hash
+   */
+  hashApiKey (apiKey) {
+    const secret = this.conf.authentication?.keySecret
+    const hash = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256')
+    return hash.update(apiKey).digest('hex')
+  }
+
+  /**
+   * Format a key record for external representation
+   * @param {Object} keyInfo - Key record
+   * @returns {Object} Key record without its hash
+   */
+  formatKey (keyInfo) {
+    return {
+      keyId: keyInfo.keyId,
+      clientId: keyInfo.clientId,
+      apiKey: keyInfo.prefix + '...', // Mask the key
+      name: keyInfo.name,
+      permissions: keyInfo.permissions,
+      rateLimit: keyInfo.rateLimit,
+      quota: keyInfo.quota,
+      priority: keyInfo.priority || null,
+      status: this.isExpired(keyInfo) ? 'expired' : 'active',
+      createdAt: keyInfo.createdAt,
+      expiresAt: keyInfo.expiresAt,
+      lastUsed: keyInfo.lastUsed,
+      rotatedFrom: keyInfo.rotatedFrom,
+      rotatedTo: keyInfo.rotatedTo
+    }
+  }
+
   /**
    * Generate new API key
    * @returns {string} Generated API key
    */
   generateApiKey () {
-    const crypto = require('crypto')
-    const randomBytes = crypto.randomBytes(32)
-    return randomBytes.toString('hex')
+    return crypto.randomBytes(32).toString('hex')
   }
 
   /**
    * Get authentication statistics
    * @returns {Promise<Object>} Auth statistics
-   */randomBytes
+   */
   async getStats () {
     try {
       const totalKeys = this.apiKeys.size
@@ -222,4 +486,6 @@ class AuthManager {
   }
 }
 
+AuthManager.PRIORITIES = PRIORITIES
+
 module.exports = AuthManager
@@ -0,0 +1,282 @@
+'use strict'
+
+const async = require('async')
+const crypto = require('crypto')
+
+/**
+ * Job Manager class for running asynchronous inference jobs
+ * Jobs are persisted in a Hyperbee so that queued and finished jobs survive a
+ * gateway restart. Completion can be observed by polling or through an HTTP
+ * callback to the job's `callbackUrl`.
+ * @class JobManager
+ */
+class JobManager {
+  /**
+   * Creates an instance of JobManager
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.jobs = null
+    this.queue = null
+    this.http = null
+    this.orchestratorClient = null
+    this.usageMeter = null
+    this.timeout = conf.jobs?.timeout || 600000
+    this.retention = conf.jobs?.retention || 86400000
+    this.webhookRetries = conf.jobs?.webhookRetries || 3
+    this.webhookTimeout = conf.jobs?.webhookTimeout || 10000
+  }
+
+  /**
+   * Initialize job manager and resume jobs interrupted by a restart
+   * @param {Object} store - Store facility (`store_s0`) of the hosting worker
+   * @param {Object} orchestratorClient - Orchestrator client used to run jobs
+   * @param {Object} http - HTTP client facility used for callbacks
+   * @param {Object} usageMeter - Optional usage meter charged for finished jobs
+   * @returns {Promise<void>}
+   */
+  async initialize (store, orchestratorClient, http, usageMeter = null) {
+    try {
+      this.jobs = await store.getBee(
+        { name: 'jobs' },
+        { keyEncoding: 'utf-8', valueEncoding: 'json' }
+      )
+      await this.jobs.ready()
+
+      this.orchestratorClient = orchestratorClient
+      this.http = http
+      this.usageMeter = usageMeter
+      this.queue = async.queue(this.runJob.bind(this), this.conf.jobs?.concurrency || 10)
+
+      let resumed = 0
+      for await (const { value: job } of this.jobs.createReadStream()) {
+        if (job.status === 'queued' || job.status === 'running') {
+          job.status = 'queued'
+          await this.jobs.put(job.id, job)
+          this.queue.push(job.id)
+          resumed++
+        }
+      }
+
+      this.logger.info(`Job manager initialized, ${resumed} job(s) resumed`)
+    } catch (error) {
+      this.logger.error('Failed to initialize job manager:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Create and enqueue an inference job
+   * @param {Object} params - Job parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Object} params.inputData - Input data
+   * @param {Object} params.options - Inference options
+   * @param {string} params.callbackUrl - Optional URL notified on completion
+   * @param {string} params.owner - Identifier of the client that owns the job
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob (params) {
+    const { modelId, inputData, options = {}, callbackUrl = null, owner = null } = params
+
+    try {
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        modelId,
+        inputData,
+        options,
+        callbackUrl,
+        owner,
+        result: null,
+        error: null,
+        workerId: null,
+        callback: callbackUrl ? { status: 'pending', attempts: 0, lastError: null } : null,
+        createdAt: Date.now(),
+        startedAt: null,
+        completedAt: null
+      }
+
+      await this.jobs.put(job.id, job)
+      this.queue.push(job.id)
+
+      this.logger.info(`Job created: ${job.id} for model ${modelId}`)
+      return job
+    } catch (error) {
+      this.logger.error(`Failed to create job for model ${modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob (jobId) {
+    const entry = await this.jobs.get(jobId)
+    return entry ? entry.value : null
+  }
+
+  /**
+   * Run a queued job through the orchestrator and record its outcome
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<void>}
+   */
+  async runJob (jobId) {
+    const job = await this.getJob(jobId)
+    if (!job || job.status !== 'queued') {
+      return
+    }
+
+    job.status = 'running'
+    job.startedAt = Date.now()
+    await this.jobs.put(job.id, job)
+
+    try {
+      // The job's deadline runs from the moment it starts, not from its creation
+      const timeout = job.options.timeout || this.timeout
+      const res = await this.orchestratorClient.routeInferenceRequest({
+        modelId: job.modelId,
+        inputData: job.inputData,
+        options: { ...job.options, timeout, requestId: job.id, deadline: Date.now() + timeout }
+      })
+
+      job.status = 'completed'
+      job.result = res.result
+      job.processingTime = res.processingTime
+      job.workerId = res.workerId
+    } catch (error) {
+      this.logger.error(`Job ${job.id} failed:`, error)
+      job.status = 'failed'
+      job.error = error.message
+    }
+
+    job.completedAt = Date.now()
+    await this.jobs.put(job.id, job)
+
+    if (this.usageMeter && job.owner) {
+      await this.recordUsage(job)
+    }
+
+    if (job.callbackUrl) {
+      await this.notifyCallback(job)
+    }
+  }
+
+  /**
+   * Charge a finished job to its owner
+   * @param {Object} job - Finished job
+   * @returns {Promise<void>}
+   */
+  async recordUsage (job) {
+    try {
+      await this.usageMeter.record({
+        clientId: job.owner,
+        modelId: job.modelId,
+        inputBytes: Buffer.byteLength(JSON.stringify(job.inputData)),
+        outputBytes: job.result ? Buffer.byteLength(JSON.stringify(job.result)) : 0,
+        processingTime: job.processingTime,
+        success: job.status === 'completed'
+      })
+    } catch (error) {
+      this.logger.error(`Failed to record usage of job ${job.id}:`, error)
+    }
+  }
+
+  /**
+   * POST the finished job to its callback URL, retrying with backoff. The body
+   * is signed with `jobs.webhookSecret` when configured.
+   * @param {Object} job - Finished job
+   * @returns {Promise<void>}
+   */
+  async notifyCallback (job) {
+    const body = JSON.stringify(this.formatJob(job))
+    const headers = { 'Content-Type': 'application/json' }
+
+    if (this.conf.jobs?.webhookSecret) {
+      headers['X-Webhook-Signature'] = crypto
+        .createHmac('sha256', this.conf.jobs.webhookSecret)
+        .update(body)
+        .digest('hex')
+    }
+
+    for (let attempt = 1; attempt <= this.webhookRetries; attempt++) {
+      job.callback.attempts = attempt
+
+      try {
+        await this.http.post(job.callbackUrl, { body, headers, timeout: this.webhookTimeout })
+        job.callback.status = 'delivered'
+        job.callback.lastError = null
+        break
+      } catch (error) {
+        this.logger.warn(`Callback for job ${job.id} failed (attempt ${attempt}): ${error.message}`)
+        job.callback.status = 'failed'
+        job.callback.lastError = error.message
+
+        if (attempt < this.webhookRetries) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)))
+        }
+      }
+    }
+
+    await this.jobs.put(job.id, job)
+  }
+
+  /**
+   * Remove finished jobs older than the retention period
+   * @returns {Promise<number>} Number of removed jobs
+   */
+  async cleanupJobs () {
+    const now = Date.now()
+    let removed = 0
+
+    for await (const { key, value: job } of this.jobs.createReadStream()) {
+      if (job.completedAt && now - job.completedAt > this.retention) {
+        await this.jobs.del(key)
+        removed++
+      }
+    }
+
+    if (removed) {
+      this.logger.debug(`Removed ${removed} expired job(s)`)
+    }
+
+    return removed
+  }
+
+  /**
+   * Format a job for external representation
+   * @param {Object} job - Job
+   * @returns {Object} Job without input payload and owner
+   */
+  formatJob (job) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      modelId: job.modelId,
+      result: job.result,
+      error: job.error,
+      workerId: job.workerId,
+      callback: job.callback,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    }
+  }
+
+  /**
+   * Get job statistics
+   * @returns {Object} Job statistics
+   */
+  getStats () {
+    return {
+      queued: this.queue.length(),
+      running: this.queue.running()
+    }
+  }
+}
+
+module.exports = JobManager
@@ -0,0 +1,147 @@
+'use strict'
+
+/**
+ * Error response shared by every route
+ */
+const errorResponse = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'string'
+    },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          location: { type: 'string' },
+          path: { type: 'string' },
+          message: { type: 'string' },
+          keyword: { type: 'string' },
+          params: { type: 'object' }
+        }
+      }
+    },
+    missingScope: {
+      type: 'string'
+    }
+  }
+}
+
+/**
+ * Converts a route path to an OpenAPI path template
+ * @param {string} path - Route path, like /api/v1/models/:modelId
+ * @returns {string} OpenAPI path, like /api/v1/models/{modelId}
+ */
+function toOpenApiPath (path) {
+  return path.replace(/:(\w+)/g, '{$1}')
+}
+
+/**
+ * Converts a params or querystring JSON schema to OpenAPI parameters
+ * @param {Object} schema - Object schema
+ * @param {string} location - Parameter location (`path` or `query`)
+ * @returns {Array<Object>} OpenAPI parameters
+ */
+function toParameters (schema, location) {
+  if (!schema?.properties) {
+    return []
+  }
+
+  const required = schema.required || []
+
+  return Object.entries(schema.properties).map(([name, propSchema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: propSchema
+  }))
+}
+
+/**
+ * Builds the OpenAPI operation of a route
+ * @param {Object} route - Route definition
+ * @returns {Object} OpenAPI operation
+ */
+function toOperation (route) {
+  const { schema = {} } = route
+
+  const operation = {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: route.tags,
+    parameters: [
+      ...toParameters(schema.params, 'path'),
+      ...toParameters(schema.querystring, 'query')
+    ],
+    responses: {
+      200: {
+        description: 'Successful response',
+        content: { 'application/json': { schema: { type: 'object' } } }
+      },
+      400: { $ref: '#/components/responses/BadRequest' },
+      401: { $ref: '#/components/responses/Unauthorized' },
+      403: { $ref: '#/components/responses/Forbidden' }
+    }
+  }
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schema.body } }
+    }
+  }
+
+  if (route.scope) {
+    operation['x-required-scope'] = route.scope
+  }
+
+  return operation
+}
+
+/**
+ * Generates an OpenAPI 3 document from the gateway's API routes
+ * @param {Array<Object>} routes - Routes with `method`, `path`, `schema`, `scope`, `summary`, `tags` and `operationId`
+ * @param {Object} info - OpenAPI info object
+ * @returns {Object} OpenAPI document
+ */
+function buildSpec (routes, info) {
+  const paths = {}
+
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path)
+    paths[path] = paths[path] || {}
+    paths[path][route.method.toLowerCase()] = toOperation(route)
+  }
+
+  const response = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  })
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components: {
+      schemas: {
+        Error: errorResponse
+      },
+      responses: {
+        BadRequest: response('Request does not match the route schema'),
+        Unauthorized: response('Missing or invalid API key'),
+        Forbidden: response('API key lacks the required scope')
+      },
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer' }
+      }
+    },
+    security: [{ apiKey: [] }, { bearer: [] }]
+  }
+}
+
+module.exports = {
+  buildSpec
+}
@@ -1,5 +1,18 @@
 'use strict'
 
+/**
+ * Error codes raised by the Hyperswarm RPC transport when a connection is
+ * unusable. Any other failure is an application error returned by the
+ * orchestrator and is surfaced to the caller without failing over.
+ */
+const TRANSPORT_ERRORS = [
+  'CHANNEL_CLOSED',
+  'CHANNEL_DESTROYED',
+  'CONNECTION_LOST',
+  'PEER_NOT_FOUND',
+  'PEER_CONNECTION_FAILED'
+]
+
 /**
  * Orchestrator Client class for communicating with orchestrator service
  * @class OrchestratorClient
@@ -13,20 +26,35 @@ class OrchestratorClient {
   constructor (conf, logger) {
     this.conf = conf
     this.logger = logger
-    this.rpcClient = null
-    this.orchestratorAddress = conf.orchestrator?.address || 'localhost:8003'
+    this.net = null
+    this.orchestratorKeys = this.parseOrchestratorKeys(conf.orchestrator)
+    this.activeKeyIndex = 0
     this.timeout = conf.orchestrator?.timeout || 30000
+    this.reconnectDelay = conf.orchestrator?.reconnectDelay || 1000
+    this.maxReconnectDelay = conf.orchestrator?.maxReconnectDelay || 30000
+    this.reconnectAttempts = 0
+    this.nextReconnectAt = 0
   }
 
   /**
    * Initialize orchestrator client
+   * @param {Object} net - Network facility (`net_r0`) of the hosting worker
    * @returns {Promise<void>}
+   * @throws {Error} ERR_ORCHESTRATOR_NET_REQUIRED without a network facility
    */
-  async initialize () {
+  async initialize (net) {
     try {
-      // In a real implementation, this would create an RPC client
-      // to connect to the orchestrator service
-      this.logger.info(`Orchestrator client initialized for ${this.orchestratorAddress}`)
+      if (!net) {
+        throw new Error('ERR_ORCHESTRATOR_NET_REQUIRED')
+      }
+
+      if (!this.orchestratorKeys.length) {
+        throw new Error('ERR_ORCHESTRATOR_RPC_KEY_INVALID')
+      }
+
+      this.net = net
+
+      this.logger.info(`Orchestrator client initialized with ${this.orchestratorKeys.length} orchestrator key(s)`)
     } catch (error) {
       this.logger.error('Failed to initialize orchestrator client:', error)
       throw error
@@ -35,6 +63,8 @@ class OrchestratorClient {
 
   /**
    * Route inference request to orchestrator
+   * The RPC waits until `params.options.deadline`, or is extended when the
+   * caller asks for a longer inference timeout in `params.options.timeout`.
    * @param {Object} params - Request parameters
    * @returns {Promise<Object>} Inference result
    */
@@ -42,13 +72,120 @@ class OrchestratorClient {
     try {
       this.logger.info(`Routing inference request for model: ${params.modelId}`)
 
-      // In a real implementation, this would make an RPC call to the orchestrator
-      // For now, we'll simulate the response
-      const result = await this.simulateInferenceRequest(params)
-
-      return result
+      return await this.request('routeInferenceRequest', params, {
+        timeout: this.getInferenceTimeout(params.options)
+      })
     } catch (error) {
       this.logger.error('Failed to route inference request:', error)
+      throw this.isPastDeadline(params.options) ? new Error('ERR_DEADLINE_EXCEEDED') : error
+    }
+  }
+
+  /**
+   * Route a batch inference request to orchestrator
+   * @param {Object} params - Request parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Array<Object>} params.inputs - Input data items
+   * @param {Object} params.options - Inference options
+   * @returns {Promise<Object>} Per-item inference results
+   */
+  async routeBatchInferenceRequest (params) {
+    try {
+      this.logger.info(`Routing batch inference request for model: ${params.modelId}`)
+
+      return await this.request('routeBatchInferenceRequest', params, {
+        timeout: this.getInferenceTimeout(params.options)
+      })
+    } catch (error) {
+      this.logger.error('Failed to route batch inference request:', error)
+      throw this.isPastDeadline(params.options) ? new Error('ERR_DEADLINE_EXCEEDED') : error
+    }
+  }
+
+  /**
+   * Cancel an inference or batch inference on the workers running it
+   * @param {Object} params - Cancel parameters
+   * @param {string} params.requestId - Request identifier, `options.requestId` of the request
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelInference (params) {
+    try {
+      return await this.request('cancelInference', params)
+    } catch (error) {
+      this.logger.error(`Failed to cancel inference ${params.requestId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * RPC timeout of an inference request
+   * With a deadline, the time left until it plus `orchestrator.deadlineGrace`,
+   * so the orchestrator gets to report the missed deadline itself. Without
+   * one, the client timeout extended past the inference timeout.
+   * @param {Object} options - Inference options
+   * @returns {number} Timeout in ms
+   */
+  getInferenceTimeout (options = {}) {
+    if (Number.isFinite(options.deadline)) {
+      return Math.max(options.deadline - Date.now(), 0) + (this.conf.orchestrator?.deadlineGrace || 2000)
+    }
+
+    return Math.max(this.timeout, (options.timeout || 0) + 10000)
+  }
+
+  /**
+   * Check whether the deadline of a request has passed
+   * @param {Object} options - Inference options
+   * @returns {boolean} Whether the deadline has passed
+   */
+  isPastDeadline (options = {}) {
+    return Number.isFinite(options.deadline) && options.deadline <= Date.now()
+  }
+
+  /**
+   * Start a streaming inference through the orchestrator
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object>} Stream handle with `streamId` and `workerId`
+   */
+  async startInferenceStream (params) {
+    try {
+      this.logger.info(`Routing streaming inference request for model: ${params.modelId}`)
+
+      return await this.request('routeInferenceRequest', {
+        ...params,
+        options: { ...params.options, stream: true }
+      })
+    } catch (error) {
+      this.logger.error('Failed to start inference stream:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Collect partial results of a streaming inference
+   * @param {Object} params - Poll parameters
+   * @param {string} params.streamId - Stream identifier
+   * @param {number} params.cursor - Number of partials already received
+   * @param {number} params.wait - Long-poll wait in ms
+   * @returns {Promise<Object>} New partials and stream state
+   */
+  async pollInferenceStream (params) {
+    return this.request('pollInferenceStream', params, {
+      timeout: this.timeout + (params.wait || 0)
+    })
+  }
+
+  /**
+   * Cancel a streaming inference
+   * @param {Object} params - Cancel parameters
+   * @param {string} params.streamId - Stream identifier
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelInferenceStream (params) {
+    try {
+      return await this.request('cancelInferenceStream', params)
+    } catch (error) {
+      this.logger.error(`Failed to cancel inference stream ${params.streamId}:`, error)
       throw error
     }
   }
@@ -56,32 +193,13 @@ class OrchestratorClient {
   /**
    * List available models
    * @param {Object} params - List parameters
+   * @param {string} params.type - Optional model type filter
+   * @param {number} params.limit - Optional limit
    * @returns {Promise<Object>} Models list
    */
   async listModels (params) {
     try {
-      // Simulate model listing
-      const models = [
-        {
-          modelId: 'image-classifier-v1',
-          type: 'onnx',
-          version: '1.0.0',
-          description: 'Image classification model',
-          createdAt: Date.now() - 86400000
-        },
-        {
-          modelId: 'text-sentiment-v1',
-          type: 'pytorch',
-          version: '1.0.0',
-          description: 'Text sentiment analysis model',
-          createdAt: Date.now() - 172800000
-        }
-      ]
-
-      return {
-        models: models.slice(0, params.limit),
-        count: models.length
-      }
+      return await this.request('listModels', params)
     } catch (error) {
       this.logger.error('Failed to list models:', error)
       throw error
@@ -89,32 +207,16 @@ class OrchestratorClient {
   }
 
   /**
-   * Get model information
-   * @param {Object} params - Get parameters
-   * @returns {Promise<Object>} Model information
+   * List the versions of a model
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @returns {Promise<Object>} Model versions
    */
-  async getModel (params) {
+  async listModelVersions (params) {
     try {
-      const { modelId } = params
-
-      // Simulate model retrieval
-      const model = {
-        modelId,
-        type: 'onnx',
-        version: '1.0.0',
-        description: 'AI model for inference',
-        metadata: {
-          inputShape: [1, 3, 224, 224],
-          outputShape: [1, 1000],
-          framework: 'onnx',
-          created: Date.now() - 86400000
-        },
-        status: 'available'
-      }
-
-      return model
+      return await this.request('listModelVersions', params)
     } catch (error) {
-      this.logger.error(`Failed to get model ${params.modelId}:`, error)
+      this.logger.error(`Failed to list versions of model ${params.modelId}:`, error)
       throw error
     }
   }
@@ -122,56 +224,219 @@ class OrchestratorClient {
   /**
    * Create a new model
    * @param {Object} params - Create parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.modelData - Base64 encoded model data
+   * @param {Object} params.metadata - Model metadata
    * @returns {Promise<Object>} Creation result
    */
   async createModel (params) {
     try {
-      const { modelId, modelData, metadata } = params
+      this.logger.info(`Creating model: ${params.modelId}`)
 
-      this.logger.info(`Creating model: ${modelId}`)
+      return await this.request('storeModel', { ...params, replace: false })
+    } catch (error) {
+      this.logger.error(`Failed to create model ${params.modelId}:`, error)
+      throw error
+    }
+  }
 
-      // Simulate model creation
-      const result = {
-        modelId,
-        status: 'created',
-        size: modelData.length,
-        checksum: this.calculateChecksum(modelData),
-        createdAt: Date.now()
-      }
+  /**
+   * Create or replace a model version
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.modelData - Base64 encoded model data
+   * @param {Object} params.metadata - Model metadata
+   * @returns {Promise<Object>} Store result
+   */
+  async putModel (params) {
+    try {
+      this.logger.info(`Storing model: ${params.modelId}`)
 
-      return result
+      return await this.request('storeModel', { ...params, replace: true })
     } catch (error) {
-      this.logger.error(`Failed to create model ${params.modelId}:`, error)
+      this.logger.error(`Failed to store model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Update model metadata
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Object} params.metadata - Metadata updates
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Update result
+   */
+  async updateModelMetadata (params) {
+    try {
+      return await this.request('updateModelMetadata', params)
+    } catch (error) {
+      this.logger.error(`Failed to update metadata for model ${params.modelId}:`, error)
       throw error
     }
   }
 
+  /**
+   * Delete a model, or one of its versions
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteModel (params) {
+    try {
+      this.logger.info(`Deleting model: ${params.modelId}`)
+
+      return await this.request('deleteModel', params)
+    } catch (error) {
+      this.logger.error(`Failed to delete model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Verify the stored data of a model against its checksum
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Validation result
+   */
+  async validateModel (params) {
+    try {
+      return await this.request('validateModel', params)
+    } catch (error) {
+      this.logger.error(`Failed to validate model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Start a chunked model upload
+   * @param {Object} params - Upload parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Object} params.metadata - Model metadata
+   * @param {number} params.size - Total size in bytes
+   * @param {string} params.sha256 - Hex encoded SHA-256 of the whole model
+   * @param {number} params.chunkSize - Optional chunk size in bytes
+   * @param {boolean} params.replace - Allow new or replaced versions of an existing model
+   * @returns {Promise<Object>} Upload session
+   */
+  async createUpload (params) {
+    try {
+      this.logger.info(`Starting upload of model: ${params.modelId}`)
+
+      return await this.request('createUpload', params)
+    } catch (error) {
+      this.logger.error(`Failed to start upload of model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the progress of a chunked upload
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Upload status
+   */
+  async getUpload (params) {
+    try {
+      return await this.request('getUpload', params)
+    } catch (error) {
+      this.logger.error(`Failed to get upload ${params.uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Send a chunk of an upload
+   * @param {Object} params - Chunk parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @param {number} params.index - Chunk index
+   * @param {string} params.data - Base64 encoded chunk data
+   * @param {string} params.checksum - Hex encoded SHA-256 of the chunk
+   * @returns {Promise<Object>} Chunk result
+   */
+  async uploadChunk (params) {
+    try {
+      return await this.request('uploadChunk', params)
+    } catch (error) {
+      this.logger.error(`Failed to send chunk ${params.index} of upload ${params.uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Complete a chunked upload
+   * Assembling and verifying large models takes a while, so the request
+   * timeout is extended by `orchestrator.uploadCompleteTimeout`.
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Store result
+   */
+  async completeUpload (params) {
+    try {
+      return await this.request('completeUpload', params, {
+        timeout: this.timeout + (this.conf.orchestrator?.uploadCompleteTimeout || 120000)
+      })
+    } catch (error) {
+      this.logger.error(`Failed to complete upload ${params.uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Abort a chunked upload
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Abort result
+   */
+  async abortUpload (params) {
+    try {
+      return await this.request('abortUpload', params)
+    } catch (error) {
+      this.logger.error(`Failed to abort upload ${params.uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get model metadata from the model manager through the orchestrator
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Model metadata
+   */
+  async getModelMetadata (params) {
+    try {
+      return await this.request('getModelMetadata', params)
+    } catch (error) {
+      this.logger.error(`Failed to get metadata for model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Subscribe to model change events relayed by the orchestrator
+   * @param {Object} params - Parameters
+   * @param {string} params.publicKey - Hex encoded RPC public key to notify
+   * @param {number} params.ttl - Lease duration in ms
+   * @returns {Promise<Object>} Subscription result
+   */
+  async subscribeModelEvents (params) {
+    return this.request('subscribeModelEvents', params)
+  }
+
   /**
    * Get service status
    * @returns {Promise<Object>} Service status
    */
   async getServiceStatus () {
     try {
-      // Simulate service status
-      return {
-        orchestrator: {
-          status: 'healthy',
-          uptime: process.uptime(),
-          workers: 3,
-          activeRequests: 5
-        },
-        aiWorkers: {
-          total: 3,
-          healthy: 3,
-          unhealthy: 0,
-          averageLoad: 0.3
-        },
-        modelManager: {
-          status: 'healthy',
-          totalModels: 2,
-          storageUsed: '150MB'
-        }
-      }
+      return await this.request('getServiceStatus', {})
     } catch (error) {
       this.logger.error('Failed to get service status:', error)
       throw error
@@ -179,40 +444,110 @@ class OrchestratorClient {
   }
 
   /**
-   * Simulate inference request
-   * @param {Object} params - Request parameters
-   * @returns {Promise<Object>} Simulated result
+   * Send a JSON request to the active orchestrator. Transport failures fail
+   * over to the next configured key until every orchestrator has been tried
+   * once.
+   * @param {string} method - RPC method name
+   * @param {Object} payload - Request payload
+   * @param {Object} opts - Request options
+   * @param {number} opts.timeout - Optional timeout override
+   * @returns {Promise<Object>} Decoded response
+   * @throws {Error} ERR_ORCHESTRATOR_UNAVAILABLE if no orchestrator is reachable
+   */
+  async request (method, payload, opts = {}) {
+    if (!this.net) {
+      throw new Error('ERR_ORCHESTRATOR_CLIENT_NOT_INITIALIZED')
+    }
+
+    let lastError = null
+
+    for (let attempt = 0; attempt < this.orchestratorKeys.length; attempt++) {
+      try {
+        await this.waitForReconnect()
+
+        const res = await this.net.jRequest(this.getActiveKey(), method, payload, {
+          timeout: opts.timeout || this.timeout
+        })
+
+        this.reconnectAttempts = 0
+        return res
+      } catch (error) {
+        if (!this.isTransportError(error)) {
+          throw error
+        }
+
+        lastError = error
+        this.logger.warn(`Orchestrator ${this.getActiveKey()} unreachable (${error.code || error.message}), failing over`)
+        this.failover()
+      }
+    }
+
+    this.logger.error('No orchestrator reachable:', lastError)
+    throw new Error('ERR_ORCHESTRATOR_UNAVAILABLE')
+  }
+
+  /**
+   * Wait out the reconnect backoff, so a flapping orchestrator does not cause
+   * a connection storm
+   * @returns {Promise<void>}
    */
-  async simulateInferenceRequest (params) {
-    const { modelId, inputData } = params
+  async waitForReconnect () {
+    const wait = this.nextReconnectAt - Date.now()
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait))
+    }
+  }
 
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 500))
+  /**
+   * Compute the next reconnect time
+   */
+  scheduleReconnect () {
+    const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay)
+    this.reconnectAttempts++
+    this.nextReconnectAt = Date.now() + delay
+  }
 
-    // Simulate inference result
-    const result = {
-      success: true,
-      result: {
-        predictions: Array.from({ length: 1000 }, () => Math.random()),
-        confidence: Math.random(),
-        processingTime: Math.random() * 1000 + 500,
-        modelId
-      },
-      workerId: `worker-${Math.floor(Math.random() * 3) + 1}`,
-      routedAt: Date.now()
+  /**
+   * Move to the next orchestrator key
+   */
+  failover () {
+    this.activeKeyIndex = (this.activeKeyIndex + 1) % this.orchestratorKeys.length
+
+    // Only back off once every orchestrator has been tried
+    if (this.activeKeyIndex === 0) {
+      this.scheduleReconnect()
     }
+  }
 
-    return result
+  /**
+   * Get the public key of the active orchestrator
+   * @returns {string} Hex encoded RPC public key
+   */
+  getActiveKey () {
+    return this.orchestratorKeys[this.activeKeyIndex]
   }
 
   /**
-   * Calculate checksum for data
-   * @param {Buffer} data - Data to checksum
-   * @returns {string} Checksum
+   * Check whether an error was raised by the transport rather than the orchestrator
+   * @param {Error} error - Error to inspect
+   * @returns {boolean} True if the request may be retried on another orchestrator
    */
-  calculateChecksum (data) {
-    const crypto = require('crypto')
-    return crypto.createHash('sha256').update(data).digest('hex')
+  isTransportError (error) {
+    return TRANSPORT_ERRORS.includes(error.code)
+  }
+
+  /**
+   * Read orchestrator RPC keys from configuration
+   * @param {Object} orchestratorConf - `orchestrator` configuration section
+   * @returns {Array<string>} Hex encoded RPC public keys
+   */
+  parseOrchestratorKeys (orchestratorConf = {}) {
+    const keys = [
+      orchestratorConf.rpcPublicKey,
+      ...(orchestratorConf.rpcPublicKeys || [])
+    ].filter(Boolean)
+
+    return [...new Set(keys)]
   }
 }
 
@@ -0,0 +1,204 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * Rate Limiter class implementing token buckets shared between gateway peers
+ * Every client is owned by exactly one gateway, chosen by rendezvous hashing
+ * over the gateway RPC keys in `rateLimit.peers`. Requests arriving at another
+ * gateway consume tokens on the owner over Hyperswarm RPC, so the configured
+ * limit holds for the whole cluster. If the owner cannot be reached the
+ * buckets are consumed locally.
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * Creates an instance of RateLimiter
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.net = null
+    this.selfKey = null
+    this.peers = []
+    this.buckets = new Map()
+    this.peerTimeout = conf.rateLimit?.peerTimeout || 1000
+    this.defaultLimit = this.parseLimit(conf.rateLimit)
+  }
+
+  /**
+   * Initialize rate limiter
+   * @param {Object} net - Network facility (`net_r0`) of the hosting worker
+   * @returns {Promise<void>}
+   */
+  async initialize (net) {
+    try {
+      this.net = net
+      this.selfKey = net.rpcServer.publicKey.toString('hex')
+      this.peers = [...new Set([this.selfKey, ...(this.conf.rateLimit?.peers || [])])].sort()
+
+      this.logger.info(`Rate limiter initialized with ${this.peers.length} gateway peer(s)`)
+    } catch (error) {
+      this.logger.error('Failed to initialize rate limiter:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Consume tokens for a request
+   * @param {Object} params - Consume parameters
+   * @param {string} params.clientId - Client identifier
+   * @param {string} params.modelId - Optional model identifier
+   * @param {Object} params.limit - Optional per-key limit overriding the default
+   * @param {number} params.cost - Number of tokens to take (default 1)
+   * @returns {Promise<Object>} Decision with `allowed`, `limit`, `remaining`, `reset` and `retryAfter`
+   */
+  async consume (params) {
+    const { clientId, modelId, limit, cost = 1 } = params
+    const buckets = [{ name: `key:${clientId}`, ...(limit ? this.parseLimit(limit) : this.defaultLimit) }]
+
+    const modelLimit = modelId && this.conf.rateLimit?.models?.[modelId]
+    if (modelLimit) {
+      buckets.push({ name: `model:${clientId}:${modelId}`, ...this.parseLimit(modelLimit) })
+    }
+
+    const owner = this.getOwner(clientId)
+    if (owner === this.selfKey) {
+      return this.consumeBuckets({ buckets, cost })
+    }
+
+    try {
+      return await this.net.jRequest(owner, 'consumeRateLimit', { buckets, cost }, { timeout: this.peerTimeout })
+    } catch (error) {
+      this.logger.warn(`Rate limit peer ${owner} unreachable (${error.message}), consuming locally`)
+      return this.consumeBuckets({ buckets, cost })
+    }
+  }
+
+  /**
+   * Take tokens from a set of buckets owned by this gateway
+   * Tokens are only taken when every bucket has enough of them, so a request
+   * rejected by its model bucket does not use up the key bucket. A request
+   * costing more than a bucket holds is let through once the bucket is full
+   * and leaves it in debt until the tokens have been refilled.
+   * @param {Object} params - Consume parameters
+   * @param {Array<Object>} params.buckets - Buckets with `name`, `capacity` and `refillRate`
+   * @param {number} params.cost - Number of tokens to take
+   * @returns {Object} Decision for the most constrained bucket
+   */
+  consumeBuckets (params) {
+    const { buckets, cost = 1 } = params
+    const now = Date.now()
+
+    const states = buckets.map(bucket => ({ bucket, state: this.refill(bucket, now) }))
+    const allowed = states.every(({ bucket, state }) => state.tokens >= Math.min(cost, bucket.capacity))
+
+    for (const { bucket, state } of states) {
+      if (allowed) {
+        state.tokens -= cost
+      }
+      state.fullAt = now + ((bucket.capacity - state.tokens) / bucket.refillRate) * 1000
+    }
+
+    const limiting = states.reduce((min, entry) =>
+      entry.state.tokens / entry.bucket.capacity < min.state.tokens / min.bucket.capacity ? entry : min
+    )
+    const { bucket, state } = limiting
+
+    return {
+      allowed,
+      limit: bucket.capacity,
+      remaining: Math.max(0, Math.floor(state.tokens)),
+      reset: Math.ceil((bucket.capacity - state.tokens) / bucket.refillRate),
+      retryAfter: allowed ? 0 : Math.ceil((Math.min(cost, bucket.capacity) - state.tokens) / bucket.refillRate)
+    }
+  }
+
+  /**
+   * Get a bucket refilled up to the current time
+   * @param {Object} bucket - Bucket definition
+   * @param {number} now - Current timestamp
+   * @returns {Object} Bucket state
+   */
+  refill (bucket, now) {
+    let state = this.buckets.get(bucket.name)
+
+    if (!state) {
+      state = { tokens: bucket.capacity, updatedAt: now, fullAt: now }
+      this.buckets.set(bucket.name, state)
+    }
+
+    const elapsed = (now - state.updatedAt) / 1000
+    state.tokens = Math.min(bucket.capacity, state.tokens + elapsed * bucket.refillRate)
+    state.updatedAt = now
+
+    return state
+  }
+
+  /**
+   * Get the gateway that owns the buckets of a client
+   * @param {string} clientId - Client identifier
+   * @returns {string} Hex encoded RPC public key of the owner
+   */
+  getOwner (clientId) {
+    let owner = this.selfKey
+    let best = null
+
+    for (const peer of this.peers) {
+      const score = crypto.createHash('sha256').update(`${peer}:${clientId}`).digest('hex')
+      if (best === null || score > best) {
+        best = score
+        owner = peer
+      }
+    }
+
+    return owner
+  }
+
+  /**
+   * Normalize a limit definition
+   * Accepts `{ capacity, refillRate }` (tokens per second) or the legacy
+   * `{ maxRequests, windowMs }` form.
+   * @param {Object} limit - Limit definition
+   * @returns {Object} Limit with `capacity` and `refillRate`
+   */
+  parseLimit (limit = {}) {
+    const capacity = limit.capacity || limit.maxRequests || 100
+    const refillRate = limit.refillRate || capacity / ((limit.windowMs || 60000) / 1000)
+
+    return { capacity, refillRate }
+  }
+
+  /**
+   * Drop buckets that have refilled completely
+   * @returns {number} Number of removed buckets
+   */
+  cleanup () {
+    const now = Date.now()
+    let removed = 0
+
+    for (const [name, state] of this.buckets.entries()) {
+      if (state.fullAt <= now) {
+        this.buckets.delete(name)
+        removed++
+      }
+    }
+
+    return removed
+  }
+
+  /**
+   * Get rate limiter statistics
+   * @returns {Object} Rate limiter statistics
+   */
+  getStats () {
+    return {
+      buckets: this.buckets.size,
+      peers: this.peers.length
+    }
+  }
+}
+
+module.exports = RateLimiter
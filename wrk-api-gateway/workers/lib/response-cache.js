@@ -0,0 +1,185 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * Response Cache class for results of deterministic models
+ * Entries are keyed by model id, model version, model checksum and a
+ * canonical hash of the input, and live in the gateway's LRU facility. Model
+ * versions are looked up through the orchestrator and dropped when the model
+ * manager reports a change, so a new version never serves older results.
+ * @class ResponseCache
+ */
+class ResponseCache {
+  /**
+   * Creates an instance of ResponseCache
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.lru = null
+    this.orchestratorClient = null
+    this.models = new Map()
+    this.generations = new Map()
+    this.defaultTtl = conf.cache?.ttl || 300000
+    this.maxTtl = conf.cache?.maxTtl || 900000
+    this.metadataTtl = conf.cache?.metadataTtl || 60000
+    this.stats = { hits: 0, misses: 0, bypassed: 0 }
+  }
+
+  /**
+   * Initialize response cache
+   * @param {Object} lru - LRU facility (`lru_15m`) of the hosting worker
+   * @param {Object} orchestratorClient - Orchestrator client used for model lookups
+   * @returns {Promise<void>}
+   */
+  async initialize (lru, orchestratorClient) {
+    try {
+      this.lru = lru
+      this.orchestratorClient = orchestratorClient
+
+      this.logger.info('Response cache initialized')
+    } catch (error) {
+      this.logger.error('Failed to initialize response cache:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Look up a cached result
+   * @param {string} modelId - Model identifier
+   * @param {*} inputData - Inference input
+   * @param {Object} opts - Cache options from the request
+   * @param {boolean} opts.bypass - Skip the cache for this request
+   * @returns {Promise<Object|null>} `{ key, hit, value }`, or null when the request is not cacheable
+   */
+  async lookup (modelId, inputData, opts = {}) {
+    if (!this.conf.cache?.enabled) {
+      return null
+    }
+
+    if (opts.bypass) {
+      this.stats.bypassed++
+      return null
+    }
+
+    const model = await this.getModelInfo(modelId)
+    if (!model || !model.deterministic) {
+      return null
+    }
+
+    const key = this.buildKey(model, inputData)
+    const entry = this.lru.cache.get(key)
+
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits++
+      return { key, hit: true, value: entry.value }
+    }
+
+    this.stats.misses++
+    return { key, hit: false, value: null }
+  }
+
+  /**
+   * Store a result
+   * @param {string} key - Cache key returned by `lookup`
+   * @param {Object} value - Result to cache
+   * @param {number} ttl - Optional time to live in ms, capped at `cache.maxTtl`
+   */
+  store (key, value, ttl) {
+    const expiresIn = Math.min(ttl || this.defaultTtl, this.maxTtl)
+    this.lru.cache.set(key, { value, expiresAt: Date.now() + expiresIn })
+  }
+
+  /**
+   * Forget what is known about a model
+   * Bumping the model's generation makes every cached result unreachable,
+   * even if the new version kept the same version string and checksum.
+   * @param {string} modelId - Model identifier
+   */
+  invalidateModel (modelId) {
+    this.models.delete(modelId)
+    this.generations.set(modelId, (this.generations.get(modelId) || 0) + 1)
+    this.logger.info(`Response cache invalidated for model ${modelId}`)
+  }
+
+  /**
+   * Get version, checksum and determinism of a model
+   * @param {string} modelId - Model identifier
+   * @returns {Promise<Object|null>} Model info or null if it cannot be resolved
+   */
+  async getModelInfo (modelId) {
+    const cached = this.models.get(modelId)
+    if (cached && Date.now() - cached.fetchedAt < this.metadataTtl) {
+      return cached
+    }
+
+    try {
+      const { metadata } = await this.orchestratorClient.getModelMetadata({ modelId })
+      const info = {
+        modelId,
+        version: metadata.version,
+        checksum: metadata.checksum,
+        deterministic: metadata.deterministic === true,
+        fetchedAt: Date.now()
+      }
+
+      this.models.set(modelId, info)
+      return info
+    } catch (error) {
+      this.logger.warn(`Model info for ${modelId} unavailable, not caching: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Build the cache key of a request
+   * @param {Object} model - Model info
+   * @param {*} inputData - Inference input
+   * @returns {string} Cache key
+   */
+  buildKey (model, inputData) {
+    const inputHash = crypto.createHash('sha256').update(this.canonicalize(inputData)).digest('hex')
+    const generation = this.generations.get(model.modelId) || 0
+
+    return `inference:${model.modelId}:${generation}:${model.version}:${model.checksum}:${inputHash}`
+  }
+
+  /**
+   * Serialize a value as JSON with object keys sorted, so equal inputs hash
+   * the same regardless of key order
+   * @param {*} value - Value to serialize
+   * @returns {string} Canonical JSON
+   */
+  canonicalize (value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`
+    }
+
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+
+      return `{${entries.join(',')}}`
+    }
+
+    return JSON.stringify(value) ?? 'null'
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache statistics
+   */
+  getStats () {
+    return {
+      ...this.stats,
+      models: this.models.size
+    }
+  }
+}
+
+module.exports = ResponseCache
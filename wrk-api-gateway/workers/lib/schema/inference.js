@@ -0,0 +1,94 @@
+'use strict'
+
+const { PRIORITIES } = require('../auth-manager')
+
+const modelParams = {
+  type: 'object',
+  required: ['modelId'],
+  properties: {
+    modelId: {
+      type: 'string',
+      pattern: '^[A-Za-z0-9._-]+$',
+      maxLength: 128
+    }
+  }
+}
+
+const inferenceOptions = {
+  type: 'object',
+  properties: {
+    timeout: {
+      type: 'integer',
+      minimum: 1
+    },
+    priority: {
+      type: 'string',
+      enum: PRIORITIES
+    },
+    requirements: {
+      type: 'object',
+      properties: {
+        capabilities: {
+          type: 'array',
+          items: {
+            type: 'string'
+          }
+        },
+        minCapacity: {
+          type: 'integer',
+          minimum: 0
+        }
+      }
+    },
+    cache: {
+      type: 'object',
+      properties: {
+        bypass: {
+          type: 'boolean'
+        },
+        ttl: {
+          type: 'integer',
+          minimum: 1
+        }
+      }
+    }
+  }
+}
+
+const runInferenceBody = {
+  type: 'object',
+  required: ['inputData'],
+  properties: {
+    inputData: {},
+    options: inferenceOptions
+  }
+}
+
+const runBatchInferenceBody = {
+  type: 'object',
+  required: ['inputs'],
+  properties: {
+    inputs: {
+      type: 'array',
+      minItems: 1
+    },
+    options: inferenceOptions
+  }
+}
+
+module.exports = {
+  modelParams,
+  inferenceOptions,
+  runInference: {
+    params: modelParams,
+    body: runInferenceBody
+  },
+  runBatchInference: {
+    params: modelParams,
+    body: runBatchInferenceBody
+  },
+  streamInference: {
+    params: modelParams,
+    body: runInferenceBody
+  }
+}
@@ -0,0 +1,38 @@
+'use strict'
+
+const { modelParams, inferenceOptions } = require('./inference')
+
+const createJobBody = {
+  type: 'object',
+  required: ['modelId', 'inputData'],
+  properties: {
+    modelId: modelParams.properties.modelId,
+    inputData: {},
+    options: inferenceOptions,
+    callbackUrl: {
+      type: 'string',
+      format: 'uri',
+      pattern: '^https?://'
+    }
+  }
+}
+
+const jobParams = {
+  type: 'object',
+  required: ['jobId'],
+  properties: {
+    jobId: {
+      type: 'string',
+      format: 'uuid'
+    }
+  }
+}
+
+module.exports = {
+  createJob: {
+    body: createJobBody
+  },
+  getJob: {
+    params: jobParams
+  }
+}
@@ -0,0 +1,95 @@
+'use strict'
+
+const { USAGE_FIELDS } = require('../usage-meter')
+const { PRIORITIES } = require('../auth-manager')
+
+const keyParams = {
+  type: 'object',
+  required: ['keyId'],
+  properties: {
+    keyId: {
+      type: 'string',
+      pattern: '^[a-f0-9]{16}$'
+    }
+  }
+}
+
+const rateLimit = {
+  type: 'object',
+  required: ['capacity', 'refillRate'],
+  properties: {
+    capacity: {
+      type: 'integer',
+      minimum: 1
+    },
+    refillRate: {
+      type: 'number',
+      exclusiveMinimum: 0
+    }
+  }
+}
+
+const quota = {
+  type: 'object',
+  propertyNames: {
+    enum: USAGE_FIELDS
+  },
+  additionalProperties: {
+    type: 'integer',
+    minimum: 0
+  }
+}
+
+const createKeyBody = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: {
+      type: 'string',
+      minLength: 1
+    },
+    permissions: {
+      type: 'array',
+      items: {
+        type: 'string'
+      }
+    },
+    expiresIn: {
+      type: 'integer',
+      minimum: 1
+    },
+    rateLimit,
+    quota,
+    priority: {
+      type: 'string',
+      enum: PRIORITIES
+    }
+  }
+}
+
+const rotateKeyBody = {
+  type: 'object',
+  properties: {
+    overlap: {
+      type: 'integer',
+      minimum: 0
+    },
+    expiresIn: {
+      type: 'integer',
+      minimum: 1
+    }
+  }
+}
+
+module.exports = {
+  createKey: {
+    body: createKeyBody
+  },
+  rotateKey: {
+    params: keyParams,
+    body: rotateKeyBody
+  },
+  revokeKey: {
+    params: keyParams
+  }
+}
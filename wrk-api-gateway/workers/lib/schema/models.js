@@ -0,0 +1,129 @@
+'use strict'
+
+const { modelParams } = require('./inference')
+
+const modelVersion = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9._+-]+$',
+  maxLength: 64
+}
+
+const modelVersionParams = {
+  type: 'object',
+  required: ['modelId', 'version'],
+  properties: {
+    modelId: modelParams.properties.modelId,
+    version: modelVersion
+  }
+}
+
+const versionQuery = {
+  type: 'object',
+  properties: {
+    version: modelVersion
+  }
+}
+
+const listModelsQuery = {
+  type: 'object',
+  properties: {
+    type: {
+      type: 'string'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 1000
+    }
+  }
+}
+
+const metadataFields = {
+  type: {
+    type: 'string'
+  },
+  version: modelVersion,
+  description: {
+    type: 'string'
+  },
+  deterministic: {
+    type: 'boolean'
+  }
+}
+
+const modelMetadata = {
+  type: 'object',
+  required: ['type'],
+  properties: metadataFields
+}
+
+const modelData = {
+  type: 'string',
+  contentEncoding: 'base64',
+  minLength: 1
+}
+
+const createModelBody = {
+  type: 'object',
+  required: ['modelId', 'modelData', 'metadata'],
+  properties: {
+    modelId: modelParams.properties.modelId,
+    modelData,
+    metadata: modelMetadata
+  }
+}
+
+const putModelBody = {
+  type: 'object',
+  required: ['modelData', 'metadata'],
+  properties: {
+    modelData,
+    metadata: modelMetadata
+  }
+}
+
+const patchModelBody = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    type: metadataFields.type,
+    description: metadataFields.description,
+    deterministic: metadataFields.deterministic
+  }
+}
+
+module.exports = {
+  modelMetadata,
+  listModels: {
+    querystring: listModelsQuery
+  },
+  getModel: {
+    params: modelParams
+  },
+  listModelVersions: {
+    params: modelParams
+  },
+  getModelVersion: {
+    params: modelVersionParams
+  },
+  createModel: {
+    body: createModelBody
+  },
+  putModel: {
+    params: modelParams,
+    body: putModelBody
+  },
+  patchModel: {
+    params: modelParams,
+    querystring: versionQuery,
+    body: patchModelBody
+  },
+  deleteModel: {
+    params: modelParams,
+    querystring: versionQuery
+  },
+  validateModel: {
+    params: modelParams,
+    querystring: versionQuery
+  }
+}
@@ -0,0 +1,86 @@
+'use strict'
+
+const { modelParams } = require('./inference')
+const { modelMetadata } = require('./models')
+
+const sha256 = {
+  type: 'string',
+  pattern: '^[a-f0-9]{64}$'
+}
+
+const uploadParams = {
+  type: 'object',
+  required: ['modelId', 'uploadId'],
+  properties: {
+    modelId: modelParams.properties.modelId,
+    uploadId: {
+      type: 'string',
+      format: 'uuid'
+    }
+  }
+}
+
+const chunkParams = {
+  type: 'object',
+  required: ['modelId', 'uploadId', 'index'],
+  properties: {
+    ...uploadParams.properties,
+    index: {
+      type: 'integer',
+      minimum: 0
+    }
+  }
+}
+
+const createUploadBody = {
+  type: 'object',
+  required: ['metadata', 'size', 'sha256'],
+  properties: {
+    metadata: modelMetadata,
+    size: {
+      type: 'integer',
+      minimum: 1
+    },
+    sha256,
+    chunkSize: {
+      type: 'integer',
+      minimum: 1
+    },
+    replace: {
+      type: 'boolean'
+    }
+  }
+}
+
+const uploadChunkBody = {
+  type: 'object',
+  required: ['data', 'checksum'],
+  properties: {
+    data: {
+      type: 'string',
+      contentEncoding: 'base64',
+      minLength: 1
+    },
+    checksum: sha256
+  }
+}
+
+module.exports = {
+  createUpload: {
+    params: modelParams,
+    body: createUploadBody
+  },
+  getUpload: {
+    params: uploadParams
+  },
+  uploadChunk: {
+    params: chunkParams,
+    body: uploadChunkBody
+  },
+  completeUpload: {
+    params: uploadParams
+  },
+  abortUpload: {
+    params: uploadParams
+  }
+}
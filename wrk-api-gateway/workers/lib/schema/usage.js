@@ -0,0 +1,24 @@
+'use strict'
+
+const getUsageQuery = {
+  type: 'object',
+  properties: {
+    start: {
+      type: 'string',
+      format: 'date'
+    },
+    end: {
+      type: 'string',
+      format: 'date'
+    },
+    clientId: {
+      type: 'string'
+    }
+  }
+}
+
+module.exports = {
+  getUsage: {
+    querystring: getUsageQuery
+  }
+}
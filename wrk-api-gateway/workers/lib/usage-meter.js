@@ -0,0 +1,355 @@
+'use strict'
+
+const crypto = require('crypto')
+const lWrkFunLogs = require('./wrk-fun-logs')
+
+const USAGE_FIELDS = ['requests', 'errors', 'inputBytes', 'outputBytes', 'processingTime']
+
+/**
+ * Encode a timestamp as a big-endian key, so time log entries sort by time
+ * @param {number} ts - Timestamp
+ * @returns {Buffer} 8-byte key
+ */
+function convIntToBin (ts) {
+  const buf = Buffer.alloc(8)
+  buf.writeBigUInt64BE(BigInt(ts))
+  return buf
+}
+
+/**
+ * Usage Meter class for per-client usage accounting and monthly quotas
+ * Every metered request is appended to the client's rotating time log
+ * (`usage-<clientId>`), kept open until it is rotated, and added to daily and
+ * monthly rollups. Like rate limit buckets, the records of a client are kept
+ * by the gateway that owns it, so quotas hold across gateway peers.
+ * @class UsageMeter
+ */
+class UsageMeter {
+  /**
+   * Creates an instance of UsageMeter
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.net = null
+    this.rateLimiter = null
+    // Named after the facilities so the bee-log helpers can run on this instance
+    this.store_s0 = null
+    this.meta_logs = null
+    this.rollups = null
+    this.logs = new Map()
+    this.counters = new Map()
+    this.peerTimeout = conf.usage?.peerTimeout || 1000
+  }
+
+  /**
+   * Initialize usage meter
+   * @param {Object} store - Store facility (`store_s0`) of the hosting worker
+   * @param {Object} net - Network facility (`net_r0`) of the hosting worker
+   * @param {Object} rateLimiter - Rate limiter deciding which gateway owns a client
+   * @returns {Promise<void>}
+   */
+  async initialize (store, net, rateLimiter) {
+    try {
+      this.store_s0 = store
+      this.net = net
+      this.rateLimiter = rateLimiter
+
+      this.meta_logs = await store.getBee(
+        { name: 'meta_logs_00' },
+        { keyEncoding: 'utf-8', valueEncoding: 'json' }
+      )
+      this.rollups = await store.getBee(
+        { name: 'usage-rollups' },
+        { keyEncoding: 'utf-8', valueEncoding: 'json' }
+      )
+
+      await this.meta_logs.ready()
+      await this.rollups.ready()
+
+      this.logger.info('Usage meter initialized')
+    } catch (error) {
+      this.logger.error('Failed to initialize usage meter:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Record usage of a request on the gateway owning the client
+   * @param {Object} event - Usage event
+   * @param {string} event.clientId - Client identifier
+   * @param {string} event.modelId - Model identifier
+   * @param {number} event.requests - Number of inferences (default 1)
+   * @param {number} event.inputBytes - Size of the input payload
+   * @param {number} event.outputBytes - Size of the returned result
+   * @param {number} event.processingTime - Processing time reported by the inference engine
+   * @param {boolean} event.success - Whether the request succeeded
+   * @returns {Promise<void>}
+   */
+  async record (event) {
+    await this.callOwner(event.clientId, 'recordUsage', event)
+  }
+
+  /**
+   * Get daily and monthly rollups of a client
+   * @param {Object} params - Query parameters
+   * @param {string} params.clientId - Client identifier
+   * @param {number} params.start - Start timestamp (default: start of current month)
+   * @param {number} params.end - End timestamp (default: now)
+   * @returns {Promise<Object>} Usage rollups
+   */
+  async getUsage (params) {
+    return this.callOwner(params.clientId, 'readUsage', params)
+  }
+
+  /**
+   * Check a client's monthly usage against its quota
+   * The inferences of the pending request count towards the `requests` limit,
+   * so a batch is rejected if it would take the client past the quota.
+   * @param {Object} params - Check parameters
+   * @param {string} params.clientId - Client identifier
+   * @param {Object} params.quota - Monthly limits by usage field
+   * @param {number} params.requests - Number of inferences of the pending request (default 1)
+   * @returns {Promise<Object>} Decision with `allowed`, `exceeded`, `usage` and `quota`
+   */
+  async checkQuota (params) {
+    const { clientId, quota, requests = 1 } = params
+
+    if (!quota || !Object.keys(quota).length) {
+      return { allowed: true, exceeded: null, usage: null, quota: null }
+    }
+
+    const usage = await this.callOwner(clientId, 'getMonthlyUsage', { clientId })
+    const pending = { requests }
+    const exceeded = Object.keys(quota).find(field => {
+      const used = usage[field] || 0
+      return used >= quota[field] || used + (pending[field] || 0) > quota[field]
+    }) || null
+
+    return { allowed: !exceeded, exceeded, usage, quota }
+  }
+
+  /**
+   * Run a usage operation on the gateway owning the client, falling back to
+   * this gateway if the owner cannot be reached
+   * @param {string} clientId - Client identifier
+   * @param {string} method - RPC method, also the name of the local method
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} Operation result
+   */
+  async callOwner (clientId, method, payload) {
+    const owner = this.rateLimiter.getOwner(clientId)
+    if (owner === this.rateLimiter.selfKey) {
+      return this[method](payload)
+    }
+
+    try {
+      return await this.net.jRequest(owner, method, payload, { timeout: this.peerTimeout })
+    } catch (error) {
+      this.logger.warn(`Usage peer ${owner} unreachable (${error.message}), using local records`)
+      return this[method](payload)
+    }
+  }
+
+  /**
+   * Append a usage event to the client's time log and update its rollups
+   * @param {Object} event - Usage event
+   * @returns {Promise<Object>} Stored record
+   */
+  async recordUsage (event) {
+    const now = Date.now()
+    const record = {
+      ts: now,
+      modelId: event.modelId,
+      requests: event.requests ?? 1,
+      errors: event.success === false ? 1 : 0,
+      inputBytes: event.inputBytes || 0,
+      outputBytes: event.outputBytes || 0,
+      processingTime: event.processingTime || 0
+    }
+
+    const log = await this.getLog(`usage-${event.clientId}`)
+
+    // Suffix the timestamp so events of the same millisecond do not collide
+    const kts = Buffer.concat([convIntToBin(now), crypto.randomBytes(4)])
+    await log.put(kts, record)
+
+    const date = new Date(now).toISOString()
+    await this.addToRollup(`day!${event.clientId}!${date.slice(0, 10)}`, record)
+    await this.addToRollup(`month!${event.clientId}!${date.slice(0, 7)}`, record)
+
+    return record
+  }
+
+  /**
+   * Get the current time log of a client, opening it on first use
+   * @param {string} logKey - Log key
+   * @returns {Promise<Object>} Open time log
+   */
+  async getLog (logKey) {
+    if (!this.logs.has(logKey)) {
+      this.logs.set(logKey, lWrkFunLogs.getBeeTimeLog.call(this, logKey, 0, true))
+    }
+
+    try {
+      return await this.logs.get(logKey)
+    } catch (error) {
+      this.logs.delete(logKey)
+      throw error
+    }
+  }
+
+  /**
+   * Close a time log, the next record opens the current one
+   * @param {string} logKey - Log key
+   * @returns {Promise<void>}
+   */
+  async releaseLog (logKey) {
+    const pending = this.logs.get(logKey)
+    if (!pending) {
+      return
+    }
+
+    this.logs.delete(logKey)
+
+    try {
+      await lWrkFunLogs.releaseBeeTimeLog.call(this, await pending)
+    } catch (error) {
+      this.logger.debug(`Usage log ${logKey} was not open: ${error.message}`)
+    }
+  }
+
+  /**
+   * Add a usage record to a rollup
+   * Rollups are cached in memory and updated synchronously, so concurrent
+   * records of the same client are not lost between read and write.
+   * @param {string} key - Rollup key
+   * @param {Object} record - Usage record
+   * @returns {Promise<void>}
+   */
+  async addToRollup (key, record) {
+    const rollup = await this.getRollup(key)
+
+    for (const field of USAGE_FIELDS) {
+      rollup[field] += record[field]
+    }
+
+    if (record.modelId) {
+      const model = rollup.models[record.modelId] || (rollup.models[record.modelId] = this.emptyUsage())
+      for (const field of USAGE_FIELDS) {
+        model[field] += record[field]
+      }
+    }
+
+    await this.rollups.put(key, rollup)
+  }
+
+  /**
+   * Get a rollup, loading it into the cache
+   * @param {string} key - Rollup key
+   * @returns {Promise<Object>} Rollup
+   */
+  async getRollup (key) {
+    if (!this.counters.has(key)) {
+      this.counters.set(key, this.rollups.get(key).then(entry => {
+        return entry ? entry.value : { ...this.emptyUsage(), models: {} }
+      }))
+    }
+
+    try {
+      return await this.counters.get(key)
+    } catch (error) {
+      this.counters.delete(key)
+      throw error
+    }
+  }
+
+  /**
+   * Get the current month's rollup of a client
+   * @param {Object} req - Request
+   * @param {string} req.clientId - Client identifier
+   * @returns {Promise<Object>} Monthly rollup
+   */
+  async getMonthlyUsage (req) {
+    const month = new Date().toISOString().slice(0, 7)
+    return this.getRollup(`month!${req.clientId}!${month}`)
+  }
+
+  /**
+   * Read the daily and monthly rollups of a client in a time range
+   * @param {Object} req - Query parameters
+   * @returns {Promise<Object>} Usage rollups
+   */
+  async readUsage (req) {
+    const now = new Date()
+    const start = new Date(req.start || Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString()
+    const end = new Date(req.end || now.getTime()).toISOString()
+
+    const daily = await this.readRollups(`day!${req.clientId}!`, start.slice(0, 10), end.slice(0, 10))
+    const monthly = await this.readRollups(`month!${req.clientId}!`, start.slice(0, 7), end.slice(0, 7))
+
+    return {
+      clientId: req.clientId,
+      start,
+      end,
+      daily,
+      monthly
+    }
+  }
+
+  /**
+   * Read rollups between two periods (inclusive)
+   * @param {string} prefix - Rollup key prefix
+   * @param {string} from - First period
+   * @param {string} to - Last period
+   * @returns {Promise<Array>} Rollups with their `period`
+   */
+  async readRollups (prefix, from, to) {
+    const res = []
+    const stream = this.rollups.createReadStream({ gte: prefix + from, lte: prefix + to })
+
+    for await (const { key, value } of stream) {
+      res.push({ period: key.slice(prefix.length), ...value })
+    }
+
+    return res
+  }
+
+  /**
+   * Get an empty usage record
+   * @returns {Object} Usage with every field set to 0
+   */
+  emptyUsage () {
+    return Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]))
+  }
+
+  /**
+   * Rotate usage logs and drop cached rollups of past periods
+   * The rotated logs are closed, the next record of their client opens the
+   * new one.
+   * @returns {Promise<Array>} Rotated logs
+   */
+  async rotateLogs () {
+    const date = new Date().toISOString()
+    const current = [date.slice(0, 10), date.slice(0, 7)]
+
+    for (const key of this.counters.keys()) {
+      if (!current.includes(key.slice(key.lastIndexOf('!') + 1))) {
+        this.counters.delete(key)
+      }
+    }
+
+    const rotated = await lWrkFunLogs.rotateLogs.call(this)
+    for (const [logKey] of rotated) {
+      await this.releaseLog(logKey)
+    }
+
+    return rotated
+  }
+}
+
+UsageMeter.USAGE_FIELDS = USAGE_FIELDS
+
+module.exports = UsageMeter
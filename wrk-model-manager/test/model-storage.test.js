@@ -0,0 +1,154 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const crypto = require('crypto')
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const ModelStorage = require('../workers/lib/model-storage')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex')
+
+/**
+ * Create a storage in a temporary directory removed after the test
+ * @param {Object} t - Test context
+ * @param {Object} conf - Storage configuration
+ * @param {string} [storagePath] - Existing storage directory to reuse
+ * @returns {Promise<ModelStorage>} Initialized storage
+ */
+async function createStorage (t, conf = {}, storagePath) {
+  if (!storagePath) {
+    storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'model-storage-'))
+    t.after(() => fs.rm(storagePath, { recursive: true, force: true }))
+  }
+
+  const storage = new ModelStorage({ ...conf, storagePath }, logger)
+  await storage.initialize()
+  return storage
+}
+
+test('model data is stored in a blob named after its checksum', async (t) => {
+  const storage = await createStorage(t)
+  const data = Buffer.from('model weights')
+
+  const stored = await storage.storeModel('model-a', data, '1.0.0')
+
+  assert.strictEqual(stored.key, sha256(data))
+  assert.strictEqual(stored.size, data.length)
+  assert.strictEqual(stored.deduplicated, false)
+  assert.strictEqual(path.basename(stored.path), sha256(data))
+  assert.deepStrictEqual(await storage.getModel(stored.key), data)
+  assert.deepStrictEqual(await storage.getRefs(stored.key), ['model-a@1.0.0'])
+})
+
+test('identical data is stored once and deleted with its last reference', async (t) => {
+  const storage = await createStorage(t)
+  const data = Buffer.from('shared weights')
+
+  const first = await storage.storeModel('model-a', data, '1.0.0')
+  const second = await storage.storeModel('model-b', data)
+
+  assert.strictEqual(second.deduplicated, true)
+  assert.strictEqual(second.path, first.path)
+  assert.deepStrictEqual((await storage.getRefs(first.key)).sort(), ['model-a@1.0.0', 'model-b@1.0.0'])
+
+  const stats = await storage.getStats()
+  assert.strictEqual(stats.totalFiles, 1)
+  assert.strictEqual(stats.references, 2)
+
+  assert.strictEqual(await storage.deleteModel(first.key, 'model-a', '1.0.0'), false)
+  assert.deepStrictEqual(await storage.getModel(first.key), data)
+
+  assert.strictEqual(await storage.deleteModel(first.key, 'model-b'), true)
+  await assert.rejects(storage.getModel(first.key), { message: 'ERR_MODEL_DATA_NOT_FOUND' })
+  assert.deepStrictEqual(await storage.getRefs(first.key), [])
+  assert.deepStrictEqual(await fs.readdir(storage.blobPath), [])
+})
+
+test('concurrent stores and deletes of the same content keep every reference', async (t) => {
+  const storage = await createStorage(t)
+  const data = Buffer.from('popular weights')
+
+  const results = await Promise.all(Array.from({ length: 10 }, (_, i) => storage.storeModel(`model-${i}`, data)))
+
+  assert.strictEqual(results.filter(result => !result.deduplicated).length, 1)
+  assert.strictEqual((await storage.getRefs(sha256(data))).length, 10)
+
+  const deleted = await Promise.all(Array.from({ length: 9 }, (_, i) => storage.deleteModel(sha256(data), `model-${i}`)))
+  assert.ok(deleted.every(result => result === false))
+  assert.deepStrictEqual(await storage.getRefs(sha256(data)), ['model-9@1.0.0'])
+})
+
+test('compressed blobs keep the checksum of the uncompressed data', async (t) => {
+  const storage = await createStorage(t, { compressionEnabled: true, compression: 'gzip' })
+  const data = Buffer.from('abcdefghij'.repeat(1000))
+
+  const stored = await storage.storeModel('model-a', data)
+
+  assert.strictEqual(stored.key, sha256(data))
+  assert.strictEqual(stored.compression, 'gzip')
+  assert.strictEqual(path.extname(stored.path), '.gz')
+  assert.ok(stored.storedSize < data.length)
+  assert.deepStrictEqual(await storage.getModel(stored.key), data)
+  assert.strictEqual(await storage.calculateModelChecksum(stored.key), stored.key)
+
+  const chunks = []
+  for await (const chunk of await storage.createModelStream(stored.key, { start: 5, end: 14 })) {
+    chunks.push(chunk)
+  }
+  assert.strictEqual(Buffer.concat(chunks).toString(), 'fghijabcde')
+})
+
+test('blobs stay readable and deduplicated when the codec changes', async (t) => {
+  const plain = await createStorage(t)
+  const data = Buffer.from('weights written before compression')
+  const stored = await plain.storeModel('model-a', data)
+
+  const compressed = await createStorage(t, { compressionEnabled: true }, plain.storagePath)
+  const again = await compressed.storeModel('model-b', data)
+
+  assert.strictEqual(again.deduplicated, true)
+  assert.strictEqual(again.compression, null)
+  assert.strictEqual(again.path, stored.path)
+  assert.deepStrictEqual(await compressed.getModel(stored.key), data)
+})
+
+test('data over the size limit is rejected without leaving files behind', async (t) => {
+  const storage = await createStorage(t, { maxModelSize: '1KB' })
+
+  await assert.rejects(storage.storeModel('model-a', Buffer.alloc(1025)), { message: 'ERR_MODEL_TOO_LARGE' })
+  assert.deepStrictEqual(await fs.readdir(storage.tmpPath), [])
+  assert.deepStrictEqual(await fs.readdir(storage.blobPath), [])
+})
+
+test('model files are moved into their blob', async (t) => {
+  const storage = await createStorage(t)
+  const data = Buffer.from('uploaded weights')
+  const upload = path.join(storage.tmpPath, 'upload')
+  await fs.writeFile(upload, data)
+
+  const stored = await storage.storeModelFile('model-a', upload, '2.0.0')
+
+  assert.strictEqual(stored.key, sha256(data))
+  await assert.rejects(fs.access(upload))
+  assert.deepStrictEqual(await storage.getModel(stored.key), data)
+})
+
+test('storage keys must be checksums', async (t) => {
+  const storage = await createStorage(t)
+
+  assert.throws(() => storage.getBlobFile('../config'), { message: 'ERR_STORAGE_KEY_INVALID' })
+  await assert.rejects(storage.getModel('../../etc/passwd'), { message: 'ERR_STORAGE_KEY_INVALID' })
+})
+
+test('sizes are parsed from their unit', () => {
+  const storage = new ModelStorage({}, logger)
+
+  assert.strictEqual(storage.parseSize('500MB'), 500 * 1024 * 1024)
+  assert.strictEqual(storage.parseSize('1.5 kb'), 1536)
+  assert.strictEqual(storage.parseSize('lots'), 1024 * 1024 * 1024)
+  assert.strictEqual(storage.formatSize(1536), '1.50 KB')
+})
@@ -2,6 +2,15 @@
 
 /**
  * Model Registry class for managing model metadata
+ * Metadata is persisted in the `model-registry` Hyperbee of the store
+ * facility, one entry per model version, with the following keys:
+ *
+ *   version!<modelId>!<version> - Metadata of a model version
+ *   model!<modelId>             - Current version and type of a model
+ *   type!<type>!<modelId>       - Models by type of their current version
+ *
+ * Writes that touch several keys are applied in a single batch and
+ * serialized, so the indexes always match the versions they point to.
  * @class ModelRegistry
  */
 class ModelRegistry {
@@ -13,21 +22,34 @@ class ModelRegistry {
   constructor (conf, logger) {
     this.conf = conf
     this.logger = logger
-    this.metadataStore = new Map()
-    this.versionIndex = new Map()
-    this.typeIndex = new Map()
+    this.db = null
+    this.writeQueue = Promise.resolve()
   }
 
   /**
    * Initialize registry
+   * @param {Object} store - Store facility (`store_s0`) of the hosting worker
    * @returns {Promise<void>}
    */
-  async initialize () {
-    this.logger.info('Model registry initialized')
+  async initialize (store) {
+    try {
+      this.db = await store.getBee(
+        { name: 'model-registry' },
+        { keyEncoding: 'utf-8', valueEncoding: 'json' }
+      )
+      await this.db.ready()
+
+      const stats = await this.getStats()
+      this.logger.info(`Model registry initialized with ${stats.totalModels} model(s), ${stats.totalVersions} version(s)`)
+    } catch (error) {
+      this.logger.error('Failed to initialize model registry:', error)
+      throw error
+    }
   }
 
   /**
    * Store model metadata
+   * The stored version becomes the current version of the model.
    * @param {string} modelId - Model identifier
    * @param {Object} metadata - Model metadata
    * @returns {Promise<Object>} Stored metadata
@@ -37,26 +59,17 @@ class ModelRegistry {
       const fullMetadata = {
         ...metadata,
         modelId,
+        version: metadata.version || '1.0.0',
         createdAt: metadata.createdAt || Date.now(),
         updatedAt: Date.now()
       }
 
-      // Store in main registry
-      this.metadataStore.set(modelId, fullMetadata)
-
-      // Index by version
-      if (!this.versionIndex.has(modelId)) {
-        this.versionIndex.set(modelId, new Set())
-      }
-      this.versionIndex.get(modelId).add(metadata.version || '1.0.0')
-
-      // Index by type
-      if (!this.typeIndex.has(metadata.type)) {
-        this.typeIndex.set(metadata.type, new Set())
-      }
-      this.typeIndex.get(metadata.type).add(modelId)
+      await this.write(async (batch) => {
+        await batch.put(this.versionKey(modelId, fullMetadata.version), fullMetadata)
+        await this.setCurrent(batch, modelId, fullMetadata)
+      })
 
-      this.logger.info(`Metadata stored for model: ${modelId}`)
+      this.logger.info(`Metadata stored for model: ${modelId}@${fullMetadata.version}`)
       return fullMetadata
     } catch (error) {
       this.logger.error(`Failed to store metadata for model ${modelId}:`, error)
@@ -67,25 +80,21 @@ class ModelRegistry {
   /**
    * Get model metadata
    * @param {string} modelId - Model identifier
-   * @param {string} version - Optional version
+   * @param {string} version - Optional version (default: current version)
    * @returns {Promise<Object|null>} Model metadata
    */
   async getMetadata (modelId, version) {
     try {
-      const metadata = this.metadataStore.get(modelId)
-      if (!metadata) {
-        return null
-      }
-
-      // If version specified, check if it exists
-      if (version && metadata.version !== version) {
-        const versions = this.versionIndex.get(modelId)
-        if (!versions || !versions.has(version)) {
+      if (!version) {
+        const model = await this.db.get(this.modelKey(modelId))
+        if (!model) {
           return null
         }
+        version = model.value.currentVersion
       }
 
-      return metadata
+      const entry = await this.db.get(this.versionKey(modelId, version))
+      return entry ? entry.value : null
     } catch (error) {
       this.logger.error(`Failed to get metadata for model ${modelId}:`, error)
       throw error
@@ -96,39 +105,44 @@ class ModelRegistry {
    * Update model metadata
    * @param {string} modelId - Model identifier
    * @param {Object} updates - Metadata updates
+   * @param {string} version - Optional version (default: current version)
    * @returns {Promise<Object>} Updated metadata
    */
-  async updateMetadata (modelId, updates) {
+  async updateMetadata (modelId, updates, version) {
     try {
-      const existing = this.metadataStore.get(modelId)
-      if (!existing) {
-        throw new Error('ERR_MODEL_NOT_FOUND')
-      }
-
-      const updatedMetadata = {
-        ...existing,
-        ...updates,
-        updatedAt: Date.now()
-      }
+      let updatedMetadata
 
-      this.metadataStore.set(modelId, updatedMetadata)
+      await this.write(async (batch) => {
+        const existing = await this.getMetadata(modelId, version)
+        if (!existing) {
+          throw new Error('ERR_MODEL_NOT_FOUND')
+        }
 
-      // Update type index if type changed
-      if (updates.type && updates.type !== existing.type) {
-        // Remove from old type index
-        const oldTypeSet = this.typeIndex.get(existing.type)
-        if (oldTypeSet) {
-          oldTypeSet.delete(modelId)
+        updatedMetadata = {
+          ...existing,
+          ...updates,
+          // Identity and storage fields describe the stored bytes
+          modelId,
+          version: existing.version,
+          storageKey: existing.storageKey,
+          size: existing.size,
+          compressedSize: existing.compressedSize,
+          compression: existing.compression,
+          checksum: existing.checksum,
+          createdAt: existing.createdAt,
+          updatedAt: Date.now()
         }
 
-        // Add to new type index
-        if (!this.typeIndex.has(updates.type)) {
-          this.typeIndex.set(updates.type, new Set())
+        await batch.put(this.versionKey(modelId, existing.version), updatedMetadata)
+
+        // Update type index if the current version changed type
+        const model = await this.db.get(this.modelKey(modelId))
+        if (model.value.currentVersion === existing.version) {
+          await this.setCurrent(batch, modelId, updatedMetadata)
         }
-        this.typeIndex.get(updates.type).add(modelId)
-      }
+      })
 
-      this.logger.info(`Metadata updated for model: ${modelId}`)
+      this.logger.info(`Metadata updated for model: ${modelId}@${updatedMetadata.version}`)
       return updatedMetadata
     } catch (error) {
       this.logger.error(`Failed to update metadata for model ${modelId}:`, error)
@@ -138,31 +152,48 @@ class ModelRegistry {
 
   /**
    * Delete model metadata
+   * Deleting the current version makes the most recently created remaining
+   * version current.
    * @param {string} modelId - Model identifier
-   * @param {string} version - Optional version
+   * @param {string} version - Optional version, all versions are deleted if omitted
    * @returns {Promise<boolean>} Success status
    */
   async deleteMetadata (modelId, version) {
     try {
-      const metadata = this.metadataStore.get(modelId)
-      if (!metadata) {
-        return false
-      }
+      let deleted = false
+
+      await this.write(async (batch) => {
+        const model = await this.db.get(this.modelKey(modelId))
+        if (!model) {
+          return
+        }
+
+        const versions = await this.listVersions(modelId)
+        const removed = version ? versions.filter(entry => entry.version === version) : versions
+        if (!removed.length) {
+          return
+        }
 
-      // Remove from main registry
-      this.metadataStore.delete(modelId)
+        for (const entry of removed) {
+          await batch.del(this.versionKey(modelId, entry.version))
+        }
+
+        const remaining = versions.filter(entry => !removed.includes(entry))
+        if (!remaining.length) {
+          await batch.del(this.modelKey(modelId))
+          await batch.del(this.typeKey(model.value.type, modelId))
+        } else if (removed.some(entry => entry.version === model.value.currentVersion)) {
+          await this.setCurrent(batch, modelId, remaining[remaining.length - 1])
+        }
 
-      // Remove from version index
-      this.versionIndex.delete(modelId)
+        deleted = true
+      })
 
-      // Remove from type index
-      const typeSet = this.typeIndex.get(metadata.type)
-      if (typeSet) {
-        typeSet.delete(modelId)
+      if (deleted) {
+        this.logger.info(`Metadata deleted for model: ${modelId}${version ? `@${version}` : ''}`)
       }
 
-      this.logger.info(`Metadata deleted for model: ${modelId}`)
-      return true
+      return deleted
     } catch (error) {
       this.logger.error(`Failed to delete metadata for model ${modelId}:`, error)
       throw error
@@ -172,42 +203,51 @@ class ModelRegistry {
   /**
    * Check if model exists
    * @param {string} modelId - Model identifier
+   * @param {string} version - Optional version
    * @returns {Promise<boolean>} Existence status
    */
-  async hasModel (modelId) {
-    return this.metadataStore.has(modelId)
+  async hasModel (modelId, version) {
+    const key = version ? this.versionKey(modelId, version) : this.modelKey(modelId)
+    return !!(await this.db.get(key))
+  }
+
+  /**
+   * List the versions of a model
+   * @param {string} modelId - Model identifier
+   * @returns {Promise<Array>} Version metadata, oldest first
+   */
+  async listVersions (modelId) {
+    const versions = []
+    const prefix = this.versionKey(modelId, '')
+
+    for await (const { value } of this.db.createReadStream({ gt: prefix, lt: `${prefix}~` })) {
+      versions.push(value)
+    }
+
+    return versions.sort((a, b) => a.createdAt - b.createdAt)
   }
 
   /**
    * List models with optional filtering
    * @param {string} type - Optional model type filter
    * @param {number} limit - Optional limit
-   * @returns {Promise<Array>} List of models
+   * @returns {Promise<Array>} List of models with the metadata of their current version
    */
   async listModels (type, limit) {
     try {
-      let models = []
+      const models = []
+      const prefix = type ? this.typeKey(type, '') : this.modelKey('')
 
-      if (type) {
-        // Filter by type
-        const typeSet = this.typeIndex.get(type)
-        if (typeSet) {
-          models = Array.from(typeSet).map(modelId => ({
-            modelId,
-            metadata: this.metadataStore.get(modelId)
-          }))
+      for await (const { key } of this.db.createReadStream({ gt: prefix, lt: `${prefix}~` })) {
+        if (limit && limit > 0 && models.length >= limit) {
+          break
         }
-      } else {
-        // Return all models
-        models = Array.from(this.metadataStore.entries()).map(([modelId, metadata]) => ({
-          modelId,
-          metadata
-        }))
-      }
 
-      // Apply limit if specified
-      if (limit && limit > 0) {
-        models = models.slice(0, limit)
+        const modelId = key.slice(prefix.length)
+        models.push({
+          modelId,
+          metadata: await this.getMetadata(modelId)
+        })
       }
 
       return models
@@ -217,25 +257,42 @@ class ModelRegistry {
     }
   }
 
+  /**
+   * Count the entries of a key range
+   * @param {Object} range - Key range, as `createReadStream` takes it
+   * @returns {Promise<number>} Number of entries
+   */
+  countEntries (range) {
+    return new Promise((resolve, reject) => {
+      let count = 0
+
+      this.db.createReadStream(range)
+        .on('data', () => { count++ })
+        .on('end', () => resolve(count))
+        .on('error', reject)
+    })
+  }
+
   /**
    * Get registry statistics
    * @returns {Promise<Object>} Registry statistics
    */
   async getStats () {
     try {
-      const totalModels = this.metadataStore.size
+      let totalModels = 0
       const typeStats = {}
 
-      // Count models by type
-      for (const [type, modelSet] of this.typeIndex.entries()) {
-        typeStats[type] = modelSet.size
+      for await (const { value } of this.db.createReadStream({ gt: 'model!', lt: 'model!~' })) {
+        totalModels++
+        typeStats[value.type] = (typeStats[value.type] || 0) + 1
       }
 
+      const totalVersions = await this.countEntries({ gt: 'version!', lt: 'version!~' })
+
       return {
         totalModels,
-        typeStats,
-        versionIndexSize: this.versionIndex.size,
-        typeIndexSize: this.typeIndex.size
+        totalVersions,
+        typeStats
       }
     } catch (error) {
       this.logger.error('Failed to get registry stats:', error)
@@ -245,6 +302,7 @@ class ModelRegistry {
 
   /**
    * Search models by criteria
+   * Matches the metadata of the current version of each model.
    * @param {Object} criteria - Search criteria
    * @returns {Promise<Array>} Matching models
    */
@@ -252,16 +310,8 @@ class ModelRegistry {
     try {
       const results = []
 
-      for (const [modelId, metadata] of this.metadataStore.entries()) {
-        let matches = true
-
-        // Check each criterion
-        for (const [key, value] of Object.entries(criteria)) {
-          if (metadata[key] !== value) {
-            matches = false
-            break
-          }
-        }
+      for (const { modelId, metadata } of await this.listModels()) {
+        const matches = Object.entries(criteria).every(([key, value]) => metadata[key] === value)
 
         if (matches) {
           results.push({
@@ -277,6 +327,77 @@ class ModelRegistry {
       throw error
     }
   }
+
+  /**
+   * Point a model at its current version and keep the type index in sync
+   * @param {Object} batch - Hyperbee batch
+   * @param {string} modelId - Model identifier
+   * @param {Object} metadata - Metadata of the current version
+   * @returns {Promise<void>}
+   */
+  async setCurrent (batch, modelId, metadata) {
+    const existing = await this.db.get(this.modelKey(modelId))
+
+    if (existing && existing.value.type !== metadata.type) {
+      await batch.del(this.typeKey(existing.value.type, modelId))
+    }
+
+    await batch.put(this.modelKey(modelId), {
+      modelId,
+      currentVersion: metadata.version,
+      type: metadata.type,
+      updatedAt: Date.now()
+    })
+    await batch.put(this.typeKey(metadata.type, modelId), { modelId })
+  }
+
+  /**
+   * Run a write in a batch, after the previous writes have completed
+   * @param {Function} fn - Receives the batch to write to
+   * @returns {Promise<void>}
+   */
+  async write (fn) {
+    const run = this.writeQueue.then(async () => {
+      const batch = this.db.batch()
+
+      try {
+        await fn(batch)
+        await batch.flush()
+      } catch (error) {
+        await batch.close()
+        throw error
+      }
+    })
+
+    this.writeQueue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @returns {string} Key of a model version
+   */
+  versionKey (modelId, version) {
+    return `version!${modelId}!${version}`
+  }
+
+  /**
+   * @param {string} modelId - Model identifier
+   * @returns {string} Key of a model
+   */
+  modelKey (modelId) {
+    return `model!${modelId}`
+  }
+
+  /**
+   * @param {string} type - Model type
+   * @param {string} modelId - Model identifier
+   * @returns {string} Key of a type index entry
+   */
+  typeKey (type, modelId) {
+    return `type!${type}!${modelId}`
+  }
 }
 
 module.exports = ModelRegistry
@@ -0,0 +1,418 @@
+'use strict'
+
+const crypto = require('crypto')
+const Hyperdrive = require('hyperdrive')
+const Hyperswarm = require('hyperswarm')
+const { Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+
+/**
+ * Model Replicator class for peer-to-peer model distribution
+ * Model blobs are published in a Hyperdrive of the worker's corestore, under
+ * `/blobs/<sha256>`, and announced on Hyperswarm. Peers replicate a model
+ * version by downloading its blob from the publisher's drive (or any peer
+ * already seeding it), verifying it against the model checksum, and keep
+ * seeding it afterwards.
+ *
+ * The replicator keeps two kinds of records in the `model-replicas` Hyperbee:
+ *
+ *   copy!<modelId>!<version>!<peer> - Peers a published version was replicated to
+ *   held!<modelId>!<version>        - Versions this worker holds replicas of
+ * @class ModelReplicator
+ */
+class ModelReplicator {
+  /**
+   * Creates an instance of ModelReplicator
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.replicationFactor = conf.replicationFactor || 1
+    this.peers = conf.replication?.peers || []
+    this.timeout = conf.replication?.timeout || 300000
+    this.statusTimeout = conf.replication?.statusTimeout || 10000
+    this.publicKey = null
+    this.corestore = null
+    this.drive = null
+    this.remoteDrives = new Map()
+    this.swarm = null
+    this.db = null
+  }
+
+  /**
+   * Initialize replicator
+   * @param {Object} store - Store facility (`store_s0`) of the hosting worker
+   * @param {Object} dht - DHT node shared with the RPC server
+   * @param {string} publicKey - Hex encoded RPC public key of the hosting worker
+   * @returns {Promise<void>}
+   */
+  async initialize (store, dht, publicKey) {
+    try {
+      this.publicKey = publicKey
+      this.corestore = store.store
+
+      this.db = await store.getBee(
+        { name: 'model-replicas' },
+        { keyEncoding: 'utf-8', valueEncoding: 'json' }
+      )
+      await this.db.ready()
+
+      this.drive = new Hyperdrive(this.corestore.namespace('model-drive'))
+      await this.drive.ready()
+
+      this.swarm = new Hyperswarm({ dht })
+      this.swarm.on('connection', conn => this.corestore.replicate(conn))
+      this.swarm.join(this.drive.discoveryKey, { server: true, client: false })
+
+      // Keep seeding the replicas held before a restart
+      for await (const { value } of this.db.createReadStream({ gt: 'held!', lt: 'held!~' })) {
+        await this.openRemoteDrive(value.driveKey)
+      }
+
+      this.logger.info(`Model replicator initialized, drive ${this.drive.key.toString('hex')}, replication factor ${this.replicationFactor}`)
+    } catch (error) {
+      this.logger.error('Failed to initialize model replicator:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Stop announcing and replicating
+   * @returns {Promise<void>}
+   */
+  async close () {
+    if (this.swarm) {
+      await this.swarm.destroy()
+    }
+  }
+
+  /**
+   * Publish the blob of a model version in the drive
+   * Blobs are content-addressed, so versions sharing a blob publish it once.
+   * The drive holds a second copy of the blob next to the blob store until
+   * `clearPublished` frees it. A cleared blob is seeded by the peers holding
+   * copies of it, and is only written again if there are none.
+   * @param {Object} metadata - Model version metadata
+   * @param {Function} createStream - Returns a stream of the uncompressed blob
+   * @returns {Promise<Object>} Drive key and path of the blob
+   */
+  async publish (metadata, createStream) {
+    const blobPath = this.getBlobPath(metadata.checksum)
+    const driveKey = this.drive.key.toString('hex')
+
+    const published = await this.drive.entry(blobPath) && (
+      await this.isComplete({ driveKey, checksum: metadata.checksum }) ||
+      await this.hasCopies(metadata.checksum)
+    )
+
+    if (!published) {
+      await pipeline(await createStream(), this.drive.createWriteStream(blobPath))
+      this.logger.info(`Model ${metadata.modelId}@${metadata.version} published at ${blobPath}`)
+    }
+
+    return {
+      driveKey,
+      path: blobPath
+    }
+  }
+
+  /**
+   * Free the local storage of a published blob, once peers hold verified
+   * copies of it. The drive entry is kept, so the peers keep seeding it.
+   * @param {string} checksum - Blob checksum
+   * @returns {Promise<void>}
+   */
+  async clearPublished (checksum) {
+    await this.drive.clear(this.getBlobPath(checksum))
+    this.logger.debug(`Published blob ${checksum} cleared, seeded by its replicas`)
+  }
+
+  /**
+   * Check whether a peer holds a verified copy of a blob, for any version
+   * @param {string} checksum - Blob checksum
+   * @returns {Promise<boolean>} True if a copy was recorded
+   */
+  async hasCopies (checksum) {
+    for await (const { value } of this.db.createReadStream({ gt: 'copy!', lt: 'copy!~' })) {
+      if (value.checksum === checksum) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Remove a blob from the drive, freeing its local storage
+   * @param {string} checksum - Blob checksum
+   * @returns {Promise<void>}
+   */
+  async unpublish (checksum) {
+    const blobPath = this.getBlobPath(checksum)
+
+    if (await this.drive.entry(blobPath)) {
+      await this.drive.clear(blobPath)
+      await this.drive.del(blobPath)
+    }
+  }
+
+  /**
+   * Select the peers a model is replicated to
+   * Peers are ranked by rendezvous hashing, so the same model always lands on
+   * the same peers while the peer list is unchanged.
+   * @param {string} modelId - Model identifier
+   * @returns {Array<string>} Hex encoded RPC public keys, `replicationFactor - 1` at most
+   */
+  selectPeers (modelId) {
+    const score = peer => crypto.createHash('sha256').update(`${peer}:${modelId}`).digest('hex')
+
+    return [...new Set(this.peers)]
+      .filter(peer => peer !== this.publicKey)
+      .map(peer => ({ peer, score: score(peer) }))
+      .sort((a, b) => (a.score < b.score ? 1 : -1))
+      .slice(0, Math.max(this.replicationFactor - 1, 0))
+      .map(({ peer }) => peer)
+  }
+
+  /**
+   * Download and verify a model version published by another peer
+   * @param {Object} params - Replica parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Model version
+   * @param {string} params.checksum - SHA-256 of the model data
+   * @param {number} params.size - Size of the model data
+   * @param {string} params.driveKey - Hex encoded key of the publishing drive
+   * @param {string} params.source - Hex encoded RPC public key of the publisher
+   * @param {Object} params.metadata - Model version metadata
+   * @returns {Promise<Object>} Held replica
+   */
+  async fetch (params) {
+    const { modelId, version, checksum, size, driveKey, source, metadata } = params
+    const key = this.getHeldKey(modelId, version)
+
+    const held = await this.db.get(key)
+    if (held && held.value.checksum === checksum && await this.isComplete(held.value)) {
+      return held.value
+    }
+
+    const drive = await this.openRemoteDrive(driveKey)
+    const blobPath = this.getBlobPath(checksum)
+    const hash = crypto.createHash('sha256')
+    let received = 0
+
+    // Reading the whole blob downloads it to the local corestore
+    await pipeline(
+      drive.createReadStream(blobPath, { wait: true, timeout: this.timeout }),
+      new Transform({
+        transform: (data, encoding, cb) => {
+          received += data.length
+          hash.update(data)
+          cb()
+        }
+      })
+    )
+
+    if (received !== size || hash.digest('hex') !== checksum) {
+      await drive.clear(blobPath)
+      throw new Error('ERR_REPLICA_CHECKSUM_MISMATCH')
+    }
+
+    const replica = {
+      modelId,
+      version,
+      checksum,
+      size,
+      driveKey,
+      source,
+      metadata,
+      verifiedAt: Date.now()
+    }
+
+    await this.db.put(key, replica)
+
+    // A replaced version no longer needs its previous blob
+    if (held && held.value.checksum !== checksum) {
+      await this.clearReplica(held.value)
+    }
+
+    this.logger.info(`Replica of ${modelId}@${version} verified from ${source}`)
+
+    return replica
+  }
+
+  /**
+   * Get a held replica, with whether its blob is still fully present
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @returns {Promise<Object|null>} Held replica
+   */
+  async getHeld (modelId, version) {
+    const held = await this.db.get(this.getHeldKey(modelId, version))
+    if (!held) {
+      return null
+    }
+
+    return {
+      ...held.value,
+      complete: await this.isComplete(held.value)
+    }
+  }
+
+  /**
+   * Drop a held replica
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @returns {Promise<boolean>} True if a replica was held
+   */
+  async drop (modelId, version) {
+    const key = this.getHeldKey(modelId, version)
+    const held = await this.db.get(key)
+    if (!held) {
+      return false
+    }
+
+    await this.db.del(key)
+    await this.clearReplica(held.value)
+    this.logger.info(`Replica of ${modelId}@${version} dropped`)
+
+    return true
+  }
+
+  /**
+   * Record that a peer holds a verified copy of a published version
+   * @param {Object} metadata - Model version metadata
+   * @param {string} peer - Hex encoded RPC public key of the peer
+   * @returns {Promise<void>}
+   */
+  async recordCopy (metadata, peer) {
+    await this.db.put(this.getCopyKey(metadata.modelId, metadata.version, peer), {
+      peer,
+      checksum: metadata.checksum,
+      verifiedAt: Date.now()
+    })
+  }
+
+  /**
+   * List the peers a published version was replicated to
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @returns {Promise<Array>} Copy records
+   */
+  async listCopies (modelId, version) {
+    const copies = []
+    const prefix = this.getCopyKey(modelId, version, '')
+
+    for await (const { value } of this.db.createReadStream({ gt: prefix, lt: `${prefix}~` })) {
+      copies.push(value)
+    }
+
+    return copies
+  }
+
+  /**
+   * Forget the peers a published version was replicated to
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @returns {Promise<Array>} Removed copy records
+   */
+  async deleteCopies (modelId, version) {
+    const copies = await this.listCopies(modelId, version)
+
+    for (const copy of copies) {
+      await this.db.del(this.getCopyKey(modelId, version, copy.peer))
+    }
+
+    return copies
+  }
+
+  /**
+   * Open a drive published by another peer and join its swarm topic
+   * @param {string} driveKey - Hex encoded drive key
+   * @returns {Promise<Object>} Hyperdrive
+   */
+  async openRemoteDrive (driveKey) {
+    if (driveKey === this.drive.key.toString('hex')) {
+      return this.drive
+    }
+
+    let drive = this.remoteDrives.get(driveKey)
+    if (drive) {
+      return drive
+    }
+
+    drive = new Hyperdrive(this.corestore, Buffer.from(driveKey, 'hex'))
+    await drive.ready()
+    this.remoteDrives.set(driveKey, drive)
+
+    const done = drive.findingPeers()
+    this.swarm.join(drive.discoveryKey, { server: true, client: true })
+    this.swarm.flush().then(done, done)
+
+    return drive
+  }
+
+  /**
+   * Check that every block of a held replica is stored locally
+   * @param {Object} replica - Held replica
+   * @returns {Promise<boolean>} Completeness
+   */
+  async isComplete (replica) {
+    const drive = await this.openRemoteDrive(replica.driveKey)
+    const entry = await drive.entry(this.getBlobPath(replica.checksum))
+    if (!entry) {
+      return false
+    }
+
+    const { blockOffset, blockLength } = entry.value.blob
+    const blobs = await drive.getBlobs()
+
+    return blobs.core.has(blockOffset, blockOffset + blockLength)
+  }
+
+  /**
+   * Free the local storage of a replica blob, unless another held version uses it
+   * @param {Object} replica - Held replica
+   * @returns {Promise<void>}
+   */
+  async clearReplica (replica) {
+    for await (const { value } of this.db.createReadStream({ gt: 'held!', lt: 'held!~' })) {
+      if (value.checksum === replica.checksum && value.driveKey === replica.driveKey) {
+        return
+      }
+    }
+
+    const drive = await this.openRemoteDrive(replica.driveKey)
+    await drive.clear(this.getBlobPath(replica.checksum))
+  }
+
+  /**
+   * @param {string} checksum - Blob checksum
+   * @returns {string} Drive path of a blob
+   */
+  getBlobPath (checksum) {
+    return `/blobs/${checksum}`
+  }
+
+  /**
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @returns {string} Key of a held replica
+   */
+  getHeldKey (modelId, version) {
+    return `held!${modelId}!${version}`
+  }
+
+  /**
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @param {string} peer - Hex encoded RPC public key of the peer
+   * @returns {string} Key of a copy record
+   */
+  getCopyKey (modelId, version, peer) {
+    return `copy!${modelId}!${version}!${peer}`
+  }
+}
+
+module.exports = ModelReplicator
@@ -1,11 +1,39 @@
 'use strict'
 
 const crypto = require('crypto')
+const { createReadStream, createWriteStream } = require('fs')
 const fs = require('fs').promises
 const path = require('path')
+const zlib = require('zlib')
+const { Readable, Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+
+/**
+ * Supported compression codecs, by `compression` config value
+ */
+const CODECS = {
+  gzip: {
+    ext: '.gz',
+    compress: () => zlib.createGzip(),
+    decompress: () => zlib.createGunzip()
+  },
+  zstd: {
+    ext: '.zst',
+    compress: () => zlib.createZstdCompress(),
+    decompress: () => zlib.createZstdDecompress()
+  }
+}
 
 /**
  * Model Storage class for handling model data storage
+ * Model data is stored in content-addressed blobs named after their SHA-256,
+ * so identical weights shared by several models or versions are stored once.
+ * Each blob has a reference list (`<checksum>.refs`) naming the model
+ * versions that use it, and is only deleted when the last one is removed.
+ * With `compressionEnabled`, blobs are compressed with the `compression` codec
+ * (`gzip` or `zstd`) and carry its extension. Checksums and blob names always
+ * refer to the uncompressed bytes, and blobs written with another codec (or
+ * none) stay readable when the configuration changes.
  * @class ModelStorage
  */
 class ModelStorage {
@@ -18,8 +46,12 @@ class ModelStorage {
     this.conf = conf
     this.logger = logger
     this.storagePath = conf.storagePath || './models'
+    this.blobPath = path.join(this.storagePath, 'blobs')
+    this.tmpPath = path.join(this.storagePath, 'tmp')
     this.maxModelSize = this.parseSize(conf.maxModelSize || '1GB')
     this.compressionEnabled = conf.compressionEnabled || false
+    this.compression = this.compressionEnabled ? (conf.compression || 'gzip') : null
+    this.blobLocks = new Map()
   }
 
   /**
@@ -28,7 +60,13 @@ class ModelStorage {
    */
   async initialize () {
     try {
-      await fs.mkdir(this.storagePath, { recursive: true })
+      if (this.compression && !this.isCodecSupported(this.compression)) {
+        throw new Error('ERR_COMPRESSION_UNSUPPORTED')
+      }
+
+      await fs.mkdir(this.blobPath, { recursive: true })
+      await fs.rm(this.tmpPath, { recursive: true, force: true })
+      await fs.mkdir(this.tmpPath, { recursive: true })
       this.logger.info(`Model storage initialized at: ${this.storagePath}`)
     } catch (error) {
       this.logger.error('Failed to initialize storage:', error)
@@ -40,49 +78,164 @@ class ModelStorage {
    * Store model data
    * @param {string} modelId - Model identifier
    * @param {Buffer} modelData - Model binary data
+   * @param {string} version - Optional model version
+   * @returns {Promise<Object>} Storage result
+   */
+  async storeModel (modelId, modelData, version) {
+    return this.storeModelStream(modelId, Readable.from([modelData]), version)
+  }
+
+  /**
+   * Store model data from a stream
+   * The data is written (compressed if enabled) to a temporary file while its
+   * checksum is computed, then moved to its blob unless an identical blob
+   * already exists.
+   * @param {string} modelId - Model identifier
+   * @param {Readable} stream - Model data
+   * @param {string} version - Optional model version
    * @returns {Promise<Object>} Storage result
    */
-  async storeModel (modelId, modelData) {
+  async storeModelStream (modelId, stream, version) {
+    const tmpFile = this.getTmpFile()
+
     try {
+      const hash = crypto.createHash('sha256')
+      let size = 0
+
+      await pipeline(stream, new Transform({
+        transform: (data, encoding, cb) => {
+          size += data.length
+
+          // Validate model size
+          if (size > this.maxModelSize) {
+            return cb(new Error('ERR_MODEL_TOO_LARGE'))
+          }
+
+          hash.update(data)
+          cb(null, data)
+        }
+      }), ...(this.compression ? [CODECS[this.compression].compress()] : []), createWriteStream(tmpFile))
+
+      const { size: storedSize } = await fs.stat(tmpFile)
+
+      return await this.commitBlob(modelId, version, tmpFile, {
+        checksum: hash.digest('hex'),
+        size,
+        storedSize,
+        compression: this.compression
+      })
+    } catch (error) {
+      await fs.rm(tmpFile, { force: true })
+      this.logger.error(`Failed to store model ${modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Store model data from a file, moving it into the storage directory
+   * Used for assembled uploads, so large models are never held in memory.
+   * The file must be on the same filesystem as the storage directory. With
+   * compression enabled the file is compressed into a new blob and removed.
+   * @param {string} modelId - Model identifier
+   * @param {string} sourcePath - Path of the model file
+   * @param {string} version - Optional model version
+   * @param {string} checksum - SHA-256 of the file, if already known
+   * @returns {Promise<Object>} Storage result
+   */
+  async storeModelFile (modelId, sourcePath, version, checksum) {
+    try {
+      const { size } = await fs.stat(sourcePath)
+
       // Validate model size
-      if (modelData.length > this.maxModelSize) {
+      if (size > this.maxModelSize) {
         throw new Error('ERR_MODEL_TOO_LARGE')
       }
 
-      // Generate storage key
-      const storageKey = this.generateStorageKey(modelId)
-      const filePath = path.join(this.storagePath, storageKey)
-
-      // Calculate checksum
-      const checksum = this.calculateChecksum(modelData)
-
-      // Store model data
-      await fs.writeFile(filePath, modelData)
+      if (this.compression) {
+        const result = await this.storeModelStream(modelId, createReadStream(sourcePath), version)
+        await fs.rm(sourcePath, { force: true })
+        return result
+      }
 
-      this.logger.info(`Model stored: ${modelId} -> ${storageKey}`)
+      if (!checksum) {
+        checksum = await this.calculateFileChecksum(sourcePath)
+      }
 
-      return {
-        key: storageKey,
-        path: filePath,
+      return await this.commitBlob(modelId, version, sourcePath, {
         checksum,
-        size: modelData.length
-      }
+        size,
+        storedSize: size,
+        compression: null
+      })
     } catch (error) {
       this.logger.error(`Failed to store model ${modelId}:`, error)
       throw error
     }
   }
 
+  /**
+   * Move a file to its content-addressed blob and reference it
+   * If the blob already exists the file is dropped and the existing blob,
+   * with its own codec and stored size, is referenced instead.
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @param {string} filePath - File holding the (possibly compressed) model data
+   * @param {Object} blob - Blob description
+   * @param {string} blob.checksum - SHA-256 of the uncompressed data
+   * @param {number} blob.size - Uncompressed size
+   * @param {number} blob.storedSize - Size of the file
+   * @param {string|null} blob.compression - Codec of the file
+   * @returns {Promise<Object>} Storage result
+   */
+  async commitBlob (modelId, version, filePath, blob) {
+    const { checksum, size } = blob
+
+    const stored = await this.withBlobLock(checksum, async () => {
+      let existing = await this.findBlob(checksum)
+
+      if (existing) {
+        await fs.rm(filePath, { force: true })
+      } else {
+        await fs.rename(filePath, this.getBlobFile(checksum, blob.compression))
+      }
+
+      await this.updateRefs(checksum, refs => refs.add(this.getRefName(modelId, version)))
+
+      if (existing) {
+        const { size: storedSize } = await fs.stat(existing.file)
+        existing = { ...existing, storedSize }
+      }
+
+      return existing
+    })
+
+    this.logger.info(`Model stored: ${modelId} -> ${checksum}${stored ? ' (deduplicated)' : ''}`)
+
+    return {
+      key: checksum,
+      path: stored ? stored.file : this.getBlobFile(checksum, blob.compression),
+      checksum,
+      size,
+      storedSize: stored ? stored.storedSize : blob.storedSize,
+      compression: stored ? stored.compression : blob.compression,
+      deduplicated: !!stored
+    }
+  }
+
   /**
    * Retrieve model data
+   * Loads the whole blob in memory; use `createModelStream` for large models.
    * @param {string} storageKey - Storage key
    * @returns {Promise<Buffer>} Model data
    */
   async getModel (storageKey) {
     try {
-      const filePath = path.join(this.storagePath, storageKey)
-      const modelData = await fs.readFile(filePath)
-      return modelData
+      const chunks = []
+      for await (const data of await this.createModelStream(storageKey)) {
+        chunks.push(data)
+      }
+
+      return Buffer.concat(chunks)
     } catch (error) {
       this.logger.error(`Failed to retrieve model ${storageKey}:`, error)
       throw error
@@ -90,16 +243,79 @@ class ModelStorage {
   }
 
   /**
-   * Delete model data
+   * Open a read stream on the uncompressed model data
+   * @param {string} storageKey - Storage key
+   * @param {Object} opts - Optional `start` and `end` offsets (inclusive) in the uncompressed data
+   * @returns {Promise<Readable>} Model data stream
+   * @throws {Error} ERR_MODEL_DATA_NOT_FOUND if the blob does not exist
+   */
+  async createModelStream (storageKey, opts = {}) {
+    const blob = await this.findBlob(storageKey)
+    if (!blob) {
+      throw new Error('ERR_MODEL_DATA_NOT_FOUND')
+    }
+
+    if (!blob.compression) {
+      return createReadStream(blob.file, opts)
+    }
+
+    const stream = createReadStream(blob.file).pipe(CODECS[blob.compression].decompress())
+    if (opts.start === undefined && opts.end === undefined) {
+      return stream
+    }
+
+    return stream.pipe(this.createRangeTransform(opts.start || 0, opts.end ?? Infinity))
+  }
+
+  /**
+   * Create a transform keeping only a byte range of a stream
+   * @param {number} start - First byte offset
+   * @param {number} end - Last byte offset (inclusive)
+   * @returns {Transform} Range transform
+   */
+  createRangeTransform (start, end) {
+    let offset = 0
+
+    return new Transform({
+      transform (data, encoding, cb) {
+        const from = Math.max(start - offset, 0)
+        const to = Math.min(end + 1 - offset, data.length)
+        offset += data.length
+
+        cb(null, from < to ? data.subarray(from, to) : null)
+      }
+    })
+  }
+
+  /**
+   * Release the reference of a model version on its blob, deleting the blob
+   * when nothing references it anymore
    * @param {string} storageKey - Storage key
-   * @returns {Promise<boolean>} Success status
+   * @param {string} modelId - Model identifier
+   * @param {string} version - Model version
+   * @returns {Promise<boolean>} True if the blob was deleted
    */
-  async deleteModel (storageKey) {
+  async deleteModel (storageKey, modelId, version) {
     try {
-      const filePath = path.join(this.storagePath, storageKey)
-      await fs.unlink(filePath)
-      this.logger.info(`Model deleted: ${storageKey}`)
-      return true
+      const deleted = await this.withBlobLock(storageKey, async () => {
+        const refs = await this.updateRefs(storageKey, refs => refs.delete(this.getRefName(modelId, version)))
+        if (refs.size) {
+          return false
+        }
+
+        const blob = await this.findBlob(storageKey)
+        if (blob) {
+          await fs.rm(blob.file, { force: true })
+        }
+        await fs.rm(this.getRefsFile(storageKey), { force: true })
+        return true
+      })
+
+      if (deleted) {
+        this.logger.info(`Model blob deleted: ${storageKey}`)
+      }
+
+      return deleted
     } catch (error) {
       this.logger.error(`Failed to delete model ${storageKey}:`, error)
       throw error
@@ -107,13 +323,145 @@ class ModelStorage {
   }
 
   /**
-   * Generate storage key for model
+   * Read, modify and write the reference list of a blob
+   * Must be called while holding the blob lock.
+   * @param {string} checksum - Blob checksum
+   * @param {Function} update - Receives the references as a Set
+   * @returns {Promise<Set>} Updated references
+   */
+  async updateRefs (checksum, update) {
+    const refsFile = this.getRefsFile(checksum)
+    let refs
+
+    try {
+      refs = new Set(JSON.parse(await fs.readFile(refsFile, 'utf-8')))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+      refs = new Set()
+    }
+
+    update(refs)
+
+    const tmpFile = this.getTmpFile()
+    await fs.writeFile(tmpFile, JSON.stringify([...refs]))
+    await fs.rename(tmpFile, refsFile)
+
+    return refs
+  }
+
+  /**
+   * Get the model versions referencing a blob
+   * @param {string} checksum - Blob checksum
+   * @returns {Promise<Array<string>>} References as `<modelId>@<version>`
+   */
+  async getRefs (checksum) {
+    try {
+      return JSON.parse(await fs.readFile(this.getRefsFile(checksum), 'utf-8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return []
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Run a function while holding the lock of a blob, so concurrent stores and
+   * deletes of the same content do not lose references
+   * @param {string} checksum - Blob checksum
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of `fn`
+   */
+  async withBlobLock (checksum, fn) {
+    const previous = this.blobLocks.get(checksum) || Promise.resolve()
+    const current = previous.catch(() => {}).then(fn)
+    const tail = current.catch(() => {})
+
+    this.blobLocks.set(checksum, tail)
+    tail.then(() => {
+      if (this.blobLocks.get(checksum) === tail) {
+        this.blobLocks.delete(checksum)
+      }
+    })
+
+    return current
+  }
+
+  /**
+   * Find the stored blob of some content, whatever codec it was written with
+   * @param {string} checksum - Blob checksum
+   * @returns {Promise<Object|null>} Blob `file` and `compression`, null if it does not exist
+   */
+  async findBlob (checksum) {
+    for (const compression of [this.compression, null, ...Object.keys(CODECS)]) {
+      const file = this.getBlobFile(checksum, compression)
+
+      try {
+        await fs.access(file)
+        return { file, compression }
+      } catch (error) {
+        // Try the next codec
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Get the file of a blob
+   * @param {string} checksum - Blob checksum
+   * @param {string|null} compression - Codec of the blob
+   * @returns {string} Blob file path
+   * @throws {Error} ERR_STORAGE_KEY_INVALID if the key is not a SHA-256
+   */
+  getBlobFile (checksum, compression = null) {
+    if (!/^[a-f0-9]{64}$/.test(checksum)) {
+      throw new Error('ERR_STORAGE_KEY_INVALID')
+    }
+
+    return path.join(this.blobPath, checksum + (compression ? CODECS[compression].ext : ''))
+  }
+
+  /**
+   * Check whether a codec can be used with this node version
+   * @param {string} compression - Codec name
+   * @returns {boolean} True if supported
+   */
+  isCodecSupported (compression) {
+    if (compression === 'zstd') {
+      return typeof zlib.createZstdCompress === 'function'
+    }
+
+    return !!CODECS[compression]
+  }
+
+  /**
+   * Get the reference list file of a blob
+   * @param {string} checksum - Blob checksum
+   * @returns {string} Reference list file path
+   */
+  getRefsFile (checksum) {
+    return `${this.getBlobFile(checksum)}.refs`
+  }
+
+  /**
+   * Get a unique temporary file path
+   * @returns {string} Temporary file path
+   */
+  getTmpFile () {
+    return path.join(this.tmpPath, crypto.randomBytes(16).toString('hex'))
+  }
+
+  /**
+   * Get the name a model version is referenced by
    * @param {string} modelId - Model identifier
-   * @returns {string} Storage key
+   * @param {string} version - Model version
+   * @returns {string} Reference name
    */
-  generateStorageKey (modelId) {
-    const hash = crypto.createHash('sha256').update(modelId).digest('hex')
-    return `${hash}.model`
+  getRefName (modelId, version) {
+    return `${modelId}@${version || '1.0.0'}`
   }
 
   /**
@@ -125,6 +473,36 @@ class ModelStorage {
     return crypto.createHash('sha256').update(data).digest('hex')
   }
 
+  /**
+   * Calculate the checksum of a file without loading it in memory
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} Checksum
+   */
+  async calculateFileChecksum (filePath) {
+    const hash = crypto.createHash('sha256')
+
+    for await (const data of createReadStream(filePath)) {
+      hash.update(data)
+    }
+
+    return hash.digest('hex')
+  }
+
+  /**
+   * Calculate the checksum of stored model data, over the uncompressed bytes
+   * @param {string} storageKey - Storage key
+   * @returns {Promise<string>} Checksum
+   */
+  async calculateModelChecksum (storageKey) {
+    const hash = crypto.createHash('sha256')
+
+    for await (const data of await this.createModelStream(storageKey)) {
+      hash.update(data)
+    }
+
+    return hash.digest('hex')
+  }
+
   /**
    * Parse size string to bytes
    * @param {string} sizeStr - Size string (e.g., "1GB", "500MB")
@@ -155,26 +533,31 @@ class ModelStorage {
    */
   async getStats () {
     try {
-      const files = await fs.readdir(this.storagePath)
+      const files = await fs.readdir(this.blobPath)
       let totalSize = 0
       let fileCount = 0
+      let references = 0
 
       for (const file of files) {
-        const filePath = path.join(this.storagePath, file)
-        const stats = await fs.stat(filePath)
-        if (stats.isFile()) {
-          totalSize += stats.size
-          fileCount++
+        if (file.endsWith('.refs')) {
+          references += (await this.getRefs(file.slice(0, -'.refs'.length))).length
+          continue
         }
+
+        const stats = await fs.stat(path.join(this.blobPath, file))
+        totalSize += stats.size
+        fileCount++
       }
 
       return {
         totalFiles: fileCount,
+        references,
         totalSize,
         totalSizeFormatted: this.formatSize(totalSize),
         maxModelSize: this.maxModelSize,
         maxModelSizeFormatted: this.formatSize(this.maxModelSize),
-        compressionEnabled: this.compressionEnabled
+        compressionEnabled: this.compressionEnabled,
+        compression: this.compression
       }
     } catch (error) {
       this.logger.error('Failed to get storage stats:', error)
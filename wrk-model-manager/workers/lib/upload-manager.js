@@ -0,0 +1,334 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { pipeline } = require('stream/promises')
+
+const SHA256_HEX = /^[a-f0-9]{64}$/
+
+/**
+ * Upload Manager class for chunked, resumable model uploads
+ * Each upload session lives in its own directory under `<storagePath>/uploads`
+ * with a `session.json` descriptor and one file per received chunk, so
+ * sessions survive restarts and the received chunks are simply the chunk
+ * files present on disk. Chunks are verified against their SHA-256 when
+ * written and the assembled file against the client supplied SHA-256.
+ * @class UploadManager
+ */
+class UploadManager {
+  /**
+   * Creates an instance of UploadManager
+   * @param {Object} conf - Configuration object
+   * @param {Object} logger - Logger instance
+   */
+  constructor (conf, logger) {
+    this.conf = conf
+    this.logger = logger
+    this.uploadPath = path.join(conf.storagePath || './models', 'uploads')
+    this.chunkSize = conf.upload?.chunkSize || 8 * 1024 * 1024
+    this.maxChunkSize = conf.upload?.maxChunkSize || 16 * 1024 * 1024
+    this.sessionTtl = conf.upload?.sessionTtl || 86400000
+    this.maxModelSize = null
+  }
+
+  /**
+   * Initialize upload manager
+   * @param {Object} modelStorage - Model storage, providing the size limit
+   * @returns {Promise<void>}
+   */
+  async initialize (modelStorage) {
+    try {
+      this.maxModelSize = modelStorage.maxModelSize
+      await fs.promises.mkdir(this.uploadPath, { recursive: true })
+
+      this.logger.info(`Upload manager initialized at: ${this.uploadPath}`)
+    } catch (error) {
+      this.logger.error('Failed to initialize upload manager:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Start an upload session
+   * @param {Object} params - Session parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Object} params.metadata - Model metadata, stored when the upload completes
+   * @param {number} params.size - Total size in bytes
+   * @param {string} params.sha256 - Hex encoded SHA-256 of the whole model
+   * @param {number} params.chunkSize - Optional chunk size in bytes
+   * @param {boolean} params.replace - Store as a new or replaced version of an existing model
+   * @returns {Promise<Object>} Session
+   */
+  async createSession (params) {
+    const { modelId, metadata, size, sha256, replace = false } = params
+    const chunkSize = params.chunkSize || this.chunkSize
+
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new Error('ERR_UPLOAD_SIZE_INVALID')
+    }
+
+    if (size > this.maxModelSize) {
+      throw new Error('ERR_MODEL_TOO_LARGE')
+    }
+
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > this.maxChunkSize) {
+      throw new Error('ERR_UPLOAD_CHUNK_SIZE_INVALID')
+    }
+
+    if (typeof sha256 !== 'string' || !SHA256_HEX.test(sha256)) {
+      throw new Error('ERR_UPLOAD_CHECKSUM_INVALID')
+    }
+
+    const now = Date.now()
+    const session = {
+      uploadId: crypto.randomUUID(),
+      modelId,
+      metadata,
+      replace,
+      size,
+      sha256,
+      chunkSize,
+      totalChunks: Math.ceil(size / chunkSize),
+      createdAt: now,
+      expiresAt: now + this.sessionTtl
+    }
+
+    const dir = this.getSessionDir(session.uploadId)
+    await fs.promises.mkdir(dir, { recursive: true })
+    await fs.promises.writeFile(path.join(dir, 'session.json'), JSON.stringify(session))
+
+    this.logger.info(`Upload ${session.uploadId} started for model ${modelId} (${size} bytes in ${session.totalChunks} chunks)`)
+
+    return session
+  }
+
+  /**
+   * Get an upload session
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<Object>} Session
+   * @throws {Error} ERR_UPLOAD_NOT_FOUND if the session does not exist or expired
+   */
+  async getSession (uploadId) {
+    if (typeof uploadId !== 'string' || !/^[a-f0-9-]{36}$/.test(uploadId)) {
+      throw new Error('ERR_UPLOAD_NOT_FOUND')
+    }
+
+    let session
+    try {
+      session = JSON.parse(await fs.promises.readFile(path.join(this.getSessionDir(uploadId), 'session.json'), 'utf-8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('ERR_UPLOAD_NOT_FOUND')
+      }
+      throw error
+    }
+
+    if (session.expiresAt < Date.now()) {
+      await this.deleteSession(uploadId)
+      throw new Error('ERR_UPLOAD_NOT_FOUND')
+    }
+
+    return session
+  }
+
+  /**
+   * Get the progress of an upload session
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<Object>} Session with received and missing chunks
+   */
+  async getStatus (uploadId) {
+    const session = await this.getSession(uploadId)
+    const received = await this.getReceivedChunks(uploadId)
+    const missing = []
+
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (!received.includes(index)) {
+        missing.push(index)
+      }
+    }
+
+    const bytesReceived = received.reduce((sum, index) => sum + this.getChunkLength(session, index), 0)
+
+    return {
+      ...session,
+      receivedChunks: received,
+      missingChunks: missing,
+      bytesReceived,
+      complete: missing.length === 0
+    }
+  }
+
+  /**
+   * Write a chunk of an upload
+   * Chunks may arrive in any order and may be sent again, in which case the
+   * previous copy is replaced.
+   * @param {Object} params - Chunk parameters
+   * @param {string} params.uploadId - Upload identifier
+   * @param {number} params.index - Zero based chunk index
+   * @param {Buffer|string} params.data - Chunk data, base64 encoded when sent over RPC
+   * @param {string} params.checksum - Hex encoded SHA-256 of the chunk
+   * @returns {Promise<Object>} Write result
+   */
+  async writeChunk (params) {
+    const { uploadId, index, checksum } = params
+    const data = typeof params.data === 'string' ? Buffer.from(params.data, 'base64') : params.data
+
+    const session = await this.getSession(uploadId)
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw new Error('ERR_UPLOAD_CHUNK_INDEX_INVALID')
+    }
+
+    if (!Buffer.isBuffer(data) || data.length !== this.getChunkLength(session, index)) {
+      throw new Error('ERR_UPLOAD_CHUNK_SIZE_INVALID')
+    }
+
+    const actual = crypto.createHash('sha256').update(data).digest('hex')
+    if (actual !== checksum) {
+      throw new Error('ERR_UPLOAD_CHUNK_CHECKSUM_MISMATCH')
+    }
+
+    // Write then rename, so a partially written chunk is never seen as received
+    const chunkPath = this.getChunkPath(uploadId, index)
+    const tmpPath = `${chunkPath}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    await fs.promises.writeFile(tmpPath, data)
+    await fs.promises.rename(tmpPath, chunkPath)
+
+    return {
+      uploadId,
+      index,
+      size: data.length,
+      checksum: actual
+    }
+  }
+
+  /**
+   * Concatenate the chunks of a complete upload into a single file and verify
+   * it against the SHA-256 announced when the session was created
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<Object>} Assembled file with `filePath`, `size` and `checksum`
+   */
+  async assemble (uploadId) {
+    const status = await this.getStatus(uploadId)
+    if (!status.complete) {
+      throw new Error('ERR_UPLOAD_INCOMPLETE')
+    }
+
+    const filePath = path.join(this.getSessionDir(uploadId), 'assembled')
+    const hash = crypto.createHash('sha256')
+
+    await pipeline(this.readChunks(uploadId, status.totalChunks, hash), fs.createWriteStream(filePath))
+
+    const checksum = hash.digest('hex')
+    if (checksum !== status.sha256) {
+      await fs.promises.rm(filePath, { force: true })
+      throw new Error('ERR_UPLOAD_CHECKSUM_MISMATCH')
+    }
+
+    return { filePath, size: status.size, checksum }
+  }
+
+  /**
+   * Read the chunks of an upload in order
+   * @param {string} uploadId - Upload identifier
+   * @param {number} totalChunks - Number of chunks
+   * @param {Object} hash - Hash updated with the data read
+   * @returns {AsyncGenerator<Buffer>} Chunk data
+   */
+  async * readChunks (uploadId, totalChunks, hash) {
+    for (let index = 0; index < totalChunks; index++) {
+      for await (const data of fs.createReadStream(this.getChunkPath(uploadId, index))) {
+        hash.update(data)
+        yield data
+      }
+    }
+  }
+
+  /**
+   * Delete an upload session and its chunks
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<void>}
+   */
+  async deleteSession (uploadId) {
+    await fs.promises.rm(this.getSessionDir(uploadId), { recursive: true, force: true })
+  }
+
+  /**
+   * Delete expired upload sessions
+   * @returns {Promise<number>} Number of removed sessions
+   */
+  async cleanupExpired () {
+    const now = Date.now()
+    let removed = 0
+
+    for (const uploadId of await fs.promises.readdir(this.uploadPath)) {
+      try {
+        const session = JSON.parse(await fs.promises.readFile(path.join(this.getSessionDir(uploadId), 'session.json'), 'utf-8'))
+        if (session.expiresAt >= now) {
+          continue
+        }
+      } catch (error) {
+        // Sessions without a readable descriptor are leftovers of failed creations
+        const stats = await fs.promises.stat(this.getSessionDir(uploadId))
+        if (stats.mtimeMs + this.sessionTtl >= now) {
+          continue
+        }
+      }
+
+      await this.deleteSession(uploadId)
+      removed++
+    }
+
+    if (removed) {
+      this.logger.info(`Removed ${removed} expired upload session(s)`)
+    }
+
+    return removed
+  }
+
+  /**
+   * Get the indexes of the chunks received for an upload
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<Array<number>>} Sorted chunk indexes
+   */
+  async getReceivedChunks (uploadId) {
+    const files = await fs.promises.readdir(this.getSessionDir(uploadId))
+
+    return files
+      .filter(file => /^\d+\.chunk$/.test(file))
+      .map(file => parseInt(file))
+      .sort((a, b) => a - b)
+  }
+
+  /**
+   * Get the expected length of a chunk
+   * @param {Object} session - Upload session
+   * @param {number} index - Chunk index
+   * @returns {number} Length in bytes
+   */
+  getChunkLength (session, index) {
+    return Math.min(session.chunkSize, session.size - index * session.chunkSize)
+  }
+
+  /**
+   * Get the directory of an upload session
+   * @param {string} uploadId - Upload identifier
+   * @returns {string} Directory path
+   */
+  getSessionDir (uploadId) {
+    return path.join(this.uploadPath, uploadId)
+  }
+
+  /**
+   * Get the file path of a chunk
+   * @param {string} uploadId - Upload identifier
+   * @param {number} index - Chunk index
+   * @returns {string} Chunk file path
+   */
+  getChunkPath (uploadId, index) {
+    return path.join(this.getSessionDir(uploadId), `${index}.chunk`)
+  }
+}
+
+module.exports = UploadManager
@@ -4,6 +4,8 @@ const async = require('async')
 const WrkBase = require('wrk-base/workers/base.wrk')
 const ModelStorage = require('./lib/model-storage')
 const ModelRegistry = require('./lib/model-registry')
+const UploadManager = require('./lib/upload-manager')
+const ModelReplicator = require('./lib/model-replicator')
 
 /**
  * Model Manager Worker class
@@ -24,8 +26,12 @@ class WrkModelManager extends WrkBase {
     this.prefix = `model-manager-${ctx.rack || 'default'}`
     this.modelStorage = null
     this.modelRegistry = null
+    this.uploadManager = null
+    this.modelReplicator = null
+    this.completingUploads = new Set()
     this.modelCache = new Map()
-    this.replicationPeers = new Set()
+    this.eventSubscribers = new Map()
+    this.uploadCleanupTimer = null
 
     this.init()
     this.start()
@@ -39,6 +45,8 @@ class WrkModelManager extends WrkBase {
 
     this.modelStorage = new ModelStorage(this.conf, this.logger)
     this.modelRegistry = new ModelRegistry(this.conf, this.logger)
+    this.uploadManager = new UploadManager(this.conf, this.logger)
+    this.modelReplicator = new ModelReplicator(this.conf, this.logger)
   }
 
   /**
@@ -51,42 +59,92 @@ class WrkModelManager extends WrkBase {
       async () => {
         const rpcServer = this.net_r0.rpcServer
 
-        // Register RPC endpoints
-        rpcServer.respond('storeModel', this.storeModel.bind(this))
-        rpcServer.respond('getModel', this.getModel.bind(this))
-        rpcServer.respond('listModels', this.listModels.bind(this))
-        rpcServer.respond('deleteModel', this.deleteModel.bind(this))
-        rpcServer.respond('getModelMetadata', this.getModelMetadata.bind(this))
-        rpcServer.respond('updateModelMetadata', this.updateModelMetadata.bind(this))
-        rpcServer.respond('replicateModel', this.replicateModel.bind(this))
-        rpcServer.respond('validateModel', this.validateModel.bind(this))
-        rpcServer.respond('getStorageStats', this.getStorageStats.bind(this))
+        // Register RPC endpoints with the peers allowed to call them, callers
+        // are identified by their RPC client key
+        const orchestrators = this.conf.orchestrator?.rpcClientKeys || []
+        const workers = this.conf.workers?.rpcClientKeys || []
+        const replicas = this.conf.replication?.peerClientKeys || []
+
+        const methods = {
+          storeModel: orchestrators,
+          getModel: [...orchestrators, ...workers],
+          listModels: orchestrators,
+          listModelVersions: orchestrators,
+          deleteModel: orchestrators,
+          getModelMetadata: [...orchestrators, ...workers],
+          subscribeModelEvents: orchestrators,
+          updateModelMetadata: orchestrators,
+          replicateModel: orchestrators,
+          fetchReplica: replicas,
+          getReplica: replicas,
+          dropReplica: replicas,
+          getReplicationStatus: orchestrators,
+          validateModel: orchestrators,
+          getStorageStats: orchestrators,
+          createUpload: orchestrators,
+          getUpload: orchestrators,
+          uploadChunk: orchestrators,
+          completeUpload: orchestrators,
+          abortUpload: orchestrators
+        }
+
+        for (const [method, keys] of Object.entries(methods)) {
+          rpcServer.respond(method, async (req, rpc) => {
+            this.assertPeer(rpc, keys)
+            return await this.net_r0.handleReply(method, req)
+          })
+        }
 
         // Initialize storage
         await this.modelStorage.initialize()
-        await this.modelRegistry.initialize()
+        await this.modelRegistry.initialize(this.store_s0)
+        await this.uploadManager.initialize(this.modelStorage)
+        await this.modelReplicator.initialize(this.store_s0, rpcServer.dht, this.getRpcKey().toString('hex'))
+
+        // Start background processes
+        this.startUploadCleanup()
 
         this.logger.info('Model Manager Worker started successfully')
       }
     ], cb)
   }
 
+  /**
+   * Stop the worker, leaving the replication swarm first
+   * @param {Function} cb - Callback function
+   */
+  _stop (cb) {
+    async.series([
+      async () => {
+        clearInterval(this.uploadCleanupTimer)
+        this.uploadCleanupTimer = null
+
+        await this.modelReplicator.close()
+      },
+      next => { super._stop(next) }
+    ], cb)
+  }
+
   /**
    * Store a new model
    * @param {Object} params - Store parameters
    * @param {string} params.modelId - Model identifier
-   * @param {Buffer} params.modelData - Model binary data
+   * @param {Buffer|string} params.modelData - Model binary data, base64 encoded when sent over RPC
    * @param {Object} params.metadata - Model metadata
+   * @param {boolean} params.replace - Store a new version of an existing model, or overwrite an existing version
    * @returns {Promise<Object>} Store result
    */
   async storeModel (params) {
-    const { modelId, modelData, metadata } = params
+    const { modelId, metadata, replace = false } = params
+    const modelData = typeof params.modelData === 'string'
+      ? Buffer.from(params.modelData, 'base64')
+      : params.modelData
 
     try {
       this.logger.info(`Storing model: ${modelId}`)
 
       // Validate model data
-      if (!modelData || !Buffer.isBuffer(modelData)) {
+      if (!modelData || !Buffer.isBuffer(modelData) || !modelData.length) {
         throw new Error('ERR_INVALID_MODEL_DATA')
       }
 
@@ -95,51 +153,264 @@ class WrkModelManager extends WrkBase {
         throw new Error('ERR_INVALID_METADATA')
       }
 
+      const version = metadata.version || '1.0.0'
+
       // Check if model already exists
-      if (await this.modelRegistry.hasModel(modelId)) {
-        throw new Error('ERR_MODEL_ALREADY_EXISTS')
-      }
+      await this.checkCanStore(modelId, replace)
 
       // Store model data
-      const storageResult = await this.modelStorage.storeModel(modelId, modelData)
-
-      // Store metadata
-      const registryResult = await this.modelRegistry.storeMetadata(modelId, {
-        ...metadata,
-        storageKey: storageResult.key,
-        size: modelData.length,
-        checksum: storageResult.checksum,
-        createdAt: Date.now(),
-        version: metadata.version || '1.0.0'
-      })
+      const storageResult = await this.modelStorage.storeModel(modelId, modelData, version)
 
-      // Cache model info
-      this.modelCache.set(modelId, {
-        metadata: registryResult,
-        storageKey: storageResult.key
-      })
+      return await this.commitModel(modelId, metadata, storageResult)
+    } catch (error) {
+      this.logger.error(`Failed to store model ${modelId}:`, error)
+      throw error
+    }
+  }
 
-      this.logger.info(`Model stored successfully: ${modelId}`)
+  /**
+   * Check that a model may be stored
+   * @param {string} modelId - Model identifier
+   * @param {boolean} replace - Whether new or replaced versions are allowed
+   * @throws {Error} ERR_MODEL_ALREADY_EXISTS if the model exists and `replace` is not set
+   */
+  async checkCanStore (modelId, replace) {
+    if (!replace && await this.modelRegistry.hasModel(modelId)) {
+      throw new Error('ERR_MODEL_ALREADY_EXISTS')
+    }
+  }
 
-      return {
-        success: true,
-        modelId,
-        storageKey: storageResult.key,
-        checksum: storageResult.checksum,
-        size: modelData.length
+  /**
+   * Register the metadata of stored model data
+   * @param {string} modelId - Model identifier
+   * @param {Object} metadata - Model metadata
+   * @param {Object} storageResult - Result of the model storage
+   * @returns {Promise<Object>} Store result
+   */
+  async commitModel (modelId, metadata, storageResult) {
+    const version = metadata.version || '1.0.0'
+    const previous = await this.modelRegistry.getMetadata(modelId, version)
+
+    // Store metadata
+    const registryResult = await this.modelRegistry.storeMetadata(modelId, {
+      ...metadata,
+      storageKey: storageResult.key,
+      size: storageResult.size,
+      compressedSize: storageResult.storedSize,
+      compression: storageResult.compression,
+      checksum: storageResult.checksum,
+      createdAt: previous ? previous.createdAt : Date.now(),
+      version
+    })
+
+    // A replaced version no longer uses its previous blob
+    if (previous && previous.storageKey !== storageResult.key) {
+      await this.releaseBlob(previous)
+    }
+
+    // Cache model info
+    this.modelCache.set(modelId, {
+      metadata: registryResult,
+      storageKey: storageResult.key
+    })
+
+    this.logger.info(`Model stored successfully: ${modelId}`)
+    this.notifyModelEvent('stored', registryResult)
+
+    if (this.modelReplicator.replicationFactor > 1) {
+      this.replicateModel({ modelId, version })
+        .catch(error => {
+          this.logger.warn(`Replication of model ${modelId}@${version} failed: ${error.message}`)
+        })
+    }
+
+    return {
+      success: true,
+      modelId,
+      storageKey: storageResult.key,
+      checksum: storageResult.checksum,
+      size: storageResult.size,
+      compressedSize: storageResult.storedSize,
+      compression: storageResult.compression,
+      version,
+      replaced: !!previous,
+      deduplicated: storageResult.deduplicated
+    }
+  }
+
+  /**
+   * Start a chunked upload of a model
+   * @param {Object} params - Upload parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Object} params.metadata - Model metadata
+   * @param {number} params.size - Total size in bytes
+   * @param {string} params.sha256 - Hex encoded SHA-256 of the whole model
+   * @param {number} params.chunkSize - Optional chunk size in bytes
+   * @param {boolean} params.replace - Store as a new or replaced version of an existing model
+   * @returns {Promise<Object>} Upload session
+   */
+  async createUpload (params) {
+    const { modelId, metadata, replace = false } = params
+
+    try {
+      if (!metadata || !metadata.type) {
+        throw new Error('ERR_INVALID_METADATA')
       }
+
+      await this.checkCanStore(modelId, replace)
+
+      const session = await this.uploadManager.createSession(params)
+
+      return { success: true, ...session }
     } catch (error) {
-      this.logger.error(`Failed to store model ${modelId}:`, error)
+      this.logger.error(`Failed to start upload of model ${modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the progress of a chunked upload
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Upload status
+   */
+  async getUpload (params) {
+    const { modelId, uploadId } = params
+
+    try {
+      const status = await this.uploadManager.getStatus(uploadId)
+      if (status.modelId !== modelId) {
+        throw new Error('ERR_UPLOAD_NOT_FOUND')
+      }
+
+      return { success: true, ...status }
+    } catch (error) {
+      this.logger.error(`Failed to get upload ${uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Receive a chunk of an upload
+   * @param {Object} params - Chunk parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @param {number} params.index - Zero based chunk index
+   * @param {string} params.data - Base64 encoded chunk data
+   * @param {string} params.checksum - Hex encoded SHA-256 of the chunk
+   * @returns {Promise<Object>} Chunk result
+   */
+  async uploadChunk (params) {
+    const { modelId, uploadId, index } = params
+
+    try {
+      const session = await this.uploadManager.getSession(uploadId)
+      if (session.modelId !== modelId) {
+        throw new Error('ERR_UPLOAD_NOT_FOUND')
+      }
+
+      const result = await this.uploadManager.writeChunk(params)
+
+      return { success: true, ...result }
+    } catch (error) {
+      this.logger.error(`Failed to receive chunk ${index} of upload ${uploadId}:`, error)
       throw error
     }
   }
 
+  /**
+   * Complete a chunked upload
+   * The chunks are assembled, verified against the SHA-256 given when the
+   * upload started and only then committed to the registry.
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Store result
+   */
+  async completeUpload (params) {
+    const { modelId, uploadId } = params
+
+    try {
+      const session = await this.uploadManager.getSession(uploadId)
+      if (session.modelId !== modelId) {
+        throw new Error('ERR_UPLOAD_NOT_FOUND')
+      }
+
+      if (this.completingUploads.has(uploadId)) {
+        throw new Error('ERR_UPLOAD_IN_PROGRESS')
+      }
+      this.completingUploads.add(uploadId)
+
+      try {
+        // The model may have been created since the upload started
+        await this.checkCanStore(modelId, session.replace)
+
+        const assembled = await this.uploadManager.assemble(uploadId)
+        const storageResult = await this.modelStorage.storeModelFile(
+          modelId,
+          assembled.filePath,
+          session.metadata.version || '1.0.0',
+          assembled.checksum
+        )
+
+        const result = await this.commitModel(modelId, session.metadata, storageResult)
+        await this.uploadManager.deleteSession(uploadId)
+
+        return { ...result, uploadId }
+      } finally {
+        this.completingUploads.delete(uploadId)
+      }
+    } catch (error) {
+      this.logger.error(`Failed to complete upload ${uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Abort a chunked upload and delete its chunks
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Abort result
+   */
+  async abortUpload (params) {
+    const { modelId, uploadId } = params
+
+    try {
+      const session = await this.uploadManager.getSession(uploadId)
+      if (session.modelId !== modelId) {
+        throw new Error('ERR_UPLOAD_NOT_FOUND')
+      }
+
+      await this.uploadManager.deleteSession(uploadId)
+
+      return { success: true, uploadId, abortedAt: Date.now() }
+    } catch (error) {
+      this.logger.error(`Failed to abort upload ${uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Start removing expired upload sessions
+   */
+  startUploadCleanup () {
+    this.uploadCleanupTimer = setInterval(async () => {
+      try {
+        await this.uploadManager.cleanupExpired()
+      } catch (error) {
+        this.logger.error('Upload cleanup failed:', error)
+      }
+    }, this.conf.upload?.cleanupInterval || 3600000)
+  }
+
   /**
    * Retrieve a model
    * @param {Object} params - Get parameters
    * @param {string} params.modelId - Model identifier
    * @param {string} params.version - Optional version
-   * @returns {Promise<Object>} Model data and metadata
+   * @returns {Promise<Object>} Model metadata and base64 encoded model data
    */
   async getModel (params) {
     const { modelId, version } = params
@@ -160,7 +431,7 @@ class WrkModelManager extends WrkBase {
         success: true,
         modelId,
         metadata,
-        modelData
+        modelData: modelData.toString('base64')
       }
     } catch (error) {
       this.logger.error(`Failed to retrieve model ${modelId}:`, error)
@@ -191,39 +462,76 @@ class WrkModelManager extends WrkBase {
     }
   }
 
+  /**
+   * List the versions of a model
+   * @param {Object} params - List parameters
+   * @param {string} params.modelId - Model identifier
+   * @returns {Promise<Object>} Version metadata, oldest first
+   */
+  async listModelVersions (params) {
+    const { modelId } = params
+
+    try {
+      const versions = await this.modelRegistry.listVersions(modelId)
+      if (!versions.length) {
+        throw new Error('ERR_MODEL_NOT_FOUND')
+      }
+
+      const current = await this.modelRegistry.getMetadata(modelId)
+
+      return {
+        success: true,
+        modelId,
+        currentVersion: current.version,
+        versions,
+        count: versions.length
+      }
+    } catch (error) {
+      this.logger.error(`Failed to list versions of model ${modelId}:`, error)
+      throw error
+    }
+  }
+
   /**
    * Delete a model
    * @param {Object} params - Delete parameters
    * @param {string} params.modelId - Model identifier
-   * @param {string} params.version - Optional version
+   * @param {string} params.version - Optional version, all versions are deleted if omitted
    * @returns {Promise<Object>} Delete result
    */
   async deleteModel (params) {
     const { modelId, version } = params
 
     try {
-      this.logger.info(`Deleting model: ${modelId}`)
+      this.logger.info(`Deleting model: ${modelId}${version ? `@${version}` : ''}`)
 
-      // Get metadata to find storage key
+      // Get metadata to find storage keys
       const metadata = await this.modelRegistry.getMetadata(modelId, version)
       if (!metadata) {
         throw new Error('ERR_MODEL_NOT_FOUND')
       }
 
-      // Delete from storage
-      await this.modelStorage.deleteModel(metadata.storageKey)
+      const deleted = version ? [metadata] : await this.modelRegistry.listVersions(modelId)
+
+      // Release storage blobs, shared blobs are kept
+      for (const entry of deleted) {
+        await this.releaseBlob(entry)
+        this.dropReplicas(entry)
+      }
 
       // Delete from registry
       await this.modelRegistry.deleteMetadata(modelId, version)
 
       // Remove from cache
       this.modelCache.delete(modelId)
+      this.notifyModelEvent('deleted', { ...metadata, modelId })
 
       this.logger.info(`Model deleted successfully: ${modelId}`)
 
       return {
         success: true,
         modelId,
+        versions: deleted.map(entry => entry.version),
         deletedAt: Date.now()
       }
     } catch (error) {
@@ -264,13 +572,20 @@ class WrkModelManager extends WrkBase {
    * @param {Object} params - Parameters
    * @param {string} params.modelId - Model identifier
    * @param {Object} params.metadata - Updated metadata
+   * @param {string} params.version - Optional version (default: current version)
    * @returns {Promise<Object>} Update result
    */
   async updateModelMetadata (params) {
-    const { modelId, metadata } = params
+    const { modelId, metadata, version } = params
 
     try {
-      const result = await this.modelRegistry.updateMetadata(modelId, metadata)
+      if (!metadata || typeof metadata !== 'object') {
+        throw new Error('ERR_INVALID_METADATA')
+      }
+
+      const result = await this.modelRegistry.updateMetadata(modelId, metadata, version)
+      this.notifyModelEvent('updated', { ...result, modelId })
+
       return {
         success: true,
         modelId,
@@ -283,40 +598,72 @@ class WrkModelManager extends WrkBase {
   }
 
   /**
-   * Replicate model to other peers
+   * Replicate a model version to other peers
+   * The blob is published in the replicator's drive and each peer is asked
+   * to download and verify it. Peers confirming a verified copy are recorded.
    * @param {Object} params - Parameters
    * @param {string} params.modelId - Model identifier
-   * @param {Array} params.peers - Target peer addresses
+   * @param {string} params.version - Optional version (default: current version)
+   * @param {Array<string>} params.peers - Optional target peer RPC public keys (default: selected by replication factor)
    * @returns {Promise<Object>} Replication result
    */
   async replicateModel (params) {
-    const { modelId, peers } = params
+    const { modelId, version } = params
 
     try {
-      this.logger.info(`Replicating model ${modelId} to ${peers.length} peers`)
+      const metadata = await this.modelRegistry.getMetadata(modelId, version)
+      if (!metadata) {
+        throw new Error('ERR_MODEL_NOT_FOUND')
+      }
 
-      // Get model data
-      const modelResult = await this.getModel({ modelId })
-      const { modelData, metadata } = modelResult
+      const peers = params.peers || this.modelReplicator.selectPeers(modelId)
+      this.logger.info(`Replicating model ${modelId}@${metadata.version} to ${peers.length} peers`)
+
+      const { driveKey } = await this.modelReplicator.publish(metadata, () => {
+        return this.modelStorage.createModelStream(metadata.storageKey)
+      })
 
-      // Replicate to each peer
       const replicationResults = await Promise.allSettled(
-        peers.map(async (peerAddress) => {
-          // In a real implementation, this would use RPC to send model to peer
-          this.logger.debug(`Replicating to peer: ${peerAddress}`)
-          return { peer: peerAddress, success: true }
+        peers.map(async (peer) => {
+          await this.net_r0.jRequest(peer, 'fetchReplica', {
+            modelId,
+            version: metadata.version,
+            checksum: metadata.checksum,
+            size: metadata.size,
+            driveKey,
+            source: this.getRpcKey().toString('hex'),
+            metadata
+          }, { timeout: this.modelReplicator.timeout })
+
+          await this.modelReplicator.recordCopy(metadata, peer)
         })
       )
 
-      const successful = replicationResults.filter(r => r.status === 'fulfilled').length
-      const failed = replicationResults.filter(r => r.status === 'rejected').length
+      const results = replicationResults.map((result, i) => ({
+        peer: peers[i],
+        success: result.status === 'fulfilled',
+        ...(result.status === 'rejected' ? { error: result.reason.message } : {})
+      }))
+
+      for (const result of results.filter(r => !r.success)) {
+        this.logger.warn(`Replication of model ${modelId}@${metadata.version} to ${result.peer} failed: ${result.error}`)
+      }
+
+      // Peers holding verified copies seed the blob, the drive does not need
+      // to keep a second one next to the blob store
+      if (peers.length && results.every(r => r.success)) {
+        await this.modelReplicator.clearPublished(metadata.checksum)
+      }
 
       return {
         success: true,
         modelId,
+        version: metadata.version,
+        driveKey,
         totalPeers: peers.length,
-        successfulReplications: successful,
-        failedReplications: failed
+        successfulReplications: results.filter(r => r.success).length,
+        failedReplications: results.filter(r => !r.success).length,
+        results
       }
     } catch (error) {
       this.logger.error(`Failed to replicate model ${modelId}:`, error)
@@ -324,29 +671,189 @@ class WrkModelManager extends WrkBase {
     }
   }
 
+  /**
+   * Download and verify a replica of a model version published by another peer
+   * @param {Object} params - Replica parameters, see `ModelReplicator.fetch`
+   * @returns {Promise<Object>} Held replica
+   */
+  async fetchReplica (params) {
+    try {
+      const replica = await this.modelReplicator.fetch(params)
+
+      return {
+        success: true,
+        modelId: replica.modelId,
+        version: replica.version,
+        checksum: replica.checksum,
+        verifiedAt: replica.verifiedAt
+      }
+    } catch (error) {
+      this.logger.error(`Failed to fetch replica of model ${params.modelId}@${params.version}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get a replica held by this worker
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Model version
+   * @returns {Promise<Object>} Held replica, `replica` is null if none is held
+   */
+  async getReplica (params) {
+    const { modelId, version } = params
+    const replica = await this.modelReplicator.getHeld(modelId, version)
+
+    return { success: true, replica }
+  }
+
+  /**
+   * Drop a replica held by this worker
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Model version
+   * @returns {Promise<Object>} Drop result
+   */
+  async dropReplica (params) {
+    const { modelId, version } = params
+
+    try {
+      const dropped = await this.modelReplicator.drop(modelId, version)
+
+      return { success: true, dropped }
+    } catch (error) {
+      this.logger.error(`Failed to drop replica of model ${modelId}@${version}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the replication status of a model
+   * Every peer a version was replicated to is asked for its copy, which counts
+   * only if it is complete and matches the version checksum.
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version, all versions are reported if omitted
+   * @returns {Promise<Object>} Replication status per version
+   */
+  async getReplicationStatus (params) {
+    const { modelId, version } = params
+
+    try {
+      const metadata = await this.modelRegistry.getMetadata(modelId, version)
+      if (!metadata) {
+        throw new Error('ERR_MODEL_NOT_FOUND')
+      }
+
+      const entries = version ? [metadata] : await this.modelRegistry.listVersions(modelId)
+      const replicationFactor = this.modelReplicator.replicationFactor
+      const self = this.getRpcKey().toString('hex')
+
+      const versions = await Promise.all(entries.map(async (entry) => {
+        const copies = await this.modelReplicator.listCopies(modelId, entry.version)
+
+        const peers = await Promise.all(copies.map(async ({ peer, verifiedAt }) => {
+          try {
+            const { replica } = await this.net_r0.jRequest(peer, 'getReplica', {
+              modelId,
+              version: entry.version
+            }, { timeout: this.modelReplicator.statusTimeout })
+
+            return {
+              peer,
+              reachable: true,
+              verified: !!replica && replica.complete && replica.checksum === entry.checksum,
+              verifiedAt: replica ? replica.verifiedAt : verifiedAt
+            }
+          } catch (error) {
+            return { peer, reachable: false, verified: false, verifiedAt }
+          }
+        }))
+
+        // The publishing worker holds the original
+        peers.unshift({ peer: self, source: true, reachable: true, verified: true })
+
+        const verifiedCopies = peers.filter(p => p.verified).length
+
+        return {
+          version: entry.version,
+          checksum: entry.checksum,
+          replicationFactor,
+          verifiedCopies,
+          satisfied: verifiedCopies >= replicationFactor,
+          peers
+        }
+      }))
+
+      return {
+        success: true,
+        modelId,
+        versions
+      }
+    } catch (error) {
+      this.logger.error(`Failed to get replication status of model ${modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Release the blob of a model version, removing it from the replication
+   * drive when no other version uses it
+   * @param {Object} metadata - Model version metadata
+   * @returns {Promise<void>}
+   */
+  async releaseBlob (metadata) {
+    const deleted = await this.modelStorage.deleteModel(metadata.storageKey, metadata.modelId, metadata.version)
+
+    if (deleted) {
+      await this.modelReplicator.unpublish(metadata.checksum)
+    }
+  }
+
+  /**
+   * Ask the peers holding replicas of a deleted version to drop them, without
+   * waiting for delivery
+   * @param {Object} metadata - Model version metadata
+   */
+  dropReplicas (metadata) {
+    const { modelId, version } = metadata
+
+    this.modelReplicator.deleteCopies(modelId, version)
+      .then(copies => Promise.allSettled(copies.map(({ peer }) => {
+        return this.net_r0.jRequest(peer, 'dropReplica', { modelId, version }, { timeout: 10000 })
+          .catch(error => {
+            this.logger.warn(`Failed to drop replica of ${modelId}@${version} on ${peer}: ${error.message}`)
+          })
+      })))
+      .catch(error => {
+        this.logger.warn(`Failed to drop replicas of ${modelId}@${version}: ${error.message}`)
+      })
+  }
+
   /**
    * Validate model integrity
    * @param {Object} params - Parameters
    * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version
    * @returns {Promise<Object>} Validation result
    */
   async validateModel (params) {
-    const { modelId } = params
+    const { modelId, version } = params
 
     try {
-      const metadata = await this.modelRegistry.getMetadata(modelId)
+      const metadata = await this.modelRegistry.getMetadata(modelId, version)
       if (!metadata) {
         throw new Error('ERR_MODEL_NOT_FOUND')
       }
 
-      const modelData = await this.modelStorage.getModel(metadata.storageKey)
-      const currentChecksum = this.modelStorage.calculateChecksum(modelData)
+      const currentChecksum = await this.modelStorage.calculateModelChecksum(metadata.storageKey)
 
       const isValid = currentChecksum === metadata.checksum
 
       return {
         success: true,
         modelId,
+        version: metadata.version,
         isValid,
         expectedChecksum: metadata.checksum,
         actualChecksum: currentChecksum
@@ -357,6 +864,71 @@ class WrkModelManager extends WrkBase {
     }
   }
 
+  /**
+   * Subscribe a peer (usually an orchestrator) to model change events
+   * Subscriptions are leases that expire unless renewed.
+   * @param {Object} params - Parameters
+   * @param {string} params.publicKey - Hex encoded RPC public key of the subscriber
+   * @param {number} params.ttl - Lease duration in ms
+   * @returns {Promise<Object>} Subscription result
+   */
+  async subscribeModelEvents (params) {
+    const { publicKey, ttl = 300000 } = params
+
+    if (!publicKey) {
+      throw new Error('ERR_SUBSCRIBER_KEY_INVALID')
+    }
+
+    const expiresAt = Date.now() + ttl
+    this.eventSubscribers.set(publicKey, expiresAt)
+    this.logger.debug(`Model event subscriber ${publicKey} registered until ${expiresAt}`)
+
+    return { success: true, expiresAt }
+  }
+
+  /**
+   * Notify subscribers that a model changed, without waiting for delivery
+   * @param {string} event - Event type (`stored`, `updated` or `deleted`)
+   * @param {Object} metadata - Model metadata
+   */
+  notifyModelEvent (event, metadata) {
+    const now = Date.now()
+    const payload = {
+      event,
+      modelId: metadata.modelId,
+      version: metadata.version,
+      checksum: metadata.checksum,
+      timestamp: now
+    }
+
+    for (const [publicKey, expiresAt] of this.eventSubscribers.entries()) {
+      if (expiresAt < now) {
+        this.eventSubscribers.delete(publicKey)
+        continue
+      }
+
+      this.net_r0.jRequest(publicKey, 'modelUpdated', payload, { timeout: 10000 })
+        .catch(error => {
+          this.logger.warn(`Failed to notify ${publicKey} of model ${metadata.modelId} ${event}: ${error.message}`)
+        })
+    }
+  }
+
+  /**
+   * Check that an RPC request comes from an allowed peer
+   * @param {Object} rpc - RPC connection of the request
+   * @param {Array<string>} keys - Allowed RPC client keys (hex)
+   * @throws {Error} If the caller is not one of the allowed peers
+   */
+  assertPeer (rpc, keys) {
+    const callerKey = rpc?.stream?.remotePublicKey?.toString('hex')
+
+    if (!callerKey || !keys.includes(callerKey)) {
+      this.logger.warn(`Rejected RPC request from unknown peer ${callerKey}`)
+      throw new Error('ERR_PEER_NOT_ALLOWED')
+    }
+  }
+
   /**
    * Get storage statistics
    * @returns {Promise<Object>} Storage statistics
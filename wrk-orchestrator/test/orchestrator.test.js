@@ -0,0 +1,98 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert')
+const WrkOrchestrator = require('../workers/orchestrator.wrk')
+const ServiceRegistry = require('../workers/lib/service-registry')
+const LoadBalancer = require('../workers/lib/load-balancer')
+const HealthMonitor = require('../workers/lib/health-monitor')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+/**
+ * Create an orchestrator with its registry, load balancer and health
+ * monitor, without starting the worker
+ * @param {Object} conf - Configuration object
+ * @returns {Object} Orchestrator
+ */
+function createOrchestrator (conf = {}) {
+  const wrk = Object.create(WrkOrchestrator.prototype)
+
+  wrk.conf = conf
+  wrk.logger = logger
+  wrk.serviceRegistry = new ServiceRegistry(conf, logger)
+  wrk.loadBalancer = new LoadBalancer(conf, logger)
+  wrk.healthMonitor = new HealthMonitor(conf, logger)
+  wrk.activeStreams = new Map()
+  wrk.activeRequests = new Map()
+
+  return wrk
+}
+
+/**
+ * Registration parameters of a worker serving one model
+ * @param {Object} params - Overrides
+ * @returns {Object} Registration parameters
+ */
+function worker (params = {}) {
+  return {
+    workerId: 'w1',
+    address: 'w1-address',
+    publicKey: 'w1-key',
+    capabilities: { models: ['m'] },
+    ...params
+  }
+}
+
+test('re-registering a worker replaces its previous entries', async () => {
+  const wrk = createOrchestrator()
+
+  await wrk.registerWorker(worker())
+  await wrk.loadBalancer.updateWorkerStats('w1', { requestCount: 1, processingTime: 10, success: true })
+  assert.strictEqual(wrk.healthMonitor.monitoredWorkers.has('w1'), true)
+
+  await wrk.registerWorker(worker({ capabilities: { models: ['n'] }, heartbeatInterval: 1000 }))
+
+  assert.strictEqual(wrk.serviceRegistry.workers.size, 1)
+  assert.deepStrictEqual(await wrk.serviceRegistry.getWorkersForModel('m'), [])
+  assert.strictEqual((await wrk.serviceRegistry.getWorkersForModel('n')).length, 1)
+  assert.strictEqual(wrk.loadBalancer.workerStats.get('w1').requestCount, 0)
+  assert.strictEqual(wrk.healthMonitor.monitoredWorkers.has('w1'), false)
+})
+
+test('workers missing heartbeats are expired, the others are kept', async (t) => {
+  let now = 1000000
+  t.mock.method(Date, 'now', () => now)
+
+  const wrk = createOrchestrator({ missedHeartbeats: 3 })
+  await wrk.registerWorker(worker({ heartbeatInterval: 1000 }))
+  await wrk.registerWorker(worker({ workerId: 'w2', heartbeatInterval: 1000 }))
+  await wrk.registerWorker(worker({ workerId: 'polled' }))
+
+  now += 2500
+  assert.strictEqual((await wrk.workerHeartbeat({ workerId: 'w2', capacity: {} })).registered, true)
+
+  now += 1000
+  await wrk.expireWorkers()
+
+  assert.deepStrictEqual([...wrk.serviceRegistry.workers.keys()].sort(), ['polled', 'w2'])
+  assert.strictEqual(wrk.loadBalancer.workerStats.has('w1'), false)
+  assert.deepStrictEqual(await wrk.workerHeartbeat({ workerId: 'w1', capacity: {} }), {
+    success: false,
+    registered: false,
+    workerId: 'w1'
+  })
+})
+
+test('routed inferences report the processing time of the worker', async () => {
+  const wrk = createOrchestrator()
+  await wrk.registerWorker(worker())
+
+  wrk.requestInference = async () => ({ success: true, result: { output: [1], processingTime: 42 } })
+
+  const res = await wrk.routeInferenceRequest({ modelId: 'm', inputData: {} })
+
+  assert.strictEqual(res.processingTime, 42)
+  assert.strictEqual(res.workerId, 'w1')
+  assert.strictEqual(wrk.loadBalancer.workerStats.get('w1').totalProcessingTime, 42)
+})
@@ -2,6 +2,10 @@
 
 /**
  * Load Balancer class for distributing requests across workers
+ * Worker load (busy slots and wait queue depth) is refreshed from the workers'
+ * `checkCapacity`; workers with a full wait queue are skipped while others
+ * have room. Among the rest, workers that have the model in memory are
+ * preferred over those that would have to load it first.
  * @class LoadBalancer
  */
 class LoadBalancer {
@@ -43,7 +47,12 @@ class LoadBalancer {
         successCount: 0,
         failureCount: 0,
         lastRequestTime: null,
-        currentLoad: 0
+        currentLoad: 0,
+        maxConcurrent: null,
+        queueDepth: 0,
+        maxQueueSize: null,
+        loadUpdatedAt: null,
+        loadedModels: []
       })
 
       // Initialize round-robin index
@@ -89,6 +98,16 @@ class LoadBalancer {
         return workers[0]
       }
 
+      const withRoom = workers.filter(worker => !this.isSaturated(worker.id))
+      if (withRoom.length > 0) {
+        workers = withRoom
+      }
+
+      const warm = workers.filter(worker => this.isWarm(worker.id, modelId))
+      if (warm.length > 0) {
+        workers = warm
+      }
+
       switch (this.strategy) {
         case 'round-robin':
           return this.selectRoundRobin(workers, modelId)
@@ -125,6 +144,7 @@ class LoadBalancer {
 
   /**
    * Select worker with least connections
+   * Queued requests count as connections.
    * @param {Array} workers - Available workers
    * @returns {Object} Selected worker
    */
@@ -137,7 +157,7 @@ class LoadBalancer {
         return least
       }
 
-      return stats.currentLoad < leastStats.currentLoad ? worker : least
+      return stats.currentLoad + stats.queueDepth < leastStats.currentLoad + leastStats.queueDepth ? worker : least
     })
   }
 
@@ -228,6 +248,66 @@ class LoadBalancer {
     }
   }
 
+  /**
+   * Update the load of a worker
+   * @param {string} workerId - Worker identifier
+   * @param {Object} capacity - Capacity reported by the worker's `checkCapacity`
+   * @returns {Promise<void>}
+   */
+  async updateWorkerLoad (workerId, capacity) {
+    const stats = this.workerStats.get(workerId)
+    if (!stats) {
+      return
+    }
+
+    stats.currentLoad = capacity.currentLoad || 0
+    stats.maxConcurrent = capacity.maxConcurrent ?? null
+    stats.queueDepth = capacity.queueDepth || 0
+    stats.maxQueueSize = capacity.queue?.maxSize ?? null
+    stats.loadUpdatedAt = Date.now()
+
+    if (Array.isArray(capacity.loadedModels)) {
+      stats.loadedModels = capacity.loadedModels
+    }
+  }
+
+  /**
+   * Update the models a worker has in memory
+   * @param {string} workerId - Worker identifier
+   * @param {Array<string>} loadedModels - Loaded model identifiers
+   * @returns {boolean} Whether the worker is known
+   */
+  updateLoadedModels (workerId, loadedModels) {
+    const stats = this.workerStats.get(workerId)
+    if (!stats) {
+      return false
+    }
+
+    stats.loadedModels = loadedModels
+    return true
+  }
+
+  /**
+   * Check whether a worker has a model in memory
+   * @param {string} workerId - Worker identifier
+   * @param {string} modelId - Model identifier
+   * @returns {boolean} Whether the model is loaded on the worker
+   */
+  isWarm (workerId, modelId) {
+    const stats = this.workerStats.get(workerId)
+    return Boolean(stats && stats.loadedModels.includes(modelId))
+  }
+
+  /**
+   * Check whether the wait queue of a worker is full
+   * @param {string} workerId - Worker identifier
+   * @returns {boolean} Whether the worker would reject requests
+   */
+  isSaturated (workerId) {
+    const stats = this.workerStats.get(workerId)
+    return Boolean(stats && stats.maxQueueSize && stats.queueDepth >= stats.maxQueueSize)
+  }
+
   /**
    * Get load balancer statistics
    * @returns {Promise<Object>} Load balancer statistics
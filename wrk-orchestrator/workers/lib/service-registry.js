@@ -137,6 +137,43 @@ class ServiceRegistry {
     }
   }
 
+  /**
+   * Update the models a worker serves, re-indexing it
+   * @param {string} workerId - Worker identifier
+   * @param {Array<string>} models - Model identifiers
+   * @returns {Promise<void>}
+   */
+  async updateWorkerModels (workerId, models) {
+    try {
+      const worker = this.workers.get(workerId)
+      if (!worker) {
+        throw new Error('ERR_WORKER_NOT_FOUND')
+      }
+
+      for (const modelId of worker.capabilities?.models || []) {
+        const modelSet = this.modelIndex.get(modelId)
+        if (modelSet && !models.includes(modelId)) {
+          modelSet.delete(workerId)
+          if (modelSet.size === 0) {
+            this.modelIndex.delete(modelId)
+          }
+        }
+      }
+
+      for (const modelId of models) {
+        if (!this.modelIndex.has(modelId)) {
+          this.modelIndex.set(modelId, new Set())
+        }
+        this.modelIndex.get(modelId).add(workerId)
+      }
+
+      worker.capabilities = { ...worker.capabilities, models }
+    } catch (error) {
+      this.logger.error(`Failed to update models of worker ${workerId}:`, error)
+      throw error
+    }
+  }
+
   /**
    * Get workers by capability
    * @param {string} capability - Capability name
@@ -1,6 +1,7 @@
 'use strict'
 
 const async = require('async')
+const crypto = require('crypto')
 const WrkBase = require('wrk-base/workers/base.wrk')
 const ServiceRegistry = require('./lib/service-registry')
 const LoadBalancer = require('./lib/load-balancer')
@@ -26,8 +27,10 @@ class WrkOrchestrator extends WrkBase {
     this.serviceRegistry = null
     this.loadBalancer = null
     this.healthMonitor = null
-    this.rpcClients = new Map()
     this.requestQueue = new Map()
+    this.activeStreams = new Map()
+    this.activeRequests = new Map()
+    this.modelEventSubscribers = new Map()
 
     this.init()
     this.start()
@@ -54,14 +57,150 @@ class WrkOrchestrator extends WrkBase {
       async () => {
         const rpcServer = this.net_r0.rpcServer
 
-        // Register RPC endpoints
-        rpcServer.respond('findAvailableWorker', this.findAvailableWorker.bind(this))
-        rpcServer.respond('registerWorker', this.registerWorker.bind(this))
-        rpcServer.respond('unregisterWorker', this.unregisterWorker.bind(this))
-        rpcServer.respond('routeInferenceRequest', this.routeInferenceRequest.bind(this))
-        rpcServer.respond('getServiceStatus', this.getServiceStatus.bind(this))
-        rpcServer.respond('getLoadBalancingStats', this.getLoadBalancingStats.bind(this))
-        rpcServer.respond('healthCheck', this.healthCheck.bind(this))
+        // Register RPC endpoints, callers are identified by their RPC client
+        // key. Only `healthCheck` is open to any peer.
+        const gateways = this.conf.gateway?.rpcClientKeys || []
+        const workers = this.conf.workers?.rpcClientKeys || []
+        const modelManagers = this.conf.modelManager?.rpcClientKeys || []
+
+        rpcServer.respond('findAvailableWorker', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('findAvailableWorker', req)
+        })
+
+        rpcServer.respond('registerWorker', async (req, rpc) => {
+          this.assertPeer(rpc, workers)
+          return await this.net_r0.handleReply('registerWorker', req)
+        })
+
+        rpcServer.respond('unregisterWorker', async (req, rpc) => {
+          this.assertPeer(rpc, workers)
+          return await this.net_r0.handleReply('unregisterWorker', req)
+        })
+
+        rpcServer.respond('routeInferenceRequest', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('routeInferenceRequest', req)
+        })
+
+        rpcServer.respond('routeBatchInferenceRequest', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('routeBatchInferenceRequest', req)
+        })
+
+        rpcServer.respond('cancelInference', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('cancelInference', req)
+        })
+
+        rpcServer.respond('pollInferenceStream', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('pollInferenceStream', req)
+        })
+
+        rpcServer.respond('cancelInferenceStream', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('cancelInferenceStream', req)
+        })
+
+        rpcServer.respond('workerHeartbeat', async (req, rpc) => {
+          this.assertPeer(rpc, workers)
+          return await this.net_r0.handleReply('workerHeartbeat', req)
+        })
+
+        rpcServer.respond('reportModelEvent', async (req, rpc) => {
+          this.assertPeer(rpc, workers)
+          return await this.net_r0.handleReply('reportModelEvent', req)
+        })
+
+        rpcServer.respond('getServiceStatus', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('getServiceStatus', req)
+        })
+
+        rpcServer.respond('getLoadBalancingStats', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('getLoadBalancingStats', req)
+        })
+
+        rpcServer.respond('healthCheck', async (req) => {
+          return await this.net_r0.handleReply('healthCheck', req)
+        })
+
+        rpcServer.respond('getModelMetadata', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('getModelMetadata', req)
+        })
+
+        rpcServer.respond('listModels', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('listModels', req)
+        })
+
+        rpcServer.respond('listModelVersions', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('listModelVersions', req)
+        })
+
+        rpcServer.respond('storeModel', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('storeModel', req)
+        })
+
+        rpcServer.respond('updateModelMetadata', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('updateModelMetadata', req)
+        })
+
+        rpcServer.respond('deleteModel', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('deleteModel', req)
+        })
+
+        rpcServer.respond('validateModel', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('validateModel', req)
+        })
+
+        rpcServer.respond('getReplicationStatus', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('getReplicationStatus', req)
+        })
+
+        rpcServer.respond('createUpload', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('createUpload', req)
+        })
+
+        rpcServer.respond('getUpload', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('getUpload', req)
+        })
+
+        rpcServer.respond('uploadChunk', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('uploadChunk', req)
+        })
+
+        rpcServer.respond('completeUpload', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('completeUpload', req)
+        })
+
+        rpcServer.respond('abortUpload', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('abortUpload', req)
+        })
+
+        rpcServer.respond('subscribeModelEvents', async (req, rpc) => {
+          this.assertPeer(rpc, gateways)
+          return await this.net_r0.handleReply('subscribeModelEvents', req)
+        })
+
+        rpcServer.respond('modelUpdated', async (req, rpc) => {
+          this.assertPeer(rpc, modelManagers)
+          return await this.net_r0.handleReply('modelUpdated', req)
+        })
 
         // Initialize components
         await this.serviceRegistry.initialize()
@@ -71,6 +210,7 @@ class WrkOrchestrator extends WrkBase {
         // Start background processes
         this.startServiceDiscovery()
         this.startHealthMonitoring()
+        this.startModelEventSubscription()
 
         this.logger.info('Orchestrator Worker started successfully')
       }
@@ -107,9 +247,6 @@ class WrkOrchestrator extends WrkBase {
       // Use load balancer to select worker
       const selectedWorker = await this.loadBalancer.selectWorker(filteredWorkers, modelId)
 
-      // Get RPC client for selected worker
-      const rpcClient = await this.getRpcClient(selectedWorker)
-
       return {
         success: true,
         worker: {
@@ -118,8 +255,7 @@ class WrkOrchestrator extends WrkBase {
           publicKey: selectedWorker.publicKey,
           capacity: selectedWorker.capacity,
           capabilities: selectedWorker.capabilities
-        },
-        rpcClient: rpcClient
+        }
       }
     } catch (error) {
       this.logger.error(`Failed to find available worker for model ${modelId}:`, error)
@@ -129,24 +265,38 @@ class WrkOrchestrator extends WrkBase {
 
   /**
    * Register a new worker
+   * Registering an already registered worker (e.g. after a restart) replaces
+   * it. Workers that register with a `heartbeatInterval` are not health
+   * checked, they are expired once `missedHeartbeats` heartbeats in a row
+   * are missing.
    * @param {Object} params - Parameters
    * @param {string} params.workerId - Worker identifier
    * @param {string} params.address - Worker address
    * @param {string} params.publicKey - Worker public key
    * @param {Object} params.capabilities - Worker capabilities
+   * @param {Object} [params.capacity] - Worker capacity, as its `checkCapacity` reports it
+   * @param {number} [params.heartbeatInterval] - Interval of the worker's heartbeats
    * @returns {Promise<Object>} Registration result
    */
   async registerWorker (params) {
-    const { workerId, address, publicKey, capabilities } = params
+    const { workerId, address, publicKey, capabilities, capacity, heartbeatInterval } = params
 
     try {
       this.logger.info(`Registering worker: ${workerId}`)
 
+      // Drop the previous registration, so its stats and health checks do
+      // not outlive it
+      await this.serviceRegistry.unregisterWorker(workerId)
+      await this.loadBalancer.removeWorker(workerId)
+      await this.healthMonitor.stopMonitoring(workerId)
+
       const workerInfo = {
         id: workerId,
         address,
         publicKey,
         capabilities,
+        capacity,
+        heartbeatInterval,
         registeredAt: Date.now(),
         lastSeen: Date.now(),
         status: 'active'
@@ -157,9 +307,14 @@ class WrkOrchestrator extends WrkBase {
 
       // Add to load balancer
       await this.loadBalancer.addWorker(workerInfo)
+      if (capacity) {
+        await this.loadBalancer.updateWorkerLoad(workerId, capacity)
+      }
 
-      // Start health monitoring
-      await this.healthMonitor.startMonitoring(workerId, address)
+      // Start health monitoring; workers that heartbeat are expired instead
+      if (!heartbeatInterval) {
+        await this.healthMonitor.startMonitoring(workerId, address)
+      }
 
       this.logger.info(`Worker registered successfully: ${workerId}`)
 
@@ -174,6 +329,59 @@ class WrkOrchestrator extends WrkBase {
     }
   }
 
+  /**
+   * Record a heartbeat of a worker
+   * Heartbeats carry the worker's live capacity, which feeds the load
+   * balancer, and the models it serves, which are re-indexed. Unknown
+   * workers are answered with `registered: false` so that they register.
+   * @param {Object} params - Parameters
+   * @param {string} params.workerId - Worker identifier
+   * @param {Object} params.capacity - Worker capacity, as its `checkCapacity` reports it
+   * @returns {Promise<Object>} Heartbeat result
+   */
+  async workerHeartbeat (params) {
+    const { workerId, capacity = {} } = params
+
+    if (!this.serviceRegistry.workers.has(workerId)) {
+      this.logger.debug(`Heartbeat from unknown worker ${workerId}`)
+      return { success: false, registered: false, workerId }
+    }
+
+    await this.serviceRegistry.updateWorkerStatus(workerId, { capacity })
+    if (Array.isArray(capacity.availableModels)) {
+      await this.serviceRegistry.updateWorkerModels(workerId, capacity.availableModels)
+    }
+
+    await this.loadBalancer.updateWorkerLoad(workerId, capacity)
+
+    return { success: true, registered: true, workerId }
+  }
+
+  /**
+   * Record a model loaded into or gone from the memory of a worker
+   * Workers report it on every load, unload and eviction, with the full list
+   * of their loaded models, which routing prefers for the models' requests.
+   * @param {Object} params - Parameters
+   * @param {string} params.workerId - Worker identifier
+   * @param {string} params.event - `loaded`, `unloaded` or `evicted`
+   * @param {string} params.modelId - Model identifier
+   * @param {Array<string>} params.loadedModels - Models in the worker's memory
+   * @returns {Promise<Object>} Result
+   */
+  async reportModelEvent (params) {
+    const { workerId, event, modelId, loadedModels = [] } = params
+
+    const known = this.loadBalancer.updateLoadedModels(workerId, loadedModels)
+    if (!known) {
+      this.logger.debug(`Model ${event} reported by unknown worker ${workerId}: ${modelId}`)
+      return { success: false, workerId }
+    }
+
+    this.logger.info(`Model ${event} on worker ${workerId}: ${modelId}`)
+
+    return { success: true, workerId }
+  }
+
   /**
    * Unregister a worker
    * @param {Object} params - Parameters
@@ -195,13 +403,6 @@ class WrkOrchestrator extends WrkBase {
       // Stop health monitoring
       await this.healthMonitor.stopMonitoring(workerId)
 
-      // Close RPC client if exists
-      const rpcClient = this.rpcClients.get(workerId)
-      if (rpcClient) {
-        await rpcClient.close()
-        this.rpcClients.delete(workerId)
-      }
-
       this.logger.info(`Worker unregistered successfully: ${workerId}`)
 
       return {
@@ -217,11 +418,15 @@ class WrkOrchestrator extends WrkBase {
 
   /**
    * Route inference request to appropriate worker
+   * When `options.stream` is set the worker starts a streaming inference and
+   * the returned `streamId` is used to collect partial results through
+   * `pollInferenceStream`. Otherwise the request can be cancelled on its
+   * worker with `cancelInference` by its `options.requestId`.
    * @param {Object} params - Parameters
    * @param {string} params.modelId - Model identifier
    * @param {Object} params.inputData - Input data
    * @param {Object} params.options - Request options
-   * @returns {Promise<Object>} Inference result
+   * @returns {Promise<Object>} Inference result or stream handle
    */
   async routeInferenceRequest (params) {
     const { modelId, inputData, options = {} } = params
@@ -236,25 +441,29 @@ class WrkOrchestrator extends WrkBase {
         throw new Error('ERR_NO_WORKERS_AVAILABLE')
       }
 
-      const { worker, rpcClient } = workerResult
+      const { worker } = workerResult
+
+      if (options.stream) {
+        return await this.startInferenceStream(worker, { modelId, inputData, options })
+      }
 
       // Route request to worker
-      const inferenceResult = await rpcClient.request('runInference', {
-        modelId,
-        inputData,
-        options
-      }, { timeout: this.conf.requestTimeout || 60000 })
+      const inferenceResult = await this.requestInference(worker, 'runInference', { modelId, inputData, options })
+
+      // The worker reply wraps the engine result, which reports the processing time
+      const processingTime = inferenceResult.result?.processingTime || 0
 
       // Update load balancer with result
       await this.loadBalancer.updateWorkerStats(worker.id, {
         requestCount: 1,
-        processingTime: inferenceResult.processingTime || 0,
+        processingTime,
         success: inferenceResult.success !== false
       })
 
       return {
         success: true,
         result: inferenceResult,
+        processingTime,
         workerId: worker.id,
         routedAt: Date.now()
       }
@@ -264,6 +473,681 @@ class WrkOrchestrator extends WrkBase {
     }
   }
 
+  /**
+   * Route a batch inference request across the workers serving the model
+   * The inputs are split into contiguous slices, one per worker, and run in
+   * parallel. A failing worker only fails the items of its own slice.
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Array<Object>} params.inputs - Input data items
+   * @param {Object} params.options - Request options
+   * @returns {Promise<Object>} Per-item inference results in input order
+   */
+  async routeBatchInferenceRequest (params) {
+    const { modelId, inputs, options = {} } = params
+
+    try {
+      if (!Array.isArray(inputs) || inputs.length === 0) {
+        throw new Error('ERR_INVALID_BATCH')
+      }
+
+      this.logger.info(`Routing batch inference request for model: ${modelId} (${inputs.length} items)`)
+
+      const availableWorkers = await this.serviceRegistry.getWorkersForModel(modelId)
+      if (availableWorkers.length === 0) {
+        throw new Error('ERR_NO_WORKERS_AVAILABLE')
+      }
+
+      const workers = this.filterWorkersByRequirements(availableWorkers, options.requirements || {})
+      if (workers.length === 0) {
+        throw new Error('ERR_NO_WORKERS_MATCH_REQUIREMENTS')
+      }
+
+      const sliceSize = Math.ceil(inputs.length / workers.length)
+      const slices = []
+      for (let offset = 0; offset < inputs.length; offset += sliceSize) {
+        slices.push({
+          offset,
+          inputs: inputs.slice(offset, offset + sliceSize),
+          worker: workers[slices.length]
+        })
+      }
+
+      let processingTime = 0
+      const sliceResults = await Promise.all(slices.map(async (slice) => {
+        const { worker, offset } = slice
+
+        try {
+          const res = await this.requestInference(worker, 'runBatchInference', { modelId, inputs: slice.inputs, options })
+
+          await this.loadBalancer.updateWorkerStats(worker.id, {
+            requestCount: 1,
+            processingTime: res.processingTime || 0,
+            success: true
+          })
+
+          processingTime += res.processingTime || 0
+
+          return res.results.map(item => ({ ...item, index: item.index + offset, workerId: worker.id }))
+        } catch (error) {
+          this.logger.error(`Batch slice on worker ${worker.id} failed:`, error)
+
+          await this.loadBalancer.updateWorkerStats(worker.id, {
+            requestCount: 1,
+            success: false
+          })
+
+          return slice.inputs.map((_, i) => ({
+            index: offset + i,
+            success: false,
+            error: error.message,
+            workerId: worker.id
+          }))
+        }
+      }))
+
+      const results = sliceResults.flat()
+
+      return {
+        success: true,
+        results,
+        succeeded: results.filter(item => item.success).length,
+        failed: results.filter(item => !item.success).length,
+        processingTime,
+        workers: slices.map(slice => slice.worker.id),
+        routedAt: Date.now()
+      }
+    } catch (error) {
+      this.logger.error(`Failed to route batch inference request for model ${modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Send an inference RPC to a worker
+   * The RPC waits until the request's `options.deadline`, plus
+   * `deadlineGrace` for the reply to arrive, or without a deadline for the
+   * request timeout. The worker is recorded under `options.requestId` while
+   * it runs the request, and told to drop it if the deadline passes first.
+   * @param {Object} worker - Selected worker
+   * @param {string} method - RPC method
+   * @param {Object} payload - RPC payload, with the request `options`
+   * @returns {Promise<Object>} Worker response
+   */
+  async requestInference (worker, method, payload) {
+    const { requestId, deadline, timeout } = payload.options
+
+    let rpcTimeout = Math.max(this.conf.requestTimeout || 60000, (timeout || 0) + 5000)
+    if (Number.isFinite(deadline)) {
+      if (deadline <= Date.now()) {
+        throw new Error('ERR_DEADLINE_EXCEEDED')
+      }
+
+      rpcTimeout = deadline - Date.now() + (this.conf.deadlineGrace || 1000)
+    }
+
+    if (requestId) {
+      this.trackRequest(requestId, worker)
+    }
+
+    try {
+      return await this.net_r0.jRequest(worker.publicKey, method, payload, { timeout: rpcTimeout })
+    } catch (error) {
+      if (requestId && deadline <= Date.now()) {
+        await this.cancelOnWorker(worker, requestId)
+        throw new Error('ERR_DEADLINE_EXCEEDED')
+      }
+
+      throw error
+    } finally {
+      if (requestId) {
+        this.untrackRequest(requestId, worker)
+      }
+    }
+  }
+
+  /**
+   * Record that a worker runs a request
+   * @param {string} requestId - Request identifier
+   * @param {Object} worker - Worker
+   */
+  trackRequest (requestId, worker) {
+    const workers = this.activeRequests.get(requestId) || []
+    workers.push(worker)
+    this.activeRequests.set(requestId, workers)
+  }
+
+  /**
+   * Forget that a worker runs a request
+   * @param {string} requestId - Request identifier
+   * @param {Object} worker - Worker
+   */
+  untrackRequest (requestId, worker) {
+    const workers = (this.activeRequests.get(requestId) || []).filter(w => w !== worker)
+    if (workers.length) {
+      this.activeRequests.set(requestId, workers)
+    } else {
+      this.activeRequests.delete(requestId)
+    }
+  }
+
+  /**
+   * Cancel an inference or batch inference on the workers running it
+   * The gateway sends this when the client goes away before the response.
+   * @param {Object} params - Parameters
+   * @param {string} params.requestId - Request identifier, `options.requestId` of the request
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelInference (params) {
+    const { requestId } = params
+
+    const workers = this.activeRequests.get(requestId) || []
+    this.activeRequests.delete(requestId)
+
+    await Promise.all(workers.map(worker => this.cancelOnWorker(worker, requestId)))
+
+    return {
+      success: true,
+      requestId,
+      workers: workers.map(worker => worker.id),
+      cancelledAt: Date.now()
+    }
+  }
+
+  /**
+   * Tell a worker to drop a request, logging failures
+   * @param {Object} worker - Worker
+   * @param {string} requestId - Request identifier
+   * @returns {Promise<void>}
+   */
+  async cancelOnWorker (worker, requestId) {
+    try {
+      await this.net_r0.jRequest(
+        worker.publicKey,
+        'cancelInference',
+        { requestId },
+        { timeout: this.conf.cancelTimeout || 5000 }
+      )
+    } catch (error) {
+      this.logger.error(`Failed to cancel inference ${requestId} on worker ${worker.id}:`, error)
+    }
+  }
+
+  /**
+   * Start a streaming inference on the selected worker
+   * @param {Object} worker - Selected worker
+   * @param {Object} params - Inference parameters
+   * @returns {Promise<Object>} Stream handle
+   */
+  async startInferenceStream (worker, params) {
+    const res = await this.net_r0.jRequest(
+      worker.publicKey,
+      'startInferenceStream',
+      params,
+      { timeout: this.conf.requestTimeout || 60000 }
+    )
+
+    this.activeStreams.set(res.streamId, {
+      workerId: worker.id,
+      publicKey: worker.publicKey,
+      startedAt: Date.now(),
+      updatedAt: Date.now()
+    })
+
+    return {
+      success: true,
+      stream: true,
+      streamId: res.streamId,
+      workerId: worker.id,
+      routedAt: Date.now()
+    }
+  }
+
+  /**
+   * Collect partial results of a streaming inference from its worker
+   * @param {Object} params - Parameters
+   * @param {string} params.streamId - Stream identifier
+   * @param {number} params.cursor - Number of partials already received
+   * @param {number} params.wait - Optional long-poll wait in ms
+   * @returns {Promise<Object>} New partials and stream state
+   */
+  async pollInferenceStream (params) {
+    const { streamId, cursor, wait } = params
+
+    const stream = this.activeStreams.get(streamId)
+    if (!stream) {
+      throw new Error('ERR_STREAM_NOT_FOUND')
+    }
+
+    try {
+      const res = await this.net_r0.jRequest(
+        stream.publicKey,
+        'pollInferenceStream',
+        { streamId, cursor, wait },
+        { timeout: this.conf.requestTimeout || 60000 }
+      )
+
+      stream.updatedAt = Date.now()
+
+      if (res.done) {
+        this.activeStreams.delete(streamId)
+
+        await this.loadBalancer.updateWorkerStats(stream.workerId, {
+          requestCount: 1,
+          processingTime: res.result?.processingTime || 0,
+          success: !res.error
+        })
+      }
+
+      return { ...res, workerId: stream.workerId }
+    } catch (error) {
+      this.logger.error(`Failed to poll inference stream ${streamId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Cancel a streaming inference on its worker
+   * @param {Object} params - Parameters
+   * @param {string} params.streamId - Stream identifier
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelInferenceStream (params) {
+    const { streamId } = params
+
+    const stream = this.activeStreams.get(streamId)
+    if (!stream) {
+      return { success: true, streamId }
+    }
+
+    this.activeStreams.delete(streamId)
+
+    try {
+      await this.net_r0.jRequest(
+        stream.publicKey,
+        'cancelInferenceStream',
+        { streamId },
+        { timeout: this.conf.requestTimeout || 60000 }
+      )
+    } catch (error) {
+      this.logger.error(`Failed to cancel inference stream ${streamId}:`, error)
+      throw error
+    }
+
+    return { success: true, streamId, cancelledAt: Date.now() }
+  }
+
+  /**
+   * Get model metadata from the model manager
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Model metadata
+   */
+  async getModelMetadata (params) {
+    try {
+      return await this.requestModelManager('getModelMetadata', params)
+    } catch (error) {
+      this.logger.error(`Failed to get metadata for model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * List models of every model manager
+   * @param {Object} params - List parameters
+   * @param {string} params.type - Optional model type filter
+   * @param {number} params.limit - Optional limit
+   * @returns {Promise<Object>} Models list
+   */
+  async listModels (params = {}) {
+    const { type, limit } = params
+
+    try {
+      const managers = this.getModelManagers()
+      if (!managers.length) {
+        throw new Error('ERR_MODEL_MANAGER_NOT_CONFIGURED')
+      }
+
+      const results = await Promise.allSettled(managers.map(publicKey =>
+        this.requestModelManager('listModels', { type, limit }, publicKey)
+      ))
+
+      const failed = results.filter(r => r.status === 'rejected')
+      if (failed.length === managers.length) {
+        throw failed[0].reason
+      }
+      if (failed.length) {
+        this.logger.warn(`Model listing incomplete, ${failed.length} model manager(s) unreachable`)
+      }
+
+      let models = results
+        .filter(r => r.status === 'fulfilled')
+        .flatMap(r => r.value.models)
+
+      if (limit && limit > 0) {
+        models = models.slice(0, limit)
+      }
+
+      return {
+        success: true,
+        models,
+        count: models.length,
+        partial: failed.length > 0
+      }
+    } catch (error) {
+      this.logger.error('Failed to list models:', error)
+      throw error
+    }
+  }
+
+  /**
+   * List the versions of a model
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @returns {Promise<Object>} Model versions
+   */
+  async listModelVersions (params) {
+    try {
+      return await this.requestModelManager('listModelVersions', params)
+    } catch (error) {
+      this.logger.error(`Failed to list versions of model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Store a model, or a version of it, on its model manager
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.modelData - Base64 encoded model data
+   * @param {Object} params.metadata - Model metadata
+   * @param {boolean} params.replace - Allow new or overwritten versions of an existing model
+   * @returns {Promise<Object>} Store result
+   */
+  async storeModel (params) {
+    try {
+      return await this.requestModelManager('storeModel', params)
+    } catch (error) {
+      this.logger.error(`Failed to store model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Update model metadata
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {Object} params.metadata - Metadata updates
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Update result
+   */
+  async updateModelMetadata (params) {
+    try {
+      return await this.requestModelManager('updateModelMetadata', params)
+    } catch (error) {
+      this.logger.error(`Failed to update metadata for model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Delete a model, or one of its versions
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteModel (params) {
+    try {
+      return await this.requestModelManager('deleteModel', params)
+    } catch (error) {
+      this.logger.error(`Failed to delete model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Verify the stored data of a model against its checksum
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Validation result
+   */
+  async validateModel (params) {
+    try {
+      return await this.requestModelManager('validateModel', params)
+    } catch (error) {
+      this.logger.error(`Failed to validate model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the replication status of a model from its model manager
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.version - Optional version
+   * @returns {Promise<Object>} Replication status per version
+   */
+  async getReplicationStatus (params) {
+    try {
+      return await this.requestModelManager('getReplicationStatus', params)
+    } catch (error) {
+      this.logger.error(`Failed to get replication status of model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Start a chunked model upload on the model manager of the model
+   * Every request of an upload carries the model id, so it reaches the same
+   * model manager.
+   * @param {Object} params - Upload parameters
+   * @param {string} params.modelId - Model identifier
+   * @returns {Promise<Object>} Upload session
+   */
+  async createUpload (params) {
+    try {
+      return await this.requestModelManager('createUpload', params)
+    } catch (error) {
+      this.logger.error(`Failed to start upload of model ${params.modelId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the progress of a chunked upload
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Upload status
+   */
+  async getUpload (params) {
+    try {
+      return await this.requestModelManager('getUpload', params)
+    } catch (error) {
+      this.logger.error(`Failed to get upload ${params.uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Forward a chunk of an upload
+   * @param {Object} params - Chunk parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @param {number} params.index - Chunk index
+   * @param {string} params.data - Base64 encoded chunk data
+   * @param {string} params.checksum - Hex encoded SHA-256 of the chunk
+   * @returns {Promise<Object>} Chunk result
+   */
+  async uploadChunk (params) {
+    try {
+      return await this.requestModelManager('uploadChunk', params)
+    } catch (error) {
+      this.logger.error(`Failed to forward chunk ${params.index} of upload ${params.uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Complete a chunked upload
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Store result
+   */
+  async completeUpload (params) {
+    try {
+      return await this.requestModelManager('completeUpload', params, undefined, {
+        timeout: this.conf.modelManager?.uploadCompleteTimeout || 120000
+      })
+    } catch (error) {
+      this.logger.error(`Failed to complete upload ${params.uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Abort a chunked upload
+   * @param {Object} params - Parameters
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.uploadId - Upload identifier
+   * @returns {Promise<Object>} Abort result
+   */
+  async abortUpload (params) {
+    try {
+      return await this.requestModelManager('abortUpload', params)
+    } catch (error) {
+      this.logger.error(`Failed to abort upload ${params.uploadId}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Subscribe a peer (e.g. an API gateway) to model change events
+   * Subscriptions are leases that expire unless renewed.
+   * @param {Object} params - Parameters
+   * @param {string} params.publicKey - Hex encoded RPC public key of the subscriber
+   * @param {number} params.ttl - Lease duration in ms
+   * @returns {Promise<Object>} Subscription result
+   */
+  async subscribeModelEvents (params) {
+    const { publicKey, ttl } = params
+
+    if (!publicKey) {
+      throw new Error('ERR_SUBSCRIBER_KEY_INVALID')
+    }
+
+    const expiresAt = Date.now() + Math.min(ttl || 120000, this.conf.modelEventLeaseTtl || 300000)
+    this.modelEventSubscribers.set(publicKey, expiresAt)
+
+    return { success: true, expiresAt }
+  }
+
+  /**
+   * Relay a model change from the model manager to the subscribed peers
+   * @param {Object} params - Model event
+   * @param {string} params.modelId - Model identifier
+   * @param {string} params.event - Event type (`stored`, `updated` or `deleted`)
+   * @returns {Promise<Object>} Relay result
+   */
+  async modelUpdated (params) {
+    const now = Date.now()
+    const subscribers = []
+
+    for (const [publicKey, expiresAt] of this.modelEventSubscribers.entries()) {
+      if (expiresAt < now) {
+        this.modelEventSubscribers.delete(publicKey)
+      } else {
+        subscribers.push(publicKey)
+      }
+    }
+
+    const results = await Promise.allSettled(subscribers.map(publicKey =>
+      this.net_r0.jRequest(publicKey, 'modelUpdated', params, { timeout: this.conf.requestTimeout || 60000 })
+    ))
+
+    const failed = results.filter(r => r.status === 'rejected').length
+    if (failed) {
+      this.logger.warn(`Model event for ${params.modelId} not delivered to ${failed} subscriber(s)`)
+    }
+
+    return { success: true, notified: subscribers.length - failed }
+  }
+
+  /**
+   * Check that an RPC request comes from an allowed peer
+   * @param {Object} rpc - RPC connection of the request
+   * @param {Array<string>} keys - Allowed RPC client keys (hex)
+   * @throws {Error} If the caller is not one of the allowed peers
+   */
+  assertPeer (rpc, keys) {
+    const callerKey = rpc?.stream?.remotePublicKey?.toString('hex')
+
+    if (!callerKey || !keys.includes(callerKey)) {
+      this.logger.warn(`Rejected RPC request from unknown peer ${callerKey}`)
+      throw new Error('ERR_PEER_NOT_ALLOWED')
+    }
+  }
+
+  /**
+   * Send a request to a model manager
+   * @param {string} method - RPC method name
+   * @param {Object} payload - Request payload
+   * @param {string} publicKey - Model manager to call (default: the one owning `payload.modelId`)
+   * @param {Object} opts - Request options
+   * @param {number} opts.timeout - Optional timeout override
+   * @returns {Promise<Object>} Model manager response
+   * @throws {Error} ERR_MODEL_MANAGER_NOT_CONFIGURED if no model manager key is set
+   */
+  async requestModelManager (method, payload, publicKey = this.resolveModelManager(payload.modelId), opts = {}) {
+    if (!publicKey) {
+      throw new Error('ERR_MODEL_MANAGER_NOT_CONFIGURED')
+    }
+
+    return this.net_r0.jRequest(publicKey, method, payload, {
+      timeout: opts.timeout || this.conf.modelManager?.timeout || this.conf.requestTimeout || 60000
+    })
+  }
+
+  /**
+   * Get the configured model managers
+   * @returns {Array<string>} Hex encoded RPC public keys
+   */
+  getModelManagers () {
+    const modelManagerConf = this.conf.modelManager || {}
+    const keys = [
+      modelManagerConf.rpcPublicKey,
+      ...(modelManagerConf.rpcPublicKeys || [])
+    ].filter(Boolean)
+
+    return [...new Set(keys)]
+  }
+
+  /**
+   * Resolve the model manager holding a model
+   * Models are spread over the configured model managers by rendezvous
+   * hashing, so every orchestrator picks the same one without coordination.
+   * @param {string} modelId - Model identifier
+   * @returns {string|null} Hex encoded RPC public key, null if none is configured
+   */
+  resolveModelManager (modelId) {
+    let owner = null
+    let best = null
+
+    for (const publicKey of this.getModelManagers()) {
+      const score = crypto.createHash('sha256').update(`${publicKey}:${modelId}`).digest('hex')
+      if (best === null || score > best) {
+        best = score
+        owner = publicKey
+      }
+    }
+
+    return owner
+  }
+
   /**
    * Get service status
    * @returns {Promise<Object>} Service status
@@ -281,10 +1165,7 @@ class WrkOrchestrator extends WrkBase {
         registry: registryStats,
         loadBalancer: loadBalancerStats,
         health: healthStats,
-        rpcClients: {
-          active: this.rpcClients.size,
-          keys: Array.from(this.rpcClients.keys())
-        }
+        activeStreams: this.activeStreams.size
       }
     } catch (error) {
       this.logger.error('Failed to get service status:', error)
@@ -342,50 +1223,34 @@ class WrkOrchestrator extends WrkBase {
   filterWorkersByRequirements (workers, requirements) {
     return workers.filter(worker => {
       // Check capacity requirements
-      if (requirements.minCapacity && worker.capacity.currentLoad >= requirements.minCapacity) {
+      if (requirements.minCapacity && worker.capacity?.currentLoad >= requirements.minCapacity) {
         return false
       }
 
-      // Check capability requirements
+      // Check capability requirements, listed directly or as the `tags` of
+      // self-registered workers
       if (requirements.capabilities) {
+        const tags = Array.isArray(worker.capabilities) ? worker.capabilities : worker.capabilities?.tags || []
         for (const capability of requirements.capabilities) {
-          if (!worker.capabilities.includes(capability)) {
+          if (!tags.includes(capability)) {
             return false
           }
         }
       }
 
-      // Check model availability
-      if (requirements.modelId && !worker.capabilities.includes(requirements.modelId)) {
-        return false
+      // Check model availability, listed directly or as the `models` of
+      // self-registered workers
+      if (requirements.modelId) {
+        const models = Array.isArray(worker.capabilities) ? worker.capabilities : worker.capabilities?.models || []
+        if (!models.includes(requirements.modelId)) {
+          return false
+        }
       }
 
       return true
     })
   }
 
-  /**
-   * Get or create RPC client for worker
-   * @param {Object} worker - Worker information
-   * @returns {Promise<Object>} RPC client
-   */
-  async getRpcClient (worker) {
-    try {
-      let rpcClient = this.rpcClients.get(worker.id)
-
-      if (!rpcClient) {
-        // Create new RPC client
-        rpcClient = await this.net_r0.createRpcClient(worker.address, worker.publicKey)
-        this.rpcClients.set(worker.id, rpcClient)
-      }
-
-      return rpcClient
-    } catch (error) {
-      this.logger.error(`Failed to get RPC client for worker ${worker.id}:`, error)
-      throw error
-    }
-  }
-
   /**
    * Start service discovery process
    */
@@ -400,6 +1265,77 @@ class WrkOrchestrator extends WrkBase {
     }, this.conf.serviceDiscoveryInterval || 10000)
   }
 
+  /**
+   * Keep the model event subscriptions with the model managers alive
+   */
+  startModelEventSubscription () {
+    const managers = this.getModelManagers()
+    if (!managers.length) {
+      return
+    }
+
+    const ttl = this.conf.modelEventLeaseTtl || 300000
+
+    const subscribe = async () => {
+      for (const manager of managers) {
+        try {
+          await this.requestModelManager('subscribeModelEvents', {
+            publicKey: this.getRpcKey().toString('hex'),
+            ttl
+          }, manager)
+        } catch (error) {
+          this.logger.warn(`Model event subscription with ${manager} failed: ${error.message}`)
+        }
+      }
+    }
+
+    subscribe()
+    setInterval(subscribe, ttl / 2)
+  }
+
+  /**
+   * Refresh the load of the registered workers from their `checkCapacity`
+   * Busy slots and wait queue depth feed the load balancer. A worker that
+   * does not answer keeps its last known load. Workers that heartbeat report
+   * their load themselves and are not polled.
+   * @returns {Promise<void>}
+   */
+  async refreshWorkerLoad () {
+    const workers = (await this.serviceRegistry.getAllWorkers()).filter(worker => !worker.heartbeatInterval)
+
+    await Promise.all(workers.map(async (worker) => {
+      try {
+        const capacity = await this.net_r0.jRequest(
+          worker.publicKey,
+          'checkCapacity',
+          {},
+          { timeout: this.conf.loadCheckTimeout || 5000 }
+        )
+
+        await this.loadBalancer.updateWorkerLoad(worker.id, capacity)
+      } catch (error) {
+        this.logger.debug(`Failed to check capacity of worker ${worker.id}: ${error.message}`)
+      }
+    }))
+  }
+
+  /**
+   * Unregister the workers that missed `missedHeartbeats` heartbeats in a row
+   * Workers registered without a heartbeat are kept.
+   * @returns {Promise<void>}
+   */
+  async expireWorkers () {
+    const missedHeartbeats = this.conf.missedHeartbeats || 3
+    const workers = await this.serviceRegistry.getAllWorkers()
+
+    for (const worker of workers) {
+      if (worker.heartbeatInterval && Date.now() - worker.lastSeen > worker.heartbeatInterval * missedHeartbeats) {
+        this.logger.warn(`Worker ${worker.id} stopped sending heartbeats, unregistering it`)
+        await this.unregisterWorker({ workerId: worker.id })
+      }
+    }
+  }
+
   /**
    * Start health monitoring process
    */
@@ -407,6 +1343,16 @@ class WrkOrchestrator extends WrkBase {
     setInterval(async () => {
       try {
         await this.healthMonitor.performHealthChecks()
+        await this.expireWorkers()
+        await this.refreshWorkerLoad()
+
+        // Forget streams whose client stopped polling
+        const streamIdleTimeout = this.conf.streamIdleTimeout || 60000
+        for (const [streamId, stream] of this.activeStreams.entries()) {
+          if (Date.now() - stream.updatedAt > streamIdleTimeout) {
+            this.activeStreams.delete(streamId)
+          }
+        }
       } catch (error) {
         this.logger.error('Health monitoring failed:', error)
       }